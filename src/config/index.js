@@ -8,13 +8,60 @@ const defaultConfig = {
     rest: {
       enabled: true,
       basePath: '/api',
+      // Current version; set `versions` to serve several side by side, oldest first, e.g.
+      // versions: { v1: { deprecated: '2026-09-01', sunset: '2027-03-01' }, v2: {} }
       version: 'v1',
-      documentation: true
+      documentation: true,
+      // OpenAPI document served at /docs.json; strict mode refuses to start
+      // if a route has no schema to document it with
+      openapi: {
+        strict: false
+      },
+      // Large enough for bulk imports of a few thousand records
+      bodyLimit: '5mb',
+      // Replay responses to retried POST/PUT/PATCH/DELETE requests sent with an Idempotency-Key
+      idempotency: {
+        enabled: true,
+        ttl: 24 * 60 * 60 // seconds
+      },
+      // How long the status of finished long-running operations is kept
+      operations: {
+        ttl: 24 * 60 * 60 // seconds
+      },
+      // How often records of models with a soft delete retention window are purged
+      softDelete: {
+        purgeInterval: 60 * 60 // seconds
+      }
     },
     graphql: {
       enabled: true,
-      introspection: true,
-      playground: process.env.NODE_ENV !== 'production'
+      path: '/graphql',
+      introspection: process.env.NODE_ENV !== 'production',
+      playground: process.env.NODE_ENV !== 'production',
+      // graphql-ws on the GraphQL path, fed by the event manager
+      subscriptions: {
+        enabled: true
+      },
+      // Serve an Apollo Federation 2 subgraph, to compose behind a gateway
+      federation: {
+        enabled: false
+      },
+      // Queries nesting fields deeper than this are rejected
+      maxDepth: 10,
+      // Field costs (see core/api-generators/graphql-limits)
+      cost: {
+        maxCost: 5000, // per query
+        budget: 50000, // per user or IP address per rate limit window
+        defaultListSize: 20 // items counted for lists queried without a size
+      },
+      // Automatic persisted queries (see core/api-generators/graphql-persisted-queries)
+      persistedQueries: {
+        enabled: true,
+        ttl: 24 * 60 * 60, // seconds automatic persisted queries are remembered
+        // Only accept the operations of the manifest (npm run persist-queries)
+        allowList: process.env.NODE_ENV === 'production',
+        manifest: process.env.GRAPHQL_PERSISTED_QUERIES || './persisted-queries.json'
+      }
     },
     websocket: {
       enabled: true,
@@ -22,7 +69,19 @@ const defaultConfig = {
     },
     grpc: {
       enabled: false,
-      port: 50051
+      port: 50051,
+      // Generated .proto files of declarative models, for clients to compile
+      protoDir: process.env.GRPC_PROTO_DIR || './proto',
+      package: 'ube',
+      // Reject anonymous calls; otherwise route middleware decides, as on REST
+      requireAuthentication: false,
+      tls: {
+        enabled: Boolean(process.env.GRPC_TLS_CERT),
+        cert: process.env.GRPC_TLS_CERT, // PEM files
+        key: process.env.GRPC_TLS_KEY,
+        ca: process.env.GRPC_TLS_CA, // signs client certificates
+        requireClientCertificate: false // mutual TLS
+      }
     }
   },
   databases: {
@@ -85,6 +144,31 @@ const defaultConfig = {
       origin: process.env.CORS_ORIGIN || '*'
     }
   },
+  // Files attached to models (`file` fields)
+  storage: {
+    backend: process.env.STORAGE_BACKEND || 'local', // 'local' or 's3'
+    // Signs download links of locally stored files
+    secret: process.env.STORAGE_SECRET,
+    signedUrlTtl: 15 * 60, // seconds
+    maxFileSize: 10 * 1024 * 1024, // bytes, unless a field sets maxSize
+    local: {
+      root: process.env.STORAGE_ROOT || './uploads',
+      baseUrl: '/files'
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true'
+    },
+    // Resumable uploads are assembled here before being stored
+    uploads: {
+      dir: process.env.UPLOADS_DIR,
+      ttl: 24 * 60 * 60 // seconds
+    }
+  },
   sdkGeneration: {
     enabled: true,
     targets: ['react', 'nextjs', 'flutter', 'unity', 'vue']
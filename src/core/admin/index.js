@@ -2,6 +2,8 @@ const express = require('express');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { isDeclarative, normalizeModel } = require('../models');
+const { registerFileRoutes } = require('../api-generators/files');
 
 /**
  * Admin Interface Generator
@@ -85,9 +87,11 @@ class AdminInterfaceGenerator {
           }
           
           // Add model to admin interface
+          const declarative = isDeclarative(model) ? normalizeModel(model) : null;
           this.models.set(model.name, {
             ...model,
-            fields: model.admin.fields || Object.keys(model.schema || {})
+            fields: model.admin.fields || Object.keys(model.schema || model.fields || {}),
+            declarative
           });
           
           logger.debug(`Added model to admin interface: ${model.name}`);
@@ -373,6 +377,11 @@ class AdminInterfaceGenerator {
         }
       });
       
+      // Upload and download files with the REST file routes (see api-generators/files)
+      if (model.declarative) {
+        registerFileRoutes(modelRouter, model.declarative);
+      }
+      
       // Mount model router
       apiRouter.use(`/${modelName.toLowerCase()}`, modelRouter);
     }
@@ -387,12 +396,16 @@ class AdminInterfaceGenerator {
         label: model.admin.label || name,
         fields: model.fields.map(field => {
           const fieldConfig = model.admin.fieldConfig?.[field] || {};
+          const definition = model.declarative && model.declarative.fields[field];
+          const isFile = Boolean(definition && definition.type === 'file');
           return {
             name: field,
             label: fieldConfig.label || field,
-            type: fieldConfig.type || 'text',
+            type: fieldConfig.type || (isFile ? 'file' : 'text'),
             required: fieldConfig.required || false,
-            options: fieldConfig.options || null
+            options: fieldConfig.options || null,
+            // File inputs upload to /admin/api/<model>/:id/<field>
+            ...(isFile && { accept: definition.accept || null, maxSize: definition.maxSize || null })
           };
         }),
         listFields: model.admin.listFields || model.fields,
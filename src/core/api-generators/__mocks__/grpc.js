@@ -1,6 +1,87 @@
 // Mock implementation for gRPC
+const status = {
+  OK: 0,
+  CANCELLED: 1,
+  UNKNOWN: 2,
+  INVALID_ARGUMENT: 3,
+  DEADLINE_EXCEEDED: 4,
+  NOT_FOUND: 5,
+  ALREADY_EXISTS: 6,
+  PERMISSION_DENIED: 7,
+  RESOURCE_EXHAUSTED: 8,
+  FAILED_PRECONDITION: 9,
+  ABORTED: 10,
+  OUT_OF_RANGE: 11,
+  UNIMPLEMENTED: 12,
+  INTERNAL: 13,
+  UNAVAILABLE: 14,
+  DATA_LOSS: 15,
+  UNAUTHENTICATED: 16
+};
+
+// Metadata keeps a list of values per (lowercase) key
+class Metadata {
+  constructor() {
+    this.values = new Map();
+  }
+
+  set(key, value) {
+    this.values.set(key.toLowerCase(), [value]);
+  }
+
+  add(key, value) {
+    this.values.set(key.toLowerCase(), [...this.get(key), value]);
+  }
+
+  get(key) {
+    return this.values.get(key.toLowerCase()) || [];
+  }
+
+  getMap() {
+    return Object.fromEntries([...this.values].map(([key, values]) => [key, values[0]]));
+  }
+}
+
+// Server interceptors wrap the next call of the chain; responder and listener methods are optional
+class ServerInterceptingCall {
+  constructor(nextCall, responder = {}) {
+    this.nextCall = nextCall;
+    this.responder = responder;
+  }
+
+  start(listener) {
+    const start = this.responder.start || ((next) => next());
+
+    start((intercepted = {}) => {
+      this.nextCall.start({
+        onReceiveMetadata: (metadata) => {
+          const onReceiveMetadata = intercepted.onReceiveMetadata || ((value, next) => next(value));
+          onReceiveMetadata(metadata, (value) => listener.onReceiveMetadata(value));
+        },
+        onCancel: () => {
+          (intercepted.onCancel || (() => {}))();
+          (listener.onCancel || (() => {}))();
+        }
+      });
+    });
+  }
+
+  sendStatus(status) {
+    const sendStatus = this.responder.sendStatus || ((value, next) => next(value));
+    sendStatus(status, (value) => this.nextCall.sendStatus(value));
+  }
+
+  getPeer() {
+    return this.nextCall.getPeer();
+  }
+}
+
 const grpc = {
-  Server: jest.fn().mockImplementation(() => ({
+  status,
+  Metadata,
+  ServerInterceptingCall,
+  Server: jest.fn().mockImplementation((options = {}) => ({
+    options,
     addService: jest.fn(),
     bindAsync: jest.fn((address, credentials, callback) => {
       callback(null, 0);
@@ -8,8 +89,26 @@ const grpc = {
     start: jest.fn()
   })),
   ServerCredentials: {
-    createInsecure: jest.fn()
-  }
+    createInsecure: jest.fn(),
+    createSsl: jest.fn()
+  },
+  // Services of a proto-loader package definition, as { service } by package path
+  loadPackageDefinition: jest.fn((definition) => {
+    const root = {};
+
+    Object.entries(definition).forEach(([name, value]) => {
+      const parts = name.split('.');
+      const last = parts.pop();
+      const scope = parts.reduce((parent, part) => {
+        parent[part] = parent[part] || {};
+        return parent[part];
+      }, root);
+
+      scope[last] = value.format ? value : { service: value };
+    });
+
+    return root;
+  })
 };
 
-module.exports = grpc; 
\ No newline at end of file
+module.exports = grpc;
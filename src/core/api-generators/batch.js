@@ -0,0 +1,178 @@
+const http = require('http');
+const { ApiError, errorHandler } = require('../errors');
+
+const DEFAULT_MAX_REQUESTS = 50;
+const handleError = errorHandler();
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Create the handler for POST /batch, which runs several API requests in one
+ * round trip by dispatching them through the API router
+ *
+ *   POST /api/v1/batch
+ *   {
+ *     "requests": [
+ *       { "method": "POST", "path": "/product", "body": { "name": "Widget", "price": 10 } },
+ *       { "method": "GET", "path": "/product?sort=-price", "headers": { "Accept-Language": "fr" } }
+ *     ]
+ *   }
+ *
+ * Sub-requests run in order with the batch request's headers (e.g. Authorization)
+ * and pass through the same middleware as individual requests.
+ *
+ * @param {object} router - The API router with the model routes
+ * @param {object} options - { maxRequests }
+ */
+function createBatchHandler(router, options = {}) {
+  const maxRequests = options.maxRequests || DEFAULT_MAX_REQUESTS;
+
+  return async (req, res, next) => {
+    try {
+      const requests = req.body && req.body.requests;
+      const errors = validateRequests(requests);
+
+      if (errors.length > 0) {
+        throw new ApiError('BAD_REQUEST', 'Invalid batch request', { errors });
+      }
+
+      if (requests.length > maxRequests) {
+        throw new ApiError('PAYLOAD_TOO_LARGE', `A batch can contain at most ${maxRequests} requests`);
+      }
+
+      const responses = [];
+
+      for (const subRequest of requests) {
+        responses.push(await dispatch(router, req, subRequest));
+      }
+
+      res.json({ responses });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Check the shape of the sub-requests
+ */
+function validateRequests(requests) {
+  if (!Array.isArray(requests) || requests.length === 0) {
+    return ['requests must be a non-empty array'];
+  }
+
+  const errors = [];
+
+  requests.forEach((subRequest, i) => {
+    if (!subRequest || typeof subRequest !== 'object') {
+      errors.push(`requests[${i}] must be an object`);
+      return;
+    }
+
+    if (!METHODS.includes(String(subRequest.method).toUpperCase())) {
+      errors.push(`requests[${i}].method must be one of ${METHODS.join(', ')}`);
+    }
+
+    if (typeof subRequest.path !== 'string' || !subRequest.path.startsWith('/')) {
+      errors.push(`requests[${i}].path must be a path relative to the API, e.g. /product/1`);
+    } else if (/^\/batch(\/|\?|$)/.test(subRequest.path)) {
+      errors.push(`requests[${i}] cannot be a batch request`);
+    }
+
+    if (subRequest.headers !== undefined && (typeof subRequest.headers !== 'object' || subRequest.headers === null)) {
+      errors.push(`requests[${i}].headers must be an object`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Run a sub-request through the router and collect its response
+ * @returns {Promise<object>} { status, headers, body }
+ */
+function dispatch(router, parent, { method, path: url, headers = {}, body }) {
+  return new Promise((resolve) => {
+    const req = Object.create(parent);
+    const hasBody = body !== undefined;
+    const [pathname, search = ''] = url.split('?');
+
+    req.method = method.toUpperCase();
+    req.url = url;
+    req.originalUrl = `${parent.baseUrl}${url}`;
+    req.baseUrl = parent.baseUrl;
+    req.params = {};
+    req.query = parent.app.get('query parser fn')(search);
+    req.body = hasBody ? body : {};
+    req.headers = { ...parent.headers };
+
+    // The batch's own Idempotency-Key doesn't apply to its sub-requests
+    delete req.headers['idempotency-key'];
+    delete req.headers['transfer-encoding'];
+    delete req.headers['content-type'];
+    delete req.headers['content-length'];
+
+    Object.entries(headers).forEach(([name, value]) => {
+      req.headers[name.toLowerCase()] = String(value);
+    });
+
+    // Describe the JSON body so content-type checks (req.is) behave as for a real request
+    if (hasBody) {
+      req.headers['content-type'] = req.headers['content-type'] || 'application/json';
+      req.headers['content-length'] = String(Buffer.byteLength(JSON.stringify(body)));
+    }
+
+    const res = createResponse(req, resolve);
+    req.res = res;
+
+    // Errors and unmatched routes get the problem details the API would send
+    router.handle(req, res, (error) => {
+      handleError(error || new ApiError('ROUTE_NOT_FOUND', `Cannot ${req.method} ${pathname}`), req, res, () => {});
+    });
+  });
+}
+
+/**
+ * Create a response object that captures what a route sends
+ */
+function createResponse(req, resolve) {
+  const res = new http.ServerResponse(req);
+  const chunks = [];
+
+  Object.setPrototypeOf(res, req.app.response);
+  res.req = req;
+  res.app = req.app;
+  res.locals = {};
+
+  res.write = (chunk) => {
+    chunks.push(Buffer.from(chunk));
+    return true;
+  };
+
+  res.end = (chunk) => {
+    if (chunk) {
+      chunks.push(Buffer.from(chunk));
+    }
+
+    const headers = res.getHeaders();
+    const text = Buffer.concat(chunks).toString('utf8');
+    let body = text || null;
+
+    if (text && /json/.test(headers['content-type'] || '')) {
+      try {
+        body = JSON.parse(text);
+      } catch (error) {
+        body = text;
+      }
+    }
+
+    res.emit('finish');
+    resolve({ status: res.statusCode, headers, body });
+    return res;
+  };
+
+  return res;
+}
+
+module.exports = {
+  createBatchHandler
+};
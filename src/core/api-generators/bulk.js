@@ -0,0 +1,291 @@
+const { createRepository } = require('../database/repository');
+const { getScope, validateBody } = require('./crud');
+const { ApiError, NotFoundError, ValidationError, toApiError, toProblem } = require('../errors');
+const { prefersAsync, acceptOperation } = require('../operations');
+const { deleteRecordFiles } = require('../storage');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ITEMS = 1000;
+
+// Supported operations, in the order they are applied
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Error raised to roll back a transactional bulk request
+ */
+class BulkAbortError extends Error {
+  constructor(operation, result) {
+    super(result.error.message);
+    this.name = 'BulkAbortError';
+    this.operation = operation;
+    this.result = result;
+  }
+}
+
+/**
+ * Generate the bulk handler for a declarative model
+ *
+ *   POST /products/bulk
+ *   {
+ *     "create": [{ "name": "Widget", "price": 10 }],
+ *     "update": [{ "id": 1, "name": "Gadget", "price": 12 }],
+ *     "delete": [2, 3],
+ *     "transactional": true
+ *   }
+ *
+ * Each item gets its own result; failed items carry a problem details object.
+ * In transactional mode either every item is applied or none are. With
+ * `Prefer: respond-async` the items are applied by a long-running operation.
+ */
+function createBulkHandler(model) {
+  const maxItems = (model.bulk && model.bulk.maxItems) || DEFAULT_MAX_ITEMS;
+
+  return async (req, res, next) => {
+    try {
+      const { operations, errors } = parseBulkRequest(model, req.body);
+
+      if (errors.length > 0) {
+        throw new ApiError('BAD_REQUEST', 'Invalid bulk request', { errors });
+      }
+
+      if (operations.length > maxItems) {
+        throw new ApiError('PAYLOAD_TOO_LARGE', `A bulk request can contain at most ${maxItems} items`);
+      }
+
+      // Large imports can run in the background (see core/operations)
+      if (prefersAsync(req)) {
+        return await acceptOperation(req, res, `${model.name.toLowerCase()}.bulk`, async ({ progress }) => {
+          const { results } = await applyBulk(model, req, operations, progress);
+          return { results };
+        });
+      }
+
+      const { status, results } = await applyBulk(model, req, operations);
+      res.status(status).json({ results });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Apply the operations of a bulk request
+ * Transactional requests that fail throw an ApiError carrying every item's result
+ * @param {Function} progress - Optional, called with { completed, total } as items are applied
+ * @returns {Promise<object>} { status: 200 or 207, results }
+ */
+async function applyBulk(model, req, operations, progress = async () => {}) {
+  const transactional = req.body.transactional === true;
+  const repository = createRepository(model, req.app.locals.connections);
+  const scope = getScope(model, req);
+  const total = operations.length;
+
+  // Validate everything up front so all invalid items are reported at once
+  const invalid = new Map();
+  operations.forEach((operation) => {
+    const details = operation.type === 'delete' ? null : validateBody(model, req, 'full', operation.data);
+
+    if (details) {
+      invalid.set(operation, { status: 400, error: new ValidationError('The item is invalid', details) });
+    }
+  });
+
+  const results = new Map(invalid);
+
+  if (transactional) {
+    let failed = invalid.size > 0 ? invalid.values().next().value : null;
+
+    if (!failed) {
+      try {
+        await repository.transaction(async (tx) => {
+          for (const operation of operations) {
+            const result = await applyOperation(model, tx, operation, scope);
+
+            if (result.status >= 400) {
+              throw new BulkAbortError(operation, result);
+            }
+
+            results.set(operation, result);
+            await progress({ completed: results.size, total });
+          }
+        });
+      } catch (error) {
+        if (!(error instanceof BulkAbortError)) {
+          throw error;
+        }
+
+        // Everything applied before the failure was rolled back
+        results.clear();
+        results.set(error.operation, error.result);
+        failed = error.result;
+      }
+    }
+
+    if (failed) {
+      operations.forEach((operation) => {
+        if (!results.has(operation)) {
+          results.set(operation, {
+            status: 424,
+            error: new ApiError('FAILED_DEPENDENCY', 'Not applied because another item failed')
+          });
+        }
+      });
+
+      throw new ApiError(failed.error.code, 'Bulk request failed; no changes were applied', {
+        status: failed.status,
+        extensions: { results: formatResults(req, operations, results) }
+      });
+    }
+
+    await deleteFiles(model, req, results);
+    return { status: 200, results: formatResults(req, operations, results) };
+  }
+
+  for (const operation of operations) {
+    if (!results.has(operation)) {
+      results.set(operation, await applyOperation(model, repository, operation, scope));
+      await progress({ completed: results.size, total });
+    }
+  }
+
+  await deleteFiles(model, req, results);
+
+  const failures = [...results.values()].filter(({ status }) => status >= 400).length;
+  return { status: failures > 0 ? 207 : 200, results: formatResults(req, operations, results) };
+}
+
+/**
+ * Parse a bulk request body into a flat list of operations
+ * @returns {object} { operations: [{ type, index, id, data }], errors }
+ */
+function parseBulkRequest(model, body) {
+  const operations = [];
+  const errors = [];
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { operations, errors: ['The request body must be an object'] };
+  }
+
+  if (!BULK_OPERATIONS.some((type) => body[type] !== undefined)) {
+    errors.push(`The request must contain at least one of: ${BULK_OPERATIONS.join(', ')}`);
+  }
+
+  BULK_OPERATIONS.forEach((type) => {
+    if (body[type] === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(body[type])) {
+      errors.push(`${type} must be an array`);
+      return;
+    }
+
+    body[type].forEach((item, index) => {
+      if (type === 'delete') {
+        if (typeof item !== 'string' && typeof item !== 'number') {
+          errors.push(`delete[${index}] must be an ID`);
+        }
+
+        operations.push({ type, index, id: item });
+        return;
+      }
+
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${type}[${index}] must be an object`);
+        return;
+      }
+
+      const { [model.primaryKey]: id, ...data } = item;
+
+      if (type === 'update' && (id === undefined || id === null)) {
+        errors.push(`update[${index}] must include ${model.primaryKey}`);
+      }
+
+      operations.push({ type, index, id, data: type === 'create' ? item : data });
+    });
+  });
+
+  return { operations, errors };
+}
+
+/**
+ * Apply a single operation, returning its result
+ */
+async function applyOperation(model, repository, operation, scope) {
+  const { type, id, data } = operation;
+
+  try {
+    if (type === 'create') {
+      return { status: 201, data: await repository.create(data, scope) };
+    }
+
+    if (type === 'update') {
+      const item = await repository.update(id, data, scope);
+      return item ? { status: 200, data: item } : notFound(model);
+    }
+
+    let record = null;
+    const deleted = await repository.delete(id, scope, {
+      verify: (resource) => {
+        record = resource;
+      }
+    });
+
+    // The record's files are deleted once the request has been applied (see applyBulk)
+    return deleted ? { status: 204, deleted: record } : notFound(model);
+  } catch (error) {
+    const apiError = toApiError(error);
+
+    if (apiError.status >= 500) {
+      logger.error(`Error applying bulk ${type} for ${model.name.toLowerCase()}:`, error);
+    }
+
+    return { status: apiError.status, error: apiError };
+  }
+}
+
+/**
+ * Delete the files of the records a bulk request deleted
+ * Soft-deleted records keep them so they can be restored
+ */
+async function deleteFiles(model, req, results) {
+  if (model.softDelete) {
+    return;
+  }
+
+  for (const { deleted } of results.values()) {
+    if (deleted) {
+      await deleteRecordFiles(req.app, model, deleted);
+    }
+  }
+}
+
+function notFound(model) {
+  return { status: 404, error: new NotFoundError(`${model.name} not found`) };
+}
+
+/**
+ * Group results by operation type, in request order
+ */
+function formatResults(req, operations, results) {
+  const grouped = {};
+
+  operations.forEach((operation) => {
+    const { type, index, id } = operation;
+    const { error, deleted: _deleted, ...result } = results.get(operation);
+
+    grouped[type] = grouped[type] || [];
+    grouped[type].push({
+      index,
+      ...(id !== undefined && { id }),
+      ...result,
+      ...(error && { error: toProblem(req, error) })
+    });
+  });
+
+  return grouped;
+}
+
+module.exports = {
+  createBulkHandler
+};
@@ -0,0 +1,501 @@
+const { createRepository } = require('../database/repository');
+const { loadRelations, getRelationRoute } = require('../database/relations');
+const { ensureModelSchemas, getWritableFields } = require('../models');
+const { parseListQuery, parseSearchQuery, parseInclude, getQueryableFields } = require('../query');
+const { PATCH_TYPES, PatchError, getPatchType, applyPatch, deepEqual } = require('../patch');
+const { PreconditionFailedError, hashETag, getETag, isNotModified, matchesIfMatch } = require('../cache/etag');
+const { ApiError, BadRequestError, NotFoundError, ValidationError, toApiError } = require('../errors');
+const { isStreamingFormat, writeRecords } = require('../formats');
+const { deleteRecordFiles } = require('../storage');
+const { getRouteMiddleware } = require('./openapi');
+
+/**
+ * Generate persistent CRUD handlers for a declarative model
+ * Hand-written routes in the model definition take precedence over these.
+ * Errors are passed on to the API's problem details error handler.
+ */
+function createCrudHandlers(model) {
+  const notFound = () => new NotFoundError(`${model.name} not found`);
+
+  return {
+    // List records (filtering, sorting, field selection, includes and pagination, see core/query)
+    // CSV and NDJSON responses stream every matching record (see core/formats)
+    getAll: async (req, res, next) => {
+      try {
+        const query = parseListQuery(model, req.query);
+        const scope = getScope(model, req);
+        const repository = createRepository(model, req.app.locals.connections);
+
+        if (isStreamingFormat(res.locals.format)) {
+          const batches = withRelations(model, repository.stream(query, scope), query.include, relationOptions(req));
+
+          return await writeRecords(res, res.locals.format, batches, {
+            columns: getColumns(model, query),
+            transform: res.locals.transformRecord
+          });
+        }
+
+        if (query.cursor) {
+          const { edges, pageInfo } = await repository.paginate(query, scope);
+          const nodes = edges.map(({ node }) => node);
+
+          await loadRelations(model, nodes, query.include, relationOptions(req));
+          setCursorHeaders(req, res, query.page, pageInfo);
+          return res.json(nodes);
+        }
+
+        const [items, total] = await Promise.all([
+          repository.find(query, scope),
+          repository.count(query, scope)
+        ]);
+
+        await loadRelations(model, items, query.include, relationOptions(req));
+        setPaginationHeaders(req, res, query.page, total);
+        res.json(items);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Full-text search, most relevant first (only registered for models with search, see core/search)
+    // Records carry their relevance and highlighted fields in _search
+    search: async (req, res, next) => {
+      try {
+        const query = parseSearchQuery(model, req.query);
+        const repository = createRepository(model, req.app.locals.connections);
+        const { hits, total } = await repository.search(query, getScope(model, req));
+
+        await loadRelations(model, hits.map(({ record }) => record), query.include, relationOptions(req));
+        setPaginationHeaders(req, res, query.page, total);
+        res.json(hits.map(({ record, score, highlights }) => ({ ...record, _search: { score, highlights } })));
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Get a record by ID, with the relations named by ?include=
+    getById: async (req, res, next) => {
+      try {
+        const include = parseInclude(model, req.query.include);
+        const repository = createRepository(model, req.app.locals.connections);
+        const item = await repository.findById(req.params.id, getScope(model, req));
+
+        if (!item) {
+          throw notFound();
+        }
+
+        await loadRelations(model, [item], include, relationOptions(req));
+
+        // Included records aren't covered by the record's version
+        const etag = include ? hashETag(item) : getETag(model, item);
+        res.set('ETag', etag);
+
+        if (isNotModified(req, etag)) {
+          return res.status(304).end();
+        }
+
+        res.json(item);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Create a record
+    create: async (req, res, next) => {
+      try {
+        assertValid(model, req, 'full');
+
+        const repository = createRepository(model, req.app.locals.connections);
+        const item = await repository.create(req.body, getScope(model, req));
+
+        res.set('ETag', getETag(model, item));
+        res.status(201).json(item);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Replace a record
+    update: async (req, res, next) => {
+      try {
+        assertValid(model, req, 'full');
+
+        const repository = createRepository(model, req.app.locals.connections);
+        const item = await repository.update(req.params.id, req.body, getScope(model, req), checkIfMatch(model, req));
+
+        if (!item) {
+          throw notFound();
+        }
+
+        res.set('ETag', getETag(model, item));
+        res.json(item);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Partially update a record with a JSON Merge Patch or JSON Patch (see core/patch)
+    patch: async (req, res, next) => {
+      try {
+        const type = getPatchType(req);
+
+        if (!type) {
+          throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `PATCH requires one of: ${PATCH_TYPES.join(', ')}`, {
+            headers: { 'Accept-Patch': PATCH_TYPES.join(', ') }
+          });
+        }
+
+        const repository = createRepository(model, req.app.locals.connections);
+        const item = await repository.patch(req.params.id, (resource) => {
+          // Patches apply to the record as clients see it
+          const document = JSON.parse(JSON.stringify(resource));
+          return getPatchedValues(model, req, document, applyPatch(type, document, req.body));
+        }, getScope(model, req), checkIfMatch(model, req));
+
+        if (!item) {
+          throw notFound();
+        }
+
+        res.set('ETag', getETag(model, item));
+        res.json(item);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Delete a record
+    delete: async (req, res, next) => {
+      try {
+        const repository = createRepository(model, req.app.locals.connections);
+        const { verify } = checkIfMatch(model, req);
+        let record = null;
+
+        const deleted = await repository.delete(req.params.id, getScope(model, req), {
+          verify: (resource) => {
+            record = resource;
+            return verify(resource);
+          }
+        });
+
+        if (!deleted) {
+          throw notFound();
+        }
+
+        // Soft-deleted records keep their files so they can be restored
+        if (!model.softDelete) {
+          await deleteRecordFiles(req.app, model, record);
+        }
+
+        res.status(204).end();
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    // Restore a soft-deleted record (only registered for models with soft delete)
+    restore: async (req, res, next) => {
+      try {
+        const repository = createRepository(model, req.app.locals.connections);
+        const item = await repository.restore(req.params.id, getScope(model, req), checkIfMatch(model, req));
+
+        if (!item) {
+          throw new NotFoundError(`Deleted ${model.name} not found`);
+        }
+
+        res.set('ETag', getETag(model, item));
+        res.json(item);
+      } catch (error) {
+        next(error);
+      }
+    }
+  };
+}
+
+/**
+ * Tenant scope for a request, mirroring the admin interface
+ * @throws {BadRequestError} For multi-tenant models when the request has no tenant,
+ *                           which would otherwise see every tenant's records
+ */
+function getScope(model, req) {
+  if (!model.multiTenant) {
+    return {};
+  }
+
+  if (!req.tenant) {
+    throw new BadRequestError('Tenant not found or not specified');
+  }
+
+  return { tenantId: req.tenant.id };
+}
+
+/**
+ * Load included relations onto each batch of a record stream
+ */
+async function* withRelations(model, batches, include, options) {
+  for await (const batch of batches) {
+    yield include ? loadRelations(model, batch, include, options) : batch;
+  }
+}
+
+/**
+ * CSV columns of a list query: the selected fields, or every selectable field
+ * as the route's version documents them, followed by included relations
+ */
+function getColumns(model, query) {
+  const documented = model.documentedModel || model;
+  const fields = query.fields || getQueryableFields(documented, 'selectable')
+    .filter((field) => documented.fields[field] && !documented.fields[field].hidden);
+
+  return [...fields, ...Object.keys(query.include || {})];
+}
+
+/**
+ * Options for loading a request's included relations, each scoped to the tenant
+ * and guarded by the middleware of the target's own route
+ */
+function relationOptions(req) {
+  return {
+    connections: req.app.locals.connections,
+    scope: (target) => getScope(target, req),
+    authorize: (relation) => authorizeRelation(req, relation)
+  };
+}
+
+/**
+ * Run the middleware of the route a relation's target would be fetched from
+ * (see getRelationRoute), so callers only see related records they could fetch directly
+ */
+async function authorizeRelation(req, relation) {
+  const { target } = relation;
+  const middleware = [(target.middlewares || {}).all, ...getRouteMiddleware(target, getRelationRoute(relation))];
+
+  // The route's parameters belong to the parent record, not to the related ones
+  await runMiddleware(Object.assign(Object.create(req), { params: {} }), middleware);
+}
+
+/**
+ * Repository options that enforce the request's If-Match header against the
+ * current record, inside the same transaction as the write
+ */
+function checkIfMatch(model, req) {
+  return {
+    verify: (resource) => {
+      if (!matchesIfMatch(req, getETag(model, resource))) {
+        throw new PreconditionFailedError(`${model.name} has been modified`);
+      }
+    }
+  };
+}
+
+/**
+ * Build the URL of another page of the current list request
+ */
+function buildPageUrl(req, pageParams) {
+  const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+
+  ['page[number]', 'page[after]', 'page[before]'].forEach((key) => params.delete(key));
+  Object.entries(pageParams).forEach(([key, value]) => params.set(`page[${key}]`, value));
+
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${params.toString()}`;
+}
+
+/**
+ * Set X-Total-Count and RFC 8288 Link headers for a page of results
+ */
+function setPaginationHeaders(req, res, page, total) {
+  const lastPage = Math.max(1, Math.ceil(total / page.size));
+  const pageUrl = (number) => buildPageUrl(req, { number, size: page.size });
+  const links = [`<${pageUrl(1)}>; rel="first"`];
+
+  if (page.number > 1) {
+    links.push(`<${pageUrl(Math.min(page.number - 1, lastPage))}>; rel="prev"`);
+  }
+
+  if (page.number < lastPage) {
+    links.push(`<${pageUrl(page.number + 1)}>; rel="next"`);
+  }
+
+  links.push(`<${pageUrl(lastPage)}>; rel="last"`);
+
+  res.set('X-Total-Count', String(total));
+  res.append('Link', links.join(', '));
+}
+
+/**
+ * Set Link headers for a page of results fetched with a cursor
+ */
+function setCursorHeaders(req, res, page, pageInfo) {
+  const links = [];
+
+  if (pageInfo.hasPreviousPage && pageInfo.startCursor) {
+    links.push(`<${buildPageUrl(req, { before: pageInfo.startCursor, size: page.size })}>; rel="prev"`);
+  }
+
+  if (pageInfo.hasNextPage && pageInfo.endCursor) {
+    links.push(`<${buildPageUrl(req, { after: pageInfo.endCursor, size: page.size })}>; rel="next"`);
+    res.set('X-Next-Cursor', pageInfo.endCursor);
+  }
+
+  if (links.length > 0) {
+    res.append('Link', links.join(', '));
+  }
+}
+
+/**
+ * Validate the request body (or other input data) against the model schema
+ * @returns {Array|null} Problem details entries (see ValidationManager#formatErrors), or null if the body is valid
+ */
+function validateBody(model, req, variant, data = req.body) {
+  const { validationManager } = req.app.locals;
+
+  if (!validationManager) {
+    return null;
+  }
+
+  const schemaNames = ensureModelSchemas(validationManager, model);
+  const result = validationManager.validate(schemaNames[variant], data || {});
+
+  return result.valid ? null : validationManager.formatErrors(result.errors);
+}
+
+/**
+ * Validate the request body against the model schema
+ * @throws {ValidationError} If the body is invalid
+ */
+function assertValid(model, req, variant) {
+  const errors = validateBody(model, req, variant);
+
+  if (errors) {
+    throw new ValidationError('The request body is invalid', errors);
+  }
+}
+
+/**
+ * Turn a patched document into the values to write
+ * The result must still be a valid record and read-only fields can't change;
+ * fields the patch removed are cleared
+ * @throws {ValidationError} If the patched record is invalid
+ */
+function getPatchedValues(model, req, document, patched) {
+  if (patched === null || typeof patched !== 'object' || Array.isArray(patched)) {
+    throw new PatchError('Invalid patch', 400, ['The patched document must be an object']);
+  }
+
+  const writable = getWritableFields(model);
+  const data = {};
+  const errors = [];
+
+  Object.keys(model.fields).filter((field) => !writable.includes(field)).forEach((field) => {
+    if (!deepEqual(patched[field], document[field])) {
+      errors.push({ pointer: `/${field}`, keyword: 'readOnly', message: 'must not be modified' });
+    }
+  });
+
+  Object.entries(patched).forEach(([field, value]) => {
+    if (!model.fields[field] || (writable.includes(field) && value !== null)) {
+      data[field] = value;
+    }
+  });
+
+  const validationErrors = validateBody(model, req, 'full', data);
+
+  if (errors.length > 0 || validationErrors) {
+    throw new ValidationError('The patched record is invalid', [...errors, ...(validationErrors || [])]);
+  }
+
+  writable.forEach((field) => {
+    if (document[field] !== undefined && data[field] === undefined) {
+      data[field] = null;
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Run Express middleware (e.g. isAuthenticated) outside of an Express route,
+ * against a GraphQL or gRPC request
+ * Middleware that ends the response itself (e.g. a rate limiter's 429) or
+ * whose promise resolves without calling next rejects with the response's
+ * status, or 403: the operation must not go on. gRPC requests have no response.
+ */
+async function runMiddleware(req, middleware) {
+  const handlers = middleware.flat().filter(Boolean);
+
+  for (const handler of handlers) {
+    await runHandler(req, handler);
+  }
+}
+
+// Responses' end, awaited by all the middleware run against their request
+const responseEnds = new WeakMap();
+
+/**
+ * Resolve once a response has been sent or its connection closed
+ */
+function whenEnded(res) {
+  if (!responseEnds.has(res)) {
+    responseEnds.set(res, new Promise((resolve) => {
+      res.once('finish', resolve);
+      res.once('close', resolve);
+    }));
+  }
+
+  return responseEnds.get(res);
+}
+
+/**
+ * Run one middleware, settling once it calls next or handles the request
+ */
+function runHandler(req, handler) {
+  const res = req.res;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const settle = (error) => {
+      if (settled) {
+        return;
+      }
+
+      settled = true;
+
+      if (error) {
+        reject(error);
+      } else {
+        resolve();
+      }
+    };
+
+    const handled = () => {
+      const status = res && res.statusCode >= 400 ? res.statusCode : 403;
+      settle(toApiError({ status, message: 'The request was ended by route middleware' }));
+    };
+
+    if (res && typeof res.once === 'function') {
+      whenEnded(res).then(handled);
+    }
+
+    try {
+      const result = handler(req, res, (error) => settle(error));
+
+      if (result && typeof result.then === 'function') {
+        // Async middleware that resolves without calling next handled the request
+        result.then(handled, settle);
+      } else if (res && res.headersSent) {
+        handled();
+      }
+    } catch (error) {
+      settle(error);
+    }
+  });
+}
+
+module.exports = {
+  createCrudHandlers,
+  getScope,
+  checkIfMatch,
+  validateBody,
+  getPatchedValues,
+  runMiddleware
+};
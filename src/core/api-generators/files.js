@@ -0,0 +1,391 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const formidable = require('formidable');
+const { v4: uuidv4 } = require('uuid');
+const { createRepository } = require('../database/repository');
+const { getFileFields } = require('../models');
+const { getStorage, validateFile, createFileKey, deleteStoredFiles } = require('../storage');
+const { getETag } = require('../cache/etag');
+const { ApiError, BadRequestError, NotFoundError } = require('../errors');
+const { getScope, checkIfMatch } = require('./crud');
+
+const TUS_VERSION = '1.0.0';
+const TUS_CHUNK_TYPE = 'application/offset+octet-stream';
+
+/**
+ * Generate the routes of a model's file field
+ *
+ *   PUT    /products/1/image                    upload (multipart/form-data `file` part, or the raw body)
+ *   GET    /products/1/image                    302 to a signed download URL (?redirect=false for JSON)
+ *   DELETE /products/1/image                    remove the file
+ *   POST   /products/1/image/uploads            start a resumable (tus) upload
+ *   HEAD   /products/1/image/uploads/:upload    offset reached by a resumable upload
+ *   PATCH  /products/1/image/uploads/:upload    append a chunk; the last one attaches the file
+ *
+ * The field's `maxSize` (bytes) and `accept` (MIME types) options are checked
+ * before a file is stored. A replaced file is deleted once the record no
+ * longer refers to it.
+ */
+function createFileHandlers(model, field) {
+  const definition = model.fields[field];
+  const notFound = () => new NotFoundError(`${model.name} not found`);
+
+  // Check the record exists before receiving a whole file for it
+  const findRecord = async (req) => {
+    const record = await createRepository(model, req.app.locals.connections)
+      .findById(req.params.id, getScope(model, req));
+
+    if (!record) {
+      throw notFound();
+    }
+
+    return record;
+  };
+
+  // Uploads are only found by the user who started them
+  const findUpload = async (req) => {
+    const upload = await getStorage(req.app).uploads.get(req.params.upload, getOwner(req));
+    const target = upload && upload.target;
+
+    if (!target || target.model !== model.name || String(target.id) !== req.params.id || target.field !== field) {
+      throw new NotFoundError('Upload not found');
+    }
+
+    return upload;
+  };
+
+  // Validate, store and attach a received file, responding with the updated record
+  const attach = async (req, res, file) => {
+    validateFile(definition, file, getStorage(req.app).maxFileSize);
+
+    const resource = await attachFile(model, req, field, file);
+
+    res.set('ETag', getETag(model, resource));
+    return resource;
+  };
+
+  return {
+    upload: async (req, res, next) => {
+      let received = null;
+
+      try {
+        await findRecord(req);
+
+        received = req.is('multipart/form-data')
+          ? await receiveMultipart(req, definition)
+          : await receiveBody(req, definition);
+
+        res.json(await attach(req, res, received));
+      } catch (error) {
+        next(error);
+      } finally {
+        if (received) {
+          fs.promises.rm(received.path, { force: true }).catch(() => {});
+        }
+      }
+    },
+
+    download: async (req, res, next) => {
+      try {
+        const record = await findRecord(req);
+
+        if (!record[field]) {
+          throw new NotFoundError(`${model.name} has no ${field}`);
+        }
+
+        const download = await getStorage(req.app).getDownload(record[field]);
+
+        res.set('Cache-Control', 'no-store');
+
+        if (req.query.redirect === 'false') {
+          return res.json(download);
+        }
+
+        res.redirect(302, download.url);
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    remove: async (req, res, next) => {
+      try {
+        const repository = createRepository(model, req.app.locals.connections);
+        const result = await repository.setFile(
+          req.params.id, field, null, getScope(model, req), checkIfMatch(model, req)
+        );
+
+        if (!result) {
+          throw notFound();
+        }
+
+        await deleteFiles(req, [result.previous]);
+        res.status(204).end();
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    createUpload: async (req, res, next) => {
+      try {
+        res.set('Tus-Resumable', TUS_VERSION);
+
+        const length = Number(req.get('Upload-Length'));
+
+        if (!req.get('Upload-Length') || !Number.isSafeInteger(length) || length < 0) {
+          throw new BadRequestError('Upload-Length must be the size of the file in bytes');
+        }
+
+        const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+        const type = metadata.filetype || 'application/octet-stream';
+        const storage = getStorage(req.app);
+
+        // Refuse what would be rejected at the end before any byte is sent
+        validateFile(definition, { size: length, type }, storage.maxFileSize);
+        await findRecord(req);
+
+        const upload = await storage.uploads.create({
+          length,
+          metadata: { name: metadata.filename || field, type },
+          target: { model: model.name, id: req.params.id, field },
+          owner: getOwner(req)
+        });
+
+        res.set({ Location: `${req.baseUrl}${req.path}/${upload.id}`, 'Upload-Expires': upload.expiresAt });
+
+        if (length === 0) {
+          await completeUpload(req, res, upload);
+        }
+
+        res.status(201).end();
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    uploadStatus: async (req, res, next) => {
+      try {
+        const upload = await findUpload(req);
+
+        res.set({
+          'Tus-Resumable': TUS_VERSION,
+          'Upload-Offset': String(upload.offset),
+          'Upload-Length': String(upload.length),
+          'Cache-Control': 'no-store'
+        });
+        res.status(200).end();
+      } catch (error) {
+        next(error);
+      }
+    },
+
+    uploadChunk: async (req, res, next) => {
+      try {
+        res.set('Tus-Resumable', TUS_VERSION);
+
+        if (!req.is(TUS_CHUNK_TYPE)) {
+          throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `Chunks must be sent as ${TUS_CHUNK_TYPE}`);
+        }
+
+        const offset = Number(req.get('Upload-Offset'));
+
+        if (!req.get('Upload-Offset') || !Number.isSafeInteger(offset)) {
+          throw new BadRequestError('Upload-Offset must be the number of bytes already uploaded');
+        }
+
+        const upload = await getStorage(req.app).uploads.append(await findUpload(req), offset, req);
+
+        if (upload.offset === upload.length) {
+          await completeUpload(req, res, upload);
+        }
+
+        res.set('Upload-Offset', String(upload.offset));
+        res.status(204).end();
+      } catch (error) {
+        next(error);
+      }
+    }
+  };
+
+  /**
+   * Attach a finished resumable upload to its record
+   */
+  async function completeUpload(req, res, upload) {
+    const { uploads } = getStorage(req.app);
+
+    try {
+      await attach(req, res, { ...upload.metadata, size: upload.length, path: uploads.partPath(upload.id) });
+    } finally {
+      await uploads.remove(upload.id);
+    }
+  }
+}
+
+/**
+ * Owner of the uploads a request starts: the id of its user, or null
+ */
+function getOwner(req) {
+  return req.user ? String(req.user.id) : null;
+}
+
+/**
+ * Register the routes of every file field of a model
+ * @param {object} middleware - Run before the handlers: { read, write, upload }; upload
+ *                              runs after write on PUT, which responds with the record
+ */
+function registerFileRoutes(router, model, middleware = {}) {
+  const { read = [], write = [], upload = [] } = middleware;
+
+  getFileFields(model).forEach((field) => {
+    const files = createFileHandlers(model, field);
+    const filePath = `/:id/${field}`;
+
+    router.get(filePath, ...read, files.download);
+    router.put(filePath, ...write, ...upload, files.upload);
+    router.delete(filePath, ...write, files.remove);
+    router.post(`${filePath}/uploads`, ...write, files.createUpload);
+    router.head(`${filePath}/uploads/:upload`, ...write, files.uploadStatus);
+    router.patch(`${filePath}/uploads/:upload`, ...write, files.uploadChunk);
+  });
+}
+
+/**
+ * Store a file and set it on a record, deleting the file it replaces
+ * @param {object} file - { path, name, type, size } of the received file
+ * @returns {Promise<object>} The updated record
+ */
+async function attachFile(model, req, field, file) {
+  const storage = getStorage(req.app);
+  const descriptor = {
+    key: createFileKey(model, req.params.id, field, file.type),
+    name: file.name,
+    size: file.size,
+    type: file.type,
+    uploadedAt: new Date().toISOString()
+  };
+
+  await storage.put(descriptor.key, fs.createReadStream(file.path), {
+    contentType: file.type,
+    contentLength: file.size
+  });
+
+  let result;
+
+  try {
+    result = await createRepository(model, req.app.locals.connections)
+      .setFile(req.params.id, field, descriptor, getScope(model, req), checkIfMatch(model, req));
+  } catch (error) {
+    await deleteFiles(req, [descriptor]);
+    throw error;
+  }
+
+  if (!result) {
+    await deleteFiles(req, [descriptor]);
+    throw new NotFoundError(`${model.name} not found`);
+  }
+
+  await deleteFiles(req, [result.previous]);
+  return result.resource;
+}
+
+function deleteFiles(req, files) {
+  return deleteStoredFiles(getStorage(req.app), files);
+}
+
+/**
+ * Receive the `file` part of a multipart/form-data request into a temporary file
+ * @returns {Promise<object>} { path, name, type, size }
+ */
+function receiveMultipart(req, definition) {
+  const form = formidable({
+    enabledPlugins: ['multipart'],
+    maxFileSize: definition.maxSize || getStorage(req.app).maxFileSize,
+    allowEmptyFiles: true,
+    minFileSize: 0,
+    filter: ({ name }) => name === 'file'
+  });
+
+  return new Promise((resolve, reject) => {
+    form.parse(req, (error, fields, files) => {
+      if (error) {
+        return reject(error.httpCode === 413
+          ? new ApiError('PAYLOAD_TOO_LARGE', `The file must be at most ${form.options.maxFileSize} bytes`)
+          : new BadRequestError('The multipart body could not be read', { cause: error }));
+      }
+
+      const file = Array.isArray(files.file) ? files.file[0] : files.file;
+
+      if (!file) {
+        return reject(new BadRequestError('The request must have a `file` part'));
+      }
+
+      resolve({
+        path: file.filepath,
+        name: file.originalFilename || 'file',
+        type: file.mimetype || 'application/octet-stream',
+        size: file.size
+      });
+    });
+  });
+}
+
+/**
+ * Receive a file sent as the request body into a temporary file
+ * Its type is the Content-Type, its name comes from Content-Disposition
+ * @returns {Promise<object>} { path, name, type, size }
+ */
+async function receiveBody(req, definition) {
+  const maxSize = definition.maxSize || getStorage(req.app).maxFileSize;
+  const type = (req.get('Content-Type') || 'application/octet-stream').split(';')[0].trim();
+
+  if (req._body) {
+    // Already consumed by the JSON body parser
+    throw new ApiError('UNSUPPORTED_MEDIA_TYPE', 'Send JSON files as multipart/form-data');
+  }
+
+  // Fail fast on declared sizes and types
+  validateFile(definition, { size: Number(req.get('Content-Length')) || 0, type }, maxSize);
+
+  const filePath = path.join(os.tmpdir(), `ube-upload-${uuidv4()}`);
+  let size = 0;
+  const limit = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      callback(size > maxSize ? new ApiError('PAYLOAD_TOO_LARGE', `The file must be at most ${maxSize} bytes`) : null,
+        chunk);
+    }
+  });
+
+  try {
+    await pipeline(req, limit, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+
+  const disposition = req.get('Content-Disposition') || '';
+  const name = (disposition.match(/filename="?([^";]+)"?/) || [])[1];
+
+  return { path: filePath, name: name ? path.basename(name) : 'file', type, size };
+}
+
+/**
+ * Parse a tus Upload-Metadata header: comma-separated `key base64value` pairs
+ */
+function parseUploadMetadata(header) {
+  const metadata = {};
+
+  (header || '').split(',').map((pair) => pair.trim()).filter(Boolean).forEach((pair) => {
+    const [key, value = ''] = pair.split(' ');
+    metadata[key] = Buffer.from(value, 'base64').toString('utf8');
+  });
+
+  return metadata;
+}
+
+module.exports = {
+  createFileHandlers,
+  registerFileRoutes
+};
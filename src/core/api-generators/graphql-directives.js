@@ -0,0 +1,132 @@
+const { defaultFieldResolver } = require('graphql');
+const { mapSchema, getDirective, MapperKind } = require('@graphql-tools/utils');
+const { AuthenticationError, ForbiddenError } = require('apollo-server-express');
+const { checkRoles } = require('../auth');
+
+/**
+ * Field-level authorization directives
+ *
+ *   type User @auth {                                  every field requires a user
+ *     email: String @owner(field: "id", roles: ["admin"])
+ *     roles: [String] @hasRole(roles: ["admin"])
+ *   }
+ *
+ *   @auth                      requires an authenticated user (context.req.user)
+ *   @hasRole(roles)            requires one of the roles
+ *   @owner(field, roles)       requires the record's field to hold the user's id, unless
+ *                              the user has one of the roles; on root fields the
+ *                              returned record(s) are checked
+ *
+ * Directives on a type apply to each of its fields. Denied fields resolve to
+ * an UNAUTHENTICATED or FORBIDDEN error, and to null where the field is nullable.
+ */
+
+const AUTH_DIRECTIVES = `
+  directive @auth on OBJECT | FIELD_DEFINITION
+  directive @hasRole(roles: [String!]!) on OBJECT | FIELD_DEFINITION
+  directive @owner(field: String = "userId", roles: [String!]) on OBJECT | FIELD_DEFINITION
+`;
+
+/**
+ * Wrap the resolvers of fields carrying authorization directives with their checks
+ * @returns {GraphQLSchema} A new schema
+ */
+function applyAuthDirectives(schema) {
+  const rootTypes = new Set([schema.getQueryType(), schema.getMutationType(), schema.getSubscriptionType()]
+    .filter(Boolean)
+    .map((type) => type.name));
+
+  return mapSchema(schema, {
+    [MapperKind.OBJECT_FIELD]: (fieldConfig, fieldName, typeName) => {
+      const type = schema.getType(typeName);
+      const rules = [
+        ...getRules(schema, type),
+        ...getRules(schema, fieldConfig)
+      ];
+
+      if (rules.length === 0) {
+        return fieldConfig;
+      }
+
+      const isRoot = rootTypes.has(typeName);
+      const { resolve = defaultFieldResolver, subscribe } = fieldConfig;
+
+      // Root fields are checked on what they return; subscriptions before they start
+      const wrap = (resolver) => async (source, args, context, info) => {
+        const user = context.req && context.req.user;
+        authorize(rules, user, isRoot ? null : source);
+
+        const result = await resolver(source, args, context, info);
+
+        if (isRoot && resolver === resolve) {
+          [].concat(result || []).forEach((record) => authorize(rules, user, record));
+        }
+
+        return result;
+      };
+
+      return {
+        ...fieldConfig,
+        resolve: wrap(resolve),
+        ...(subscribe ? { subscribe: wrap(subscribe) } : {})
+      };
+    }
+  });
+}
+
+/**
+ * Authorization rules set by the directives of a type or field
+ */
+function getRules(schema, node) {
+  const rules = [];
+
+  if (getDirective(schema, node, 'auth')) {
+    rules.push({ kind: 'auth' });
+  }
+
+  (getDirective(schema, node, 'hasRole') || []).forEach(({ roles }) => {
+    rules.push({ kind: 'hasRole', roles });
+  });
+  (getDirective(schema, node, 'owner') || []).forEach(({ field, roles }) => {
+    rules.push({ kind: 'owner', field, roles });
+  });
+
+  return rules;
+}
+
+/**
+ * Check rules against the user and, for owner rules, the record
+ * Owner rules are only checked once there is a record
+ */
+function authorize(rules, user, record) {
+  rules.forEach((rule) => {
+    if (!user) {
+      throw new AuthenticationError('Authentication is required');
+    }
+
+    if (rule.kind === 'hasRole') {
+      requireRoles(user, rule.roles);
+    }
+
+    if (rule.kind === 'owner' && record && String(record[rule.field]) !== String(user.id)) {
+      if (!rule.roles) {
+        throw new ForbiddenError('Only the owner has access to this field');
+      }
+
+      requireRoles(user, rule.roles);
+    }
+  });
+}
+
+function requireRoles(user, roles) {
+  try {
+    checkRoles(user, roles);
+  } catch (error) {
+    throw new ForbiddenError(error.message);
+  }
+}
+
+module.exports = {
+  AUTH_DIRECTIVES,
+  applyAuthDirectives
+};
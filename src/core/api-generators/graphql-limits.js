@@ -0,0 +1,331 @@
+const {
+  GraphQLError,
+  Kind,
+  getArgumentValues,
+  getDirectiveValues,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isCompositeType,
+  isListType
+} = require('graphql');
+const { ApolloError } = require('apollo-server-express');
+const logger = require('../utils/logger');
+
+/**
+ * Limits on what a GraphQL query may cost
+ *
+ *   maxDepth   queries nesting fields deeper are rejected when they're validated
+ *   maxCost    queries costing more are rejected before they run
+ *   budget     cost each user (or IP address, for anonymous requests) may spend
+ *              per rate limit window (security.rateLimit.windowMs)
+ *
+ * A field costs 1 if it returns an object and nothing if it returns a scalar,
+ * unless its definition or its type sets a cost with @cost(value:). Lists
+ * multiply the cost of their items by their size: their first, last, pageSize
+ * or limit argument, or defaultListSize. Fields returning a page of a list
+ * (connections) pass their size argument on to the lists they contain.
+ */
+
+const DEFAULT_LIST_SIZE = 20;
+const DEFAULT_WINDOW_MS = 15 * 60 * 1000;
+
+// Arguments giving the number of items a list field returns
+const SIZE_ARGUMENTS = ['first', 'last', 'pageSize', 'limit'];
+
+const COST_DIRECTIVE = `
+  directive @cost(value: Int!) on FIELD_DEFINITION | OBJECT
+`;
+
+const KEY_PREFIX = 'ube:graphql-cost:';
+
+/**
+ * Validation rule rejecting operations nested deeper than maxDepth fields
+ * Introspection fields aren't counted
+ */
+function createDepthLimitRule(maxDepth) {
+  return (context) => {
+    const fragments = getFragments(context.getDocument());
+
+    return {
+      OperationDefinition(operation) {
+        const depth = measureDepth(operation.selectionSet, fragments, new Set());
+
+        if (depth > maxDepth) {
+          context.reportError(new GraphQLError(
+            `Query depth ${depth} exceeds the maximum of ${maxDepth}`,
+            { nodes: [operation], extensions: { depth, maxDepth } }
+          ));
+        }
+      }
+    };
+  };
+}
+
+function measureDepth(selectionSet, fragments, visited) {
+  if (!selectionSet) {
+    return 0;
+  }
+
+  return Math.max(0, ...selectionSet.selections.map((selection) => {
+    if (selection.kind === Kind.FIELD) {
+      return selection.name.value.startsWith('__')
+        ? 0
+        : 1 + measureDepth(selection.selectionSet, fragments, visited);
+    }
+
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return measureDepth(selection.selectionSet, fragments, visited);
+    }
+
+    const name = selection.name.value;
+
+    // Fragment cycles are reported by the standard validation rules
+    if (visited.has(name) || !fragments[name]) {
+      return 0;
+    }
+
+    return measureDepth(fragments[name].selectionSet, fragments, new Set([...visited, name]));
+  }));
+}
+
+/**
+ * Calculate the cost of an operation
+ * @param {object} options - { operationName, variables, defaultListSize }
+ * @returns {number} Cost of the operation, 0 if the document has no such operation
+ */
+function calculateCost(schema, document, options = {}) {
+  const { operationName, variables = {}, defaultListSize = DEFAULT_LIST_SIZE } = options;
+  const operation = getOperationAST(document, operationName);
+
+  if (!operation) {
+    return 0;
+  }
+
+  const fragments = getFragments(document);
+  const costDirective = schema.getDirective('cost');
+  const getCost = (definition) => {
+    const nodes = [definition.astNode, ...(definition.extensionASTNodes || [])].filter(Boolean);
+    const values = costDirective && nodes.map((node) => getDirectiveValues(costDirective, node)).find(Boolean);
+
+    return values ? values.value : undefined;
+  };
+
+  // Fragments on different types of an abstract type are all counted, as an upper bound
+  const selectionCost = (parentType, selectionSet, inheritedSize, visited) => {
+    return selectionSet.selections.reduce((total, selection) => {
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+        return total + selectionCost(type, selection.selectionSet, inheritedSize, visited);
+      }
+
+      if (selection.kind === Kind.FRAGMENT_SPREAD) {
+        const fragment = fragments[selection.name.value];
+
+        if (!fragment || visited.has(fragment.name.value)) {
+          return total;
+        }
+
+        const type = schema.getType(fragment.typeCondition.name.value);
+        const nested = new Set([...visited, fragment.name.value]);
+        return total + selectionCost(type, fragment.selectionSet, inheritedSize, nested);
+      }
+
+      const field = parentType && parentType.getFields && parentType.getFields()[selection.name.value];
+
+      if (!field) {
+        return total;
+      }
+
+      const type = getNamedType(field.type);
+      const isList = isListType(getNullableType(field.type));
+      const args = getArgumentValues(field, selection, variables);
+      const size = SIZE_ARGUMENTS.map((name) => args[name]).find(Number.isInteger);
+      const ownCost = [getCost(field), getCost(type)].find((cost) => cost !== undefined);
+      const childCost = selection.selectionSet
+        ? selectionCost(type, selection.selectionSet, isList ? undefined : size, visited)
+        : 0;
+      const count = isList ? [size, inheritedSize, defaultListSize].find((value) => value !== undefined) : 1;
+
+      return total + count * ((ownCost !== undefined ? ownCost : (isCompositeType(type) ? 1 : 0)) + childCost);
+    }, 0);
+  };
+
+  return selectionCost(schema.getRootType(operation.operation), operation.selectionSet, undefined, new Set());
+}
+
+function getFragments(document) {
+  return Object.fromEntries(document.definitions
+    .filter((definition) => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map((definition) => [definition.name.value, definition]));
+}
+
+/**
+ * In-memory cost budgets, used when Redis isn't available
+ */
+class MemoryCostStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweptAt = Date.now();
+  }
+
+  async consume(key, cost, windowMs) {
+    const now = Date.now();
+    this.removeExpired(now, windowMs);
+    let entry = this.entries.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { used: 0, resetAt: now + windowMs };
+      this.entries.set(key, entry);
+    }
+
+    entry.used += cost;
+    return { ...entry };
+  }
+
+  async refund(key, cost) {
+    const entry = this.entries.get(key);
+
+    if (entry) {
+      entry.used -= cost;
+    }
+  }
+
+  /**
+   * Remove the budgets of past windows, at most once per window, so users
+   * who stopped querying don't keep theirs in memory
+   */
+  removeExpired(now, windowMs) {
+    if (now - this.sweptAt < windowMs) {
+      return;
+    }
+
+    this.sweptAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Redis cost budgets, shared by every instance of the API
+ */
+class RedisCostStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async consume(key, cost, windowMs) {
+    const used = await this.client.incrBy(key, cost);
+
+    // The first query of a window starts it
+    if (used === cost) {
+      await this.client.pExpire(key, windowMs);
+    }
+
+    const ttl = await this.client.pTTL(key);
+    return { used, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+  }
+
+  async refund(key, cost) {
+    await this.client.decrBy(key, cost);
+  }
+}
+
+/**
+ * Apollo Server plugin enforcing maxCost and the cost budgets
+ * Responses report the cost of the query (X-GraphQL-Cost) and what is left
+ * of the budget (X-GraphQL-Cost-Remaining, X-GraphQL-Cost-Reset)
+ * @param {object} options - { maxCost, budget, defaultListSize, windowMs }
+ * @param {object} connections - Database connections; budgets are kept in Redis when available
+ */
+function createCostLimitPlugin(options = {}, connections = {}) {
+  const { maxCost, budget, defaultListSize, windowMs = DEFAULT_WINDOW_MS } = options;
+  const store = connections.redis ? new RedisCostStore(connections.redis) : new MemoryCostStore();
+
+  return {
+    async requestDidStart() {
+      return {
+        async didResolveOperation({ request, document, schema, context, response }) {
+          const cost = calculateCost(schema, document, {
+            operationName: request.operationName,
+            variables: request.variables,
+            defaultListSize
+          });
+          const { headers } = response.http;
+
+          headers.set('X-GraphQL-Cost', String(cost));
+
+          if (maxCost && cost > maxCost) {
+            throw new ApolloError(`Query cost ${cost} exceeds the maximum of ${maxCost}`, 'QUERY_TOO_COSTLY', {
+              cost,
+              maxCost
+            });
+          }
+
+          if (!budget) {
+            return;
+          }
+
+          const key = `${KEY_PREFIX}${getBudgetKey(context.req)}`;
+          const { used, resetAt } = await store.consume(key, cost, windowMs);
+          const resetIn = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+          if (used > budget) {
+            // Rejected queries don't use up the budget
+            await store.refund(key, cost);
+
+            response.http.status = 429;
+            headers.set('Retry-After', String(resetIn));
+            headers.set('X-GraphQL-Cost-Remaining', String(Math.max(0, budget - used + cost)));
+            logger.warn(`GraphQL cost budget exceeded by ${getBudgetKey(context.req)}`);
+
+            throw new ApolloError('Query cost budget exceeded, please try again later.', 'RATE_LIMITED', {
+              cost,
+              retryAfter: resetIn
+            });
+          }
+
+          headers.set('X-GraphQL-Cost-Remaining', String(budget - used));
+          headers.set('X-GraphQL-Cost-Reset', String(resetIn));
+        }
+      };
+    }
+  };
+}
+
+/**
+ * Who a query's cost is charged to: the authenticated user, or the client's IP
+ * address like the rate limiter
+ */
+function getBudgetKey(req) {
+  return req.user && req.user.id !== undefined ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+/**
+ * Validation rules and plugins enforcing a GraphQL configuration's limits
+ * @param {object} config - GraphQL configuration ({ maxDepth, cost })
+ * @param {object} options - { connections, rateLimit: rate limiting configuration the budgets share a window with }
+ * @returns {object} { validationRules, plugins } for ApolloServer
+ */
+function createGraphQLLimits(config = {}, { connections = {}, rateLimit = {} } = {}) {
+  const cost = config.cost || {};
+
+  return {
+    validationRules: config.maxDepth ? [createDepthLimitRule(config.maxDepth)] : [],
+    plugins: cost.maxCost || cost.budget
+      ? [createCostLimitPlugin({ ...cost, windowMs: rateLimit.windowMs }, connections)]
+      : []
+  };
+}
+
+module.exports = {
+  COST_DIRECTIVE,
+  createDepthLimitRule,
+  calculateCost,
+  createCostLimitPlugin,
+  createGraphQLLimits,
+  MemoryCostStore
+};
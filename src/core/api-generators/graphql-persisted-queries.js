@@ -0,0 +1,223 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GraphQLError } = require('graphql');
+const logger = require('../utils/logger');
+
+/**
+ * Persisted GraphQL queries
+ *
+ * Automatic persisted queries (APQ): clients send the SHA-256 hash of a
+ * document in extensions.persistedQuery.sha256Hash, and the document itself
+ * only when the server answers PERSISTED_QUERY_NOT_FOUND. Documents are
+ * remembered in Redis when it's connected, and in memory otherwise.
+ *
+ * Allow-list mode: only the operations of a manifest are accepted, whether
+ * they're sent by hash or in full, and clients can't register new ones. The
+ * manifest is built from the clients' code by src/scripts/persist-queries.js,
+ * in Apollo's persisted query manifest format:
+ *
+ *   {
+ *     "format": "apollo-persisted-query-manifest",
+ *     "version": 1,
+ *     "operations": [
+ *       { "id": "<sha256 of body>", "name": "Products", "type": "query", "body": "query Products { ... }" }
+ *     ]
+ *   }
+ */
+
+const MANIFEST_FORMAT = 'apollo-persisted-query-manifest';
+const MANIFEST_VERSION = 1;
+
+const KEY_PREFIX = 'ube:graphql-';
+
+// Apollo Server prefixes the keys of persisted query caches
+const APOLLO_KEY_PREFIX = 'apq:';
+
+const NOT_ALLOWED = 'PERSISTED_QUERY_NOT_ALLOWED';
+
+/**
+ * Hash of a GraphQL document, as sent by APQ clients and used as manifest ids
+ */
+function hashQuery(query) {
+  return crypto.createHash('sha256').update(query).digest('hex');
+}
+
+/**
+ * Read the operations of a persisted query manifest
+ * @returns {Array} Operations, empty if the file doesn't exist
+ */
+function readManifest(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (manifest.format !== MANIFEST_FORMAT || manifest.version !== MANIFEST_VERSION) {
+    throw new Error(`${file} is not a version ${MANIFEST_VERSION} ${MANIFEST_FORMAT}`);
+  }
+
+  return manifest.operations;
+}
+
+/**
+ * Write a persisted query manifest, with operations sorted by name
+ */
+function writeManifest(file, operations) {
+  const sorted = [...operations].sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify({
+    format: MANIFEST_FORMAT,
+    version: MANIFEST_VERSION,
+    operations: sorted
+  }, null, 2)}\n`);
+}
+
+/**
+ * APQ documents kept in Redis, shared by every instance of the API
+ */
+class RedisQueryCache {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(`${KEY_PREFIX}${key}`);
+    return value === null ? undefined : value;
+  }
+
+  async set(key, value, options = {}) {
+    await this.client.set(`${KEY_PREFIX}${key}`, value, options.ttl ? { EX: options.ttl } : undefined);
+  }
+
+  async delete(key) {
+    await this.client.del(`${KEY_PREFIX}${key}`);
+  }
+}
+
+/**
+ * The operations registered in a manifest
+ */
+class QueryAllowList {
+  constructor(operations = []) {
+    this.documents = new Map(operations.map(({ id, body }) => [id, body]));
+  }
+
+  /**
+   * Load the allow-list of a manifest, which must exist
+   */
+  static load(file) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Persisted query manifest not found: ${file} (run npm run persist-queries)`);
+    }
+
+    return new QueryAllowList(readManifest(file));
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * The registered document of a request, sent in full or by hash
+   * @returns {string|undefined} The document, undefined if it isn't registered
+   */
+  resolve({ query, extensions } = {}) {
+    const persistedQuery = extensions && extensions.persistedQuery;
+    const hash = typeof query === 'string'
+      ? hashQuery(query)
+      : persistedQuery && persistedQuery.sha256Hash;
+
+    return hash ? this.documents.get(hash) : undefined;
+  }
+
+  /**
+   * Persisted query cache for Apollo Server, answering with registered
+   * documents only; clients can't register new ones
+   */
+  cache() {
+    return {
+      get: async (key) => this.documents.get(key.replace(APOLLO_KEY_PREFIX, '')),
+      set: async () => {},
+      delete: async () => {}
+    };
+  }
+
+  /**
+   * Middleware rejecting requests sending documents that aren't registered
+   * It runs before Apollo Server so that they aren't even validated; requests
+   * sending only a hash are answered by the cache
+   */
+  middleware() {
+    return (req, res, next) => {
+      // Batched requests send an array of operations
+      const requests = req.method === 'GET' ? [req.query] : [].concat(req.body || []);
+      const rejected = requests.some((request) => {
+        return request && typeof request.query === 'string' && !this.resolve({ query: request.query });
+      });
+
+      if (!rejected) {
+        return next();
+      }
+
+      logger.warn(`Unregistered GraphQL operation rejected from ${req.ip}`);
+      res.status(400).json({
+        errors: [{ message: 'Only registered operations are allowed', extensions: { code: NOT_ALLOWED } }]
+      });
+    };
+  }
+
+  /**
+   * graphql-ws onSubscribe hook replacing subscription documents by their
+   * registered version, and refusing the others
+   */
+  onSubscribe() {
+    return (ctx, message) => {
+      const query = this.resolve(message.payload);
+
+      if (!query) {
+        return [new GraphQLError('Only registered operations are allowed', { extensions: { code: NOT_ALLOWED } })];
+      }
+
+      message.payload.query = query;
+      return undefined;
+    };
+  }
+}
+
+/**
+ * Persisted query options for a GraphQL configuration
+ * @param {object} config - Persisted query configuration ({ enabled, ttl, allowList, manifest })
+ * @param {object} options - { connections }; APQ documents are kept in Redis when available
+ * @returns {object} { persistedQueries: ApolloServer option, allowList: QueryAllowList or null }
+ */
+function createPersistedQueries(config = {}, { connections = {} } = {}) {
+  if (config.enabled === false) {
+    return { persistedQueries: false, allowList: null };
+  }
+
+  if (config.allowList) {
+    const allowList = QueryAllowList.load(path.resolve(config.manifest));
+    logger.info(`GraphQL allow-list: ${allowList.size} registered operations`);
+
+    return { persistedQueries: { cache: allowList.cache() }, allowList };
+  }
+
+  return {
+    persistedQueries: {
+      ttl: config.ttl,
+      ...(connections.redis ? { cache: new RedisQueryCache(connections.redis) } : {})
+    },
+    allowList: null
+  };
+}
+
+module.exports = {
+  hashQuery,
+  readManifest,
+  writeManifest,
+  QueryAllowList,
+  createPersistedQueries
+};
@@ -0,0 +1,107 @@
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
+const { validate, specifiedRules } = require('graphql');
+const logger = require('../utils/logger');
+const { identifyUser } = require('../auth');
+const { createGraphQLContext } = require('./graphql');
+
+/**
+ * GraphQL subscriptions over WebSocket, with the graphql-ws protocol
+ *
+ *   const client = createClient({
+ *     url: 'ws://localhost:3000/graphql',
+ *     connectionParams: { Authorization: 'Bearer <token>', 'X-Tenant-ID': 'acme' }
+ *   });
+ *   client.subscribe({ query: 'subscription { productCreated { id name } }' }, sink);
+ *
+ * Browsers can't set headers on WebSocket connections, so connection
+ * parameters are read as request headers: users are identified like REST
+ * requests (JWT or API key) and tenants like by the tenant middleware.
+ * Connections sending credentials that don't verify are refused with 4403.
+ * Subscriptions are fed by the event manager (see generated subscriptions in
+ * ./graphql and EventManager.toAsyncIterator).
+ */
+
+/**
+ * Serve GraphQL subscriptions on an HTTP server
+ * Upgrade requests to other paths (e.g. socket.io) are left to their own handlers
+ * @param {object} options - { app, path, tenantManager, validationRules, allowList: only
+ *   accepting its operations (see ./graphql-persisted-queries) }
+ * @returns {object} { server: the WebSocketServer, close() }
+ */
+function createSubscriptionServer(httpServer, schema, options = {}) {
+  const { app, path = '/graphql', tenantManager = null, validationRules = [], allowList = null } = options;
+  const wsServer = new WebSocketServer({ noServer: true });
+
+  const onUpgrade = (req, socket, head) => {
+    // Tenants identified by path are removed from it first
+    if (tenantManager) {
+      req.tenant = tenantManager.identifyTenant(req);
+    }
+
+    if (new URL(req.url, 'http://localhost').pathname !== path) {
+      return;
+    }
+
+    wsServer.handleUpgrade(req, socket, head, (ws) => wsServer.emit('connection', ws, req));
+  };
+
+  httpServer.on('upgrade', onUpgrade);
+
+  const server = useServer({
+    schema,
+    validate: (validationSchema, document) => validate(validationSchema, document, [
+      ...specifiedRules,
+      ...validationRules
+    ]),
+    ...(allowList ? { onSubscribe: allowList.onSubscribe() } : {}),
+    onConnect: (ctx) => authenticateConnection(ctx.extra.request, ctx.connectionParams, { app, tenantManager }),
+    context: (ctx) => createGraphQLContext({ req: ctx.extra.request }),
+    onError: (ctx, message, errors) => {
+      logger.debug(`GraphQL subscription ${message.id} failed: ${errors.map((error) => error.message).join(', ')}`);
+    }
+  }, wsServer);
+
+  logger.info(`GraphQL subscriptions available on ${path}`);
+
+  return {
+    server: wsServer,
+    async close() {
+      httpServer.off('upgrade', onUpgrade);
+      await server.dispose();
+    }
+  };
+}
+
+/**
+ * Identify the user and tenant of a connection, returning false to refuse it
+ */
+async function authenticateConnection(req, connectionParams, { app, tenantManager }) {
+  Object.entries(connectionParams || {}).forEach(([name, value]) => {
+    if (typeof value === 'string') {
+      req.headers[name.toLowerCase()] = value;
+    }
+  });
+
+  req.app = app;
+  await new Promise((resolve) => identifyUser(req, null, resolve));
+
+  if (req.headers.authorization && !req.user) {
+    logger.debug('GraphQL subscription connection refused: invalid credentials');
+    return false;
+  }
+
+  if (tenantManager) {
+    req.tenant = req.tenant || tenantManager.identifyTenant(req);
+
+    if (!req.tenant && tenantManager.config.requireTenant) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  createSubscriptionServer
+};
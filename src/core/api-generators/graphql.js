@@ -1,15 +1,120 @@
-const { gql } = require('apollo-server-express');
+const {
+  gql,
+  ApolloError,
+  AuthenticationError,
+  ForbiddenError,
+  UserInputError
+} = require('apollo-server-express');
+const { GraphQLScalarType, Kind, valueFromASTUntyped } = require('graphql');
 const { makeExecutableSchema } = require('@graphql-tools/schema');
-const fs = require('fs');
-const path = require('path');
+const { buildSubgraphSchema } = require('@apollo/subgraph');
 const logger = require('../utils/logger');
+const { loadModels, isDeclarative, getWritableFields } = require('../models');
+const { createRepository } = require('../database/repository');
+const { LoaderRegistry } = require('../database/loaders');
+const { getRelationRoute } = require('../database/relations');
+const eventManager = require('../events');
+const { parseListQuery, getQueryableFields } = require('../query');
+const { MERGE_PATCH, applyPatch } = require('../patch');
+const { ApiError, ValidationError } = require('../errors');
+const { deleteRecordFiles } = require('../storage');
+const { getScope, validateBody, getPatchedValues, runMiddleware } = require('./crud');
+const { getRouteMiddleware } = require('./openapi');
+const { COST_DIRECTIVE } = require('./graphql-limits');
+const { AUTH_DIRECTIVES, applyAuthDirectives } = require('./graphql-directives');
+
+// GraphQL types of model field types (arrays of scalars get a list type, see toGraphQLType)
+const GRAPHQL_TYPES = {
+  id: 'ID',
+  string: 'String',
+  text: 'String',
+  integer: 'Int',
+  number: 'Float',
+  float: 'Float',
+  boolean: 'Boolean',
+  date: 'DateTime',
+  json: 'JSON',
+  array: 'JSON',
+  file: 'File'
+};
+
+// GraphQL types of JSON Schema item types
+const ITEM_TYPES = {
+  string: 'String',
+  integer: 'Int',
+  number: 'Float',
+  boolean: 'Boolean'
+};
+
+// Filter inputs by GraphQL type, with the operators of the list query language (see core/query)
+const FILTER_TYPES = {
+  ID: { name: 'IDFilter', operators: ['eq', 'ne', 'in', 'nin', 'null'] },
+  String: { name: 'StringFilter', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like', 'null'] },
+  Int: { name: 'IntFilter', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'null'] },
+  Float: { name: 'FloatFilter', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'null'] },
+  Boolean: { name: 'BooleanFilter', operators: ['eq', 'ne', 'null'] },
+  DateTime: { name: 'DateTimeFilter', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'null'] }
+};
+
+/**
+ * Dates, sent as ISO 8601 strings
+ * Inputs stay strings: they're checked and coerced like query string values (see core/query)
+ */
+const DateTime = new GraphQLScalarType({
+  name: 'DateTime',
+  description: 'Date and time as an ISO 8601 string',
+  serialize: (value) => (value instanceof Date ? value.toISOString() : String(value)),
+  parseValue: (value) => parseDateTime(value),
+  parseLiteral: (ast) => parseDateTime(ast.kind === Kind.STRING ? ast.value : null)
+});
+
+/**
+ * Values of json fields, and arrays of anything but scalars, as they are stored
+ */
+const JSONScalar = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value',
+  serialize: (value) => value,
+  parseValue: (value) => value,
+  parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+// Federation directives hand-written type definitions can use in subgraph mode
+const FEDERATION_LINK = `
+  extend schema @link(
+    url: "https://specs.apollo.dev/federation/v2.3",
+    import: ["@key", "@shareable", "@external", "@requires", "@provides", "@override", "@inaccessible", "@tag"]
+  )
+`;
+
+function parseDateTime(value) {
+  if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+    throw new TypeError('DateTime must be an ISO 8601 string');
+  }
+
+  return value;
+}
 
 /**
  * Setup GraphQL schema
+ * Declarative models get generated types, queries and mutations (see
+ * buildModelSchema); what a model's hand-written type definitions declare
+ * is left to them and hand-written resolvers override generated ones.
+ * Models opt out of GraphQL with graphql: false.
+ *
+ * With federation.enabled, the schema is an Apollo Federation 2 subgraph:
+ * generated types are entities keyed by their primary key, and the types
+ * every instance defines are shareable, so that instances compose behind a
+ * gateway.
+ * @param {object} config - GraphQL configuration
+ * @param {Array} models - Models to build the schema from (defaults to src/models)
  */
-function setupGraphQLSchema(config) {
-  // Define base types
-  const baseTypeDefs = gql`
+function setupGraphQLSchema(config, models = loadModels()) {
+  const federation = Boolean(config.federation && config.federation.enabled);
+  const shareable = federation ? ' @shareable' : '';
+  
+  // Subgraphs can extend root types without declaring them, and can't share subscriptions
+  const rootTypes = federation ? FEDERATION_LINK : `
     type Query {
       _empty: String
     }
@@ -23,43 +128,605 @@ function setupGraphQLSchema(config) {
     }
   `;
   
+  // Define base types
+  const baseTypeDefs = gql`
+    ${rootTypes}
+    
+    type PageInfo${shareable} {
+      hasNextPage: Boolean!
+      hasPreviousPage: Boolean!
+      startCursor: String
+      endCursor: String
+    }
+    
+    ${COST_DIRECTIVE}
+    
+    ${AUTH_DIRECTIVES}
+    
+    scalar DateTime
+    
+    scalar JSON
+    
+    type File${shareable} {
+      key: String!
+      name: String
+      size: Int
+      type: String
+      uploadedAt: DateTime
+    }
+    
+    ${buildFilterTypeDefs()}
+  `;
+  
   // Collect type definitions and resolvers from models
   const typeDefs = [baseTypeDefs];
   const resolvers = {
     Query: {},
     Mutation: {},
-    Subscription: {}
+    Subscription: {},
+    DateTime,
+    JSON: JSONScalar
   };
   
-  // Dynamically load GraphQL schemas from models
-  const modelsDir = path.join(__dirname, '../../models');
-  if (fs.existsSync(modelsDir)) {
-    fs.readdirSync(modelsDir).forEach(file => {
-      if (file.endsWith('.js')) {
-        const model = require(path.join(modelsDir, file));
-        if (model.graphql) {
-          // Add type definitions
-          if (model.graphql.typeDefs) {
-            typeDefs.push(model.graphql.typeDefs);
-          }
-          
-          // Merge resolvers
-          if (model.graphql.resolvers) {
-            mergeResolvers(resolvers, model.graphql.resolvers);
-          }
+  // Collect GraphQL schemas from models
+  const graphqlModels = models.filter((model) => model.graphql !== false && (model.graphql || isDeclarative(model)));
+  const handWritten = graphqlModels.map((model) => model.graphql || {});
+  const declarations = getDeclarations(handWritten.map(({ typeDefs: documents }) => documents));
+  
+  handWritten.forEach(({ typeDefs: documents }) => {
+    if (documents) {
+      typeDefs.push(documents);
+    }
+  });
+  
+  // Generate what hand-written type definitions don't declare
+  graphqlModels.filter(isDeclarative).forEach((model) => {
+    const generated = buildModelSchema(model, declarations, { federation });
+    
+    if (generated) {
+      typeDefs.push(generated.typeDefs);
+      mergeResolvers(resolvers, generated.resolvers);
+    }
+    
+    // Add Relay-style connections for declarative models
+    const connection = buildConnectionSchema(model, declarations);
+    
+    if (connection) {
+      typeDefs.push(connection.typeDefs);
+      mergeResolvers(resolvers, connection.resolvers);
+    }
+  });
+  
+  // Add nested fields for relations between GraphQL types
+  const typeNames = new Set(graphqlModels.map((model) => model.name));
+  graphqlModels.filter(isDeclarative).forEach((model) => {
+    const relations = buildRelationSchema(model, typeNames, declarations);
+    
+    if (relations) {
+      typeDefs.push(relations.typeDefs);
+      mergeResolvers(resolvers, relations.resolvers);
+    }
+  });
+  
+  // Hand-written resolvers override generated ones
+  handWritten.forEach(({ resolvers: modelResolvers }) => {
+    if (modelResolvers) {
+      mergeResolvers(resolvers, modelResolvers);
+    }
+  });
+  
+  // Create executable schema, with the authorization directives applied to its resolvers
+  const schema = applyAuthDirectives(federation
+    ? buildSubgraphSchema({ typeDefs, resolvers })
+    : makeExecutableSchema({ typeDefs, resolvers }));
+  
+  logger.info(`GraphQL ${federation ? 'subgraph ' : ''}schema generated successfully`);
+  return schema;
+}
+
+/**
+ * Build the filter inputs of scalar types, e.g.
+ *   input IntFilter { eq: Int ne: Int gt: Int ... in: [Int!] nin: [Int!] null: Boolean }
+ */
+function buildFilterTypeDefs() {
+  return Object.entries(FILTER_TYPES).map(([type, { name, operators }]) => {
+    const fields = Object.fromEntries(operators.map((op) => {
+      if (op === 'null') {
+        return [op, 'Boolean'];
+      }
+      
+      return [op, op === 'in' || op === 'nin' ? `[${type}!]` : type];
+    }));
+    
+    return toDefinition('input', name, fields);
+  }).join('\n\n');
+}
+
+/**
+ * Build the GraphQL surface of a declarative model from its fields, mirroring
+ * the generated REST routes:
+ *
+ *   type Product                                       visible fields
+ *   input ProductInput / ProductPatch                  writable fields, for create / update
+ *   input ProductFilter                                filterable fields, e.g. { price: { gte: 10 } }
+ *   products(filter, sort, page, pageSize): [Product!]!
+ *   product(id: ID!): Product
+ *   createProduct(input: ProductInput!): Product!
+ *   updateProduct(id: ID!, input: ProductPatch!): Product     (merge patch, null clears a field)
+ *   deleteProduct(id: ID!): Boolean!
+ *   productCreated / productUpdated: Product!          subscriptions to the repository's events
+ *   productDeleted: ID!
+ *
+ * Operations are guarded by the model's route middleware and validated
+ * against the same schema as REST requests. Types and fields declared in
+ * hand-written type definitions are left out. In federation mode, the type
+ * is an entity (@key on the primary key) that other subgraphs resolve like
+ * the get query.
+ * @param {Map} declarations - Fields by type name of the hand-written type definitions
+ * @param {object} options - { federation }
+ * @returns {object|null} { typeDefs, resolvers }, or null if there is nothing to add
+ */
+function buildModelSchema(model, declarations, options = {}) {
+  const { name } = model;
+  const names = getOperationNames(model);
+  const isDeclared = (typeName, field) => declarations.has(typeName) &&
+    (field === undefined || declarations.get(typeName).has(field));
+  const writable = getWritableFields(model);
+  const definitions = [];
+  const queries = {};
+  const mutations = {};
+  const subscriptions = {};
+  const resolvers = { Query: {}, Mutation: {}, Subscription: {} };
+  
+  // The primary key comes first, even when it isn't declared
+  const typeFields = { [model.primaryKey]: 'ID!' };
+  Object.entries(model.fields)
+    .filter(([field, definition]) => field !== model.primaryKey && !definition.hidden)
+    .forEach(([field, definition]) => {
+      // Fields with directives (e.g. @hasRole) stay nullable, so denied fields don't void their record
+      const required = definition.required && !definition.readOnly && !definition.directives;
+      const directives = definition.directives ? ` ${definition.directives}` : '';
+      typeFields[field] = `${toGraphQLType(model, field)}${required ? '!' : ''}${directives}`;
+    });
+  
+  if (!isDeclared(name)) {
+    const key = options.federation ? ` @key(fields: "${model.primaryKey}")` : '';
+    definitions.push(toDefinition('type', `${name}${key}`, typeFields));
+  }
+  
+  // Inputs are only generated for models with writable fields, as GraphQL inputs can't be empty
+  const inputFields = Object.fromEntries(writable.map((field) => [field, toGraphQLType(model, field)]));
+  const input = writable.length > 0 ? `${name}Input` : null;
+  const patch = writable.length > 0 ? `${name}Patch` : null;
+  
+  if (input && !isDeclared(input)) {
+    definitions.push(toDefinition('input', input, Object.fromEntries(writable.map((field) => {
+      return [field, `${inputFields[field]}${model.fields[field].required ? '!' : ''}`];
+    }))));
+  }
+  
+  if (patch && !isDeclared(patch)) {
+    definitions.push(toDefinition('input', patch, inputFields));
+  }
+  
+  const filter = getFilterType(model, declarations);
+  
+  if (filter && !isDeclared(filter.name)) {
+    definitions.push(toDefinition('input', filter.name, filter.fields));
+  }
+  
+  const route = (key, resolver) => createResolver(model, key, resolver);
+  
+  if (!isDeclared('Query', names.list)) {
+    const filterArgument = filter ? `filter: ${filter.name}, ` : '';
+    queries[names.list] = `(${filterArgument}sort: String, page: Int, pageSize: Int): [${name}!]!`;
+    resolvers.Query[names.list] = route('getAll', async (args, req) => {
+      const query = toListQuery(model, args, { pagination: 'offset' });
+      return createRepository(model, req.app.locals.connections).find(query, getScope(model, req));
+    });
+  }
+  
+  const getById = route('getById', async ({ id }, req, loaders) => loaders.record(model).load(id));
+  
+  if (!isDeclared('Query', names.get)) {
+    queries[names.get] = `(id: ID!): ${name}`;
+    resolvers.Query[names.get] = getById;
+  }
+  
+  if (options.federation && !isDeclared(name)) {
+    resolvers[name] = {
+      __resolveReference: (reference, context, info) => {
+        return getById(null, { id: reference[model.primaryKey] }, context, info);
+      }
+    };
+  }
+  
+  if (input && !isDeclared('Mutation', names.create)) {
+    mutations[names.create] = `(input: ${input}!): ${name}!`;
+    resolvers.Mutation[names.create] = route('create', async (args, req) => {
+      const errors = validateBody(model, req, 'full', args.input);
+      
+      if (errors) {
+        throw new ValidationError('The input is invalid', errors);
+      }
+      
+      return createRepository(model, req.app.locals.connections).create(args.input, getScope(model, req));
+    });
+  }
+  
+  if (patch && !isDeclared('Mutation', names.update)) {
+    mutations[names.update] = `(id: ID!, input: ${patch}!): ${name}`;
+    resolvers.Mutation[names.update] = route('patch', async (args, req) => {
+      const repository = createRepository(model, req.app.locals.connections);
+      
+      // Inputs are applied like a JSON Merge Patch on the REST API (see core/patch)
+      return repository.patch(args.id, (resource) => {
+        const document = JSON.parse(JSON.stringify(resource));
+        return getPatchedValues(model, req, document, applyPatch(MERGE_PATCH, document, { ...args.input }));
+      }, getScope(model, req));
+    });
+  }
+  
+  if (!isDeclared('Mutation', names.delete)) {
+    mutations[names.delete] = '(id: ID!): Boolean!';
+    resolvers.Mutation[names.delete] = route('delete', async ({ id }, req) => {
+      const repository = createRepository(model, req.app.locals.connections);
+      let record = null;
+      
+      const deleted = await repository.delete(id, getScope(model, req), {
+        verify: (resource) => {
+          record = resource;
         }
+      });
+      
+      // Soft-deleted records keep their files so they can be restored
+      if (deleted && !model.softDelete) {
+        await deleteRecordFiles(req.app, model, record);
       }
+      
+      return deleted;
     });
   }
   
-  // Create executable schema
-  const schema = makeExecutableSchema({
-    typeDefs,
+  // Subscribers see the writes of their tenant, like the records they can list
+  const subscription = (action, resolve) => ({
+    subscribe: route('getAll', async (args, req) => {
+      const scope = getScope(model, req);
+      
+      return eventManager.toAsyncIterator(`${name}:${action}`, {
+        filter: (event) => scope.tenantId === undefined || event.tenantId === scope.tenantId
+      });
+    }),
+    resolve: (event, args, context) => {
+      // The context lasts as long as the subscription, so what was loaded for earlier events is stale
+      getLoaders(context).clear();
+      return resolve(event);
+    }
+  });
+  
+  [['created', names.created], ['updated', names.updated]].forEach(([action, field]) => {
+    if (!isDeclared('Subscription', field)) {
+      subscriptions[field] = `${name}!`;
+      resolvers.Subscription[field] = subscription(action, (event) => event.record);
+    }
+  });
+  
+  if (!isDeclared('Subscription', names.deleted)) {
+    subscriptions[names.deleted] = 'ID!';
+    resolvers.Subscription[names.deleted] = subscription('deleted', (event) => event.id);
+  }
+  
+  if (Object.keys(queries).length > 0) {
+    definitions.push(toDefinition('extend type', 'Query', queries));
+  }
+  
+  if (Object.keys(mutations).length > 0) {
+    definitions.push(toDefinition('extend type', 'Mutation', mutations));
+  }
+  
+  if (Object.keys(subscriptions).length > 0) {
+    definitions.push(toDefinition('extend type', 'Subscription', subscriptions));
+  }
+  
+  if (definitions.length === 0) {
+    return null;
+  }
+  
+  return {
+    typeDefs: gql`
+      ${definitions.join('\n\n')}
+    `,
     resolvers
+  };
+}
+
+/**
+ * Build a Relay-style connection (cursor pagination) for a declarative model
+ * @returns {object|null} { typeDefs, resolvers }, or null if the query is declared by hand
+ */
+function buildConnectionSchema(model, declarations) {
+  const { name } = model;
+  const fieldName = getOperationNames(model).connection;
+  
+  if (declarations.has('Query') && declarations.get('Query').has(fieldName)) {
+    return null;
+  }
+  
+  const filter = getFilterType(model, declarations);
+  const filterArgument = filter ? `filter: ${filter.name}, ` : '';
+  const args = `${filterArgument}first: Int, after: String, last: Int, before: String, sort: String`;
+  
+  const typeDefs = gql`
+    type ${name}Edge {
+      cursor: String!
+      node: ${name}!
+    }
+    
+    type ${name}Connection {
+      edges: [${name}Edge!]!
+      pageInfo: PageInfo!
+    }
+    
+    extend type Query {
+      ${fieldName}(${args}): ${name}Connection!
+    }
+  `;
+  
+  const resolvers = {
+    Query: {
+      [fieldName]: createResolver(model, 'getAll', async ({ filter: where, first, after, last, before, sort }, req) => {
+        const backward = last !== undefined && last !== null;
+        const page = backward
+          ? { size: last, before: before || '' }
+          : { size: first, after: after || '' };
+        
+        if (page.size === undefined || page.size === null) {
+          delete page.size;
+        }
+        
+        const query = parseListQuery(model, { filter: where || undefined, sort: sort || undefined, page });
+        const repository = createRepository(model, req.app.locals.connections);
+        
+        return repository.paginate(query, getScope(model, req));
+      })
+    }
+  };
+  
+  return { typeDefs, resolvers };
+}
+
+/**
+ * Build nested fields for a declarative model's relations
+ * Relations are resolved through the request's data loaders (see
+ * core/database/loaders), so a list of parents costs one query per relation
+ * rather than one per parent. Like REST includes, they run the middleware
+ * of the route the target would be fetched from (see getRelationRoute).
+ * Fields already declared in hand-written type definitions are left alone.
+ * @param {Set} typeNames - Models with a GraphQL type
+ * @param {Map} declarations - Fields by type name of the hand-written type definitions
+ * @returns {object|null} { typeDefs, resolvers }, or null if there is nothing to add
+ */
+function buildRelationSchema(model, typeNames, declarations) {
+  const declared = declarations.get(model.name) || new Set();
+  const relations = Object.values(model.relations)
+    .filter((relation) => typeNames.has(relation.model) && !declared.has(relation.name));
+  
+  if (relations.length === 0) {
+    return null;
+  }
+  
+  const fields = relations.map((relation) => (relation.type === 'belongsTo'
+    ? `${relation.name}: ${relation.model}`
+    : `${relation.name}: [${relation.model}!]!`));
+  
+  const typeDefs = gql`
+    extend type ${model.name} {
+      ${fields.join('\n      ')}
+    }
+  `;
+  
+  const resolvers = {
+    [model.name]: Object.fromEntries(relations.map((relation) => {
+      const route = getRelationRoute(relation);
+      const middleware = [(relation.target.middlewares || {}).all, ...getRouteMiddleware(relation.target, route)];
+      
+      return [relation.name, async (parent, args, context) => {
+        const loaders = getLoaders(context);
+        
+        try {
+          // The middleware runs once per request rather than once per parent
+          await loaders.authorize(`${relation.target.name}.${route}`, () => runMiddleware(context.req, middleware));
+          return await loaders.relation(model, relation.name).load(parent);
+        } catch (error) {
+          throw toGraphQLError(error);
+        }
+      }];
+    }))
+  };
+  
+  return { typeDefs, resolvers };
+}
+
+/**
+ * Names of the generated queries, mutations and subscriptions of a model
+ */
+function getOperationNames(model) {
+  const { name } = model;
+  const single = `${name.charAt(0).toLowerCase()}${name.slice(1)}`;
+  
+  return {
+    list: `${single}s`,
+    get: single,
+    connection: `${single}sConnection`,
+    create: `create${name}`,
+    update: `update${name}`,
+    delete: `delete${name}`,
+    created: `${single}Created`,
+    updated: `${single}Updated`,
+    deleted: `${single}Deleted`
+  };
+}
+
+/**
+ * GraphQL type of a model field
+ */
+function toGraphQLType(model, name) {
+  const field = model.fields[name];
+  
+  if (field.type === 'array' && field.items && ITEM_TYPES[field.items.type]) {
+    return `[${ITEM_TYPES[field.items.type]}]`;
+  }
+  
+  return GRAPHQL_TYPES[field.type];
+}
+
+/**
+ * Filter input of a model: its filterable fields with a scalar filter type
+ * @returns {object|null} { name, fields }, or null if no field can be filtered on
+ */
+function getFilterType(model, declarations) {
+  const name = `${model.name}Filter`;
+  const fields = {};
+  
+  getQueryableFields(model, 'filterable')
+    .filter((field) => model.fields[field] && !model.fields[field].hidden)
+    .forEach((field) => {
+      const filter = FILTER_TYPES[toGraphQLType(model, field)];
+      
+      if (filter) {
+        fields[field] = filter.name;
+      }
+    });
+  
+  if (Object.keys(fields).length === 0 && !declarations.has(name)) {
+    return null;
+  }
+  
+  return { name, fields };
+}
+
+/**
+ * Convert the arguments of a generated list query into a list query (see core/query)
+ * @param {object} options - { pagination } to override the model's pagination
+ */
+function toListQuery(model, { filter, sort, page, pageSize }, { pagination } = {}) {
+  const paged = pagination ? { ...model, query: { ...model.query, pagination } } : model;
+  const pageParams = {};
+  
+  if (page !== undefined && page !== null) {
+    pageParams.number = page;
+  }
+  
+  if (pageSize !== undefined && pageSize !== null) {
+    pageParams.size = pageSize;
+  }
+  
+  return parseListQuery(paged, { filter: filter || undefined, sort: sort || undefined, page: pageParams });
+}
+
+/**
+ * Wrap a generated resolver: the route middleware of the matching REST route
+ * runs first (see getRouteMiddleware) and API errors become GraphQL errors
+ * @param {string} key - Generated REST route, e.g. getAll or create
+ * @param {Function} resolver - Receives the arguments, the request and its data loaders
+ */
+function createResolver(model, key, resolver) {
+  const middleware = [(model.middlewares || {}).all, ...getRouteMiddleware(model, key)];
+  const isWrite = ['create', 'patch', 'delete'].includes(key);
+  
+  return async (parent, args, context) => {
+    const { req } = context;
+    const loaders = getLoaders(context);
+    
+    try {
+      await runMiddleware(req, middleware);
+      return await resolver(args, req, loaders);
+    } catch (error) {
+      throw toGraphQLError(error);
+    } finally {
+      // Later fields of the request see what the mutation changed
+      if (isWrite) {
+        loaders.clear();
+      }
+    }
+  };
+}
+
+/**
+ * Build the context of a GraphQL request (ApolloServer's context option)
+ * Each request gets its own data loaders (see core/database/loaders)
+ */
+function createGraphQLContext({ req }) {
+  return {
+    req,
+    loaders: new LoaderRegistry({
+      connections: req.app.locals.connections,
+      scope: (model) => getScope(model, req)
+    })
+  };
+}
+
+/**
+ * Data loaders of a request, created on first use for contexts built elsewhere
+ */
+function getLoaders(context) {
+  if (!context.loaders) {
+    context.loaders = createGraphQLContext(context).loaders;
+  }
+  
+  return context.loaders;
+}
+
+/**
+ * Convert an API error (see core/errors) into the matching Apollo error
+ */
+function toGraphQLError(error) {
+  if (!(error instanceof ApiError)) {
+    return error;
+  }
+  
+  if (error.status === 401) {
+    return new AuthenticationError(error.message);
+  }
+  
+  if (error.status === 403) {
+    return new ForbiddenError(error.message);
+  }
+  
+  if (error.status === 400) {
+    return new UserInputError(error.message, { details: error.errors });
+  }
+  
+  return new ApolloError(error.message, error.code, { details: error.errors });
+}
+
+/**
+ * Fields by type name declared in type definitions, type extensions included
+ * @param {Array} typeDefs - Documents (or lists of documents) of the hand-written type definitions
+ * @returns {Map} Type name -> Set of field names
+ */
+function getDeclarations(typeDefs) {
+  const declarations = new Map();
+  
+  typeDefs.flat().filter(Boolean).forEach((document) => {
+    (document.definitions || []).filter((definition) => definition.name).forEach((definition) => {
+      const typeName = definition.name.value;
+      const fields = declarations.get(typeName) || new Set();
+      
+      (definition.fields || []).forEach((field) => fields.add(field.name.value));
+      declarations.set(typeName, fields);
+    });
   });
   
-  logger.info('GraphQL schema generated successfully');
-  return schema;
+  return declarations;
+}
+
+/**
+ * Type definition source, e.g. toDefinition('input', 'ProductPatch', { name: 'String' })
+ */
+function toDefinition(kind, name, fields) {
+  const lines = Object.entries(fields).map(([field, type]) => `  ${field}${type.startsWith('(') ? '' : ': '}${type}`);
+  return `${kind} ${name} {\n${lines.join('\n')}\n}`;
 }
 
 /**
@@ -91,5 +758,6 @@ function mergeResolvers(mainResolvers, modelResolvers) {
 }
 
 module.exports = {
-  setupGraphQLSchema
+  setupGraphQLSchema,
+  createGraphQLContext
 }; 
\ No newline at end of file
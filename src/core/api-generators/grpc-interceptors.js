@@ -0,0 +1,236 @@
+const grpc = require('@grpc/grpc-js');
+const promClient = require('prom-client');
+const logger = require('../utils/logger');
+const { BadRequestError, UnauthorizedError, toApiError } = require('../errors');
+const { identifyUser } = require('../auth');
+const { runMiddleware } = require('./crud');
+
+/**
+ * gRPC server interceptors
+ *
+ * Every call goes through this chain before reaching its service:
+ *
+ *   metrics         grpc_server_handled_total and grpc_server_handling_seconds
+ *   logging         one line per call, with its status and duration
+ *   authentication  users identified like REST requests (JWT or API key);
+ *                   credentials that don't verify end the call with UNAUTHENTICATED
+ *   tenancy         tenants identified like by TenantManager.tenantMiddleware
+ *
+ * Metadata is read as request headers. Each call gets a request, which the
+ * chain fills in and services read with getCallRequest, e.g. for route
+ * middleware and scoping.
+ */
+
+// Registered with the /metrics registry by setupMonitoring
+const grpcMetrics = {
+  handled: new promClient.Counter({
+    name: 'grpc_server_handled_total',
+    help: 'gRPC calls completed by the server, by status code',
+    labelNames: ['grpc_service', 'grpc_method', 'grpc_type', 'grpc_code'],
+    registers: []
+  }),
+  handlingSeconds: new promClient.Histogram({
+    name: 'grpc_server_handling_seconds',
+    help: 'Duration of gRPC calls until the server sent their status',
+    labelNames: ['grpc_service', 'grpc_method', 'grpc_type', 'grpc_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: []
+  })
+};
+
+// gRPC status codes of API error statuses; others are INTERNAL
+const GRPC_STATUS = {
+  400: grpc.status.INVALID_ARGUMENT,
+  401: grpc.status.UNAUTHENTICATED,
+  403: grpc.status.PERMISSION_DENIED,
+  404: grpc.status.NOT_FOUND,
+  409: grpc.status.ABORTED,
+  412: grpc.status.FAILED_PRECONDITION,
+  429: grpc.status.RESOURCE_EXHAUSTED,
+  501: grpc.status.UNIMPLEMENTED
+};
+
+// Status code names, e.g. 5 -> NOT_FOUND
+const STATUS_NAMES = Object.fromEntries(Object.entries(grpc.status).map(([name, code]) => [code, name]));
+
+// Requests of calls in progress, by their metadata, which services receive as call.metadata
+const requests = new WeakMap();
+
+/**
+ * Build the interceptor chain of a gRPC server (its interceptors option)
+ * @param {object} config - gRPC configuration ({ requireAuthentication })
+ * @param {object} options - { app, tenantManager, auth: authentication configuration,
+ *   naming the API key header }
+ * @returns {Array} Server interceptors, the first one seeing calls first
+ */
+function createInterceptors(config = {}, { app, tenantManager = null, auth = {} } = {}) {
+  const credentialHeaders = ['authorization'];
+
+  if (auth.apiKey && auth.apiKey.enabled) {
+    credentialHeaders.push(auth.apiKey.header.toLowerCase());
+  }
+
+  const authenticate = async (req) => {
+    await runMiddleware(req, [identifyUser]);
+
+    if (!req.user && credentialHeaders.some((header) => req.headers[header])) {
+      throw new UnauthorizedError('The credentials are invalid');
+    }
+
+    if (!req.user && config.requireAuthentication) {
+      throw new UnauthorizedError('Authentication is required');
+    }
+  };
+
+  const identifyTenant = async (req) => {
+    req.tenant = tenantManager.identifyTenant(req);
+
+    if (req.tenant) {
+      logger.debug(`gRPC call for tenant: ${req.tenant.name} (${req.tenant.id})`);
+    } else if (tenantManager.config.requireTenant) {
+      throw new BadRequestError('Tenant not found or not specified');
+    }
+  };
+
+  return [
+    metricsInterceptor,
+    loggingInterceptor,
+    createMetadataInterceptor(app, authenticate),
+    tenantManager && createMetadataInterceptor(app, identifyTenant)
+  ].filter(Boolean);
+}
+
+/**
+ * The request of a call, as filled in by the interceptor chain, or built for
+ * calls that didn't go through it
+ */
+function getCallRequest(app, call) {
+  return requests.get(call.metadata) || toRequest(app, call.metadata, call.getPeer());
+}
+
+/**
+ * Build a request from a call's metadata
+ */
+function toRequest(app, metadata, peer, path) {
+  const headers = {};
+
+  Object.entries(metadata.getMap()).forEach(([name, value]) => {
+    // Binary (-bin) metadata isn't a header
+    if (typeof value === 'string') {
+      headers[name] = value;
+    }
+  });
+
+  return { app, headers, ip: peer, path, url: path };
+}
+
+/**
+ * Interceptor running a check on the request of each call before its service
+ * sees it; checks throw to end the call with the error's status
+ */
+function createMetadataInterceptor(app, check) {
+  return (methodDescriptor, call) => new grpc.ServerInterceptingCall(call, {
+    start: (next) => next({
+      onReceiveMetadata: (metadata, nextMetadata) => {
+        const req = requests.get(metadata) || toRequest(app, metadata, call.getPeer(), methodDescriptor.path);
+        requests.set(metadata, req);
+
+        Promise.resolve()
+          .then(() => check(req))
+          .then(() => nextMetadata(metadata), (error) => call.sendStatus(toGrpcError(error)));
+      }
+    })
+  });
+}
+
+/**
+ * Interceptor counting calls and timing them until their status is sent
+ */
+function metricsInterceptor(methodDescriptor, call) {
+  const [, service, method] = methodDescriptor.path.split('/');
+  const type = getMethodType(methodDescriptor);
+  const start = process.hrtime.bigint();
+  let recorded = false;
+
+  const record = (code) => {
+    if (recorded) {
+      return;
+    }
+
+    const labels = { grpc_service: service, grpc_method: method, grpc_type: type, grpc_code: STATUS_NAMES[code] };
+    recorded = true;
+    grpcMetrics.handled.inc(labels);
+    grpcMetrics.handlingSeconds.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+  };
+
+  return new grpc.ServerInterceptingCall(call, {
+    start: (next) => next({
+      onCancel: () => record(grpc.status.CANCELLED)
+    }),
+    sendStatus: (status, next) => {
+      record(status.code);
+      next(status);
+    }
+  });
+}
+
+/**
+ * Interceptor logging each call once its status is sent
+ */
+function loggingInterceptor(methodDescriptor, call) {
+  const start = Date.now();
+
+  return new grpc.ServerInterceptingCall(call, {
+    sendStatus: (status, next) => {
+      logger.info(`gRPC ${methodDescriptor.path} ${STATUS_NAMES[status.code]}`, {
+        peer: call.getPeer(),
+        duration: `${Date.now() - start}ms`
+      });
+      next(status);
+    }
+  });
+}
+
+/**
+ * grpc_type label of a method, as named by the Prometheus gRPC conventions
+ */
+function getMethodType({ requestStream, responseStream }) {
+  if (requestStream) {
+    return responseStream ? 'bidi_stream' : 'client_stream';
+  }
+
+  return responseStream ? 'server_stream' : 'unary';
+}
+
+/**
+ * Convert an error into a gRPC error: API errors (see core/errors) keep
+ * their message, code and details, in the error-code and errors-bin
+ * (JSON) metadata; unexpected errors are logged and reported without internals
+ */
+function toGrpcError(error) {
+  const apiError = toApiError(error);
+  const metadata = new grpc.Metadata();
+
+  if (apiError.status >= 500) {
+    logger.error('Error handling gRPC call:', apiError.cause || apiError);
+  }
+
+  metadata.set('error-code', apiError.code);
+
+  if (apiError.errors.length > 0) {
+    metadata.set('errors-bin', Buffer.from(JSON.stringify(apiError.errors)));
+  }
+
+  return {
+    code: GRPC_STATUS[apiError.status] || grpc.status.INTERNAL,
+    details: apiError.status >= 500 ? 'Internal server error' : apiError.message,
+    metadata
+  };
+}
+
+module.exports = {
+  grpcMetrics,
+  createInterceptors,
+  getCallRequest,
+  toGrpcError
+};
@@ -0,0 +1,204 @@
+const fs = require('fs');
+const path = require('path');
+const { isDeclarative, getWritableFields } = require('../models');
+
+/**
+ * Protocol Buffers definitions of declarative models
+ *
+ * Each model gets a proto3 file (product.proto for Product) with:
+ *
+ *   message Product                  visible fields
+ *   message ProductInput             writable fields (hidden ones included, as on
+ *                                    the REST API), for Create and Update
+ *   service ProductService {
+ *     rpc Get (GetProductRequest) returns (Product);
+ *     rpc List (ListProductsRequest) returns (stream Product);
+ *     rpc Create (CreateProductRequest) returns (Product);
+ *     rpc Update (UpdateProductRequest) returns (Product);
+ *     rpc Delete (DeleteProductRequest) returns (google.protobuf.Empty);
+ *   }
+ *
+ * Fields are numbered in declaration order, the primary key first, so that
+ * hiding a field doesn't renumber the others. Names are snake_cased. Primary keys are strings like GraphQL IDs,
+ * dates ISO 8601 strings, and json fields (or arrays of anything but
+ * scalars) JSON text. Scalar fields are optional, so null values are unset.
+ */
+
+const DEFAULT_PACKAGE = 'ube';
+
+// Protocol Buffers types of model field types, and how values are converted (see grpc.js)
+const PROTO_TYPES = {
+  id: { type: 'string', kind: 'id' },
+  string: { type: 'string', kind: 'scalar' },
+  text: { type: 'string', kind: 'scalar' },
+  integer: { type: 'int64', kind: 'scalar' },
+  number: { type: 'double', kind: 'scalar' },
+  float: { type: 'double', kind: 'scalar' },
+  boolean: { type: 'bool', kind: 'scalar' },
+  date: { type: 'string', kind: 'date' },
+  json: { type: 'string', kind: 'json' },
+  array: { type: 'string', kind: 'json' },
+  file: { type: 'File', kind: 'file' }
+};
+
+// Protocol Buffers types of JSON Schema item types, for arrays of scalars
+const ITEM_TYPES = {
+  string: 'string',
+  integer: 'int64',
+  number: 'double',
+  boolean: 'bool'
+};
+
+const FILE_MESSAGE = `// Descriptor of a stored file
+message File {
+  string key = 1;
+  optional string name = 2;
+  optional int64 size = 3;
+  optional string type = 4;
+  optional string uploaded_at = 5;
+}`;
+
+/**
+ * Whether a model gets a generated service: declarative models that neither
+ * opt out (grpc: false) nor provide a hand-written proto file (grpc.protoFile)
+ */
+function hasGeneratedService(model) {
+  return isDeclarative(model) && model.grpc !== false && !(model.grpc && model.grpc.protoFile);
+}
+
+/**
+ * lower_snake_case name of a field or model, e.g. createdAt -> created_at
+ */
+function toSnakeCase(name) {
+  return name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toLowerCase();
+}
+
+/**
+ * Message fields of a model's fields, the primary key first
+ * @returns {Array} [{ field, name, number, type, repeated, kind, hidden }]
+ */
+function getProtoFields(model) {
+  const fields = Object.keys(model.fields).filter((field) => field !== model.primaryKey);
+
+  return [model.primaryKey, ...fields].map((field, index) => {
+    const definition = model.fields[field];
+    const itemType = definition.type === 'array' && definition.items && ITEM_TYPES[definition.items.type];
+    const { type, kind } = field === model.primaryKey ? PROTO_TYPES.id : PROTO_TYPES[definition.type];
+
+    return {
+      field,
+      name: toSnakeCase(field),
+      number: index + 1,
+      type: itemType || type,
+      repeated: Boolean(itemType),
+      kind: itemType ? 'scalar' : kind,
+      hidden: Boolean(definition.hidden)
+    };
+  });
+}
+
+/**
+ * Build the proto file of a model
+ * @param {object} options - { packageName }
+ * @returns {object} { fileName, packageName, serviceName, source }
+ */
+function buildProto(model, { packageName = DEFAULT_PACKAGE } = {}) {
+  const { name } = model;
+  const fields = getProtoFields(model);
+  const visible = fields.filter(({ hidden }) => !hidden);
+  const writable = new Set(getWritableFields(model));
+  const hasFiles = visible.some(({ kind }) => kind === 'file');
+  const single = toSnakeCase(name);
+
+  // Inputs keep the numbers of the record's fields
+  const toLine = ({ name: fieldName, number, type, repeated, kind }, { required = false } = {}) => {
+    const label = repeated ? 'repeated ' : (required || kind === 'file' ? '' : 'optional ');
+    return `  ${label}${type} ${fieldName} = ${number};`;
+  };
+  const message = (messageName, lines) => `message ${messageName} {\n${lines.join('\n')}\n}`;
+
+  // File messages are nested, so that every model's file can be loaded in the same package
+  const fileMessage = hasFiles ? [`  ${FILE_MESSAGE.replace(/\n/g, '\n  ')}\n`] : [];
+
+  const definitions = [
+    message(name, [
+      ...fileMessage,
+      ...visible.map((field) => toLine(field, { required: field.field === model.primaryKey }))
+    ]),
+    message(`${name}Input`, fields.filter(({ field }) => writable.has(field)).map((field) => toLine(field))),
+    message(`Get${name}Request`, ['  string id = 1;']),
+    [
+      '// List filters use the REST query language without the filter prefix, e.g.',
+      '// { "category": "Books", "price[gte]": "10" }; sort is e.g. "-price,name".',
+      '// Without page or page_size, every matching record is streamed.',
+      message(`List${name}sRequest`, [
+        '  map<string, string> filter = 1;',
+        '  string sort = 2;',
+        '  int32 page = 3;',
+        '  int32 page_size = 4;'
+      ])
+    ].join('\n'),
+    message(`Create${name}Request`, [`  ${name}Input ${single} = 1;`]),
+    [
+      '// Fields set in the input are updated; update_mask lists the fields to update',
+      '// instead, clearing those that aren\'t set.',
+      message(`Update${name}Request`, [
+        '  string id = 1;',
+        `  ${name}Input ${single} = 2;`,
+        '  google.protobuf.FieldMask update_mask = 3;'
+      ])
+    ].join('\n'),
+    message(`Delete${name}Request`, ['  string id = 1;']),
+    [
+      `service ${name}Service {`,
+      `  rpc Get (Get${name}Request) returns (${name});`,
+      `  rpc List (List${name}sRequest) returns (stream ${name});`,
+      `  rpc Create (Create${name}Request) returns (${name});`,
+      `  rpc Update (Update${name}Request) returns (${name});`,
+      `  rpc Delete (Delete${name}Request) returns (google.protobuf.Empty);`,
+      '}'
+    ].join('\n')
+  ];
+
+  const source = [
+    `// Generated from the ${name} model definition; changes are overwritten`,
+    'syntax = "proto3";',
+    `package ${packageName};`,
+    'import "google/protobuf/empty.proto";\nimport "google/protobuf/field_mask.proto";',
+    ...definitions
+  ].join('\n\n');
+
+  return {
+    fileName: `${single}.proto`,
+    packageName,
+    serviceName: `${name}Service`,
+    source: `${source}\n`
+  };
+}
+
+/**
+ * Write the proto files of models, leaving unchanged files alone
+ * @returns {Array} [{ model, file, packageName, serviceName }]
+ */
+function writeProtos(models, directory, options = {}) {
+  fs.mkdirSync(directory, { recursive: true });
+
+  return models.map((model) => {
+    const { fileName, packageName, serviceName, source } = buildProto(model, options);
+    const file = path.join(directory, fileName);
+
+    if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== source) {
+      fs.writeFileSync(file, source);
+    }
+
+    return { model, file, packageName, serviceName };
+  });
+}
+
+module.exports = {
+  hasGeneratedService,
+  toSnakeCase,
+  getProtoFields,
+  buildProto,
+  writeProtos
+};
@@ -3,51 +3,68 @@ const protoLoader = require('@grpc/proto-loader');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { loadModels, getWritableFields } = require('../models');
+const { createRepository } = require('../database/repository');
+const { parseListQuery } = require('../query');
+const { MERGE_PATCH, applyPatch } = require('../patch');
+const { BadRequestError, NotFoundError, ValidationError } = require('../errors');
+const { deleteRecordFiles } = require('../storage');
+const { getScope, validateBody, getPatchedValues, runMiddleware } = require('./crud');
+const { getRouteMiddleware } = require('./openapi');
+const { hasGeneratedService, toSnakeCase, getProtoFields, writeProtos } = require('./grpc-protos');
+const { createInterceptors, getCallRequest, toGrpcError } = require('./grpc-interceptors');
+
+/**
+ * gRPC API
+ *
+ * Declarative models get a generated service (see grpc-protos.js) backed by
+ * the same data layer as the REST API: records are scoped to the caller, the
+ * route middleware of the matching REST route runs first, and writes publish
+ * model events. Calls go through the interceptors of grpc-interceptors.js
+ * first: request metadata is read as request headers, so clients
+ * authenticate like on REST (authorization or x-api-key).
+ *
+ * Models can still provide their own service instead, with a hand-written
+ * proto file in src/protos: { grpc: { protoFile, implementation } }, or opt
+ * out with { grpc: false }.
+ */
+
+const LOADER_OPTIONS = {
+  keepCase: true,
+  longs: Number,
+  enums: String,
+  defaults: false
+};
 
 /**
  * Setup gRPC server
+ * @param {object} config - gRPC configuration ({ enabled, port, protoDir, package, tls,
+ *   requireAuthentication })
+ * @param {object} options - { app: the Express app, whose connections the services use,
+ *   tenantManager, auth: authentication configuration }
  */
-function setupGRPC(config) {
+function setupGRPC(config, { app, tenantManager = null, auth = {} } = {}) {
   if (!config.enabled) {
     logger.info('gRPC is disabled');
     return null;
   }
-  
+
   try {
-    // Create gRPC server
-    const server = new grpc.Server();
-    
-    // Load proto files
-    const protoDir = path.join(__dirname, '../../protos');
-    if (!fs.existsSync(protoDir)) {
-      fs.mkdirSync(protoDir, { recursive: true });
-    }
-    
-    // Load model-specific proto files
-    const modelsDir = path.join(__dirname, '../../models');
-    if (fs.existsSync(modelsDir)) {
-      fs.readdirSync(modelsDir).forEach(file => {
-        if (file.endsWith('.js')) {
-          const model = require(path.join(modelsDir, file));
-          if (model.grpc && model.grpc.protoFile) {
-            registerGRPCService(server, model, protoDir);
-          }
-        }
-      });
-    }
-    
+    const server = createGRPCServer(config, { app, tenantManager, auth });
+    const credentials = createServerCredentials(config.tls);
+
     // Start gRPC server
     const port = config.port || 50051;
-    server.bindAsync(`0.0.0.0:${port}`, grpc.ServerCredentials.createInsecure(), (err, port) => {
+    server.bindAsync(`0.0.0.0:${port}`, credentials, (err, port) => {
       if (err) {
         logger.error('Failed to start gRPC server:', err);
         return;
       }
-      
+
       server.start();
       logger.info(`gRPC server running on port ${port}`);
     });
-    
+
     return server;
   } catch (error) {
     logger.error('Failed to setup gRPC server:', error);
@@ -55,6 +72,69 @@ function setupGRPC(config) {
   }
 }
 
+/**
+ * Create a gRPC server with the services of every model, without binding it
+ * Generated proto files are written to config.protoDir for clients to compile
+ * @param {object} options - { app, models, tenantManager, auth } (see createInterceptors)
+ */
+function createGRPCServer(config, { app, models = loadModels(), tenantManager = null, auth = {} } = {}) {
+  const server = new grpc.Server({
+    interceptors: createInterceptors(config, { app, tenantManager, auth })
+  });
+
+  // Hand-written services
+  const protoDir = path.join(__dirname, '../../protos');
+  models.filter((model) => model.grpc && model.grpc.protoFile).forEach((model) => {
+    registerGRPCService(server, model, protoDir);
+  });
+
+  // Generated services
+  const generated = models.filter(hasGeneratedService);
+
+  if (generated.length > 0) {
+    const protoFiles = writeProtos(generated, path.resolve(config.protoDir || './proto'), {
+      packageName: config.package
+    });
+    const definition = protoLoader.loadSync(protoFiles.map(({ file }) => file), LOADER_OPTIONS);
+    const descriptor = grpc.loadPackageDefinition(definition);
+
+    protoFiles.forEach(({ model, packageName, serviceName }) => {
+      const service = packageName.split('.').reduce((scope, name) => scope[name], descriptor)[serviceName];
+
+      server.addService(service.service, createServiceImplementation(model, app));
+      logger.info(`Registered gRPC service: ${packageName}.${serviceName}`);
+    });
+  }
+
+  return server;
+}
+
+/**
+ * Server credentials of a TLS configuration: insecure unless enabled, and
+ * mutual TLS when client certificates are required
+ * @param {object} tls - { enabled, cert, key, ca, requireClientCertificate }: cert, key
+ *   and ca are PEM files; ca signs the client certificates
+ */
+function createServerCredentials(tls = {}) {
+  if (!tls.enabled) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+
+  if (!tls.cert || !tls.key) {
+    throw new Error('gRPC TLS requires a certificate (cert) and a private key (key)');
+  }
+
+  if (tls.requireClientCertificate && !tls.ca) {
+    throw new Error('gRPC mutual TLS requires the certificate authority of clients (ca)');
+  }
+
+  return grpc.ServerCredentials.createSsl(
+    tls.ca ? fs.readFileSync(tls.ca) : null,
+    [{ cert_chain: fs.readFileSync(tls.cert), private_key: fs.readFileSync(tls.key) }],
+    Boolean(tls.requireClientCertificate)
+  );
+}
+
 /**
  * Register a gRPC service for a model
  */
@@ -62,13 +142,13 @@ function registerGRPCService(server, model, protoDir) {
   try {
     const { name, grpc: grpcConfig } = model;
     const protoFile = path.join(protoDir, grpcConfig.protoFile);
-    
+
     // Check if proto file exists
     if (!fs.existsSync(protoFile)) {
       logger.error(`Proto file not found for model ${name}: ${protoFile}`);
       return;
     }
-    
+
     // Load proto file
     const packageDefinition = protoLoader.loadSync(protoFile, {
       keepCase: true,
@@ -77,16 +157,16 @@ function registerGRPCService(server, model, protoDir) {
       defaults: true,
       oneofs: true
     });
-    
+
     const protoDescriptor = grpc.loadPackageDefinition(packageDefinition);
     const serviceName = `${name}Service`;
     const serviceDefinition = protoDescriptor[serviceName];
-    
+
     if (!serviceDefinition) {
       logger.error(`Service definition not found for ${serviceName}`);
       return;
     }
-    
+
     // Register service implementation
     server.addService(serviceDefinition.service, grpcConfig.implementation);
     logger.info(`Registered gRPC service: ${serviceName}`);
@@ -95,6 +175,276 @@ function registerGRPCService(server, model, protoDir) {
   }
 }
 
+/**
+ * Implementation of a model's generated service
+ */
+function createServiceImplementation(model, app) {
+  const fields = getProtoFields(model);
+  const writable = new Set(getWritableFields(model));
+  const inputFields = fields.filter(({ field }) => writable.has(field));
+  const single = toSnakeCase(model.name);
+  const rpc = (key, handler) => createHandler(app, model, key, handler);
+  const repositoryOf = (req) => createRepository(model, req.app.locals.connections);
+
+  return {
+    Get: rpc('getById', async ({ id }, req) => {
+      const record = await repositoryOf(req).findById(id, getScope(model, req));
+
+      if (!record) {
+        throw new NotFoundError(`${model.name} not found`);
+      }
+
+      return toMessage(fields, record);
+    }),
+
+    // Pages are sent when requested; otherwise every match is streamed in batches
+    List: rpc('getAll', async (request, req, call) => {
+      const query = toListQuery(model, request);
+      const repository = repositoryOf(req);
+      const scope = getScope(model, req);
+      const batches = request.page || request.page_size
+        ? [await repository.find(query, scope)]
+        : repository.stream(query, scope);
+
+      for await (const records of batches) {
+        for (const record of records) {
+          if (!call.write(toMessage(fields, record))) {
+            await drained(call);
+          }
+
+          // Leaving the loop releases the database cursor
+          if (call.cancelled) {
+            return;
+          }
+        }
+      }
+
+      call.end();
+    }),
+
+    Create: rpc('create', async (request, req) => {
+      const data = toInput(inputFields, request[single] || {});
+      const errors = validateBody(model, req, 'full', data);
+
+      if (errors) {
+        throw new ValidationError('The input is invalid', errors);
+      }
+
+      return toMessage(fields, await repositoryOf(req).create(data, getScope(model, req)));
+    }),
+
+    // Inputs are applied like a JSON Merge Patch on the REST API (see core/patch)
+    Update: rpc('patch', async (request, req) => {
+      const changes = toChanges(inputFields, request[single] || {}, request.update_mask);
+      const record = await repositoryOf(req).patch(request.id, (resource) => {
+        const document = JSON.parse(JSON.stringify(resource));
+        return getPatchedValues(model, req, document, applyPatch(MERGE_PATCH, document, changes));
+      }, getScope(model, req));
+
+      if (!record) {
+        throw new NotFoundError(`${model.name} not found`);
+      }
+
+      return toMessage(fields, record);
+    }),
+
+    Delete: rpc('delete', async ({ id }, req) => {
+      let record = null;
+
+      const deleted = await repositoryOf(req).delete(id, getScope(model, req), {
+        verify: (resource) => {
+          record = resource;
+        }
+      });
+
+      if (!deleted) {
+        throw new NotFoundError(`${model.name} not found`);
+      }
+
+      // Soft-deleted records keep their files so they can be restored
+      if (!model.softDelete) {
+        await deleteRecordFiles(req.app, model, record);
+      }
+
+      return {};
+    })
+  };
+}
+
+/**
+ * Wrap a generated method: the route middleware of the matching REST route
+ * runs (see getRouteMiddleware) with the request the interceptors filled in,
+ * and API errors become gRPC errors
+ * @param {string} key - Generated REST route, e.g. getAll or create
+ * @param {Function} handler - Receives the request message, the request and the call;
+ *                             unary methods return the response message
+ */
+function createHandler(app, model, key, handler) {
+  const middleware = [(model.middlewares || {}).all, ...getRouteMiddleware(model, key)];
+
+  return async (call, callback) => {
+    try {
+      const req = getCallRequest(app, call);
+
+      await runMiddleware(req, middleware);
+      const response = await handler(call.request, req, call);
+
+      if (callback) {
+        callback(null, response);
+      }
+    } catch (error) {
+      const grpcError = toGrpcError(error);
+
+      // Streaming calls have no callback
+      if (callback) {
+        callback(grpcError);
+      } else {
+        call.emit('error', grpcError);
+      }
+    }
+  };
+}
+
+/**
+ * Wait until a streaming call can take more messages, or the client has gone away
+ */
+function drained(call) {
+  return new Promise((resolve) => {
+    const done = () => {
+      call.off('drain', done);
+      call.off('cancelled', done);
+      resolve();
+    };
+
+    call.on('drain', done);
+    call.on('cancelled', done);
+  });
+}
+
+/**
+ * Convert a record into a message
+ */
+function toMessage(fields, record) {
+  const message = {};
+
+  fields.forEach(({ field, name, kind, hidden }) => {
+    const value = record[field];
+
+    if (hidden || value === undefined || value === null) {
+      return;
+    }
+
+    if (kind === 'id') {
+      message[name] = String(value);
+    } else if (kind === 'date') {
+      message[name] = value instanceof Date ? value.toISOString() : String(value);
+    } else if (kind === 'json') {
+      message[name] = JSON.stringify(value);
+    } else if (kind === 'file') {
+      const { key, name: fileName, size, type, uploadedAt } = value;
+      message[name] = { key, name: fileName, size, type, uploaded_at: uploadedAt };
+    } else {
+      message[name] = value;
+    }
+  });
+
+  return message;
+}
+
+/**
+ * Convert the fields set in an input message into record values
+ * Unset repeated fields can't be told from empty ones, so they're left out too
+ * @throws {ValidationError} If a json field isn't valid JSON
+ */
+function toInput(inputFields, input) {
+  const data = {};
+  const errors = [];
+
+  inputFields.forEach(({ field, name, kind, repeated }) => {
+    const value = input[name];
+
+    if (value === undefined || (repeated && value.length === 0)) {
+      return;
+    }
+
+    if (kind !== 'json') {
+      data[field] = value;
+      return;
+    }
+
+    try {
+      data[field] = JSON.parse(value);
+    } catch (error) {
+      errors.push({ pointer: `/${field}`, keyword: 'format', message: 'must be valid JSON', params: {} });
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError('The input is invalid', errors);
+  }
+
+  return data;
+}
+
+/**
+ * The changes of an Update request: the fields set in the input, or the fields
+ * named by the update mask, those that aren't set being cleared
+ * @throws {BadRequestError} If the mask names a field that can't be written
+ */
+function toChanges(inputFields, input, updateMask) {
+  const paths = (updateMask && updateMask.paths) || [];
+
+  if (paths.length === 0) {
+    return toInput(inputFields, input);
+  }
+
+  const unknown = paths.filter((mask) => !inputFields.some(({ name }) => name === mask));
+
+  if (unknown.length > 0) {
+    throw new BadRequestError(`update_mask names fields that can't be updated: ${unknown.join(', ')}`);
+  }
+
+  const masked = inputFields.filter(({ name }) => paths.includes(name));
+  const values = toInput(masked, input);
+
+  masked.forEach(({ field, repeated }) => {
+    if (!(field in values)) {
+      values[field] = repeated ? [] : null;
+    }
+  });
+
+  return values;
+}
+
+/**
+ * Convert a List request into a list query (see core/query)
+ * Filter keys are fields or field[operator], with the REST API's syntax
+ */
+function toListQuery(model, { filter = {}, sort, page, page_size: size }) {
+  const where = {};
+
+  Object.entries(filter).forEach(([key, value]) => {
+    const [, field, operator] = key.match(/^([^[\]]+)\[([^[\]]+)\]$/) || [null, key, 'eq'];
+    where[field] = { ...where[field], [operator]: value };
+  });
+
+  // Pages are numbered, as cursors aren't part of the messages
+  const paged = { ...model, query: { ...model.query, pagination: 'offset' } };
+  const pageParams = {};
+
+  if (page) {
+    pageParams.number = page;
+  }
+
+  if (size) {
+    pageParams.size = size;
+  }
+
+  return parseListQuery(paged, { filter: where, sort: sort || undefined, page: pageParams });
+}
+
 module.exports = {
-  setupGRPC
-}; 
\ No newline at end of file
+  setupGRPC,
+  createGRPCServer,
+  createServerCredentials
+};
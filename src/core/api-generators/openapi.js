@@ -0,0 +1,1002 @@
+const { isDeclarative, toJSONSchema, getFileFields } = require('../models');
+const { ERROR_CODES, PROBLEM_CONTENT_TYPE } = require('../errors');
+const { OPERATORS, TRASHED_MODES, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, getQueryableFields } = require('../query');
+const { MERGE_PATCH, JSON_PATCH } = require('../patch');
+const { MEDIA_TYPES } = require('../formats');
+const { OPERATION_STATUSES } = require('../operations');
+const { MAX_QUERY_LENGTH } = require('../search');
+
+/**
+ * OpenAPI 3.1 document generated from the registered models
+ *
+ * Generated CRUD routes are described from the model's JSON Schema, so the
+ * document can't drift from what the routes accept and return. Hand-written
+ * routes describe themselves with a `schema` option:
+ *
+ *   {
+ *     method: 'GET',
+ *     path: '/category/:category',
+ *     schema: {
+ *       summary: 'List products in a category',
+ *       params: { type: 'object', properties: { category: { type: 'string' } } },
+ *       query: { type: 'object', properties: { inStock: { type: 'boolean' } } },
+ *       body: { ... },                   // JSON request body
+ *       response: { type: 'array', items: { $ref: '#/components/schemas/Product' } }
+ *     },
+ *     handler
+ *   }
+ *
+ * Routes that can't be described are reported so strict mode can refuse to start.
+ */
+
+// Method and path of each generated route
+const CRUD_PATHS = {
+  getAll: ['get', ''],
+  search: ['get', '/search'],
+  getById: ['get', '/{id}'],
+  create: ['post', ''],
+  update: ['put', '/{id}'],
+  patch: ['patch', '/{id}'],
+  delete: ['delete', '/{id}'],
+  restore: ['post', '/{id}/restore'],
+  bulk: ['post', '/bulk']
+};
+
+// Generated routes only registered for models with the matching option
+const OPTIONAL_ROUTES = {
+  restore: (model) => Boolean(model.softDelete),
+  search: (model) => Boolean(model.search)
+};
+
+// Reusable problem details responses, by status
+const PROBLEM_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  406: 'NotAcceptable',
+  409: 'Conflict',
+  412: 'PreconditionFailed',
+  413: 'PayloadTooLarge',
+  415: 'UnsupportedMediaType',
+  422: 'UnprocessableContent',
+  429: 'TooManyRequests'
+};
+
+const UNDOCUMENTED = { summary: 'Undocumented route', responses: { default: { description: 'Not documented' } } };
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+// Formats every generated route can respond with (see core/formats)
+const recordContent = (schema) => ({
+  [MEDIA_TYPES.json[0]]: { schema },
+  [MEDIA_TYPES.msgpack[0]]: { schema }
+});
+
+/**
+ * Generate the OpenAPI document for a set of models
+ * @param {Array} models - Normalized model definitions
+ * @param {object} options - { title, version, description, serverUrl, deprecated, sunset, apiKeyHeader, idempotency }
+ * @returns {object} { spec, undocumented } where undocumented lists routes without a schema
+ */
+function generateOpenAPISpec(models, options = {}) {
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: options.title || 'Universal Backend Engine API',
+      version: options.version || 'v1',
+      description: options.description || 'REST API generated by Universal Backend Engine from model definitions'
+    },
+    servers: [{ url: options.serverUrl || '/', description: 'API Server' }],
+    tags: [],
+    paths: {},
+    components: createComponents(options)
+  };
+  const undocumented = [];
+
+  models.forEach((model) => {
+    addModel(spec, model, options, undocumented);
+  });
+
+  addApiPaths(spec);
+
+  if (options.deprecated) {
+    Object.values(spec.paths).forEach((operations) => {
+      Object.values(operations).forEach((operation) => {
+        operation.deprecated = true;
+      });
+    });
+
+    spec.info.description += options.sunset
+      ? `. This version is deprecated and will be removed on ${options.sunset.toISOString().slice(0, 10)}.`
+      : '. This version is deprecated.';
+  }
+
+  return { spec, undocumented };
+}
+
+/**
+ * Schemas, parameters, responses and security schemes shared by all models
+ */
+function createComponents(options) {
+  const responses = {};
+
+  Object.entries(PROBLEM_RESPONSES).forEach(([status, name]) => {
+    const codes = Object.keys(ERROR_CODES).filter((code) => ERROR_CODES[code].status === Number(status));
+
+    responses[name] = {
+      description: `${ERROR_CODES[codes[0]].title} (${codes.join(', ')})`,
+      content: { [PROBLEM_CONTENT_TYPE]: { schema: schemaRef('Problem') } }
+    };
+  });
+
+  return {
+    schemas: {
+      Problem: {
+        type: 'object',
+        description: 'RFC 7807 problem details',
+        properties: {
+          type: { type: 'string', format: 'uri-reference' },
+          title: { type: 'string' },
+          status: { type: 'integer' },
+          detail: { type: 'string' },
+          instance: { type: 'string', format: 'uri-reference' },
+          code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                pointer: { type: 'string', description: 'JSON Pointer to the offending field' },
+                keyword: { type: 'string' },
+                message: { type: 'string' },
+                params: { type: 'object' }
+              },
+              required: ['message']
+            }
+          }
+        },
+        required: ['type', 'title', 'status', 'code']
+      },
+      JsonPatch: {
+        type: 'array',
+        description: 'RFC 6902 JSON Patch',
+        items: {
+          type: 'object',
+          properties: {
+            op: { enum: ['add', 'remove', 'replace', 'move', 'copy', 'test'] },
+            path: { type: 'string' },
+            from: { type: 'string' },
+            value: {}
+          },
+          required: ['op', 'path']
+        }
+      },
+      BulkItemResult: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          id: { type: ['integer', 'string'] },
+          status: { type: 'integer' },
+          data: { type: 'object' },
+          error: schemaRef('Problem')
+        },
+        required: ['index', 'status']
+      },
+      Operation: {
+        type: 'object',
+        description: 'Long-running operation; poll until status is no longer running',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          status: { type: 'string', enum: OPERATION_STATUSES },
+          progress: {
+            type: ['object', 'null'],
+            properties: { completed: { type: 'integer' }, total: { type: 'integer' }, message: { type: 'string' } }
+          },
+          result: { description: 'Result of a succeeded operation' },
+          error: { oneOf: [schemaRef('Problem'), { type: 'null' }] },
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' },
+          completedAt: { type: ['string', 'null'], format: 'date-time' }
+        },
+        required: ['id', 'type', 'status']
+      },
+      SearchMatch: {
+        type: 'object',
+        description: 'Relevance of a search result and its matching fields, with matches in <mark> (HTML-escaped)',
+        properties: {
+          score: { type: 'number' },
+          highlights: { type: 'object', additionalProperties: { type: 'string' } }
+        },
+        required: ['score', 'highlights']
+      },
+      FileDownload: {
+        type: 'object',
+        description: 'Signed URL a file can be downloaded from until it expires',
+        properties: {
+          url: { type: 'string', format: 'uri-reference' },
+          expiresAt: { type: 'string', format: 'date-time' }
+        },
+        required: ['url', 'expiresAt']
+      }
+    },
+    parameters: {
+      IdempotencyKey: {
+        name: 'Idempotency-Key',
+        in: 'header',
+        description: 'Unique key that makes retries of this request safe',
+        schema: { type: 'string', maxLength: 255 }
+      },
+      PreferAsync: {
+        name: 'Prefer',
+        in: 'header',
+        description: 'respond-async to run the request as a long-running operation',
+        schema: { type: 'string', enum: ['respond-async'] }
+      },
+      IfMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'Only apply the change if the record still has this ETag',
+        schema: { type: 'string' }
+      },
+      IfNoneMatch: {
+        name: 'If-None-Match',
+        in: 'header',
+        description: 'Return 304 if the record still has this ETag',
+        schema: { type: 'string' }
+      }
+    },
+    responses,
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      apiKeyAuth: { type: 'apiKey', in: 'header', name: options.apiKeyHeader || 'X-API-Key' }
+    }
+  };
+}
+
+/**
+ * Add a model's schemas and routes
+ */
+function addModel(spec, model, options, undocumented) {
+  const declarative = isDeclarative(model);
+  const generated = (key) => !OPTIONAL_ROUTES[key] || OPTIONAL_ROUTES[key](model);
+  const routes = declarative
+    ? { ...Object.fromEntries(Object.keys(CRUD_PATHS).map((key) => [key, generated(key)])), ...model.routes }
+    : model.routes || {};
+  const basePath = `/${model.name.toLowerCase()}`;
+
+  // Versions with transformers document the fields as they expose them
+  const schemaModel = model.documentedModel || model;
+
+  if (declarative) {
+    spec.components.schemas[model.name] = toJSONSchema(schemaModel);
+    spec.components.schemas[`${model.name}Input`] = toJSONSchema(schemaModel, { input: true });
+    spec.components.schemas[`${model.name}Patch`] = toJSONSchema(schemaModel, { input: true, partial: true });
+  }
+
+  spec.tags.push({ name: model.name });
+
+  // Custom routes are registered first, like in registerModelRoutes
+  (routes.custom || []).forEach((route) => {
+    const operation = describeCustomRoute(model, route);
+
+    if (!operation) {
+      undocumented.push(`${route.method.toUpperCase()} ${basePath}${route.path}`);
+    }
+
+    addOperation(spec, `${basePath}${toOpenAPIPath(route.path)}`, route.method, withSecurity(
+      { tags: [model.name], ...(operation || UNDOCUMENTED) },
+      getSecurity(model, [route.middleware])
+    ));
+  });
+
+  const operations = declarative ? describeCrudRoutes(model, options) : {};
+
+  Object.keys(CRUD_PATHS).filter((key) => routes[key]).forEach((key) => {
+    const [method, routePath] = CRUD_PATHS[key];
+
+    if (!operations[key]) {
+      undocumented.push(`${method.toUpperCase()} ${basePath}${routePath.replace('{id}', ':id')}`);
+    }
+
+    addOperation(spec, `${basePath}${routePath}`, method, withSecurity(
+      { tags: [model.name], ...(operations[key] || UNDOCUMENTED) },
+      getSecurity(model, getRouteMiddleware(model, key))
+    ));
+  });
+
+  if (declarative) {
+    const middlewares = model.middlewares || {};
+    const read = getSecurity(model, [middlewares.getById]);
+    const write = getSecurity(model, [middlewares.files || middlewares.update]);
+
+    getFileFields(model).forEach((field) => {
+      Object.entries(describeFileRoutes(model, field)).forEach(([routePath, methods]) => {
+        Object.entries(methods).forEach(([method, operation]) => {
+          addOperation(spec, `${basePath}${routePath}`, method, withSecurity(
+            { tags: [model.name], ...operation },
+            method === 'get' ? read : write
+          ));
+        });
+      });
+    });
+  }
+}
+
+/**
+ * Middleware guarding a generated route, mirroring registerModelRoutes
+ */
+function getRouteMiddleware(model, key) {
+  const middlewares = model.middlewares || {};
+
+  if (key === 'patch') {
+    return [middlewares.patch || middlewares.update];
+  }
+
+  if (key === 'restore') {
+    return [middlewares.restore || middlewares.delete];
+  }
+
+  if (key === 'search') {
+    return [middlewares.search || middlewares.getAll];
+  }
+
+  if (key === 'bulk') {
+    return middlewares.bulk ? [middlewares.bulk] : [middlewares.create, middlewares.update, middlewares.delete];
+  }
+
+  return [middlewares[key]];
+}
+
+/**
+ * Security requirements of a route, read from its authentication middleware
+ * (see isAuthenticated and hasRoles in core/auth)
+ */
+function getSecurity(model, middleware) {
+  const chain = [(model.middlewares || {}).all, ...middleware].flat(Infinity).filter(Boolean);
+  const authenticated = chain.some((fn) => fn.authentication || fn.roles);
+
+  if (!authenticated) {
+    return null;
+  }
+
+  return { roles: [...new Set(chain.flatMap((fn) => fn.roles || []))] };
+}
+
+/**
+ * Add security requirements and the matching error responses to an operation
+ */
+function withSecurity(operation, security) {
+  if (!security) {
+    return operation;
+  }
+
+  const { roles } = security;
+
+  return {
+    ...operation,
+    // OpenAPI 3.1 lets non-OAuth schemes list the roles a route requires
+    security: [{ bearerAuth: roles }, { apiKeyAuth: roles }],
+    responses: {
+      ...operation.responses,
+      401: { $ref: '#/components/responses/Unauthorized' },
+      ...(roles.length > 0 && { 403: { $ref: '#/components/responses/Forbidden' } })
+    }
+  };
+}
+
+/**
+ * Describe the generated CRUD routes of a declarative model
+ */
+function describeCrudRoutes(model, options) {
+  const { name } = model;
+  const idempotent = model.idempotency === undefined
+    ? Boolean(options.idempotency && options.idempotency.enabled !== false)
+    : Boolean(model.idempotency && model.idempotency.enabled !== false);
+  const unsafeParameters = idempotent ? [{ $ref: '#/components/parameters/IdempotencyKey' }] : [];
+  // Reused or in-flight Idempotency-Keys
+  const unsafe = idempotent ? [409, 422] : [];
+  const idParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: toJSONSchema(model).properties[model.primaryKey].type }
+  };
+  const record = (description, headers = { ETag: { schema: { type: 'string' } } }) => ({
+    description,
+    headers,
+    content: recordContent(schemaRef(name))
+  });
+  const problems = (...statuses) => Object.fromEntries(
+    statuses.map((status) => [status, { $ref: `#/components/responses/${PROBLEM_RESPONSES[status]}` }])
+  );
+
+  return {
+    getAll: {
+      operationId: `list${name}`,
+      summary: `List ${name} records`,
+      parameters: [
+        ...describeListParameters(model),
+        ...describeIncludeParameter(model),
+        ...describeTrashedParameter(model)
+      ],
+      responses: {
+        200: {
+          description: `A page of ${name} records`,
+          headers: {
+            'X-Total-Count': { schema: { type: 'integer' }, description: 'Total matching records (offset pagination)' },
+            'X-Next-Cursor': { schema: { type: 'string' }, description: 'Cursor of the next page (cursor pagination)' },
+            Link: { schema: { type: 'string' }, description: 'RFC 8288 links to other pages' }
+          },
+          content: {
+            ...recordContent({ type: 'array', items: schemaRef(name) }),
+            [MEDIA_TYPES.csv[0]]: {
+              schema: { type: 'string', description: `Every matching ${name}, one per row after a header row` }
+            },
+            [MEDIA_TYPES.ndjson[0]]: {
+              schema: { type: 'string', description: `Every matching ${name}, one JSON object per line` }
+            }
+          }
+        },
+        ...problems(400, 406)
+      }
+    },
+    search: {
+      operationId: `search${name}`,
+      summary: `Search ${name} records, most relevant first`,
+      parameters: [
+        {
+          name: 'q',
+          in: 'query',
+          required: true,
+          description: 'Words to find (all required), "quoted phrases" and -excluded words. ' +
+            `Searches ${(model.search ? model.search.fields : []).map(({ name: field }) => field).join(', ')}`,
+          schema: { type: 'string', minLength: 1, maxLength: MAX_QUERY_LENGTH }
+        },
+        ...describeListParameters(model, { search: true }),
+        ...describeIncludeParameter(model),
+        ...describeTrashedParameter(model)
+      ],
+      responses: {
+        200: {
+          description: `A page of matching ${name} records, with their relevance and highlighted fields`,
+          headers: {
+            'X-Total-Count': { schema: { type: 'integer' }, description: 'Total matching records' },
+            Link: { schema: { type: 'string' }, description: 'RFC 8288 links to other pages' }
+          },
+          content: recordContent({
+            type: 'array',
+            items: { allOf: [schemaRef(name), { properties: { _search: schemaRef('SearchMatch') } }] }
+          })
+        },
+        ...problems(400, 406)
+      }
+    },
+    getById: {
+      operationId: `get${name}`,
+      summary: `Get a ${name}`,
+      parameters: [
+        idParameter,
+        ...describeIncludeParameter(model),
+        { $ref: '#/components/parameters/IfNoneMatch' }
+      ],
+      responses: {
+        200: record(`The ${name}`),
+        304: { description: 'Not modified' },
+        ...problems(404, 406)
+      }
+    },
+    create: {
+      operationId: `create${name}`,
+      summary: `Create a ${name}`,
+      parameters: unsafeParameters,
+      requestBody: { required: true, content: jsonContent(schemaRef(`${name}Input`)) },
+      responses: {
+        201: record(`The created ${name}`),
+        ...problems(400, 406, ...unsafe)
+      }
+    },
+    update: {
+      operationId: `replace${name}`,
+      summary: `Replace a ${name}`,
+      parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }, ...unsafeParameters],
+      requestBody: { required: true, content: jsonContent(schemaRef(`${name}Input`)) },
+      responses: {
+        200: record(`The updated ${name}`),
+        ...problems(400, 404, 406, 412, ...unsafe)
+      }
+    },
+    patch: {
+      operationId: `update${name}`,
+      summary: `Partially update a ${name}`,
+      parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }, ...unsafeParameters],
+      requestBody: {
+        required: true,
+        content: {
+          [MERGE_PATCH]: { schema: schemaRef(`${name}Patch`) },
+          [JSON_PATCH]: { schema: schemaRef('JsonPatch') }
+        }
+      },
+      responses: {
+        200: record(`The updated ${name}`),
+        ...problems(400, 404, 406, 409, 412, 415, ...unsafe)
+      }
+    },
+    delete: {
+      operationId: `delete${name}`,
+      summary: `Delete a ${name}`,
+      ...(model.softDelete && { description: `The ${name} can be restored until it is purged` }),
+      parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }, ...unsafeParameters],
+      responses: {
+        204: { description: `The ${name} was deleted` },
+        ...problems(404, 412, ...unsafe)
+      }
+    },
+    restore: {
+      operationId: `restore${name}`,
+      summary: `Restore a deleted ${name}`,
+      parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }, ...unsafeParameters],
+      responses: {
+        200: record(`The restored ${name}`),
+        ...problems(404, 406, 412, ...unsafe)
+      }
+    },
+    bulk: {
+      operationId: `bulk${name}`,
+      summary: `Create, update and delete ${name} records in one request`,
+      parameters: [...unsafeParameters, { $ref: '#/components/parameters/PreferAsync' }],
+      requestBody: { required: true, content: jsonContent(describeBulkRequest(model)) },
+      responses: {
+        200: { description: 'Every item was applied', content: jsonContent(describeBulkResults()) },
+        202: {
+          description: 'The items are being applied; the results are in the operation at Location',
+          headers: { Location: { schema: { type: 'string' } } },
+          content: jsonContent(schemaRef('Operation'))
+        },
+        207: { description: 'Some items failed', content: jsonContent(describeBulkResults()) },
+        ...problems(400, 404, 413, ...unsafe)
+      }
+    }
+  };
+}
+
+/**
+ * Describe the routes of a file field (see ./files), by path and method
+ */
+function describeFileRoutes(model, field) {
+  const { name } = model;
+  const definition = model.fields[field];
+  const accept = definition.accept || ['*/*'];
+  const label = `${field} of a ${name}`;
+  const idParameter = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: toJSONSchema(model).properties[model.primaryKey].type }
+  };
+  const uploadParameter = { name: 'upload', in: 'path', required: true, schema: { type: 'string' } };
+  const tusHeader = (description) => ({ schema: { type: 'string' }, ...(description && { description }) });
+  const problems = (...statuses) => Object.fromEntries(
+    statuses.map((status) => [status, { $ref: `#/components/responses/${PROBLEM_RESPONSES[status]}` }])
+  );
+  const operationName = `${field.charAt(0).toUpperCase()}${field.slice(1)}`;
+  const limits = [
+    definition.maxSize && `at most ${definition.maxSize} bytes`,
+    definition.accept && `one of ${definition.accept.join(', ')}`
+  ].filter(Boolean);
+
+  return {
+    [`/{id}/${field}`]: {
+      get: {
+        operationId: `download${name}${operationName}`,
+        summary: `Download the ${label}`,
+        parameters: [
+          idParameter,
+          { name: 'redirect', in: 'query', description: 'false to get the URL as JSON', schema: { type: 'boolean' } }
+        ],
+        responses: {
+          200: { description: 'A signed download URL', content: jsonContent(schemaRef('FileDownload')) },
+          302: {
+            description: 'Redirect to a signed download URL',
+            headers: { Location: { schema: { type: 'string' } } }
+          },
+          ...problems(404)
+        }
+      },
+      put: {
+        operationId: `upload${name}${operationName}`,
+        summary: `Upload the ${label}`,
+        ...(limits.length > 0 && { description: `The file must be ${limits.join(' and ')}` }),
+        parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }],
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                properties: { file: { type: 'string', contentMediaType: 'application/octet-stream' } },
+                required: ['file']
+              }
+            },
+            ...Object.fromEntries(accept.map((type) => [type, { schema: { contentMediaType: type } }]))
+          }
+        },
+        responses: {
+          200: { description: `The updated ${name}`, content: recordContent(schemaRef(name)) },
+          ...problems(400, 404, 412, 413, 415)
+        }
+      },
+      delete: {
+        operationId: `delete${name}${operationName}`,
+        summary: `Remove the ${label}`,
+        parameters: [idParameter, { $ref: '#/components/parameters/IfMatch' }],
+        responses: {
+          204: { description: 'The file was removed' },
+          ...problems(404, 412)
+        }
+      }
+    },
+    [`/{id}/${field}/uploads`]: {
+      post: {
+        operationId: `createUpload${name}${operationName}`,
+        summary: `Start a resumable (tus) upload of the ${label}`,
+        parameters: [
+          idParameter,
+          { name: 'Upload-Length', in: 'header', required: true, schema: { type: 'integer', minimum: 0 } },
+          {
+            name: 'Upload-Metadata',
+            in: 'header',
+            description: 'Comma-separated `key base64value` pairs; filename and filetype are used',
+            schema: { type: 'string' }
+          }
+        ],
+        responses: {
+          201: {
+            description: 'The upload was created',
+            headers: {
+              Location: tusHeader('Where to send the chunks'),
+              'Upload-Expires': tusHeader('When an incomplete upload is discarded')
+            }
+          },
+          ...problems(400, 404, 413, 415)
+        }
+      }
+    },
+    [`/{id}/${field}/uploads/{upload}`]: {
+      head: {
+        operationId: `getUpload${name}${operationName}`,
+        summary: 'Get the offset reached by a resumable upload',
+        parameters: [idParameter, uploadParameter],
+        responses: {
+          200: {
+            description: 'The bytes received so far',
+            headers: { 'Upload-Offset': tusHeader(), 'Upload-Length': tusHeader() }
+          },
+          ...problems(404)
+        }
+      },
+      patch: {
+        operationId: `appendUpload${name}${operationName}`,
+        summary: 'Append a chunk to a resumable upload; the last chunk attaches the file',
+        parameters: [
+          idParameter,
+          uploadParameter,
+          { name: 'Upload-Offset', in: 'header', required: true, schema: { type: 'integer', minimum: 0 } }
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/offset+octet-stream': { schema: { contentMediaType: 'application/octet-stream' } } }
+        },
+        responses: {
+          204: { description: 'The chunk was received', headers: { 'Upload-Offset': tusHeader() } },
+          ...problems(404, 409, 413, 415)
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Query parameters of list routes (see core/query)
+ * @param {object} options - { search: for search routes, which sort by relevance and page by number }
+ */
+function describeListParameters(model, { search = false } = {}) {
+  const maxSize = (model.query && model.query.maxPageSize) || MAX_PAGE_SIZE;
+  const cursors = search ? {} : {
+    after: { type: 'string', description: 'Cursor to page forwards from (empty for the first page)' },
+    before: { type: 'string', description: 'Cursor to page backwards from' }
+  };
+
+  return [
+    {
+      name: 'filter',
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      description: `Filter by field value, e.g. filter[price][gte]=10. Operators: ${OPERATORS.join(', ')}`,
+      schema: {
+        type: 'object',
+        properties: Object.fromEntries(getQueryableFields(model, 'filterable').map((field) => [field, {}])),
+        additionalProperties: false
+      }
+    },
+    ...(search ? [] : [{
+      name: 'sort',
+      in: 'query',
+      description: `Comma-separated fields, - for descending: ${getQueryableFields(model, 'sortable').join(', ')}`,
+      schema: { type: 'string' }
+    }]),
+    {
+      name: 'fields',
+      in: 'query',
+      description: `Comma-separated fields to return: ${getQueryableFields(model, 'selectable').join(', ')}`,
+      schema: { type: 'string' }
+    },
+    {
+      name: 'page',
+      in: 'query',
+      style: 'deepObject',
+      explode: true,
+      schema: {
+        type: 'object',
+        properties: {
+          size: {
+            type: 'integer',
+            minimum: 1,
+            maximum: maxSize,
+            default: (model.query && model.query.defaultPageSize) || DEFAULT_PAGE_SIZE
+          },
+          number: { type: 'integer', minimum: 1 },
+          ...cursors
+        },
+        additionalProperties: false
+      }
+    }
+  ];
+}
+
+/**
+ * Include parameter of read routes, for models with relations (see core/database/relations)
+ */
+function describeIncludeParameter(model) {
+  const relations = Object.keys(model.relations || {});
+
+  if (relations.length === 0) {
+    return [];
+  }
+
+  return [{
+    name: 'include',
+    in: 'query',
+    description: `Comma-separated relations to embed, dotted for nested ones: ${relations.join(', ')}`,
+    schema: { type: 'string' }
+  }];
+}
+
+/**
+ * Trashed parameter of list routes, for models with soft delete
+ */
+function describeTrashedParameter(model) {
+  if (!model.softDelete) {
+    return [];
+  }
+
+  return [{
+    name: 'trashed',
+    in: 'query',
+    description: 'Whether to list deleted records: without them (default), with them or only them',
+    schema: { type: 'string', enum: TRASHED_MODES, default: 'without' }
+  }];
+}
+
+/**
+ * Request body of a model's bulk route
+ */
+function describeBulkRequest(model) {
+  const input = toJSONSchema(model, { input: true });
+  const idSchema = { type: toJSONSchema(model).properties[model.primaryKey].type };
+
+  return {
+    type: 'object',
+    properties: {
+      create: { type: 'array', items: schemaRef(`${model.name}Input`) },
+      update: {
+        type: 'array',
+        items: {
+          ...input,
+          properties: { [model.primaryKey]: idSchema, ...input.properties },
+          required: [model.primaryKey, ...(input.required || [])]
+        }
+      },
+      delete: { type: 'array', items: idSchema },
+      transactional: { type: 'boolean', default: false }
+    },
+    additionalProperties: false
+  };
+}
+
+/**
+ * Response body of bulk routes
+ */
+function describeBulkResults() {
+  const results = { type: 'array', items: schemaRef('BulkItemResult') };
+
+  return {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'object',
+        properties: { create: results, update: results, delete: results }
+      }
+    }
+  };
+}
+
+/**
+ * Describe a hand-written route from its schema option
+ * @returns {object|null} The operation, or null if the route has no schema
+ */
+function describeCustomRoute(model, route) {
+  const { schema } = route;
+
+  if (!schema) {
+    return null;
+  }
+
+  const pathParams = (route.path.match(/:\w+/g) || []).map((param) => param.slice(1));
+  const paramSchemas = (schema.params && schema.params.properties) || {};
+  const querySchemas = (schema.query && schema.query.properties) || {};
+  const requiredQuery = (schema.query && schema.query.required) || [];
+
+  const operation = {
+    ...(schema.operationId && { operationId: schema.operationId }),
+    summary: schema.summary || `${route.method.toUpperCase()} ${route.path}`,
+    ...(schema.description && { description: schema.description }),
+    parameters: [
+      ...pathParams.map((name) => ({
+        name,
+        in: 'path',
+        required: true,
+        schema: paramSchemas[name] || { type: 'string' }
+      })),
+      ...Object.entries(querySchemas).map(([name, querySchema]) => ({
+        name,
+        in: 'query',
+        required: requiredQuery.includes(name),
+        schema: querySchema
+      }))
+    ],
+    responses: {
+      [schema.status || 200]: {
+        description: schema.responseDescription || 'Successful response',
+        ...(schema.response && { content: jsonContent(schema.response) })
+      }
+    }
+  };
+
+  if (schema.body) {
+    operation.requestBody = { required: true, content: jsonContent(schema.body) };
+  }
+
+  return operation;
+}
+
+/**
+ * Routes of the API itself (batch requests, operations and the error catalogue)
+ */
+function addApiPaths(spec) {
+  addOperation(spec, '/batch', 'post', {
+    tags: ['API'],
+    operationId: 'batch',
+    summary: 'Run several API requests in one round trip',
+    requestBody: {
+      required: true,
+      content: jsonContent({
+        type: 'object',
+        properties: {
+          requests: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              properties: {
+                method: { enum: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'] },
+                path: { type: 'string', description: 'Path relative to the API, e.g. /product/1' },
+                headers: { type: 'object', additionalProperties: { type: 'string' } },
+                body: {}
+              },
+              required: ['method', 'path']
+            }
+          }
+        },
+        required: ['requests']
+      })
+    },
+    responses: {
+      200: {
+        description: 'The response to each request, in order',
+        content: jsonContent({
+          type: 'object',
+          properties: {
+            responses: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: { status: { type: 'integer' }, headers: { type: 'object' }, body: {} }
+              }
+            }
+          }
+        })
+      },
+      400: { $ref: '#/components/responses/BadRequest' },
+      413: { $ref: '#/components/responses/PayloadTooLarge' }
+    }
+  });
+
+  addOperation(spec, '/operations/{id}', 'get', {
+    tags: ['API'],
+    operationId: 'getOperation',
+    summary: 'Get the status of a long-running operation',
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+    responses: {
+      200: { description: 'The operation', content: jsonContent(schemaRef('Operation')) },
+      404: { $ref: '#/components/responses/NotFound' }
+    }
+  });
+
+  const catalogueEntry = {
+    type: 'object',
+    properties: {
+      code: { type: 'string' },
+      type: { type: 'string' },
+      status: { type: 'integer' },
+      title: { type: 'string' }
+    }
+  };
+
+  addOperation(spec, '/errors', 'get', {
+    tags: ['API'],
+    operationId: 'listErrorCodes',
+    summary: 'List the error codes returned in problem details',
+    responses: {
+      200: { description: 'The error codes catalogue', content: jsonContent({ type: 'array', items: catalogueEntry }) }
+    }
+  });
+
+  addOperation(spec, '/errors/{code}', 'get', {
+    tags: ['API'],
+    operationId: 'getErrorCode',
+    summary: 'Describe an error code',
+    parameters: [{ name: 'code', in: 'path', required: true, schema: { type: 'string' } }],
+    responses: {
+      200: { description: 'The error code', content: jsonContent(catalogueEntry) },
+      404: { $ref: '#/components/responses/NotFound' }
+    }
+  });
+
+  spec.tags.push({ name: 'API' });
+}
+
+/**
+ * Add an operation to the document
+ */
+function addOperation(spec, routePath, method, operation) {
+  const pathKey = routePath || '/';
+
+  spec.paths[pathKey] = spec.paths[pathKey] || {};
+  spec.paths[pathKey][method.toLowerCase()] = operation;
+}
+
+/**
+ * Convert an Express route path (/items/:id) to an OpenAPI path (/items/{id})
+ */
+function toOpenAPIPath(routePath) {
+  return routePath.replace(/:(\w+)/g, '{$1}');
+}
+
+module.exports = {
+  generateOpenAPISpec,
+  getRouteMiddleware,
+  toOpenAPIPath
+};
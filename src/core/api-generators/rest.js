@@ -1,74 +1,138 @@
 const express = require('express');
-const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const fs = require('fs');
-const path = require('path');
 const logger = require('../utils/logger');
+const { isDeclarative, loadModels } = require('../models');
+const { createCrudHandlers } = require('./crud');
+const { createBulkHandler } = require('./bulk');
+const { createBatchHandler } = require('./batch');
+const { registerFileRoutes } = require('./files');
+const { generateOpenAPISpec } = require('./openapi');
+const {
+  getVersions,
+  createDeprecationMiddleware,
+  resolveModelVersion,
+  createTransformMiddleware
+} = require('./versions');
+const { createFormatMiddleware } = require('../formats');
+const { createIdempotencyMiddleware } = require('../../middleware/idempotency');
+const { startPurgeJob } = require('../database/soft-delete');
+const { createOperationHandler } = require('../operations');
+const { NotFoundError, getErrorCatalogue, notFoundHandler } = require('../errors');
 
 /**
  * Setup REST API endpoints
+ * Every configured version gets its own router (see ./versions)
  */
 function setupRESTApi(app, config) {
+  const versions = getVersions(config);
+  const current = versions.find(({ name }) => name === config.version) || versions[versions.length - 1];
+  
+  // Dynamically load route handlers
+  const models = loadModels().filter((model) => model.routes || isDeclarative(model));
+  
+  // Problem details types link to the error codes catalogue
+  app.locals.problemTypeBase = `${current.path}/errors/`;
+  // Long-running operations are polled at the current version (see core/operations)
+  app.locals.operationBase = `${current.path}/operations/`;
+  
+  const routers = {};
+  
+  versions.forEach((version) => {
+    routers[version.name] = createVersionRouter(models, version, config);
+    
+    // Register the router
+    app.use(version.path, routers[version.name]);
+  });
+  
+  // Signed download links of files stored on local disk (see core/storage)
+  const { storage } = app.locals;
+  if (storage && storage.backend.createDownloadHandler) {
+    app.get(`${storage.backend.baseUrl}/*`, storage.backend.createDownloadHandler());
+  }
+  
+  // Purge soft-deleted records once their retention window has passed
+  if (models.some((model) => model.softDelete && model.softDelete.retentionDays)) {
+    startPurgeJob(models, app.locals.connections, config.softDelete);
+  }
+  
+  return routers[current.name];
+}
+
+/**
+ * Create the router serving one API version
+ * @param {Array} models - Normalized model definitions
+ * @param {object} version - Version from getVersions
+ * @param {object} config - REST API configuration
+ */
+function createVersionRouter(models, version, config) {
   const router = express.Router();
+  const deprecation = createDeprecationMiddleware(version);
+  
+  if (deprecation) {
+    router.use(deprecation);
+    const until = version.sunset ? ` until ${version.sunset.toISOString()}` : '';
+    logger.info(`REST API ${version.name} is deprecated${until}`);
+  }
   
-  // Setup Swagger documentation if enabled
+  // Register the models this version serves
+  const versionModels = models.map((model) => resolveModelVersion(model, version.name)).filter(Boolean);
+  versionModels.forEach((model) => {
+    registerModelRoutes(router, model, config);
+  });
+  
+  // Setup OpenAPI documentation, generated from the registered models, if enabled
   if (config.documentation) {
-    const swaggerOptions = {
-      definition: {
-        openapi: '3.0.0',
-        info: {
-          title: 'Universal Backend Engine API',
-          version: config.version,
-          description: 'Dynamic REST API generated by Universal Backend Engine',
-        },
-        servers: [
-          {
-            url: `${config.basePath}/${config.version}`,
-            description: 'API Server',
-          },
-        ],
-      },
-      apis: ['./src/models/**/*.js', './src/core/api-generators/rest.js'],
-    };
-    
-    const swaggerSpec = swaggerJsdoc(swaggerOptions);
-    router.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+    const spec = createOpenAPISpec(versionModels, config, version);
+    router.use('/docs', swaggerUi.serve, swaggerUi.setup(spec));
     
     // Endpoint to get the OpenAPI spec
     router.get('/docs.json', (req, res) => {
-      res.setHeader('Content-Type', 'application/json');
-      res.send(swaggerSpec);
+      res.json(spec);
     });
     
-    logger.info(`REST API documentation available at ${config.basePath}/${config.version}/docs`);
-  }
-  
-  // Dynamically load and register route handlers
-  const modelsDir = path.join(__dirname, '../../models');
-  if (fs.existsSync(modelsDir)) {
-    fs.readdirSync(modelsDir).forEach(file => {
-      if (file.endsWith('.js')) {
-        const model = require(path.join(modelsDir, file));
-        if (model.routes) {
-          // Register model routes
-          registerModelRoutes(router, model);
-        }
-      }
-    });
+    logger.info(`REST API documentation available at ${version.path}/docs`);
   }
   
-  // Register the router
-  app.use(`${config.basePath}/${config.version}`, router);
+  // Run several API requests in one round trip
+  router.post('/batch', createBatchHandler(router, config.batch));
+  
+  // Status of long-running operations
+  router.get('/operations/:id', createOperationHandler());
+  
+  // Error codes catalogue
+  router.get('/errors', (req, res) => {
+    res.json(getErrorCatalogue(req));
+  });
+  
+  router.get('/errors/:code', (req, res, next) => {
+    const entry = getErrorCatalogue(req).find(({ code }) => code === req.params.code);
+    return entry ? res.json(entry) : next(new NotFoundError(`Unknown error code ${req.params.code}`));
+  });
+  
+  // Unmatched API routes get a problem details 404 (see core/errors)
+  router.use(notFoundHandler);
   
   return router;
 }
 
 /**
  * Register routes for a model
+ * Declarative models get generated CRUD handlers; hand-written routes override them
+ * @param {object} config - REST API configuration (idempotency defaults)
  */
-function registerModelRoutes(router, model) {
-  const { name, routes, middlewares = {} } = model;
+function registerModelRoutes(router, model, config = {}) {
+  const { name, middlewares = {} } = model;
+  const generated = isDeclarative(model) ? { ...createCrudHandlers(model), bulk: createBulkHandler(model) } : {};
+  const routes = { ...generated, ...model.routes };
   const basePath = `/${name.toLowerCase()}`;
+  const idempotency = applyMiddleware(createModelIdempotency(model, config.idempotency));
+  // Per-version request and response transformers of generated routes (see ./versions)
+  const transform = applyMiddleware(model.transform && createTransformMiddleware(model.transform));
+  const bulkTransform = applyMiddleware(model.transform && createTransformMiddleware(model.transform, { bulk: true }));
+  // Response formats of generated routes (see core/formats); hand-written routes negotiate their own
+  const formats = (route, supported = ['json', 'msgpack']) => applyMiddleware(
+    routes[route] === generated[route] && createFormatMiddleware(supported)
+  );
   
   // Apply model-specific middleware if available
   const modelRouter = express.Router();
@@ -76,36 +140,74 @@ function registerModelRoutes(router, model) {
     modelRouter.use(middlewares.all);
   }
   
+  // Register custom routes first so they aren't shadowed by /:id
+  if (routes.custom) {
+    routes.custom.forEach((route) => {
+      const { method, path: routePath, handler, middleware } = route;
+      modelRouter[method.toLowerCase()](
+        routePath, 
+        applyMiddleware(middleware), 
+        idempotency,
+        handler
+      );
+    });
+  }
+  
+  // Bulk writes need every permission the individual writes would
+  if (routes.bulk) {
+    const bulkMiddleware = middlewares.bulk ||
+      [...new Set([middlewares.create, middlewares.update, middlewares.delete].flat().filter(Boolean))];
+    modelRouter.post('/bulk', bulkMiddleware, idempotency, bulkTransform, routes.bulk);
+  }
+  
   // Register CRUD routes if they exist in the model
   if (routes.getAll) {
-    modelRouter.get('/', applyMiddleware(middlewares.getAll), routes.getAll);
+    const listFormats = formats('getAll', ['json', 'msgpack', 'csv', 'ndjson']);
+    modelRouter.get('/', applyMiddleware(middlewares.getAll), listFormats, transform, routes.getAll);
+  }
+  
+  // Full-text search, registered before /:id so it isn't taken for an ID (see core/search)
+  if (model.search && routes.search) {
+    const searchMiddleware = applyMiddleware(middlewares.search || middlewares.getAll);
+    modelRouter.get('/search', searchMiddleware, formats('search'), transform, routes.search);
   }
   
   if (routes.getById) {
-    modelRouter.get('/:id', applyMiddleware(middlewares.getById), routes.getById);
+    modelRouter.get('/:id', applyMiddleware(middlewares.getById), formats('getById'), transform, routes.getById);
   }
   
   if (routes.create) {
-    modelRouter.post('/', applyMiddleware(middlewares.create), routes.create);
+    const createMiddleware = applyMiddleware(middlewares.create);
+    modelRouter.post('/', createMiddleware, formats('create'), idempotency, transform, routes.create);
   }
   
   if (routes.update) {
-    modelRouter.put('/:id', applyMiddleware(middlewares.update), routes.update);
+    const updateMiddleware = applyMiddleware(middlewares.update);
+    modelRouter.put('/:id', updateMiddleware, formats('update'), idempotency, transform, routes.update);
+  }
+  
+  // Partial updates are guarded like full updates unless the model says otherwise
+  if (routes.patch) {
+    const patchMiddleware = applyMiddleware(middlewares.patch || middlewares.update);
+    modelRouter.patch('/:id', patchMiddleware, formats('patch'), idempotency, transform, routes.patch);
   }
   
   if (routes.delete) {
-    modelRouter.delete('/:id', applyMiddleware(middlewares.delete), routes.delete);
+    modelRouter.delete('/:id', applyMiddleware(middlewares.delete), idempotency, routes.delete);
+  }
+
+  // Deleted records can be restored until purged (see core/database/soft-delete)
+  if (model.softDelete && routes.restore) {
+    const restoreMiddleware = applyMiddleware(middlewares.restore || middlewares.delete);
+    modelRouter.post('/:id/restore', restoreMiddleware, formats('restore'), idempotency, transform, routes.restore);
   }
   
-  // Register custom routes if they exist
-  if (routes.custom) {
-    routes.custom.forEach(route => {
-      const { method, path: routePath, handler, middleware } = route;
-      modelRouter[method.toLowerCase()](
-        routePath, 
-        applyMiddleware(middleware), 
-        handler
-      );
+  // File fields are uploaded and downloaded through their own routes (see ./files)
+  if (isDeclarative(model)) {
+    registerFileRoutes(modelRouter, model, {
+      read: [applyMiddleware(middlewares.getById)],
+      write: [applyMiddleware(middlewares.files || middlewares.update)],
+      upload: [createFormatMiddleware(['json', 'msgpack']), transform]
     });
   }
   
@@ -114,6 +216,48 @@ function registerModelRoutes(router, model) {
   logger.debug(`Registered REST routes for model: ${name}`);
 }
 
+/**
+ * Generate the OpenAPI document for the models registered in a version
+ * Routes without a schema are logged, or fail startup in strict mode (openapi.strict)
+ */
+function createOpenAPISpec(models, config, version = getVersions(config)[0]) {
+  const options = config.openapi || {};
+  const { spec, undocumented } = generateOpenAPISpec(models, {
+    version: version.name,
+    serverUrl: version.path,
+    deprecated: Boolean(version.deprecated || version.sunset),
+    sunset: version.sunset,
+    apiKeyHeader: options.apiKeyHeader,
+    idempotency: config.idempotency
+  });
+  
+  if (undocumented.length > 0) {
+    const message = `Routes without an OpenAPI schema in ${version.name}: ${undocumented.join(', ')}`;
+    
+    if (options.strict) {
+      throw new Error(message);
+    }
+    
+    logger.warn(message);
+  }
+  
+  return spec;
+}
+
+/**
+ * Create the Idempotency-Key middleware for a model's unsafe routes
+ * Models can opt out (idempotency: false) or override the REST API defaults
+ */
+function createModelIdempotency(model, defaults = {}) {
+  const settings = model.idempotency === undefined ? defaults : model.idempotency;
+
+  if (!settings || settings.enabled === false) {
+    return null;
+  }
+
+  return createIdempotencyMiddleware({ ...defaults, ...(typeof settings === 'object' ? settings : {}) });
+}
+
 /**
  * Helper to apply middleware if it exists
  */
@@ -122,5 +266,8 @@ function applyMiddleware(middleware) {
 }
 
 module.exports = {
-  setupRESTApi
+  setupRESTApi,
+  createVersionRouter,
+  registerModelRoutes,
+  createOpenAPISpec
 }; 
\ No newline at end of file
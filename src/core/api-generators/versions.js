@@ -0,0 +1,208 @@
+const { normalizeModel } = require('../models');
+const { JSON_PATCH, getPatchType } = require('../patch');
+
+/**
+ * API versions
+ *
+ * Several versions of the REST API are mounted side by side, each under
+ * `${basePath}/${name}` with its own router and OpenAPI document:
+ *
+ *   versions: {
+ *     v1: { deprecated: '2026-09-01', sunset: '2027-03-01', link: 'https://example.com/docs/migrate-to-v2' },
+ *     v2: {}
+ *   }
+ *
+ * Deprecated versions answer with Deprecation (RFC 9745), Sunset (RFC 8594)
+ * and a successor-version Link. Models decide what each version serves:
+ *
+ *   versions: {
+ *     v1: {
+ *       routes: { ... },                  // hand-written routes for this version only
+ *       middlewares: { ... },
+ *       transform: {
+ *         request: (body, req) => body,     // this version's body -> current shape
+ *         response: (record, req) => record // current record -> this version's shape
+ *       },
+ *       fields: { ... }                     // fields as this version exposes them (documentation)
+ *     },
+ *     v3: false                             // not served in v3
+ *   }
+ */
+
+/**
+ * Get the configured API versions, oldest first
+ * Without a versions map the single configured version is served
+ * @returns {Array} [{ name, path, deprecated, sunset, link, successor }]
+ */
+function getVersions(config) {
+  const entries = Object.entries(config.versions || { [config.version]: {} });
+
+  return entries.map(([name, options = {}], i) => {
+    const next = entries[i + 1];
+
+    return {
+      name,
+      path: `${config.basePath}/${name}`,
+      deprecated: parseDate(options.deprecated, name, 'deprecated'),
+      sunset: parseDate(options.sunset, name, 'sunset'),
+      link: options.link,
+      successor: next ? `${config.basePath}/${next[0]}` : null
+    };
+  });
+}
+
+/**
+ * Parse a version lifecycle date
+ */
+function parseDate(value, version, option) {
+  if (value === undefined || value === null || value === false) {
+    return null;
+  }
+
+  const date = new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${option} date for API version ${version}: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Create middleware announcing that a version is deprecated
+ * @returns {Function|null} Express middleware, or null if the version isn't deprecated
+ */
+function createDeprecationMiddleware(version) {
+  if (!version.deprecated && !version.sunset) {
+    return null;
+  }
+
+  return (req, res, next) => {
+    if (version.deprecated) {
+      res.set('Deprecation', `@${Math.floor(version.deprecated.getTime() / 1000)}`);
+    }
+
+    if (version.sunset) {
+      res.set('Sunset', version.sunset.toUTCString());
+    }
+
+    if (version.successor) {
+      res.append('Link', `<${version.successor}>; rel="successor-version"`);
+    }
+
+    if (version.link) {
+      res.append('Link', `<${version.link}>; rel="deprecation"`);
+    }
+
+    next();
+  };
+}
+
+/**
+ * Get a model as served by an API version
+ * Version-specific routes and middlewares override the model's own; custom
+ * routes are replaced by method and path
+ * @returns {object|null} The model for the version, or null if the version doesn't serve it
+ */
+function resolveModelVersion(model, version) {
+  const overrides = model.versions && model.versions[version];
+
+  if (overrides === false) {
+    return null;
+  }
+
+  if (!overrides) {
+    return model;
+  }
+
+  const routes = model.routes || overrides.routes ? { ...model.routes, ...overrides.routes } : undefined;
+  const custom = mergeCustomRoutes((model.routes || {}).custom, (overrides.routes || {}).custom);
+
+  if (custom) {
+    routes.custom = custom;
+  }
+
+  return {
+    ...model,
+    routes,
+    middlewares: { ...model.middlewares, ...overrides.middlewares },
+    transform: overrides.transform,
+    documentedModel: overrides.fields ? normalizeModel({ ...model, fields: overrides.fields }) : undefined
+  };
+}
+
+/**
+ * Merge a version's custom routes into the model's
+ */
+function mergeCustomRoutes(base, overrides) {
+  if (!overrides) {
+    return base;
+  }
+
+  const key = (route) => `${route.method.toUpperCase()} ${route.path}`;
+  const replaced = new Set(overrides.map(key));
+
+  return [...(base || []).filter((route) => !replaced.has(key(route))), ...overrides];
+}
+
+/**
+ * Create middleware applying a version's transformers to a generated route
+ * Request bodies are converted to the current shape before validation and
+ * records in successful responses to the version's shape
+ * @param {object} transform - { request, response }
+ * @param {object} options - { bulk: the route takes and returns bulk bodies }
+ */
+function createTransformMiddleware(transform, options = {}) {
+  const isRecord = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const toCurrent = (body, req) => (transform.request && isRecord(body) ? transform.request(body, req) : body);
+  const toVersion = (record, req) => (
+    transform.response && isRecord(record) ? transform.response(record, req) : record
+  );
+
+  return (req, res, next) => {
+    // JSON Patch operations address the current representation
+    if (['POST', 'PUT', 'PATCH'].includes(req.method) && getPatchType(req) !== JSON_PATCH) {
+      if (options.bulk) {
+        ['create', 'update'].forEach((type) => {
+          if (Array.isArray(req.body && req.body[type])) {
+            req.body[type] = req.body[type].map((item) => toCurrent(item, req));
+          }
+        });
+      } else {
+        req.body = toCurrent(req.body, req);
+      }
+    }
+
+    // Streamed list responses convert records one by one (see core/formats)
+    res.locals.transformRecord = (record) => toVersion(record, req);
+
+    const json = res.json;
+
+    res.json = function (body) {
+      if (res.statusCode >= 400) {
+        return json.call(this, body);
+      }
+
+      if (options.bulk && body && body.results) {
+        Object.values(body.results).forEach((results) => {
+          results.filter((result) => result.data).forEach((result) => {
+            result.data = toVersion(result.data, req);
+          });
+        });
+        return json.call(this, body);
+      }
+
+      const converted = Array.isArray(body) ? body.map((record) => toVersion(record, req)) : toVersion(body, req);
+      return json.call(this, converted);
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  getVersions,
+  createDeprecationMiddleware,
+  resolveModelVersion,
+  createTransformMiddleware
+};
@@ -1,11 +1,13 @@
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
+const { toResource } = require('../operations');
 
 /**
  * Setup WebSocket handlers
+ * @param {OperationManager} operations - Optional, to stream the progress of long-running operations
  */
-function setupWebSockets(io, config) {
+function setupWebSockets(io, config, operations) {
   // Authentication middleware for Socket.IO
   io.use((socket, next) => {
     const token = socket.handshake.auth.token;
@@ -39,8 +41,19 @@ function setupWebSockets(io, config) {
     
     // Dynamically register event handlers from models
     registerModelEventHandlers(socket);
+    
+    if (operations) {
+      registerOperationHandlers(socket, operations);
+    }
   });
   
+  // Push operation changes to the clients following them
+  if (operations) {
+    operations.on('update', (operation) => {
+      io.to(`operation:${operation.id}`).emit('operation:update', toResource(operation));
+    });
+  }
+  
   logger.info('WebSocket server initialized');
   return io;
 }
@@ -79,6 +92,36 @@ function registerModelEventHandlers(socket) {
   }
 }
 
+/**
+ * Let clients follow the operations they started
+ *
+ *   socket.emit('operation:subscribe', id, ({ success, data }) => ...)  // data is the current state
+ *   socket.on('operation:update', (operation) => ...)
+ */
+function registerOperationHandlers(socket, operations) {
+  socket.on('operation:subscribe', async (id, callback) => {
+    const reply = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const operation = await operations.get(id);
+
+      if (!operation || operation.owner.user !== socket.user.id) {
+        return reply({ success: false, error: `Operation ${id} not found` });
+      }
+
+      socket.join(`operation:${id}`);
+      reply({ success: true, data: toResource(operation) });
+    } catch (error) {
+      logger.error(`Error subscribing to operation ${id}:`, error);
+      reply({ success: false, error: error.message });
+    }
+  });
+
+  socket.on('operation:unsubscribe', (id) => {
+    socket.leave(`operation:${id}`);
+  });
+}
+
 module.exports = {
   setupWebSockets
 }; 
\ No newline at end of file
@@ -3,6 +3,7 @@ const { Strategy: JwtStrategy, ExtractJwt } = require('passport-jwt');
 const { Strategy: OAuth2Strategy } = require('passport-oauth2');
 const jwt = require('jsonwebtoken');
 const logger = require('../utils/logger');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
 
 /**
  * Setup authentication middleware and strategies
@@ -89,20 +90,41 @@ function setupOAuth2Strategies(config) {
   // Add other OAuth2 providers here as needed
 }
 
+/**
+ * Passport strategy authenticating requests by an API key header
+ * passport.Strategy is abstract: strategies implement authenticate()
+ */
+class ApiKeyStrategy extends passport.Strategy {
+  constructor(header, verify) {
+    super();
+    this.name = 'api-key';
+    this.header = header.toLowerCase();
+    this.verify = verify;
+  }
+  
+  authenticate(req) {
+    const apiKey = req.headers[this.header];
+    
+    if (!apiKey) {
+      return this.fail(401);
+    }
+    
+    this.verify(apiKey, (error, user) => {
+      if (error) {
+        return this.error(error);
+      }
+      
+      return user ? this.success(user) : this.fail(401);
+    });
+  }
+}
+
 /**
  * Setup API Key authentication strategy
  */
 function setupApiKeyStrategy(config) {
-  passport.use('api-key', new passport.Strategy({
-    passReqToCallback: true
-  }, async (req, done) => {
+  passport.use('api-key', new ApiKeyStrategy(config.header, async (apiKey, done) => {
     try {
-      const apiKey = req.headers[config.header.toLowerCase()];
-      
-      if (!apiKey) {
-        return done(null, false);
-      }
-      
       // In a real implementation, you would validate the API key against your database
       // For now, we'll just check if it's not empty
       if (apiKey) {
@@ -211,7 +233,7 @@ function isAuthenticated(req, res, next) {
     }
     
     if (!user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+      return next(new UnauthorizedError('Authentication is required'));
     }
     
     req.user = user;
@@ -219,22 +241,82 @@ function isAuthenticated(req, res, next) {
   })(req, res, next);
 }
 
+// Lets generated API documentation mark routes guarded by this middleware as secured
+isAuthenticated.authentication = true;
+
+/**
+ * Middleware identifying the user when credentials are sent, without requiring them
+ * Requests without valid credentials carry on anonymously; routes that need a
+ * user still check with isAuthenticated
+ */
+function identifyUser(req, res, next) {
+  passport.authenticate(['jwt', 'api-key'], { session: false }, (err, user) => {
+    if (user) {
+      req.user = user;
+    }
+
+    return next();
+  // Strategies that aren't enabled fail like missing credentials
+  })(req, res, () => next());
+}
+
+/**
+ * Check that a user has one of the required roles, e.g. outside Express
+ * middleware (see the GraphQL directives in api-generators/graphql-directives)
+ * @throws {UnauthorizedError} Without a user
+ * @throws {ForbiddenError} If the user has none of the roles
+ */
+function checkRoles(user, roles) {
+  if (!user) {
+    throw new UnauthorizedError('Authentication is required');
+  }
+  
+  const userRoles = user.roles || [];
+  const hasRequiredRole = roles.some((role) => userRoles.includes(role));
+  
+  if (!hasRequiredRole) {
+    throw new ForbiddenError(`One of these roles is required: ${roles.join(', ')}`);
+  }
+}
+
 /**
  * Middleware to check if the user has the required roles
  */
 function hasRoles(roles) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ error: 'Unauthorized' });
+  const middleware = (req, res, next) => {
+    try {
+      checkRoles(req.user, roles);
+    } catch (error) {
+      return next(error);
     }
     
-    const userRoles = req.user.roles || [];
-    const hasRequiredRole = roles.some(role => userRoles.includes(role));
-    
-    if (!hasRequiredRole) {
-      return res.status(403).json({ error: 'Forbidden' });
+    return next();
+  };
+  
+  // Documented as the roles the route requires
+  middleware.roles = roles;
+  
+  return middleware;
+}
+
+/**
+ * Middleware letting users act on their own user record (the route's :id),
+ * and users with one of the roles on any record
+ * Routes without an ID (e.g. bulk routes, GraphQL and gRPC calls) need one of the roles
+ */
+function isSelfOrHasRoles(roles) {
+  return (req, res, next) => {
+    if (req.user && req.params && req.params.id !== undefined && String(req.params.id) === String(req.user.id)) {
+      return next();
     }
-    
+
+    try {
+      checkRoles(req.user, roles);
+    } catch (error) {
+      const forbidden = new ForbiddenError(`Only the user or one of these roles has access: ${roles.join(', ')}`);
+      return next(error.status === 403 ? forbidden : error);
+    }
+
     return next();
   };
 }
@@ -242,5 +324,8 @@ function hasRoles(roles) {
 module.exports = {
   setupAuthentication,
   isAuthenticated,
-  hasRoles
+  identifyUser,
+  checkRoles,
+  hasRoles,
+  isSelfOrHasRoles
 }; 
\ No newline at end of file
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const { ApiError } = require('../errors');
+
+/**
+ * Entity tags and conditional request helpers (RFC 9110)
+ * Shared by generated model routes and the cache middleware so both
+ * produce the same ETag for the same representation
+ */
+
+/**
+ * Error raised when an If-Match precondition doesn't hold
+ */
+class PreconditionFailedError extends ApiError {
+  constructor(message) {
+    super('PRECONDITION_FAILED', message);
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+/**
+ * Create a strong ETag from a hash of a JSON response body
+ */
+function hashETag(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `"${hash}"`;
+}
+
+/**
+ * Get the ETag of a record: its version column if the model has one,
+ * otherwise a hash of the representation returned to clients
+ */
+function getETag(model, resource) {
+  if (model.versionField && resource[model.versionField] !== undefined && resource[model.versionField] !== null) {
+    return `"v${resource[model.versionField]}"`;
+  }
+
+  return hashETag(resource);
+}
+
+/**
+ * Parse an If-Match or If-None-Match header into a list of entity tags
+ */
+function parseETags(header) {
+  return header.split(',').map((tag) => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Check a request's If-None-Match header (weak comparison)
+ * @returns {boolean} True if the client's copy is current and 304 can be returned
+ */
+function isNotModified(req, etag) {
+  const header = req.get('If-None-Match');
+
+  if (!header || !etag) {
+    return false;
+  }
+
+  const opaque = (tag) => tag.replace(/^W\//, '');
+  return parseETags(header).some((tag) => tag === '*' || opaque(tag) === opaque(etag));
+}
+
+/**
+ * Check a request's If-Match header (strong comparison)
+ * @returns {boolean} True if there is no If-Match header or it matches the current ETag
+ */
+function matchesIfMatch(req, etag) {
+  const header = req.get('If-Match');
+
+  if (!header) {
+    return true;
+  }
+
+  return parseETags(header).some((tag) => tag === '*' || (!tag.startsWith('W/') && tag === etag));
+}
+
+module.exports = {
+  PreconditionFailedError,
+  hashETag,
+  getETag,
+  isNotModified,
+  matchesIfMatch
+};
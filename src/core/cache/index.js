@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { hashETag, isNotModified } = require('./etag');
 
 /**
  * Cache manager for Universal Backend Engine
@@ -128,6 +129,7 @@ class CacheManager {
   
   /**
    * Create a middleware for caching REST API responses
+   * Cached responses keep their ETag and answer If-None-Match with 304
    */
   createMiddleware(namespace, ttl = this.ttl) {
     return async (req, res, next) => {
@@ -140,15 +142,23 @@ class CacheManager {
         return next();
       }
       
-      // Generate cache key from URL
-      const id = req.originalUrl;
+      // Generate cache key from URL and Accept header, as routes may negotiate the format
+      const accept = req.get('Accept');
+      const id = accept ? `${req.originalUrl}|${accept}` : req.originalUrl;
       
       try {
         // Try to get from cache
-        const cachedData = await this.get(namespace, id);
+        const cached = await this.get(namespace, id);
         
-        if (cachedData !== null) {
-          return res.json(cachedData);
+        if (cached !== null) {
+          // Serve the ETag the response was cached with so clients can revalidate
+          res.set('ETag', cached.etag);
+          
+          if (isNotModified(req, cached.etag)) {
+            return res.status(304).end();
+          }
+          
+          return res.json(cached.data);
         }
         
         // Store original res.json method
@@ -159,8 +169,12 @@ class CacheManager {
           // Restore original method
           res.json = originalJson;
           
+          // Keep the route's ETag (e.g. a model version) or derive one from the body
+          const etag = res.get('ETag') || hashETag(data);
+          res.set('ETag', etag);
+          
           // Cache the response
-          this.set(namespace, id, data, ttl);
+          this.set(namespace, id, { etag, data }, ttl);
           
           // Call original method
           return res.json(data);
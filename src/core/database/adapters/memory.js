@@ -0,0 +1,252 @@
+const { toConditions, likeToRegExp } = require('../../query');
+const { keysetFilters } = require('../../query/cursor');
+const { parseSearchText, highlightRecord } = require('../../search');
+
+/**
+ * Compare a stored value with a filter value, tolerating string IDs from URLs
+ */
+function equals(stored, expected) {
+  if (stored === expected) {
+    return true;
+  }
+
+  if (stored instanceof Date || expected instanceof Date) {
+    return compare(stored, expected) === 0;
+  }
+
+  return stored !== null && stored !== undefined && expected !== null && expected !== undefined &&
+    typeof stored !== 'object' && String(stored) === String(expected);
+}
+
+/**
+ * Order two values (-1, 0, 1), treating dates and date strings alike
+ */
+function compare(a, b) {
+  const isDate = a instanceof Date || b instanceof Date;
+  const left = isDate ? new Date(a).getTime() : a;
+  const right = isDate ? new Date(b).getTime() : b;
+
+  if (left === right) {
+    return 0;
+  }
+
+  return left < right ? -1 : 1;
+}
+
+/**
+ * Sort order of two stored values, with missing values first
+ */
+function sortOrder(a, b) {
+  const aMissing = a === null || a === undefined;
+  const bMissing = b === null || b === undefined;
+
+  if (aMissing || bMissing) {
+    return aMissing === bMissing ? 0 : (aMissing ? -1 : 1);
+  }
+
+  return compare(a, b);
+}
+
+/**
+ * Evaluate a single filter condition (see core/query) against a value
+ */
+function test(value, op, operand) {
+  const isMissing = value === null || value === undefined;
+
+  switch (op) {
+  case 'eq':
+    return operand === null ? isMissing : equals(value, operand);
+  case 'ne':
+    return operand === null ? !isMissing : !equals(value, operand);
+  case 'gt':
+    return !isMissing && compare(value, operand) > 0;
+  case 'gte':
+    return !isMissing && compare(value, operand) >= 0;
+  case 'lt':
+    return !isMissing && compare(value, operand) < 0;
+  case 'lte':
+    return !isMissing && compare(value, operand) <= 0;
+  case 'in':
+    return operand.some((item) => equals(value, item));
+  case 'nin':
+    return !operand.some((item) => equals(value, item));
+  case 'like':
+    return !isMissing && likeToRegExp(operand).test(String(value));
+  case 'null':
+    return operand ? isMissing : !isMissing;
+  default:
+    throw new Error(`Unsupported filter operator: ${op}`);
+  }
+}
+
+/**
+ * In-memory adapter for model repositories, backed by the mock database client
+ */
+class MemoryAdapter {
+  constructor(model, client) {
+    this.model = model;
+    this.client = client;
+    this.rows = client.table(model.table);
+  }
+
+  /**
+   * Check whether a row matches a filter and optional keyset
+   */
+  matches(row, filter, keyset = null) {
+    const matchesFilter = (conditionFilter) => {
+      return toConditions(conditionFilter).every(({ field, op, value }) => test(row[field], op, value));
+    };
+
+    return matchesFilter(filter) && (!keyset || keysetFilters(keyset).some(matchesFilter));
+  }
+
+  /**
+   * Find records
+   */
+  async find({ filter = {}, sort = [], fields = null, keyset = null, limit, offset = 0 } = {}) {
+    let rows = this.rows.filter((row) => this.matches(row, filter, keyset));
+
+    if (sort.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { field, direction } of sort) {
+          const order = sortOrder(a[field], b[field]);
+
+          if (order !== 0) {
+            return direction === 'desc' ? -order : order;
+          }
+        }
+
+        return 0;
+      });
+    }
+
+    const end = limit !== undefined ? offset + limit : undefined;
+    return rows.slice(offset, end).map((row) => (fields ? pick(row, fields) : { ...row }));
+  }
+
+  /**
+   * Count records
+   */
+  async count({ filter = {} } = {}) {
+    return this.rows.filter((row) => this.matches(row, filter)).length;
+  }
+
+  /**
+   * Search records with the mock database's in-process index, most relevant first
+   * @param {object} query - { text, filter, fields, limit, offset }
+   * @returns {object} { hits: [{ record, score, highlights }], total }
+   */
+  async search({ text, filter = {}, fields = null, limit, offset = 0 }) {
+    const { primaryKey, search } = this.model;
+    const parsed = parseSearchText(text);
+    const scores = this.client.searchIndex(this.model).search(parsed);
+
+    const matches = this.rows
+      .filter((row) => scores.has(String(row[primaryKey])) && this.matches(row, filter))
+      .map((row) => ({ row, score: scores.get(String(row[primaryKey])) }))
+      .sort((a, b) => b.score - a.score || sortOrder(a.row[primaryKey], b.row[primaryKey]));
+
+    const end = limit !== undefined ? offset + limit : undefined;
+
+    return {
+      total: matches.length,
+      hits: matches.slice(offset, end).map(({ row, score }) => ({
+        record: fields ? pick(row, fields) : { ...row },
+        score,
+        highlights: highlightRecord(row, search, parsed)
+      }))
+    };
+  }
+
+  /**
+   * Insert a record
+   */
+  async insert(data) {
+    const { primaryKey } = this.model;
+    const row = { ...data };
+
+    if (row[primaryKey] === undefined) {
+      row[primaryKey] = this.client.nextId(this.model.table);
+    }
+
+    this.rows.push(row);
+    this.client.reindex(this.model.table, row[primaryKey], row);
+    return { ...row };
+  }
+
+  /**
+   * Find a record by primary key
+   */
+  async findById(id) {
+    const row = this.rows.find((item) => equals(item[this.model.primaryKey], id));
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Update a record by primary key
+   */
+  async update(id, data) {
+    const row = this.rows.find((item) => equals(item[this.model.primaryKey], id));
+
+    if (!row) {
+      return null;
+    }
+
+    Object.assign(row, data);
+    this.client.reindex(this.model.table, row[this.model.primaryKey], row);
+    return { ...row };
+  }
+
+  /**
+   * Run a callback in a transaction (see MockDatabaseClient#transaction)
+   */
+  async transaction(callback) {
+    return this.client.transaction(callback);
+  }
+
+  /**
+   * Delete a record by primary key
+   */
+  async delete(id) {
+    const index = this.rows.findIndex((item) => equals(item[this.model.primaryKey], id));
+
+    if (index === -1) {
+      return false;
+    }
+
+    const [row] = this.rows.splice(index, 1);
+    this.client.reindex(this.model.table, row[this.model.primaryKey], null);
+    return true;
+  }
+
+  /**
+   * Delete every record matching a filter
+   * @returns {number} Number of records deleted
+   */
+  async deleteMany(filter) {
+    const kept = this.rows.filter((row) => !this.matches(row, filter));
+    const deleted = this.rows.filter((row) => !kept.includes(row));
+
+    // Replace rows in place so other adapters on the table see the change
+    this.rows.splice(0, this.rows.length, ...kept);
+    deleted.forEach((row) => this.client.reindex(this.model.table, row[this.model.primaryKey], null));
+    return deleted.length;
+  }
+}
+
+/**
+ * Copy the selected fields of a row
+ */
+function pick(row, fields) {
+  const selected = {};
+  fields.forEach((field) => {
+    if (row[field] !== undefined) {
+      selected[field] = row[field];
+    }
+  });
+  return selected;
+}
+
+module.exports = {
+  MemoryAdapter
+};
@@ -0,0 +1,337 @@
+const { ObjectId } = require('mongodb');
+const { toConditions, likeToRegExp } = require('../../query');
+const { keysetFilters } = require('../../query/cursor');
+const { parseSearchText, highlightRecord } = require('../../search');
+
+// Mapping from query operators to MongoDB operators
+const MONGO_OPERATORS = {
+  eq: '$eq',
+  ne: '$ne',
+  gt: '$gt',
+  gte: '$gte',
+  lt: '$lt',
+  lte: '$lte',
+  in: '$in',
+  nin: '$nin'
+};
+
+// Text index weights matching the search weights (see core/search)
+const TEXT_WEIGHTS = { A: 10, B: 4, C: 2, D: 1 };
+
+// Collections whose text index this process has created
+const textIndexes = new Set();
+
+/**
+ * MongoDB adapter for model repositories
+ */
+class MongoAdapter {
+  constructor(model, client) {
+    this.model = model;
+    this.client = client;
+    this.collection = client.collection(model.collection);
+    // Operations join the client's session when it is bound to a transaction
+    this.options = client.session ? { session: client.session } : {};
+  }
+
+  /**
+   * Convert a public ID into a MongoDB _id
+   */
+  toObjectId(id) {
+    return typeof id === 'string' && ObjectId.isValid(id) && id.length === 24 ? new ObjectId(id) : id;
+  }
+
+  /**
+   * Translate a filter (see core/query) and optional keyset into a MongoDB
+   * query, mapping the model's primary key onto _id
+   */
+  toQuery(filter, keyset = null) {
+    const query = {};
+
+    if (keyset) {
+      query.$or = keysetFilters(keyset).map((group) => this.toQuery(group));
+    }
+
+    toConditions(filter).forEach(({ field, op, value }) => {
+      const isKey = field === this.model.primaryKey;
+      const key = isKey ? '_id' : field;
+      const operand = isKey ? toArray(value).map((item) => this.toObjectId(item)) : toArray(value);
+      const condition = query[key] || {};
+
+      if (op === 'like') {
+        condition.$regex = likeToRegExp(value);
+      } else if (op === 'null') {
+        condition[value ? '$eq' : '$ne'] = null;
+      } else {
+        condition[MONGO_OPERATORS[op]] = Array.isArray(value) ? operand : operand[0];
+      }
+
+      query[key] = condition;
+    });
+
+    return query;
+  }
+
+  /**
+   * Map a record onto a document to store
+   */
+  toDocument(data) {
+    const { [this.model.primaryKey]: id, ...doc } = data;
+
+    if (id !== undefined) {
+      doc._id = this.toObjectId(id);
+    }
+
+    return doc;
+  }
+
+  /**
+   * Map a stored document onto the model's shape
+   */
+  toRecord(doc) {
+    if (!doc) {
+      return null;
+    }
+
+    const { _id, ...rest } = doc;
+    return { [this.model.primaryKey]: String(_id), ...rest };
+  }
+
+  /**
+   * Create a cursor over the records matching a query
+   */
+  cursor({ filter = {}, sort = [], fields = null, keyset = null, limit, offset } = {}) {
+    let cursor = this.collection.find(this.toQuery(filter, keyset), this.options);
+
+    if (fields) {
+      const projection = {};
+      fields.filter((field) => field !== this.model.primaryKey).forEach((field) => {
+        projection[field] = 1;
+      });
+      cursor = cursor.project(projection);
+    }
+
+    if (sort.length > 0) {
+      const sortSpec = {};
+      sort.forEach(({ field, direction }) => {
+        sortSpec[field === this.model.primaryKey ? '_id' : field] = direction === 'desc' ? -1 : 1;
+      });
+      cursor = cursor.sort(sortSpec);
+    }
+
+    if (offset) {
+      cursor = cursor.skip(offset);
+    }
+
+    if (limit !== undefined) {
+      cursor = cursor.limit(limit);
+    }
+
+    return cursor;
+  }
+
+  /**
+   * Find records
+   */
+  async find(query = {}) {
+    const docs = await this.cursor(query).toArray();
+    return docs.map((doc) => this.toRecord(doc));
+  }
+
+  /**
+   * Read records from a cursor in batches
+   * @returns {AsyncGenerator<Array>}
+   */
+  async* stream({ batchSize, ...query }) {
+    const cursor = this.cursor(query).batchSize(batchSize);
+    let batch = [];
+
+    try {
+      for await (const doc of cursor) {
+        batch.push(this.toRecord(doc));
+
+        if (batch.length >= batchSize) {
+          yield batch;
+          batch = [];
+        }
+      }
+
+      if (batch.length > 0) {
+        yield batch;
+      }
+    } finally {
+      await cursor.close();
+    }
+  }
+
+  /**
+   * Count records
+   */
+  async count({ filter = {} } = {}) {
+    return this.collection.countDocuments(this.toQuery(filter), this.options);
+  }
+
+  /**
+   * Search records with the collection's text index, created on first use, most relevant first
+   * Words are required by searching for each as a phrase; highlights are built
+   * here as MongoDB doesn't make them
+   * @param {object} query - { text, filter, fields, limit, offset }
+   * @returns {object} { hits: [{ record, score, highlights }], total }
+   */
+  async search({ text, filter = {}, fields = null, limit, offset }) {
+    const { search } = this.model;
+    const parsed = parseSearchText(text);
+    const required = [...parsed.terms.map((word) => [word]), ...parsed.phrases];
+
+    // Only excluding words matches nothing, as with PostgreSQL
+    if (required.length === 0) {
+      return { hits: [], total: 0 };
+    }
+
+    await this.ensureTextIndex();
+
+    const query = {
+      ...this.toQuery(filter),
+      $text: {
+        $search: [...required.map((words) => `"${words.join(' ')}"`), ...parsed.excluded.map((word) => `-${word}`)]
+          .join(' '),
+        $language: toTextLanguage(search.language)
+      }
+    };
+    const projection = { _searchScore: { $meta: 'textScore' } };
+
+    (fields || []).filter((field) => field !== this.model.primaryKey).forEach((field) => {
+      projection[field] = 1;
+    });
+
+    let cursor = this.collection.find(query, { ...this.options, projection })
+      .sort({ _searchScore: { $meta: 'textScore' }, _id: 1 });
+
+    if (offset) {
+      cursor = cursor.skip(offset);
+    }
+
+    if (limit !== undefined) {
+      cursor = cursor.limit(limit);
+    }
+
+    const [docs, total] = await Promise.all([cursor.toArray(), this.collection.countDocuments(query, this.options)]);
+
+    return {
+      total,
+      hits: docs.map(({ _searchScore: score, ...doc }) => {
+        const record = this.toRecord(doc);
+        return { record, score, highlights: highlightRecord(record, search, parsed) };
+      })
+    };
+  }
+
+  /**
+   * Create the text index of the model's searchable fields
+   */
+  async ensureTextIndex() {
+    const { collection, search } = this.model;
+
+    if (textIndexes.has(collection)) {
+      return;
+    }
+
+    await this.collection.createIndex(
+      Object.fromEntries(search.fields.map(({ name }) => [name, 'text'])),
+      {
+        name: `${collection}_search`,
+        weights: Object.fromEntries(search.fields.map(({ name, weight }) => [name, TEXT_WEIGHTS[weight]])),
+        default_language: toTextLanguage(search.language)
+      }
+    );
+    textIndexes.add(collection);
+  }
+
+  /**
+   * Insert a record
+   */
+  async insert(data) {
+    const doc = this.toDocument(data);
+    const result = await this.collection.insertOne(doc, this.options);
+    return this.toRecord({ ...doc, _id: result.insertedId });
+  }
+
+  /**
+   * Find a record by primary key
+   */
+  async findById(id) {
+    const doc = await this.collection.findOne({ _id: this.toObjectId(id) }, this.options);
+    return this.toRecord(doc);
+  }
+
+  /**
+   * Update a record by primary key
+   */
+  async update(id, data) {
+    const result = await this.collection.updateOne({ _id: this.toObjectId(id) }, { $set: data }, this.options);
+
+    if (result.matchedCount === 0) {
+      return null;
+    }
+
+    return this.findById(id);
+  }
+
+  /**
+   * Run a callback in a transaction, passing it a client bound to the session
+   * Transactions need a replica set; clients without sessions run the callback directly
+   */
+  async transaction(callback) {
+    // Nested transactions join the session already in progress
+    if (this.client.session || typeof this.client.startSession !== 'function') {
+      return callback(this.client);
+    }
+
+    const session = this.client.startSession();
+    let result;
+
+    try {
+      // withTransaction retries the callback on transient write conflicts
+      await session.withTransaction(async () => {
+        result = await callback({ ...this.client, session });
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Delete a record by primary key
+   */
+  async delete(id) {
+    const result = await this.collection.deleteOne({ _id: this.toObjectId(id) }, this.options);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Delete every record matching a filter
+   * @returns {number} Number of records deleted
+   */
+  async deleteMany(filter) {
+    const result = await this.collection.deleteMany(this.toQuery(filter), this.options);
+    return result.deletedCount;
+  }
+}
+
+/**
+ * MongoDB name of a search language; PostgreSQL's `simple` (no stemming) is `none`
+ */
+function toTextLanguage(language) {
+  return language === 'simple' ? 'none' : language;
+}
+
+/**
+ * Wrap a single value in an array
+ */
+function toArray(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  MongoAdapter
+};
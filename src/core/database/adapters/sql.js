@@ -0,0 +1,362 @@
+const logger = require('../../utils/logger');
+const { toConditions } = require('../../query');
+const { keysetFilters } = require('../../query/cursor');
+const { HIGHLIGHT_START, HIGHLIGHT_STOP, HIGHLIGHT_MAX_WORDS, toHighlight } = require('../../search');
+
+// ts_headline options: matches are delimited for toHighlight, which escapes the text
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, ` +
+  `MaxWords=${HIGHLIGHT_MAX_WORDS}, MinWords=15`;
+
+// SQL dialect differences between the supported databases
+const DIALECTS = {
+  postgres: {
+    quote: (name) => `"${name.replace(/"/g, '""')}"`,
+    placeholder: (index) => `$${index}`,
+    like: 'ILIKE',
+    returning: true,
+    // NULLs sort after other values in ascending order
+    nullsLast: true
+  },
+  mysql: {
+    quote: (name) => `\`${name.replace(/`/g, '``')}\``,
+    placeholder: () => '?',
+    like: 'LIKE',
+    returning: false,
+    nullsLast: false
+  }
+};
+
+/**
+ * SQL adapter for model repositories (PostgreSQL and MySQL)
+ */
+class SqlAdapter {
+  constructor(model, client, dialect = 'postgres') {
+    this.model = model;
+    this.client = client;
+    this.dialect = DIALECTS[dialect] || DIALECTS.postgres;
+    this.table = this.dialect.quote(model.table);
+  }
+
+  /**
+   * Execute a query and normalize the result across drivers
+   */
+  async execute(sql, params = []) {
+    logger.debug(`Model query (${this.model.name}): ${sql}`);
+    const result = await this.client.query(sql, params);
+
+    // mysql2 resolves to [rows, fields]
+    if (Array.isArray(result)) {
+      const [rows] = result;
+      return Array.isArray(rows)
+        ? { rows, rowCount: rows.length }
+        : { rows: [], rowCount: rows.affectedRows, insertId: rows.insertId };
+    }
+
+    return { rows: result.rows || [], rowCount: result.rowCount };
+  }
+
+  /**
+   * Build a WHERE clause from a filter (see core/query) and an optional keyset
+   */
+  buildWhere(filter, params, keyset = null) {
+    const buildConditions = (conditionFilter) => toConditions(conditionFilter).map(({ field, op, value }) => {
+      return this.buildCondition(this.dialect.quote(field), op, value, params);
+    });
+    const conditions = buildConditions(filter);
+
+    if (keyset) {
+      const alternatives = keysetFilters(keyset, { nullsLast: this.dialect.nullsLast })
+        .map((group) => `(${buildConditions(group).join(' AND ')})`);
+      conditions.push(`(${alternatives.join(' OR ')})`);
+    }
+
+    return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  }
+
+  /**
+   * Build a single SQL condition, adding its values to params
+   */
+  buildCondition(column, op, value, params) {
+    const bind = (item) => {
+      params.push(item);
+      return this.dialect.placeholder(params.length);
+    };
+
+    switch (op) {
+    case 'eq':
+      return value === null ? `${column} IS NULL` : `${column} = ${bind(value)}`;
+    case 'ne':
+      return value === null ? `${column} IS NOT NULL` : `${column} <> ${bind(value)}`;
+    case 'gt':
+      return `${column} > ${bind(value)}`;
+    case 'gte':
+      return `${column} >= ${bind(value)}`;
+    case 'lt':
+      return `${column} < ${bind(value)}`;
+    case 'lte':
+      return `${column} <= ${bind(value)}`;
+    case 'in':
+      return value.length > 0 ? `${column} IN (${value.map(bind).join(', ')})` : '1 = 0';
+    case 'nin':
+      return value.length > 0 ? `${column} NOT IN (${value.map(bind).join(', ')})` : '1 = 1';
+    case 'like':
+      return `${column} ${this.dialect.like} ${bind(value)}`;
+    case 'null':
+      return `${column} ${value ? 'IS NULL' : 'IS NOT NULL'}`;
+    default:
+      throw new Error(`Unsupported filter operator: ${op}`);
+    }
+  }
+
+  /**
+   * Serialize values for storage
+   */
+  serialize(data) {
+    const values = {};
+
+    Object.entries(data).forEach(([field, value]) => {
+      const definition = this.model.fields[field];
+      const isStructured = definition && ['json', 'array', 'file'].includes(definition.type);
+      values[field] = isStructured && value !== null && value !== undefined ? JSON.stringify(value) : value;
+    });
+
+    return values;
+  }
+
+  /**
+   * Find records
+   */
+  async find({ filter = {}, sort = [], fields = null, keyset = null, limit, offset, lock = false } = {}) {
+    const params = [];
+    const columns = fields ? fields.map(this.dialect.quote).join(', ') : '*';
+    let sql = `SELECT ${columns} FROM ${this.table}${this.buildWhere(filter, params, keyset)}`;
+
+    if (sort.length > 0) {
+      const order = sort.map(({ field, direction }) => {
+        return `${this.dialect.quote(field)} ${direction === 'desc' ? 'DESC' : 'ASC'}`;
+      });
+      sql += ` ORDER BY ${order.join(', ')}`;
+    }
+
+    if (limit !== undefined) {
+      params.push(limit);
+      sql += ` LIMIT ${this.dialect.placeholder(params.length)}`;
+    }
+
+    if (offset) {
+      params.push(offset);
+      sql += ` OFFSET ${this.dialect.placeholder(params.length)}`;
+    }
+
+    if (lock) {
+      sql += ' FOR UPDATE';
+    }
+
+    const { rows } = await this.execute(sql, params);
+    return rows;
+  }
+
+  /**
+   * Count records
+   */
+  async count({ filter = {} } = {}) {
+    const params = [];
+    const { rows } = await this.execute(
+      `SELECT COUNT(*) AS count FROM ${this.table}${this.buildWhere(filter, params)}`,
+      params
+    );
+
+    return parseInt(rows[0].count);
+  }
+
+  /**
+   * Search records with PostgreSQL full-text search, most relevant first
+   * The query (websearch_to_tsquery) is matched against a weighted tsvector of
+   * the searchable fields, or the model's stored tsvector column; records are
+   * ranked with ts_rank and highlighted with ts_headline
+   * @param {object} query - { text, filter, fields, limit, offset }
+   * @returns {object} { hits: [{ record, score, highlights }], total }
+   */
+  async search({ text, filter = {}, fields = null, limit, offset }) {
+    if (this.dialect !== DIALECTS.postgres) {
+      throw new Error(`Full-text search of ${this.model.name} requires PostgreSQL`);
+    }
+
+    const { search, primaryKey } = this.model;
+    const { quote } = this.dialect;
+    const tsquery = quote('_search_query');
+    const toVector = (column) => `to_tsvector($1::regconfig, coalesce(${column}, ''))`;
+    const document = search.column
+      ? quote(search.column)
+      : search.fields.map(({ name, weight }) => `setweight(${toVector(quote(name))}, '${weight}')`).join(' || ');
+
+    const params = [search.language, text];
+    const where = this.buildWhere(filter, params);
+    const from = `${this.table}, websearch_to_tsquery($1::regconfig, $2) AS ${tsquery}` +
+      `${where ? `${where} AND` : ' WHERE'} ${document} @@ ${tsquery}`;
+
+    const { rows: [{ count }] } = await this.execute(`SELECT COUNT(*) AS count FROM ${from}`, [...params]);
+
+    params.push(HEADLINE_OPTIONS);
+    const headlineOptions = this.dialect.placeholder(params.length);
+    // Only fields that match are highlighted
+    const headlines = search.fields.map(({ name }, i) => {
+      const column = quote(name);
+      const headline = `ts_headline($1::regconfig, ${column}, ${tsquery}, ${headlineOptions})`;
+      return `CASE WHEN ${toVector(column)} @@ ${tsquery} THEN ${headline} END AS ${quote(`_searchHighlight${i}`)}`;
+    });
+    const columns = fields ? fields.map(quote).join(', ') : `${this.table}.*`;
+    let sql = `SELECT ${columns}, ts_rank(${document}, ${tsquery}) AS ${quote('_searchScore')}, ` +
+      `${headlines.join(', ')} FROM ${from} ORDER BY ${quote('_searchScore')} DESC, ${quote(primaryKey)} ASC`;
+
+    if (limit !== undefined) {
+      params.push(limit);
+      sql += ` LIMIT ${this.dialect.placeholder(params.length)}`;
+    }
+
+    if (offset) {
+      params.push(offset);
+      sql += ` OFFSET ${this.dialect.placeholder(params.length)}`;
+    }
+
+    const { rows } = await this.execute(sql, params);
+
+    return {
+      total: parseInt(count),
+      hits: rows.map(({ _searchScore: score, ...record }) => {
+        const highlights = {};
+
+        search.fields.forEach(({ name }, i) => {
+          const headline = record[`_searchHighlight${i}`];
+          delete record[`_searchHighlight${i}`];
+
+          if (headline !== null && headline !== undefined) {
+            highlights[name] = toHighlight(headline);
+          }
+        });
+
+        return { record, score: Number(score), highlights };
+      })
+    };
+  }
+
+  /**
+   * Insert a record
+   */
+  async insert(data) {
+    const values = this.serialize(data);
+    const fields = Object.keys(values);
+    const placeholders = fields.map((_, i) => this.dialect.placeholder(i + 1));
+    let sql = `INSERT INTO ${this.table} (${fields.map(this.dialect.quote).join(', ')}) ` +
+      `VALUES (${placeholders.join(', ')})`;
+
+    if (this.dialect.returning) {
+      sql += ' RETURNING *';
+    }
+
+    const result = await this.execute(sql, Object.values(values));
+
+    if (this.dialect.returning) {
+      return result.rows[0];
+    }
+
+    const id = data[this.model.primaryKey] !== undefined ? data[this.model.primaryKey] : result.insertId;
+    return this.findById(id);
+  }
+
+  /**
+   * Find a record by primary key
+   * @param {object} options - { lock } to lock the row until the transaction ends
+   */
+  async findById(id, { lock = false } = {}) {
+    const rows = await this.find({ filter: { [this.model.primaryKey]: id }, limit: 1, lock });
+    return rows[0] || null;
+  }
+
+  /**
+   * Update a record by primary key
+   */
+  async update(id, data) {
+    const values = this.serialize(data);
+    const fields = Object.keys(values);
+
+    if (fields.length === 0) {
+      return this.findById(id);
+    }
+
+    const setClause = fields
+      .map((field, i) => `${this.dialect.quote(field)} = ${this.dialect.placeholder(i + 1)}`)
+      .join(', ');
+    let sql = `UPDATE ${this.table} SET ${setClause} ` +
+      `WHERE ${this.dialect.quote(this.model.primaryKey)} = ${this.dialect.placeholder(fields.length + 1)}`;
+
+    if (this.dialect.returning) {
+      sql += ' RETURNING *';
+    }
+
+    const result = await this.execute(sql, [...Object.values(values), id]);
+
+    if (this.dialect.returning) {
+      return result.rows[0] || null;
+    }
+
+    return result.rowCount > 0 ? this.findById(id) : null;
+  }
+
+  /**
+   * Run a callback in a transaction, passing it a client bound to the transaction
+   * Clients without transaction support run the callback directly
+   */
+  async transaction(callback) {
+    if (typeof this.client.transaction === 'function') {
+      return this.client.transaction(callback);
+    }
+
+    // mysql2 pools hand out connections with their own transaction methods
+    if (typeof this.client.getConnection === 'function') {
+      const connection = await this.client.getConnection();
+
+      try {
+        await connection.beginTransaction();
+        const result = await callback(connection);
+        await connection.commit();
+        return result;
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      } finally {
+        connection.release();
+      }
+    }
+
+    return callback(this.client);
+  }
+
+  /**
+   * Delete a record by primary key
+   */
+  async delete(id) {
+    const result = await this.execute(
+      `DELETE FROM ${this.table} WHERE ${this.dialect.quote(this.model.primaryKey)} = ${this.dialect.placeholder(1)}`,
+      [id]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Delete every record matching a filter
+   * @returns {number} Number of records deleted
+   */
+  async deleteMany(filter) {
+    const params = [];
+    const result = await this.execute(`DELETE FROM ${this.table}${this.buildWhere(filter, params)}`, params);
+
+    return result.rowCount;
+  }
+}
+
+module.exports = {
+  SqlAdapter,
+  DIALECTS
+};
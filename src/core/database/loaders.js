@@ -0,0 +1,202 @@
+const promClient = require('prom-client');
+const { createRepository } = require('./repository');
+const { loadRelations } = require('./relations');
+
+/**
+ * Per-request data loaders
+ *
+ * GraphQL resolves fields one parent at a time. Loaders collect the keys
+ * asked for while a level of the query is resolved, fetch them with one
+ * query and remember the results until the request ends:
+ *
+ *   loaders.record(Product).load(id)                 records by primary key
+ *   loaders.relation(Product, 'owner').load(parent)  related record(s) of a parent (see ./relations)
+ *   loaders.authorize('User.getById', check)         a check run once per request
+ *
+ * A registry is created for each GraphQL request (see createGraphQLContext in
+ * api-generators/graphql), so results are never shared between users.
+ */
+
+// Registered with the /metrics registry by setupMonitoring
+const loaderMetrics = {
+  batchSize: new promClient.Histogram({
+    name: 'dataloader_batch_size',
+    help: 'Number of keys fetched together by a data loader',
+    labelNames: ['loader'],
+    buckets: [1, 2, 5, 10, 25, 50, 100, 250, 500],
+    registers: []
+  }),
+  cacheHits: new promClient.Counter({
+    name: 'dataloader_cache_hits_total',
+    help: 'Keys a data loader had already fetched during the request',
+    labelNames: ['loader'],
+    registers: []
+  })
+};
+
+/**
+ * Batching, caching loader of values by key
+ */
+class DataLoader {
+  /**
+   * @param {Function} batch - Receives the keys of a batch and resolves to their values, in the same order
+   * @param {object} options - { cacheKey: (key) => string, onBatch(size), onCacheHit() }
+   */
+  constructor(batch, options = {}) {
+    this.batch = batch;
+    this.cacheKey = options.cacheKey || ((key) => String(key));
+    this.onBatch = options.onBatch || (() => {});
+    this.onCacheHit = options.onCacheHit || (() => {});
+    this.cache = new Map();
+    this.queue = null;
+  }
+
+  /**
+   * Load the value of a key, fetched with the other keys loaded in the same tick
+   */
+  load(key) {
+    const cacheKey = this.cacheKey(key);
+
+    if (this.cache.has(cacheKey)) {
+      this.onCacheHit();
+      return this.cache.get(cacheKey);
+    }
+
+    if (!this.queue) {
+      this.queue = [];
+      // Wait for the resolvers of sibling fields to queue their keys too
+      Promise.resolve().then(() => process.nextTick(() => this.dispatch()));
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ key, resolve, reject });
+    });
+
+    this.cache.set(cacheKey, promise);
+    return promise;
+  }
+
+  /**
+   * Forget the value of a key, or of every key, e.g. after a write
+   */
+  clear(key) {
+    if (key === undefined) {
+      this.cache.clear();
+    } else {
+      this.cache.delete(this.cacheKey(key));
+    }
+  }
+
+  async dispatch() {
+    const queue = this.queue;
+    this.queue = null;
+    this.onBatch(queue.length);
+
+    try {
+      const values = await this.batch(queue.map(({ key }) => key));
+      queue.forEach(({ resolve }, i) => resolve(values[i]));
+    } catch (error) {
+      // Failed keys are fetched again by the next load
+      queue.forEach(({ key, reject }) => {
+        this.cache.delete(this.cacheKey(key));
+        reject(error);
+      });
+    }
+  }
+}
+
+/**
+ * The data loaders of one request, created on first use for each model and relation
+ */
+class LoaderRegistry {
+  /**
+   * @param {object} options - { connections, scope: (model) => scope applied to each query }
+   */
+  constructor({ connections, scope = () => ({}) } = {}) {
+    this.connections = connections;
+    this.scope = scope;
+    this.loaders = new Map();
+    this.authorizations = new Map();
+    // Batches and keys fetched by each loader, for request logs and tests
+    this.stats = {};
+  }
+
+  /**
+   * Loader of a model's records by primary key, resolving to null for missing records
+   */
+  record(model) {
+    return this.get(model.name, async (ids) => {
+      const repository = createRepository(model, this.connections);
+      const records = await repository.find({ filter: { [model.primaryKey]: { in: ids } } }, this.scope(model));
+      const found = new Map(records.map((record) => [String(record[model.primaryKey]), record]));
+
+      return ids.map((id) => found.get(String(id)) || null);
+    });
+  }
+
+  /**
+   * Loader of the related record(s) of parent records
+   * Parents are keyed by the foreign key of belongsTo relations and by their
+   * primary key otherwise
+   */
+  relation(model, name) {
+    const relation = model.relations[name];
+    const key = relation.type === 'belongsTo' ? relation.foreignKey : model.primaryKey;
+
+    return this.get(`${model.name}.${name}`, async (parents) => {
+      // Copies, so loading doesn't change the parents other resolvers see
+      const records = parents.map((parent) => ({ ...parent }));
+      await loadRelations(model, records, { [name]: {} }, { connections: this.connections, scope: this.scope });
+
+      return records.map((record) => record[name]);
+    }, (parent) => String(parent[key]));
+  }
+
+  /**
+   * Run an authorization check once for the request, e.g. the middleware of
+   * the route relation fields are guarded by, however many parents ask for it
+   * @param {string} name - What the check authorizes, e.g. Owner.getById
+   * @param {Function} check - Resolves if the request is authorized, rejects otherwise
+   */
+  authorize(name, check) {
+    if (!this.authorizations.has(name)) {
+      this.authorizations.set(name, check());
+    }
+
+    return this.authorizations.get(name);
+  }
+
+  /**
+   * Forget everything loaded so far, e.g. after a mutation
+   */
+  clear() {
+    this.loaders.forEach((loader) => loader.clear());
+  }
+
+  get(name, batch, cacheKey) {
+    if (!this.loaders.has(name)) {
+      this.stats[name] = { batches: 0, keys: 0, cacheHits: 0 };
+
+      this.loaders.set(name, new DataLoader(batch, {
+        cacheKey,
+        onBatch: (size) => {
+          this.stats[name].batches += 1;
+          this.stats[name].keys += size;
+          loaderMetrics.batchSize.observe({ loader: name }, size);
+        },
+        onCacheHit: () => {
+          this.stats[name].cacheHits += 1;
+          loaderMetrics.cacheHits.inc({ loader: name });
+        }
+      }));
+    }
+
+    return this.loaders.get(name);
+  }
+}
+
+module.exports = {
+  DataLoader,
+  LoaderRegistry,
+  loaderMetrics
+};
@@ -1,4 +1,5 @@
 const logger = require('../utils/logger');
+const { InvertedIndex } = require('../search/inverted-index');
 
 /**
  * Mock database client for testing
@@ -6,6 +7,8 @@ const logger = require('../utils/logger');
 class MockDatabaseClient {
   constructor() {
     this.data = new Map();
+    this.sequences = new Map();
+    this.searchIndexes = new Map();
     this.logger = logger;
     this.logger.info('Mock database client initialized');
   }
@@ -44,6 +47,71 @@ class MockDatabaseClient {
     return { command: 'UNKNOWN', rowCount: 0 };
   }
   
+  /**
+   * Get the rows of a table, creating it if needed
+   */
+  table(name) {
+    if (!this.data.has(name)) {
+      this.data.set(name, []);
+    }
+    return this.data.get(name);
+  }
+  
+  /**
+   * Get the next auto-increment ID for a table
+   */
+  nextId(name) {
+    const id = (this.sequences.get(name) || 0) + 1;
+    this.sequences.set(name, id);
+    return id;
+  }
+  
+  /**
+   * Get the full-text index of a table, built from its rows on first use
+   * @param {object} model - Normalized model with a search option
+   */
+  searchIndex(model) {
+    if (!this.searchIndexes.has(model.table)) {
+      const index = new InvertedIndex(model.search);
+      this.table(model.table).forEach((row) => index.add(row[model.primaryKey], row));
+      this.searchIndexes.set(model.table, index);
+    }
+    return this.searchIndexes.get(model.table);
+  }
+  
+  /**
+   * Update the full-text index of a table, if it has one, after a row changed
+   * @param {object|null} row - The row as stored, or null if it was deleted
+   */
+  reindex(name, id, row) {
+    const index = this.searchIndexes.get(name);
+    
+    if (index) {
+      return row ? index.add(id, row) : index.remove(id);
+    }
+  }
+  
+  /**
+   * Run a callback in a transaction, restoring all tables if it fails
+   */
+  async transaction(callback) {
+    const snapshot = new Map(Array.from(this.data, ([name, rows]) => [name, rows.map((row) => ({ ...row }))]));
+    const sequences = new Map(this.sequences);
+    
+    try {
+      return await callback(this);
+    } catch (error) {
+      // Restore rows in place so adapters holding a table keep seeing it
+      this.data.forEach((rows, name) => {
+        rows.splice(0, rows.length, ...(snapshot.get(name) || []));
+      });
+      this.sequences = sequences;
+      // Indexes are rebuilt from the restored rows
+      this.searchIndexes.clear();
+      throw error;
+    }
+  }
+  
   async close() {
     this.logger.info('Mock database connection closed');
     return true;
@@ -112,6 +180,17 @@ class MockDatabase {
         store.delete(key);
         return 1;
       },
+      incrBy: async (key, increment) => {
+        store.set(key, Number(store.get(key) || 0) + increment);
+        return store.get(key);
+      },
+      decrBy: async (key, decrement) => {
+        store.set(key, Number(store.get(key) || 0) - decrement);
+        return store.get(key);
+      },
+      // Keys don't expire in the mock
+      pExpire: async () => 1,
+      pTTL: async (key) => (store.has(key) ? -1 : -2),
       quit: async () => {},
       on: () => {}
     };
@@ -120,5 +199,6 @@ class MockDatabase {
 
 module.exports = {
   connect: connectMockDatabase,
-  MockDatabase
+  MockDatabase,
+  MockDatabaseClient
 }; 
\ No newline at end of file
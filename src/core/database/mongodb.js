@@ -72,10 +72,19 @@ async function connectMongoDB(config) {
     await client.connect();
     
     logger.info('MongoDB database connection established');
+
+    // Transactions need a replica set or a sharded cluster (mongos)
+    const hello = await client.db('admin').command({ hello: 1 });
+    const transactions = Boolean(hello.setName) || hello.msg === 'isdbgrid';
+
+    if (!transactions) {
+      logger.warn('MongoDB is a standalone server, writes will run without transactions');
+    }
     
     return {
       db: () => client.db(config.dbName),
       collection: (name) => client.db(config.dbName).collection(name),
+      startSession: transactions ? () => client.startSession() : undefined,
       close: async () => {
         await client.close();
         logger.info('MongoDB connection has been closed');
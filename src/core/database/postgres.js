@@ -44,6 +44,22 @@ async function connectPostgres(config) {
         logger.debug(`Executed query: ${text} - ${duration}ms`);
         return res;
       },
+      // Run a callback in a transaction on a dedicated connection
+      transaction: async (callback) => {
+        const client = await pool.connect();
+        
+        try {
+          await client.query('BEGIN');
+          const result = await callback({ query: (text, params) => client.query(text, params) });
+          await client.query('COMMIT');
+          return result;
+        } catch (error) {
+          await client.query('ROLLBACK');
+          throw error;
+        } finally {
+          client.release();
+        }
+      },
       close: async () => {
         await pool.end();
         logger.info('PostgreSQL connection pool has been closed');
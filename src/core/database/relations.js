@@ -0,0 +1,171 @@
+const { createRepository } = require('./repository');
+const { QueryError } = require('../query');
+
+/**
+ * Relation loading
+ *
+ * Related records are fetched with one query per relation and nesting level,
+ * whatever the number of parent records:
+ *
+ *   belongsTo   targets whose primary key is in the parents' foreign keys
+ *   hasMany     targets whose foreign key is in the parents' primary keys
+ *   manyToMany  join rows for the parents' primary keys, then their targets
+ *
+ * Relations are declared on models (see core/models) and linked to their
+ * target model by loadModels(). Including a relation needs the access its
+ * target's own routes require (see getRelationRoute), and loads at most
+ * MAX_RELATED_RECORDS records of hasMany and manyToMany relations.
+ */
+
+// Records one hasMany or manyToMany include loads, whatever the number of parents
+const MAX_RELATED_RECORDS = 1000;
+
+/**
+ * Generated route of a relation's target whose middleware guards including it:
+ * getById for the single record of belongsTo relations, getAll otherwise
+ */
+function getRelationRoute(relation) {
+  return relation.type === 'belongsTo' ? 'getById' : 'getAll';
+}
+
+/**
+ * Load relations onto records
+ * @param {object} model - Model the records belong to
+ * @param {Array} records - Records as returned to clients; relations are set on them in place
+ * @param {object} include - Tree of relations to load (see core/query parseInclude)
+ * @param {object} options - { connections, scope: (model) => scope applied to each query,
+ *   authorize: (relation) => throws (or rejects) if the caller can't read the relation's target }
+ * @returns {Promise<Array>} The records
+ */
+async function loadRelations(model, records, include, options = {}) {
+  for (const [name, nested] of Object.entries(include || {})) {
+    const relation = model.relations[name];
+
+    if (options.authorize) {
+      await options.authorize(relation);
+    }
+
+    const related = await fetchRelated(model, relation, records, options);
+
+    records.forEach((record) => {
+      record[name] = related(record);
+    });
+
+    if (Object.keys(nested).length > 0) {
+      const children = records.flatMap((record) => record[name] || []);
+      await loadRelations(relation.target, children, nested, options);
+    }
+  }
+
+  return records;
+}
+
+/**
+ * Fetch the related records of a relation for a set of parents
+ * @returns {Function} Maps a parent record to its related record(s)
+ */
+async function fetchRelated(model, relation, records, options) {
+  const { target } = relation;
+  const scope = options.scope ? options.scope(target) : {};
+  const repository = createRepository(target, options.connections);
+  const byKey = (key) => String(key);
+
+  if (relation.type === 'belongsTo') {
+    const keys = uniqueKeys(records.map((record) => record[relation.foreignKey]));
+    const rows = keys.length > 0
+      ? await repository.find({ filter: { [target.primaryKey]: { in: keys } } }, scope)
+      : [];
+    const found = new Map(rows.map((row) => [byKey(row[target.primaryKey]), row]));
+
+    return (record) => found.get(byKey(record[relation.foreignKey])) || null;
+  }
+
+  const keys = uniqueKeys(records.map((record) => record[model.primaryKey]));
+  const groups = new Map();
+  const sort = [{ field: target.primaryKey, direction: 'asc' }];
+  // One more than allowed, to tell when there are too many
+  const limit = MAX_RELATED_RECORDS + 1;
+
+  if (keys.length === 0) {
+    return () => [];
+  }
+
+  if (relation.type === 'hasMany') {
+    const rows = await repository.find({ filter: { [relation.foreignKey]: { in: keys } }, sort, limit }, scope);
+    assertWithinLimit(relation, rows);
+
+    rows.forEach((row) => addToGroup(groups, byKey(row[relation.foreignKey]), row));
+  } else {
+    const joins = await createRepository(getJoinModel(model, relation), options.connections)
+      .find({ filter: { [relation.foreignKey]: { in: keys } }, limit });
+    assertWithinLimit(relation, joins);
+
+    const targetKeys = uniqueKeys(joins.map((join) => join[relation.otherKey]));
+    const rows = targetKeys.length > 0
+      ? await repository.find({ filter: { [target.primaryKey]: { in: targetKeys } }, sort }, scope)
+      : [];
+    const found = new Map(rows.map((row) => [byKey(row[target.primaryKey]), row]));
+
+    joins.forEach((join) => {
+      const row = found.get(byKey(join[relation.otherKey]));
+
+      if (row) {
+        addToGroup(groups, byKey(join[relation.foreignKey]), row);
+      }
+    });
+  }
+
+  return (record) => groups.get(byKey(record[model.primaryKey])) || [];
+}
+
+/**
+ * @throws {QueryError} If a relation has more related records than one include loads
+ */
+function assertWithinLimit(relation, rows) {
+  if (rows.length > MAX_RELATED_RECORDS) {
+    throw new QueryError('Invalid query', [
+      `Including '${relation.name}' would load more than ${MAX_RELATED_RECORDS} records; ` +
+        'list them from their own route instead'
+    ]);
+  }
+}
+
+/**
+ * Model for the join table of a manyToMany relation, stored with the owning model
+ */
+function getJoinModel(model, relation) {
+  return {
+    name: relation.through,
+    database: model.database,
+    table: relation.through,
+    collection: relation.through,
+    fields: {
+      [relation.foreignKey]: { type: 'id', required: true },
+      [relation.otherKey]: { type: 'id', required: true }
+    }
+  };
+}
+
+function uniqueKeys(values) {
+  const keys = new Map();
+
+  values.filter((value) => value !== null && value !== undefined).forEach((value) => {
+    keys.set(String(value), value);
+  });
+
+  return [...keys.values()];
+}
+
+function addToGroup(groups, key, row) {
+  if (!groups.has(key)) {
+    groups.set(key, []);
+  }
+
+  groups.get(key).push(row);
+}
+
+module.exports = {
+  MAX_RELATED_RECORDS,
+  getRelationRoute,
+  loadRelations
+};
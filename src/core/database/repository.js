@@ -0,0 +1,546 @@
+const { getDatabaseClient } = require('./index');
+const { MockDatabaseClient } = require('./mock');
+const { SqlAdapter } = require('./adapters/sql');
+const { MongoAdapter } = require('./adapters/mongodb');
+const { MemoryAdapter } = require('./adapters/memory');
+const { normalizeModel, getWritableFields } = require('../models');
+const { QueryError } = require('../query');
+const { encodeCursor, decodeCursor, reverseSort } = require('../query/cursor');
+const eventManager = require('../events');
+const logger = require('../utils/logger');
+
+const MONGO_TYPES = ['mongodb', 'mongo', 'nosql'];
+
+// Records read per query when streaming
+const STREAM_BATCH_SIZE = 500;
+
+/**
+ * Pick the storage adapter for a model and database client
+ */
+function createAdapter(model, client) {
+  if (client instanceof MockDatabaseClient) {
+    return new MemoryAdapter(model, client);
+  }
+
+  const database = (model.database || process.env.DEFAULT_DB || 'postgres').toLowerCase();
+
+  if (MONGO_TYPES.includes(database)) {
+    return new MongoAdapter(model, client);
+  }
+
+  return new SqlAdapter(model, client, database === 'mysql' ? 'mysql' : 'postgres');
+}
+
+/**
+ * Persistence layer for declarative models
+ * All reads and writes can be narrowed with a scope (e.g. { tenantId })
+ *
+ * Writes are announced on the event manager once they're committed, as
+ * `${model}:created`, `${model}:updated` (restores and file changes too) and
+ * `${model}:deleted`, e.g. Product:created, with { model, id, record } and
+ * the tenantId of records of multi-tenant models. Writes made in a
+ * transaction are announced after it commits, or not at all if it rolls back.
+ */
+class ModelRepository {
+  /**
+   * @param {Array} events - Events queued by the transaction the client is bound to, if any
+   */
+  constructor(model, client, events = null) {
+    this.model = normalizeModel(model);
+    this.adapter = createAdapter(this.model, client);
+    this.events = events;
+  }
+
+  /**
+   * Remove hidden fields from a stored record
+   */
+  toResource(record) {
+    if (!record) {
+      return null;
+    }
+
+    const resource = { ...record };
+    Object.entries(this.model.fields).forEach(([name, field]) => {
+      if (field.hidden) {
+        delete resource[name];
+      }
+    });
+
+    return resource;
+  }
+
+  /**
+   * Convert a stored record to its resource, keeping only the selected fields
+   * Records can carry extra fields that were read to build cursors
+   */
+  toSelection(record, fields) {
+    const resource = this.toResource(record);
+
+    if (fields) {
+      Object.keys(resource).forEach((field) => {
+        if (!fields.includes(field)) {
+          delete resource[field];
+        }
+      });
+    }
+
+    return resource;
+  }
+
+  /**
+   * Keep only writable, declared fields from client input
+   */
+  pick(data) {
+    const values = {};
+
+    getWritableFields(this.model).forEach((field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    });
+
+    return values;
+  }
+
+  /**
+   * Build the filter of a query: its own filter, the scope and, for models
+   * with soft delete, the records' deletion state
+   * @param {object} query - { filter, trashed: 'without' (default), 'with' or 'only' }
+   */
+  where(query, scope) {
+    const filter = { ...query.filter, ...scope };
+    const { softDelete } = this.model;
+
+    if (softDelete && query.trashed !== 'with') {
+      const current = filter[softDelete.field];
+      const conditions = current !== null && typeof current === 'object' && !(current instanceof Date)
+        ? current
+        : (current === undefined ? {} : { eq: current });
+
+      filter[softDelete.field] = { ...conditions, null: query.trashed !== 'only' };
+    }
+
+    return filter;
+  }
+
+  /**
+   * Find records
+   * @param {object} query - { filter, sort, limit, offset, trashed }
+   * @param {object} scope - Filter applied on top of the query
+   */
+  async find(query = {}, scope = {}) {
+    const records = await this.adapter.find({ ...query, filter: this.where(query, scope) });
+    return records.map((record) => this.toResource(record));
+  }
+
+  /**
+   * Find a page of records using keyset (cursor) pagination
+   * @param {object} query - Parsed list query with cursor: { after, before } (see core/query);
+   *                         an empty before cursor pages backwards from the last record
+   * @param {object} scope - Filter applied on top of the query
+   * @returns {object} { edges: [{ cursor, node }], pageInfo }
+   * @throws {QueryError} If the cursor is invalid for the query's sort
+   */
+  async paginate(query, scope = {}) {
+    const { after, before } = query.cursor || {};
+    const backward = before !== undefined && before !== null;
+    const sort = backward ? reverseSort(query.sort) : query.sort;
+    const cursor = backward ? before : after;
+    let keyset = null;
+
+    if (cursor) {
+      const values = decodeCursor(cursor, query.sort);
+
+      if (!values) {
+        throw new QueryError('Invalid query', ['page cursor is invalid or does not match the sort']);
+      }
+
+      keyset = { sort, values };
+    }
+
+    // Sort keys are needed to build cursors, even if they weren't selected
+    const fields = query.fields
+      ? [...new Set([...query.fields, ...query.sort.map(({ field }) => field)])]
+      : null;
+
+    const records = await this.adapter.find({
+      filter: this.where(query, scope),
+      sort,
+      fields,
+      keyset,
+      limit: query.limit + 1
+    });
+
+    const hasMore = records.length > query.limit;
+    const page = records.slice(0, query.limit);
+
+    if (backward) {
+      page.reverse();
+    }
+
+    const edges = page.map((record) => ({
+      cursor: encodeCursor(record, query.sort),
+      node: this.toSelection(record, query.fields)
+    }));
+
+    return {
+      edges,
+      pageInfo: {
+        hasNextPage: backward ? Boolean(before) : hasMore,
+        hasPreviousPage: backward ? hasMore : Boolean(after),
+        startCursor: edges.length > 0 ? edges[0].cursor : null,
+        endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+      }
+    };
+  }
+
+  /**
+   * Read every record matching a query, in batches, without holding them all in memory
+   * Adapters with native cursors (MongoDB) stream from them; others read one
+   * keyset page per batch
+   * @param {object} query - Parsed list query (see core/query); pagination is ignored
+   * @param {object} scope - Filter applied on top of the query
+   * @param {object} options - { batchSize }
+   * @returns {AsyncGenerator<Array>} Batches of records
+   */
+  async* stream(query, scope = {}, { batchSize = STREAM_BATCH_SIZE } = {}) {
+    const filter = this.where(query, scope);
+    const { sort } = query;
+
+    if (this.adapter.stream) {
+      for await (const records of this.adapter.stream({ filter, sort, fields: query.fields, batchSize })) {
+        yield records.map((record) => this.toSelection(record, query.fields));
+      }
+      return;
+    }
+
+    // Sort keys are needed to continue after each batch, even if they weren't selected
+    const fields = query.fields ? [...new Set([...query.fields, ...sort.map(({ field }) => field)])] : null;
+    let keyset = null;
+
+    for (;;) {
+      const records = await this.adapter.find({ filter, sort, fields, keyset, limit: batchSize });
+
+      if (records.length > 0) {
+        yield records.map((record) => this.toSelection(record, query.fields));
+      }
+
+      if (records.length < batchSize) {
+        return;
+      }
+
+      const last = records[records.length - 1];
+      keyset = { sort, values: sort.map(({ field }) => last[field]) };
+    }
+  }
+
+  /**
+   * Search records by relevance (see core/search)
+   * @param {object} query - Parsed search query: { text, filter, fields, trashed, limit, offset }
+   * @param {object} scope - Filter applied on top of the query
+   * @returns {Promise<object>} { hits: [{ record, score, highlights }], total }
+   */
+  async search(query, scope = {}) {
+    // Searchable fields are read to highlight them, even if they weren't selected
+    const searchFields = this.model.search.fields.map(({ name }) => name);
+    const fields = query.fields ? [...new Set([...query.fields, ...searchFields])] : null;
+
+    const { hits, total } = await this.adapter.search({
+      text: query.text,
+      filter: this.where(query, scope),
+      fields,
+      limit: query.limit,
+      offset: query.offset
+    });
+
+    return {
+      total,
+      hits: hits.map((hit) => ({ ...hit, record: this.toSelection(hit.record, query.fields) }))
+    };
+  }
+
+  /**
+   * Count records
+   */
+  async count(query = {}, scope = {}) {
+    return this.adapter.count({ ...query, filter: this.where(query, scope) });
+  }
+
+  /**
+   * Find a stored record by primary key, ignoring records outside the scope
+   * Soft-deleted records are ignored too, unless asked for
+   * @param {object} options - { lock } to lock the record until the transaction ends,
+   *                           { trashed } as for find()
+   */
+  async findRecord(id, scope = {}, { lock = false, trashed } = {}) {
+    const filter = this.where({ trashed }, scope);
+
+    if (Object.keys(filter).length === 0) {
+      return this.adapter.findById(id, { lock });
+    }
+
+    const [record] = await this.adapter.find({ filter: { ...filter, [this.model.primaryKey]: id }, limit: 1, lock });
+    return record || null;
+  }
+
+  /**
+   * Find a record by primary key
+   */
+  async findById(id, scope = {}) {
+    return this.toResource(await this.findRecord(id, scope));
+  }
+
+  /**
+   * Create a record
+   */
+  async create(data, scope = {}) {
+    const values = { ...this.pick(data), ...scope };
+
+    // Fields clients can't write start at their default
+    Object.entries(this.model.fields).forEach(([name, field]) => {
+      if (field.readOnly && field.default !== undefined && values[name] === undefined) {
+        values[name] = JSON.parse(JSON.stringify(field.default));
+      }
+    });
+
+    if (this.model.timestamps) {
+      const now = new Date();
+      values.createdAt = now;
+      values.updatedAt = now;
+    }
+
+    if (this.model.versionField) {
+      values[this.model.versionField] = 1;
+    }
+
+    return this.publish('created', await this.adapter.insert(values));
+  }
+
+  /**
+   * Replace a record, returning null if it doesn't exist
+   * Writable fields the data leaves out are reset to their default, or null
+   * @param {object} options - See patch()
+   */
+  async update(id, data, scope = {}, options = {}) {
+    const values = { ...data };
+
+    getWritableFields(this.model).forEach((field) => {
+      if (values[field] === undefined) {
+        const value = this.model.fields[field].default;
+        values[field] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+      }
+    });
+
+    return this.patch(id, () => values, scope, options);
+  }
+
+  /**
+   * Apply a partial update atomically, returning null if the record doesn't exist
+   * The record is read and written in one transaction, locked where the database supports it
+   * @param {Function} change - Receives the current record (as returned to clients) and
+   *                            returns the values to write; throwing aborts the update
+   * @param {object} options - { verify } called with the current record before the change,
+   *                           e.g. to check an If-Match precondition
+   */
+  async patch(id, change, scope = {}, { verify } = {}) {
+    const updated = await this.transaction(async (repository) => {
+      const record = await repository.findRecord(id, scope, { lock: true });
+
+      if (!record) {
+        return null;
+      }
+
+      const resource = repository.toResource(record);
+
+      if (verify) {
+        await verify(resource);
+      }
+
+      const values = repository.pick(await change(resource));
+
+      return repository.adapter.update(id, repository.touch(record, values));
+    });
+
+    return updated ? this.publish('updated', updated) : null;
+  }
+
+  /**
+   * Set or clear a file field (see core/storage), which clients can't write directly
+   * @param {object|null} file - File descriptor, or null to remove the file
+   * @param {object} options - See patch()
+   * @returns {Promise<object|null>} { resource, previous: the replaced descriptor }, or null
+   *                                 if the record doesn't exist
+   */
+  async setFile(id, field, file, scope = {}, { verify } = {}) {
+    const result = await this.transaction(async (repository) => {
+      const record = await repository.findRecord(id, scope, { lock: true });
+
+      if (!record) {
+        return null;
+      }
+
+      if (verify) {
+        await verify(repository.toResource(record));
+      }
+
+      const updated = await repository.adapter.update(id, repository.touch(record, { [field]: file }));
+      return { updated, previous: record[field] || null };
+    });
+
+    return result ? { resource: this.publish('updated', result.updated), previous: result.previous } : null;
+  }
+
+  /**
+   * Add the bookkeeping of an update to the values to write: the update
+   * timestamp and the next version
+   */
+  touch(record, values) {
+    const touched = { ...values };
+
+    if (this.model.timestamps) {
+      touched.updatedAt = new Date();
+    }
+
+    if (this.model.versionField) {
+      touched[this.model.versionField] = (Number(record[this.model.versionField]) || 0) + 1;
+    }
+
+    return touched;
+  }
+
+  /**
+   * Run a callback in a database transaction
+   * Nested transactions join the one in progress, whose writes are announced once it commits
+   * @param {Function} callback - Receives a repository bound to the transaction
+   */
+  async transaction(callback) {
+    if (this.events) {
+      return this.adapter.transaction((client) => callback(new ModelRepository(this.model, client, this.events)));
+    }
+
+    let events = [];
+    const result = await this.adapter.transaction((client) => {
+      // Transactions retried after a conflict start over
+      events = [];
+      return callback(new ModelRepository(this.model, client, events));
+    });
+
+    events.forEach(([type, event]) => announce(type, event));
+    return result;
+  }
+
+  /**
+   * Announce a write on the event manager, or queue it until the transaction commits
+   * @returns {object} The resource of the record
+   */
+  publish(action, record) {
+    const resource = this.toResource(record);
+    const event = { model: this.model.name, id: record[this.model.primaryKey], record: resource };
+
+    if (this.model.multiTenant) {
+      event.tenantId = record.tenantId;
+    }
+
+    if (this.events) {
+      this.events.push([`${this.model.name}:${action}`, event]);
+    } else {
+      announce(`${this.model.name}:${action}`, event);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Delete a record, returning false if it doesn't exist
+   * Models with soft delete only record the time of deletion
+   * @param {object} options - { verify } called with the current record before deleting
+   */
+  async delete(id, scope = {}, { verify } = {}) {
+    let deleted = null;
+
+    await this.transaction(async (repository) => {
+      const record = await repository.findRecord(id, scope, { lock: true });
+
+      if (!record) {
+        return;
+      }
+
+      if (verify) {
+        await verify(repository.toResource(record));
+      }
+
+      if (this.model.softDelete) {
+        const values = repository.touch(record, { [this.model.softDelete.field]: new Date() });
+        deleted = await repository.adapter.update(id, values);
+      } else if (await repository.adapter.delete(id)) {
+        deleted = record;
+      }
+    });
+
+    if (!deleted) {
+      return false;
+    }
+
+    this.publish('deleted', deleted);
+    return true;
+  }
+
+  /**
+   * Restore a soft-deleted record, returning null if there is no such deleted record
+   * @param {object} options - { verify } called with the deleted record before restoring it
+   */
+  async restore(id, scope = {}, { verify } = {}) {
+    const restored = await this.transaction(async (repository) => {
+      const record = await repository.findRecord(id, scope, { lock: true, trashed: 'only' });
+
+      if (!record) {
+        return null;
+      }
+
+      if (verify) {
+        await verify(repository.toResource(record));
+      }
+
+      const values = repository.touch(record, { [this.model.softDelete.field]: null });
+      return repository.adapter.update(id, values);
+    });
+
+    return restored ? this.publish('updated', restored) : null;
+  }
+
+  /**
+   * Permanently delete the records soft-deleted before a date
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async purge(before, scope = {}) {
+    return this.adapter.deleteMany({ ...scope, [this.model.softDelete.field]: { lt: before } });
+  }
+}
+
+/**
+ * Publish a model event; subscribers failing doesn't undo the write
+ */
+function announce(type, event) {
+  eventManager.publishEvent(type, event).catch((error) => {
+    logger.error(`Failed to announce ${type}:`, error);
+  });
+}
+
+/**
+ * Create a repository for a model using the matching database connection
+ */
+function createRepository(model, connections = {}) {
+  const client = getDatabaseClient(model.database, connections);
+
+  if (!client) {
+    throw new Error(`Database client not found: ${model.database || process.env.DEFAULT_DB || 'postgres'}`);
+  }
+
+  return new ModelRepository(model, client);
+}
+
+module.exports = {
+  ModelRepository,
+  createRepository,
+  createAdapter
+};
@@ -0,0 +1,61 @@
+const logger = require('../utils/logger');
+const { createRepository } = require('./repository');
+
+/**
+ * Purging of soft-deleted records
+ *
+ * Models with soft delete keep deleted records (see core/models); those with
+ * a retention window have them permanently deleted once it has passed:
+ *
+ *   softDelete: { retentionDays: 30 }
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently delete the records deleted longer ago than their model's retention window
+ * @param {Array} models - Normalized model definitions
+ * @param {object} connections - Database connections
+ * @param {Date} now - Time the retention windows end at
+ * @returns {Promise<object>} Number of records purged by model name
+ */
+async function purgeTrashed(models, connections, now = new Date()) {
+  const purged = {};
+
+  for (const model of models) {
+    if (!model.softDelete || !model.softDelete.retentionDays) {
+      continue;
+    }
+
+    const before = new Date(now.getTime() - model.softDelete.retentionDays * DAY);
+    purged[model.name] = await createRepository(model, connections).purge(before);
+
+    if (purged[model.name] > 0) {
+      logger.info(`Purged ${purged[model.name]} deleted ${model.name} records`);
+    }
+  }
+
+  return purged;
+}
+
+/**
+ * Run purgeTrashed periodically
+ * @param {object} options - { purgeInterval } in seconds
+ * @returns {Function} Stops the job
+ */
+function startPurgeJob(models, connections, { purgeInterval = 60 * 60 } = {}) {
+  const run = () => purgeTrashed(models, connections).catch((error) => {
+    logger.error('Failed to purge deleted records:', error);
+  });
+
+  // Don't keep the process alive just to purge
+  const timer = setInterval(run, purgeInterval * 1000);
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  purgeTrashed,
+  startPurgeJob
+};
@@ -0,0 +1,268 @@
+const logger = require('../utils/logger');
+
+/**
+ * Error codes catalogue
+ *
+ * Codes are stable and machine-readable: clients should branch on `code`
+ * rather than on titles or details, which may change or be translated.
+ * Titles are translated with the `errors` i18n namespace, keyed by code.
+ */
+const ERROR_CODES = {
+  BAD_REQUEST: { status: 400, title: 'Bad request' },
+  MALFORMED_BODY: { status: 400, title: 'Malformed request body' },
+  VALIDATION_FAILED: { status: 400, title: 'Validation failed' },
+  INVALID_QUERY: { status: 400, title: 'Invalid query' },
+  INVALID_PATCH: { status: 400, title: 'Invalid patch' },
+  IDEMPOTENCY_KEY_REQUIRED: { status: 400, title: 'Idempotency key required' },
+  UNAUTHORIZED: { status: 401, title: 'Unauthorized' },
+  FORBIDDEN: { status: 403, title: 'Forbidden' },
+  NOT_FOUND: { status: 404, title: 'Resource not found' },
+  ROUTE_NOT_FOUND: { status: 404, title: 'Route not found' },
+  NOT_ACCEPTABLE: { status: 406, title: 'Not acceptable' },
+  CONFLICT: { status: 409, title: 'Conflict' },
+  PATCH_CONFLICT: { status: 409, title: 'Patch could not be applied' },
+  IDEMPOTENCY_KEY_IN_USE: { status: 409, title: 'Request already in progress' },
+  PRECONDITION_FAILED: { status: 412, title: 'Precondition failed' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large' },
+  UNSUPPORTED_MEDIA_TYPE: { status: 415, title: 'Unsupported media type' },
+  IDEMPOTENCY_KEY_REUSED: { status: 422, title: 'Idempotency key reused' },
+  FAILED_DEPENDENCY: { status: 424, title: 'Failed dependency' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' }
+};
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Codes for errors that only carry an HTTP status (e.g. from third-party middleware)
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  406: 'NOT_ACCEPTABLE',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'RATE_LIMITED'
+};
+
+/**
+ * Base class for errors returned to API clients as RFC 7807 problem details
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} code - Code from ERROR_CODES
+   * @param {string} detail - Human-readable explanation of this occurrence
+   * @param {object} options - { status, errors, headers, extensions, cause }
+   *   extensions are extra members added to the problem details object
+   */
+  constructor(code, detail, options = {}) {
+    const entry = ERROR_CODES[code] || ERROR_CODES.INTERNAL_ERROR;
+
+    super(detail || entry.title);
+    this.name = 'ApiError';
+    this.code = ERROR_CODES[code] ? code : 'INTERNAL_ERROR';
+    this.status = options.status || entry.status;
+    this.title = entry.title;
+    this.errors = (options.errors || []).map((item) => (typeof item === 'string' ? { message: item } : item));
+    this.headers = options.headers || {};
+    this.extensions = options.extensions || {};
+    this.cause = options.cause;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(detail, options) {
+    super('BAD_REQUEST', detail, options);
+    this.name = 'BadRequestError';
+  }
+}
+
+class ValidationError extends ApiError {
+  /**
+   * @param {Array} errors - Details from ValidationManager#formatErrors
+   */
+  constructor(detail, errors = [], options = {}) {
+    super('VALIDATION_FAILED', detail, { ...options, errors });
+    this.name = 'ValidationError';
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(detail, options) {
+    super('UNAUTHORIZED', detail, options);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(detail, options) {
+    super('FORBIDDEN', detail, options);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(detail, options) {
+    super('NOT_FOUND', detail, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(detail, options) {
+    super('CONFLICT', detail, options);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Convert any thrown value into an ApiError
+ * Errors raised by body-parser and other HTTP middleware keep their status
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error && error.type === 'entity.parse.failed') {
+    return new ApiError('MALFORMED_BODY', 'The request body is not valid JSON', { cause: error });
+  }
+
+  if (error && error.type === 'entity.too.large') {
+    return new ApiError('PAYLOAD_TOO_LARGE', 'The request body is too large', { cause: error });
+  }
+
+  const status = error && (error.status || error.statusCode);
+
+  if (status >= 400 && status < 500) {
+    return new ApiError(STATUS_CODES[status] || 'BAD_REQUEST', error.message, { status, cause: error });
+  }
+
+  return new ApiError('INTERNAL_ERROR', 'An unexpected error occurred', { cause: error });
+}
+
+/**
+ * Get the language to respond in
+ * The i18n middleware may not have run for the request (e.g. errors raised by
+ * routes registered before it), so fall back to Accept-Language
+ */
+function getLanguage(req, i18n) {
+  if (req.language) {
+    return req.language;
+  }
+
+  const supported = (i18n.getSupportedLanguages() || []).filter((lng) => lng !== 'cimode');
+  const accepted = supported.length > 0 ? req.acceptsLanguages(supported) : req.acceptsLanguages()[0];
+
+  return accepted && accepted !== '*' ? accepted : undefined;
+}
+
+/**
+ * Translate an error title for the request's language, if i18n is enabled
+ */
+function translateTitle(req, error) {
+  const i18n = req.app && req.app.locals.i18n;
+
+  if (!i18n) {
+    return error.title;
+  }
+
+  return i18n.translate(`errors:${error.code}`, { lng: getLanguage(req, i18n), defaultValue: error.title });
+}
+
+/**
+ * Build the problem details object for an error
+ * Problem types resolve to the catalogue entry for the code; the API sets
+ * app.locals.problemTypeBase to where it serves the catalogue
+ */
+function toProblem(req, error) {
+  const typeBase = (req.app && req.app.locals.problemTypeBase) || '/errors/';
+  const problem = {
+    ...error.extensions,
+    type: `${typeBase}${error.code}`,
+    title: translateTitle(req, error),
+    status: error.status,
+    detail: error.message,
+    instance: req.originalUrl,
+    code: error.code
+  };
+
+  if (error.errors.length > 0) {
+    problem.errors = error.errors;
+  }
+
+  return problem;
+}
+
+/**
+ * Send an error as application/problem+json
+ */
+function sendProblem(req, res, error) {
+  const apiError = toApiError(error);
+
+  res.set(apiError.headers);
+  res.status(apiError.status);
+  res.type(PROBLEM_CONTENT_TYPE);
+  res.json(toProblem(req, apiError));
+}
+
+/**
+ * Express error handler producing RFC 7807 problem details
+ * Unexpected errors are logged and reported without internals
+ */
+function errorHandler() {
+  return (err, req, res, next) => {
+    if (res.headersSent) {
+      return next(err);
+    }
+
+    const error = toApiError(err);
+
+    if (error.status >= 500) {
+      logger.error(`Error handling ${req.method} ${req.originalUrl}:`, error.cause || error);
+    }
+
+    sendProblem(req, res, error);
+  };
+}
+
+/**
+ * Describe the error codes catalogue, with titles in the request's language
+ */
+function getErrorCatalogue(req) {
+  const typeBase = (req.app && req.app.locals.problemTypeBase) || '/errors/';
+
+  return Object.entries(ERROR_CODES).map(([code, { status, title }]) => ({
+    code,
+    type: `${typeBase}${code}`,
+    status,
+    title: translateTitle(req, { code, title })
+  }));
+}
+
+/**
+ * Handler for requests that didn't match any route
+ */
+function notFoundHandler(req, res, next) {
+  next(new ApiError('ROUTE_NOT_FOUND', `Cannot ${req.method} ${req.path}`));
+}
+
+module.exports = {
+  ERROR_CODES,
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  toApiError,
+  toProblem,
+  sendProblem,
+  getErrorCatalogue,
+  errorHandler,
+  notFoundHandler
+};
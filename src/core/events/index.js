@@ -206,6 +206,66 @@ class EventManager extends EventEmitter {
     logger.debug(`Unsubscribed from event: ${eventType}`);
   }
   
+  /**
+   * Iterate over events as they're published, e.g. in GraphQL subscription resolvers
+   * Events arriving faster than they're consumed are queued; returning from
+   * the iterator unsubscribes
+   * @param {object} options - { filter(data, eventType) } to skip events
+   */
+  toAsyncIterator(eventTypes, options = {}) {
+    const { filter } = options;
+    const queue = [];
+    const waiting = [];
+    let done = false;
+
+    const unsubscribers = (Array.isArray(eventTypes) ? eventTypes : [eventTypes]).map((eventType) => {
+      return this.subscribeToEvent(eventType, (data) => {
+        if (done || (filter && !filter(data, eventType))) {
+          return;
+        }
+
+        if (waiting.length > 0) {
+          waiting.shift()({ value: data, done: false });
+        } else {
+          queue.push(data);
+        }
+      });
+    });
+
+    const finish = () => {
+      if (!done) {
+        done = true;
+        queue.length = 0;
+        unsubscribers.forEach((unsubscribe) => unsubscribe());
+        waiting.splice(0).forEach((resolve) => resolve({ value: undefined, done: true }));
+      }
+
+      return Promise.resolve({ value: undefined, done: true });
+    };
+
+    return {
+      next() {
+        if (queue.length > 0) {
+          return Promise.resolve({ value: queue.shift(), done: false });
+        }
+
+        if (done) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+
+        return new Promise((resolve) => waiting.push(resolve));
+      },
+      return: finish,
+      throw(error) {
+        finish();
+        return Promise.reject(error);
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
   /**
    * Get events from event store
    */
@@ -0,0 +1,176 @@
+/**
+ * Response formats for generated REST routes
+ *
+ *   GET /products                Accept: application/json       (default)
+ *   GET /products                Accept: application/msgpack
+ *   GET /products                Accept: text/csv               (streamed)
+ *   GET /products                Accept: application/x-ndjson   (streamed)
+ *
+ * MessagePack responses are encoded from what routes pass to res.json, so
+ * every generated route can offer it. CSV and NDJSON are written record by
+ * record from a database cursor by list routes (see crud getAll). Errors are
+ * always problem+json.
+ */
+
+const { ApiError } = require('../errors');
+const { encode } = require('./msgpack');
+
+// Media types of each format, preferred type first
+const MEDIA_TYPES = {
+  json: ['application/json'],
+  msgpack: ['application/msgpack', 'application/x-msgpack', 'application/vnd.msgpack'],
+  csv: ['text/csv'],
+  ndjson: ['application/x-ndjson', 'application/jsonl']
+};
+
+// Formats written as a stream of records rather than a single document
+const STREAMING_FORMATS = ['csv', 'ndjson'];
+
+// Characters that make spreadsheets evaluate a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Create middleware negotiating the response format from the Accept header
+ * The format is stored in res.locals.format; requests accepting none of the
+ * formats are rejected with 406
+ * @param {Array} formats - Formats the route can produce, e.g. ['json', 'msgpack']
+ */
+function createFormatMiddleware(formats = ['json']) {
+  const types = formats.flatMap((format) => MEDIA_TYPES[format]);
+  const formatOf = (type) => formats.find((format) => MEDIA_TYPES[format].includes(type));
+
+  return (req, res, next) => {
+    res.vary('Accept');
+
+    const type = req.accepts(types);
+
+    if (!type) {
+      return next(new ApiError(
+        'NOT_ACCEPTABLE',
+        `This route can respond with: ${formats.map((format) => MEDIA_TYPES[format][0]).join(', ')}`
+      ));
+    }
+
+    res.locals.format = formatOf(type);
+
+    if (res.locals.format === 'msgpack') {
+      const json = res.json;
+
+      res.json = function (body) {
+        // Problem details stay JSON so every client can read them
+        if (res.statusCode >= 400) {
+          return json.call(this, body);
+        }
+
+        res.type(type);
+        return res.send(encode(body));
+      };
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check whether a negotiated format is written as a stream of records
+ */
+function isStreamingFormat(format) {
+  return STREAMING_FORMATS.includes(format);
+}
+
+/**
+ * Format a value as a CSV cell (RFC 4180)
+ * Nested values are written as JSON; text that spreadsheets would run as a
+ * formula is prefixed with a quote
+ */
+function toCSVCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSVRow(values) {
+  return `${values.map(toCSVCell).join(',')}\r\n`;
+}
+
+/**
+ * Wait until a response can take more data, or the client has gone away
+ */
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+/**
+ * Write records to a response as CSV or NDJSON, batch by batch
+ * Nothing is sent until the first batch is read, so failing queries are
+ * still reported as problem details; later errors can only abort the
+ * response. Writing stops early if the client disconnects.
+ * @param {object} res - Express response
+ * @param {string} format - 'csv' or 'ndjson'
+ * @param {AsyncIterable<Array>} batches - Batches of records
+ * @param {object} options - { columns: CSV header, transform: (record) => record }
+ */
+async function writeRecords(res, format, batches, options = {}) {
+  const { columns = [], transform = (record) => record } = options;
+  const iterator = batches[Symbol.asyncIterator]();
+  let result = await iterator.next();
+
+  res.type(format === 'csv' ? 'text/csv; charset=utf-8; header=present' : MEDIA_TYPES.ndjson[0]);
+
+  if (format === 'csv') {
+    res.write(toCSVRow(columns));
+  }
+
+  while (!result.done) {
+    const chunk = result.value.map(transform).map((record) => (format === 'csv'
+      ? toCSVRow(columns.map((column) => record[column]))
+      : `${JSON.stringify(record)}\n`)).join('');
+
+    if (!res.write(chunk)) {
+      await drained(res);
+    }
+
+    if (res.destroyed) {
+      // Release the database cursor
+      await iterator.return();
+      break;
+    }
+
+    result = await iterator.next();
+  }
+
+  res.end();
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  createFormatMiddleware,
+  isStreamingFormat,
+  toCSVCell,
+  writeRecords
+};
@@ -0,0 +1,195 @@
+/**
+ * MessagePack encoding (https://github.com/msgpack/msgpack/blob/master/spec.md)
+ *
+ * Values are encoded like JSON.stringify would see them (toJSON is honoured,
+ * undefined object members are skipped), except that dates use the timestamp
+ * extension type and Buffers are sent as binary.
+ */
+
+const TIMESTAMP_TYPE = -1;
+
+/**
+ * Growable output buffer
+ */
+class Writer {
+  constructor(size = 256) {
+    this.buffer = Buffer.allocUnsafe(size);
+    this.length = 0;
+  }
+
+  reserve(bytes) {
+    if (this.length + bytes > this.buffer.length) {
+      const next = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.length + bytes));
+      this.buffer.copy(next, 0, 0, this.length);
+      this.buffer = next;
+    }
+
+    const offset = this.length;
+    this.length += bytes;
+    return offset;
+  }
+
+  byte(value) {
+    this.buffer[this.reserve(1)] = value;
+  }
+
+  bytes(source) {
+    source.copy(this.buffer, this.reserve(source.length));
+  }
+
+  uint(value, size) {
+    const offset = this.reserve(size);
+
+    if (size === 8) {
+      this.buffer.writeBigUInt64BE(BigInt(value), offset);
+    } else {
+      this.buffer.writeUIntBE(value, offset, size);
+    }
+  }
+
+  int(value, size) {
+    const offset = this.reserve(size);
+
+    if (size === 8) {
+      this.buffer.writeBigInt64BE(BigInt(value), offset);
+    } else {
+      this.buffer.writeIntBE(value, offset, size);
+    }
+  }
+
+  float(value) {
+    this.buffer.writeDoubleBE(value, this.reserve(8));
+  }
+
+  toBuffer() {
+    return this.buffer.subarray(0, this.length);
+  }
+}
+
+/**
+ * Write a type byte followed by a length, picking the smallest format
+ * @param {Array} formats - [[maxLength, typeByte, lengthSize], ...] smallest first
+ */
+function writeHeader(writer, length, formats) {
+  const [, type, size] = formats.find(([max]) => length <= max);
+
+  if (size === 0) {
+    writer.byte(type + length);
+  } else {
+    writer.byte(type);
+    writer.uint(length, size);
+  }
+}
+
+function writeInteger(writer, value) {
+  if (value >= 0) {
+    if (value < 0x80) {
+      writer.byte(value);
+    } else if (value <= 0xff) {
+      writer.byte(0xcc);
+      writer.uint(value, 1);
+    } else if (value <= 0xffff) {
+      writer.byte(0xcd);
+      writer.uint(value, 2);
+    } else if (value <= 0xffffffff) {
+      writer.byte(0xce);
+      writer.uint(value, 4);
+    } else {
+      writer.byte(0xcf);
+      writer.uint(value, 8);
+    }
+  } else if (value >= -0x20) {
+    writer.byte(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.byte(0xd0);
+    writer.int(value, 1);
+  } else if (value >= -0x8000) {
+    writer.byte(0xd1);
+    writer.int(value, 2);
+  } else if (value >= -0x80000000) {
+    writer.byte(0xd2);
+    writer.int(value, 4);
+  } else {
+    writer.byte(0xd3);
+    writer.int(value, 8);
+  }
+}
+
+function writeString(writer, value) {
+  const bytes = Buffer.from(value, 'utf8');
+
+  writeHeader(writer, bytes.length, [[31, 0xa0, 0], [0xff, 0xd9, 1], [0xffff, 0xda, 2], [Infinity, 0xdb, 4]]);
+  writer.bytes(bytes);
+}
+
+/**
+ * Write a date with the timestamp extension (96-bit form, any date)
+ */
+function writeDate(writer, date) {
+  const millis = date.getTime();
+  const seconds = Math.floor(millis / 1000);
+  const nanoseconds = (millis - seconds * 1000) * 1e6;
+
+  writer.byte(0xc7);
+  writer.uint(12, 1);
+  writer.int(TIMESTAMP_TYPE, 1);
+  writer.uint(nanoseconds, 4);
+  writer.int(seconds, 8);
+}
+
+function write(writer, value) {
+  if (value === null || value === undefined) {
+    writer.byte(0xc0);
+  } else if (value === false || value === true) {
+    writer.byte(value ? 0xc3 : 0xc2);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      writeInteger(writer, value);
+    } else if (Number.isFinite(value)) {
+      writer.byte(0xcb);
+      writer.float(value);
+    } else {
+      // JSON has no representation for NaN and Infinity either
+      writer.byte(0xc0);
+    }
+  } else if (typeof value === 'bigint') {
+    writer.byte(value >= 0n ? 0xcf : 0xd3);
+    writer[value >= 0n ? 'uint' : 'int'](value, 8);
+  } else if (typeof value === 'string') {
+    writeString(writer, value);
+  } else if (value instanceof Date) {
+    writeDate(writer, value);
+  } else if (Buffer.isBuffer(value)) {
+    writeHeader(writer, value.length, [[0xff, 0xc4, 1], [0xffff, 0xc5, 2], [Infinity, 0xc6, 4]]);
+    writer.bytes(value);
+  } else if (typeof value.toJSON === 'function') {
+    write(writer, value.toJSON());
+  } else if (Array.isArray(value)) {
+    writeHeader(writer, value.length, [[15, 0x90, 0], [0xffff, 0xdc, 2], [Infinity, 0xdd, 4]]);
+    value.forEach((item) => write(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined && typeof item !== 'function');
+
+    writeHeader(writer, entries.length, [[15, 0x80, 0], [0xffff, 0xde, 2], [Infinity, 0xdf, 4]]);
+    entries.forEach(([key, item]) => {
+      writeString(writer, key);
+      write(writer, item);
+    });
+  } else {
+    writer.byte(0xc0);
+  }
+}
+
+/**
+ * Encode a value as MessagePack
+ * @returns {Buffer}
+ */
+function encode(value) {
+  const writer = new Writer();
+  write(writer, value);
+  return writer.toBuffer();
+}
+
+module.exports = {
+  encode
+};
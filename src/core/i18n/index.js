@@ -4,6 +4,7 @@ const i18nextHttpMiddleware = require('i18next-http-middleware');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../errors');
 
 /**
  * Internationalization Manager
@@ -100,7 +101,9 @@ class I18nManager {
           unauthorized: 'Unauthorized',
           forbidden: 'Forbidden',
           badRequest: 'Bad request',
-          validationFailed: 'Validation failed'
+          validationFailed: 'Validation failed',
+          // Problem details titles, keyed by error code (see core/errors)
+          ...Object.fromEntries(Object.entries(ERROR_CODES).map(([code, { title }]) => [code, title]))
         }, null, 2)
       );
       
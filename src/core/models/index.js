@@ -0,0 +1,392 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { WEIGHTS } = require('../search');
+
+// Mapping from model field types to JSON Schema fragments
+const FIELD_TYPES = {
+  id: { type: 'integer' },
+  string: { type: 'string' },
+  text: { type: 'string' },
+  integer: { type: 'integer' },
+  number: { type: 'number' },
+  float: { type: 'number' },
+  boolean: { type: 'boolean' },
+  date: { type: 'string', format: 'date-time' },
+  json: {},
+  array: { type: 'array' },
+  // Descriptor of a stored file (see core/storage)
+  file: {
+    type: 'object',
+    properties: {
+      key: { type: 'string' },
+      name: { type: 'string' },
+      size: { type: 'integer' },
+      type: { type: 'string' },
+      uploadedAt: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+// Supported relation types
+const RELATION_TYPES = ['belongsTo', 'hasMany', 'manyToMany'];
+
+// Field options copied verbatim into the generated JSON Schema
+const SCHEMA_KEYWORDS = [
+  'minLength', 'maxLength', 'minimum', 'maximum', 'pattern', 'format',
+  'enum', 'default', 'description', 'items'
+];
+
+/**
+ * Normalize a model definition, filling in defaults for the declarative
+ * schema (fields, storage location, primary key and timestamps)
+ */
+function normalizeModel(model) {
+  if (!model.fields) {
+    return model;
+  }
+
+  const primaryKey = model.primaryKey || 'id';
+  const fields = {};
+
+  Object.entries(model.fields).forEach(([name, field]) => {
+    fields[name] = typeof field === 'string' ? { type: field } : { ...field };
+
+    if (!FIELD_TYPES[fields[name].type]) {
+      throw new Error(`Unknown field type '${fields[name].type}' for ${model.name}.${name}`);
+    }
+
+    // Files are uploaded through their own routes, not written in request bodies
+    if (fields[name].type === 'file') {
+      fields[name].readOnly = true;
+    }
+  });
+
+  // Every model gets a primary key, even if it isn't declared
+  if (!fields[primaryKey]) {
+    fields[primaryKey] = { type: 'id' };
+  }
+
+  // Tenant ownership is set by the server and never exposed to clients
+  if (model.multiTenant && !fields.tenantId) {
+    fields.tenantId = { type: 'string', readOnly: true, hidden: true };
+  }
+
+  if (model.timestamps) {
+    fields.createdAt = fields.createdAt || { type: 'date', readOnly: true };
+    fields.updatedAt = fields.updatedAt || { type: 'date', readOnly: true };
+  }
+
+  // An optional version column, incremented on every update and used as the ETag
+  const versionField = model.version ? (typeof model.version === 'string' ? model.version : 'version') : null;
+
+  if (versionField && !fields[versionField]) {
+    fields[versionField] = { type: 'integer', readOnly: true };
+  }
+
+  // An optional deletion timestamp: deleted records stay stored until purged
+  const softDelete = normalizeSoftDelete(model.softDelete);
+
+  if (softDelete && !fields[softDelete.field]) {
+    fields[softDelete.field] = { type: 'date', readOnly: true };
+  }
+
+  const search = normalizeSearch(model, fields);
+
+  const storageName = `${model.name.toLowerCase()}s`;
+  const relations = normalizeRelations(model, fields, storageName);
+
+  return {
+    ...model,
+    primaryKey,
+    fields,
+    relations,
+    versionField,
+    softDelete,
+    search,
+    table: model.table || storageName,
+    collection: model.collection || storageName
+  };
+}
+
+/**
+ * Normalize the soft delete option
+ *
+ *   softDelete: true                                       // deletedAt, kept indefinitely
+ *   softDelete: { field: 'removedAt', retentionDays: 30 }  // purged 30 days after deletion
+ *
+ * @returns {object|null} { field, retentionDays }
+ */
+function normalizeSoftDelete(option) {
+  if (!option) {
+    return null;
+  }
+
+  const settings = typeof option === 'object' ? option : {};
+
+  return {
+    field: settings.field || 'deletedAt',
+    retentionDays: settings.retentionDays || null
+  };
+}
+
+/**
+ * Normalize the full-text search option (see core/search)
+ *
+ *   search: ['name', 'description']                                  // equally weighted
+ *   search: { fields: { name: 'A', description: 'C' }, language: 'english' }
+ *
+ * Weights go from A (highest) to D. PostgreSQL models can name a stored
+ * tsvector column to search (`column`) instead of the fields' text.
+ *
+ * @returns {object|null} { fields: [{ name, weight }], language, column }
+ */
+function normalizeSearch(model, fields) {
+  if (!model.search) {
+    return null;
+  }
+
+  const settings = Array.isArray(model.search) ? { fields: model.search } : model.search;
+  // Normalized fields ({ name, weight }) are kept as they are
+  const weights = Array.isArray(settings.fields)
+    ? Object.fromEntries(settings.fields.map((field) => {
+      return typeof field === 'string' ? [field, 'A'] : [field.name, field.weight];
+    }))
+    : settings.fields || {};
+
+  const searchFields = Object.entries(weights).map(([name, weight]) => {
+    // Highlights would reveal hidden fields
+    if (!fields[name] || !['string', 'text'].includes(fields[name].type) || fields[name].hidden) {
+      throw new Error(`Search field ${model.name}.${name} must be a visible string or text field`);
+    }
+
+    if (!Object.keys(WEIGHTS).includes(weight)) {
+      throw new Error(`Search weight of ${model.name}.${name} must be one of ${Object.keys(WEIGHTS).join(', ')}`);
+    }
+
+    return { name, weight };
+  });
+
+  if (searchFields.length === 0) {
+    throw new Error(`${model.name} must name the fields to search`);
+  }
+
+  return {
+    fields: searchFields,
+    language: settings.language || 'english',
+    column: settings.column || null
+  };
+}
+
+/**
+ * Normalize relation definitions, filling in key and join table names
+ *
+ *   relations: {
+ *     owner: { type: 'belongsTo', model: 'User' },            // products.ownerId
+ *     reviews: { type: 'hasMany', model: 'Review' },          // reviews.productId
+ *     tags: { type: 'manyToMany', model: 'Tag' }              // products_tags.productId, products_tags.tagId
+ *   }
+ *
+ * belongsTo foreign keys are added to the model's fields if they aren't declared.
+ */
+function normalizeRelations(model, fields, storageName) {
+  const relations = {};
+  const ownKey = `${lowerFirst(model.name)}Id`;
+
+  Object.entries(model.relations || {}).forEach(([name, relation]) => {
+    if (!RELATION_TYPES.includes(relation.type)) {
+      throw new Error(`Unknown relation type '${relation.type}' for ${model.name}.${name}`);
+    }
+
+    if (!relation.model) {
+      throw new Error(`Relation ${model.name}.${name} must name the related model`);
+    }
+
+    const normalized = { ...relation, name };
+
+    if (relation.type === 'belongsTo') {
+      normalized.foreignKey = relation.foreignKey || `${name}Id`;
+
+      if (!fields[normalized.foreignKey]) {
+        fields[normalized.foreignKey] = { type: 'id' };
+      }
+    } else {
+      normalized.foreignKey = relation.foreignKey || ownKey;
+    }
+
+    if (relation.type === 'manyToMany') {
+      normalized.otherKey = relation.otherKey || `${lowerFirst(relation.model)}Id`;
+      normalized.through = relation.through || `${model.table || storageName}_${name}`;
+    }
+
+    relations[name] = normalized;
+  });
+
+  return relations;
+}
+
+/**
+ * Link relations to the models they point to (relation.target)
+ * @param {Array} models - Normalized models that can be related to each other
+ * @throws {Error} If a relation names a model that isn't declared
+ */
+function linkRelations(models) {
+  const byName = new Map(models.map((model) => [model.name, model]));
+
+  models.forEach((model) => {
+    Object.values(model.relations || {}).forEach((relation) => {
+      const target = byName.get(relation.model);
+
+      if (!target || !isDeclarative(target)) {
+        throw new Error(`Relation ${model.name}.${relation.name} refers to unknown model '${relation.model}'`);
+      }
+
+      relation.target = target;
+    });
+  });
+
+  return models;
+}
+
+function lowerFirst(value) {
+  return `${value.charAt(0).toLowerCase()}${value.slice(1)}`;
+}
+
+/**
+ * Check whether a model uses the declarative schema
+ */
+function isDeclarative(model) {
+  return Boolean(model && model.fields);
+}
+
+/**
+ * Names of the fields a client is allowed to write
+ */
+function getWritableFields(model) {
+  return Object.entries(model.fields)
+    .filter(([name, field]) => name !== model.primaryKey && !field.readOnly)
+    .map(([name]) => name);
+}
+
+/**
+ * Names of a model's file fields
+ */
+function getFileFields(model) {
+  return Object.keys(model.fields || {}).filter((name) => model.fields[name].type === 'file');
+}
+
+/**
+ * Build a JSON Schema for a model
+ * @param {object} model - Normalized model definition
+ * @param {object} options - { input: schema for request bodies, partial: no required fields }
+ * @returns {object} JSON Schema object
+ */
+function toJSONSchema(model, options = {}) {
+  const { input = false, partial = false } = options;
+  const properties = {};
+  const required = [];
+
+  Object.entries(model.fields).forEach(([name, field]) => {
+    const isReadOnly = name === model.primaryKey || field.readOnly;
+
+    if (input && isReadOnly) {
+      return;
+    }
+
+    if (!input && field.hidden) {
+      return;
+    }
+
+    const property = { ...FIELD_TYPES[field.type] };
+
+    if (field.type === 'id' && model.database === 'mongodb') {
+      property.type = 'string';
+    }
+
+    SCHEMA_KEYWORDS.forEach((keyword) => {
+      if (field[keyword] !== undefined) {
+        property[keyword] = field[keyword];
+      }
+    });
+
+    if (!input && isReadOnly) {
+      property.readOnly = true;
+    }
+
+    properties[name] = property;
+
+    if (field.required && !partial && (input || !isReadOnly)) {
+      required.push(name);
+    }
+  });
+
+  const schema = {
+    type: 'object',
+    properties
+  };
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  if (input) {
+    schema.additionalProperties = false;
+  }
+
+  return schema;
+}
+
+/**
+ * Register the input schemas of a model with a validation manager
+ * @returns {object} Schema names { full, partial }
+ */
+function ensureModelSchemas(validationManager, model) {
+  const names = {
+    full: model.name,
+    partial: `${model.name}:partial`
+  };
+
+  if (!validationManager.getSchema(names.full)) {
+    validationManager.addSchema(names.full, toJSONSchema(model, { input: true }));
+    validationManager.addSchema(names.partial, toJSONSchema(model, { input: true, partial: true }));
+  }
+
+  return names;
+}
+
+/**
+ * Load all model definitions from a directory
+ */
+function loadModels(modelsDir = path.join(__dirname, '../../models')) {
+  const models = [];
+
+  if (!fs.existsSync(modelsDir)) {
+    return models;
+  }
+
+  fs.readdirSync(modelsDir).forEach((file) => {
+    if (file.endsWith('.js')) {
+      try {
+        models.push(normalizeModel(require(path.join(modelsDir, file))));
+      } catch (error) {
+        logger.error(`Failed to load model from file ${file}:`, error);
+        throw error;
+      }
+    }
+  });
+
+  return linkRelations(models);
+}
+
+module.exports = {
+  FIELD_TYPES,
+  RELATION_TYPES,
+  normalizeModel,
+  linkRelations,
+  isDeclarative,
+  getWritableFields,
+  getFileFields,
+  toJSONSchema,
+  ensureModelSchemas,
+  loadModels
+};
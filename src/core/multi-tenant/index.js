@@ -270,48 +270,58 @@ class TenantManager {
   }
 
   /**
-   * Tenant identification middleware
+   * Identify the tenant of a request (HTTP or WebSocket upgrade)
+   * @returns {object|null} The tenant, or null if none was specified or found
    */
-  tenantMiddleware(req, res, next) {
-    try {
-      // Get tenant ID from request
-      let tenantId = null;
+  identifyTenant(req) {
+    // Get tenant ID from request
+    let tenantId = null;
 
-      // Check header
-      if (req.headers['x-tenant-id']) {
-        tenantId = req.headers['x-tenant-id'];
-      }
-      // Check subdomain
-      else if (this.config.identificationStrategy === 'subdomain') {
-        const host = req.headers.host;
-        if (host) {
-          const subdomain = host.split('.')[0];
-          // Find tenant by subdomain
-          for (const [id, tenant] of this.tenants) {
-            if (tenant.domain === subdomain) {
-              tenantId = id;
-              break;
-            }
+    // Check header
+    if (req.headers['x-tenant-id']) {
+      tenantId = req.headers['x-tenant-id'];
+    }
+    // Check subdomain
+    else if (this.config.identificationStrategy === 'subdomain') {
+      const host = req.headers.host;
+      if (host) {
+        const subdomain = host.split('.')[0];
+        // Find tenant by subdomain
+        for (const [id, tenant] of this.tenants) {
+          if (tenant.domain === subdomain) {
+            tenantId = id;
+            break;
           }
         }
       }
-      // Check path
-      else if (this.config.identificationStrategy === 'path') {
-        const pathParts = req.path.split('/');
-        if (pathParts.length > 1 && pathParts[1]) {
-          // Check if the first path segment is a tenant ID
-          if (this.tenants.has(pathParts[1])) {
-            tenantId = pathParts[1];
-            // Remove tenant ID from path
-            req.url = req.url.replace(`/${tenantId}`, '');
-          }
+    }
+    // Check path
+    else if (this.config.identificationStrategy === 'path') {
+      const pathParts = (req.path || req.url.split('?')[0]).split('/');
+      if (pathParts.length > 1 && pathParts[1]) {
+        // Check if the first path segment is a tenant ID
+        if (this.tenants.has(pathParts[1])) {
+          tenantId = pathParts[1];
+          // Remove tenant ID from path
+          req.url = req.url.replace(`/${tenantId}`, '');
         }
       }
+    }
+
+    return tenantId && this.tenants.has(tenantId) ? this.tenants.get(tenantId) : null;
+  }
+
+  /**
+   * Tenant identification middleware
+   */
+  tenantMiddleware(req, res, next) {
+    try {
+      const tenant = this.identifyTenant(req);
 
       // If tenant ID found, attach tenant to request
-      if (tenantId && this.tenants.has(tenantId)) {
-        req.tenant = this.tenants.get(tenantId);
-        logger.debug(`Request for tenant: ${req.tenant.name} (${tenantId})`);
+      if (tenant) {
+        req.tenant = tenant;
+        logger.debug(`Request for tenant: ${req.tenant.name} (${tenant.id})`);
       } else if (this.config.requireTenant) {
         // If tenant is required but not found, return error
         return res.status(400).json({
@@ -0,0 +1,251 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { NotFoundError, toApiError, toProblem } = require('../errors');
+
+/**
+ * Long-running operations
+ *
+ * Routes whose work outlasts an HTTP request (exports, imports, AI enrichment)
+ * start an operation and answer 202 Accepted right away:
+ *
+ *   POST /api/v1/product/bulk        Prefer: respond-async
+ *   202 Accepted                     Location: /api/v1/operations/4f0c...
+ *
+ *   GET /api/v1/operations/4f0c...
+ *   { "id": "4f0c...", "status": "running", "progress": { "completed": 120, "total": 500 }, ... }
+ *
+ * Operations are stored in Redis when it's configured, in memory otherwise,
+ * and every change is emitted as an 'update' event (see setupWebSockets).
+ */
+
+const DEFAULT_TTL = 24 * 60 * 60; // Keep finished operations for a day
+const KEY_PREFIX = 'ube:operation:';
+
+const OPERATION_STATUSES = ['running', 'succeeded', 'failed'];
+
+/**
+ * In-memory operation store, used when Redis isn't available
+ */
+class MemoryOperationStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(id);
+      return null;
+    }
+
+    return entry ? entry.value : null;
+  }
+
+  async set(id, value, ttl) {
+    // A snapshot, like Redis would store
+    this.entries.set(id, { value: { ...value }, expiresAt: Date.now() + ttl * 1000 });
+  }
+}
+
+/**
+ * Redis operation store
+ */
+class RedisOperationStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(id) {
+    const value = await this.client.get(`${KEY_PREFIX}${id}`);
+
+    // The mock Redis client returns JSON values already parsed
+    return typeof value === 'string' ? JSON.parse(value) : value || null;
+  }
+
+  async set(id, value, ttl) {
+    await this.client.set(`${KEY_PREFIX}${id}`, JSON.stringify(value), { EX: ttl });
+  }
+}
+
+/**
+ * Runs operations and keeps track of their state
+ * Emits 'update' with the operation each time it changes
+ */
+class OperationManager extends EventEmitter {
+  /**
+   * @param {object} config - { ttl } in seconds, how long finished operations are kept
+   * @param {object} connections - Database connections; Redis is used when available
+   */
+  constructor(config = {}, connections = {}) {
+    super();
+    this.ttl = config.ttl || DEFAULT_TTL;
+    this.store = connections.redis ? new RedisOperationStore(connections.redis) : new MemoryOperationStore();
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Start an operation; the work runs after this resolves
+   * @param {string} type - Kind of operation, e.g. 'product.bulk'
+   * @param {Function} work - async ({ progress }) => result; progress({ completed, total, message })
+   * @param {object} options - { owner: { user, tenant }, formatError: (error) => stored error }
+   * @returns {Promise<object>} The operation
+   */
+  async start(type, work, options = {}) {
+    const { owner = {}, formatError = (error) => ({ message: error.message }) } = options;
+    const now = new Date().toISOString();
+    const operation = {
+      id: uuidv4(),
+      type,
+      status: 'running',
+      progress: null,
+      result: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+      owner
+    };
+
+    await this.save(operation);
+
+    setImmediate(() => this.run(operation, work, formatError));
+
+    return operation;
+  }
+
+  async run(operation, work, formatError) {
+    const progress = async (value) => {
+      operation.progress = value;
+      await this.save(operation);
+    };
+
+    try {
+      operation.result = await work({ progress });
+      operation.status = 'succeeded';
+    } catch (error) {
+      operation.error = formatError(error);
+      operation.status = 'failed';
+    }
+
+    operation.completedAt = new Date().toISOString();
+
+    try {
+      await this.save(operation);
+    } catch (error) {
+      logger.error(`Failed to record the outcome of operation ${operation.id}:`, error);
+    }
+  }
+
+  async save(operation) {
+    operation.updatedAt = new Date().toISOString();
+    await this.store.set(operation.id, operation, this.ttl);
+    this.emit('update', operation);
+  }
+
+  /**
+   * Get an operation, or null if it doesn't exist or has expired
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+}
+
+/**
+ * Get the operation manager of an app, creating one on first use
+ */
+function getOperationManager(app) {
+  if (!app.locals.operations) {
+    app.locals.operations = new OperationManager({}, app.locals.connections);
+  }
+
+  return app.locals.operations;
+}
+
+/**
+ * Owner of the operations started by a request; only they can read them
+ */
+function getOwner(req) {
+  return {
+    user: req.user ? (req.user.id || req.user.sub) : null,
+    tenant: req.tenant ? req.tenant.id : null
+  };
+}
+
+function isOwner(operation, owner) {
+  return operation.owner.user === owner.user && operation.owner.tenant === owner.tenant;
+}
+
+/**
+ * Operation as returned to clients
+ */
+function toResource(operation) {
+  const { owner: _owner, ...resource } = operation;
+  return resource;
+}
+
+/**
+ * Check whether a request asks to be answered before its work is done (RFC 7240)
+ */
+function prefersAsync(req) {
+  return /(^|[\s,])respond-async\b/.test(req.get('Prefer') || '');
+}
+
+/**
+ * Run a request's work as an operation, answering 202 with its status resource
+ * Failures are stored as problem details
+ * @param {Function} work - See OperationManager.start
+ */
+async function acceptOperation(req, res, type, work) {
+  const operation = await getOperationManager(req.app).start(type, work, {
+    owner: getOwner(req),
+    formatError: (error) => {
+      const apiError = toApiError(error);
+
+      if (apiError.status >= 500) {
+        logger.error(`Operation ${type} failed:`, apiError.cause || apiError);
+      }
+
+      return toProblem(req, apiError);
+    }
+  });
+
+  const base = req.app.locals.operationBase || '/operations/';
+
+  res.set({ Location: `${base}${operation.id}`, 'Preference-Applied': 'respond-async', 'Retry-After': '1' });
+  res.status(202).json(toResource(operation));
+}
+
+/**
+ * Handler for GET /operations/:id
+ */
+function createOperationHandler() {
+  return async (req, res, next) => {
+    try {
+      const operation = await getOperationManager(req.app).get(req.params.id);
+
+      if (!operation || !isOwner(operation, getOwner(req))) {
+        throw new NotFoundError(`Operation ${req.params.id} not found`);
+      }
+
+      if (operation.status === 'running') {
+        res.set('Retry-After', '1');
+      }
+
+      res.json(toResource(operation));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  OPERATION_STATUSES,
+  OperationManager,
+  getOperationManager,
+  toResource,
+  prefersAsync,
+  acceptOperation,
+  createOperationHandler
+};
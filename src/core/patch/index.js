@@ -0,0 +1,337 @@
+/**
+ * Partial updates for generated REST routes
+ *
+ *   PATCH /products/1
+ *   Content-Type: application/merge-patch+json    (RFC 7396)
+ *   { "price": 12, "category": null }
+ *
+ *   PATCH /products/1
+ *   Content-Type: application/json-patch+json     (RFC 6902)
+ *   [{ "op": "test", "path": "/price", "value": 10 }, { "op": "replace", "path": "/price", "value": 12 }]
+ *
+ * Patches are applied to the JSON representation of a record; plain
+ * application/json bodies are treated as merge patches.
+ */
+
+const { ApiError } = require('../errors');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+// Media types accepted by PATCH routes (advertised with Accept-Patch)
+const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH];
+
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+/**
+ * Error raised when a patch is malformed (400) or can't be applied to the
+ * current state of a record (409)
+ */
+class PatchError extends ApiError {
+  constructor(message, status = 400, details = []) {
+    super(status === 409 ? 'PATCH_CONFLICT' : 'INVALID_PATCH', message, { status, errors: details });
+    this.name = 'PatchError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether a value is a plain JSON object
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Deep copy a JSON value
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two JSON values
+ */
+function deepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => deepEqual(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Get the patch format of a request from its Content-Type
+ * @returns {string|null} A PATCH_TYPES entry, or null if unsupported
+ */
+function getPatchType(req) {
+  if (req.is(JSON_PATCH)) {
+    return JSON_PATCH;
+  }
+
+  if (req.is(MERGE_PATCH) || req.is('application/json')) {
+    return MERGE_PATCH;
+  }
+
+  return null;
+}
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396): null removes a member, objects are
+ * merged recursively and any other value replaces the target
+ */
+function applyMergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return clone(patch);
+  }
+
+  const result = isObject(target) ? { ...target } : {};
+
+  Object.entries(patch).forEach(([key, value]) => {
+    if (key === '__proto__') {
+      return;
+    }
+
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parse a JSON Pointer (RFC 6901) into reference tokens
+ */
+function parsePointer(pointer) {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new PatchError('Invalid patch', 400, [`'${pointer}' is not a valid JSON Pointer`]);
+  }
+
+  const tokens = pointer === ''
+    ? []
+    : pointer.slice(1).split('/').map((token) => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+
+  if (tokens.includes('__proto__')) {
+    throw new PatchError('Invalid patch', 400, [`'${pointer}' is not an allowed path`]);
+  }
+
+  return tokens;
+}
+
+/**
+ * Error for a pointer that doesn't exist in the document
+ */
+function missingPath(pointer) {
+  return new PatchError('Patch could not be applied', 409, [`Path '${pointer}' does not exist`]);
+}
+
+/**
+ * Resolve the parent container and final token of a pointer
+ */
+function resolveParent(document, pointer) {
+  const tokens = parsePointer(pointer);
+  const key = tokens.pop();
+  const parent = tokens.reduce((node, token) => {
+    if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, token)) {
+      throw missingPath(pointer);
+    }
+
+    return node[token];
+  }, document);
+
+  if (parent === null || typeof parent !== 'object') {
+    throw missingPath(pointer);
+  }
+
+  return { parent, key };
+}
+
+/**
+ * Convert an array token into an index
+ */
+function toIndex(array, key, pointer, allowEnd) {
+  if (allowEnd && key === '-') {
+    return array.length;
+  }
+
+  const index = /^(0|[1-9]\d*)$/.test(key) ? Number(key) : -1;
+
+  if (index < 0 || index > array.length || (!allowEnd && index === array.length)) {
+    throw missingPath(pointer);
+  }
+
+  return index;
+}
+
+/**
+ * Read the value at a pointer
+ */
+function getValue(document, pointer) {
+  if (pointer === '') {
+    return document;
+  }
+
+  const { parent, key } = resolveParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    return parent[toIndex(parent, key, pointer, false)];
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(parent, key)) {
+    throw missingPath(pointer);
+  }
+
+  return parent[key];
+}
+
+/**
+ * Add a value at a pointer, returning the new document
+ */
+function addValue(document, pointer, value) {
+  if (pointer === '') {
+    return value;
+  }
+
+  const { parent, key } = resolveParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, pointer, true), 0, value);
+  } else {
+    parent[key] = value;
+  }
+
+  return document;
+}
+
+/**
+ * Remove the value at a pointer, returning the new document
+ */
+function removeValue(document, pointer) {
+  if (pointer === '') {
+    throw new PatchError('Invalid patch', 400, ['The whole document cannot be removed']);
+  }
+
+  const { parent, key } = resolveParent(document, pointer);
+
+  if (Array.isArray(parent)) {
+    parent.splice(toIndex(parent, key, pointer, false), 1);
+  } else {
+    getValue(document, pointer);
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Check the shape of a JSON Patch document
+ */
+function validateOperations(operations) {
+  if (!Array.isArray(operations)) {
+    throw new PatchError('Invalid patch', 400, ['A JSON Patch document must be an array of operations']);
+  }
+
+  const errors = [];
+
+  operations.forEach((operation, i) => {
+    if (!isObject(operation) || !JSON_PATCH_OPERATIONS.includes(operation.op)) {
+      errors.push(`Operation ${i} must have an op of ${JSON_PATCH_OPERATIONS.join(', ')}`);
+      return;
+    }
+
+    if (typeof operation.path !== 'string') {
+      errors.push(`Operation ${i} must have a path`);
+    }
+
+    if (['add', 'replace', 'test'].includes(operation.op) && !('value' in operation)) {
+      errors.push(`Operation ${i} (${operation.op}) must have a value`);
+    }
+
+    if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+      errors.push(`Operation ${i} (${operation.op}) must have a from path`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new PatchError('Invalid patch', 400, errors);
+  }
+}
+
+/**
+ * Apply a JSON Patch (RFC 6902); operations are applied in order to a copy of
+ * the document and the patch fails as a whole if any operation fails
+ * @throws {PatchError} 400 if the patch is malformed, 409 if a path is missing or a test fails
+ */
+function applyJsonPatch(document, operations) {
+  validateOperations(operations);
+
+  return operations.reduce((current, { op, path, from, value }) => {
+    switch (op) {
+    case 'add':
+      return addValue(current, path, clone(value));
+    case 'remove':
+      return removeValue(current, path);
+    case 'replace':
+      if (path === '') {
+        return clone(value);
+      }
+
+      return addValue(removeValue(current, path), path, clone(value));
+    case 'move': {
+      if (path.startsWith(`${from}/`)) {
+        throw new PatchError('Invalid patch', 400, [`Cannot move '${from}' into one of its children`]);
+      }
+
+      const moved = getValue(current, from);
+      return addValue(removeValue(current, from), path, moved);
+    }
+    case 'copy':
+      return addValue(current, path, clone(getValue(current, from)));
+    default:
+      if (!deepEqual(getValue(current, path), value)) {
+        throw new PatchError('Patch could not be applied', 409, [`Test failed for path '${path}'`]);
+      }
+
+      return current;
+    }
+  }, clone(document));
+}
+
+/**
+ * Apply a patch of the given type to a document
+ */
+function applyPatch(type, document, patch) {
+  if (type === JSON_PATCH) {
+    return applyJsonPatch(document, patch);
+  }
+
+  if (!isObject(patch)) {
+    throw new PatchError('Invalid patch', 400, ['A merge patch must be a JSON object']);
+  }
+
+  return applyMergePatch(clone(document), patch);
+}
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  PATCH_TYPES,
+  PatchError,
+  getPatchType,
+  applyPatch,
+  applyMergePatch,
+  applyJsonPatch,
+  deepEqual
+};
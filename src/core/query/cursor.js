@@ -0,0 +1,114 @@
+/**
+ * Opaque cursors for keyset pagination
+ *
+ * A cursor records the values of the sort keys (always ending with the
+ * primary key) of a record, so the next page can continue strictly after it
+ * without OFFSET scans and without skipping or repeating rows.
+ */
+
+/**
+ * Get the sort signature ("-createdAt,id") a cursor is bound to
+ */
+function sortSignature(sort) {
+  return sort.map(({ field, direction }) => (direction === 'desc' ? `-${field}` : field)).join(',');
+}
+
+/**
+ * Encode a value, preserving dates
+ */
+function encodeValue(value) {
+  return value instanceof Date ? { $date: value.toISOString() } : value;
+}
+
+/**
+ * Decode a value, restoring dates
+ */
+function decodeValue(value) {
+  return value && typeof value === 'object' && value.$date ? new Date(value.$date) : value;
+}
+
+/**
+ * Create an opaque cursor for a record
+ */
+function encodeCursor(record, sort) {
+  const payload = {
+    s: sortSignature(sort),
+    v: sort.map(({ field }) => encodeValue(record[field] === undefined ? null : record[field]))
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into sort key values
+ * @returns {Array|null} Sort key values, or null if the cursor is invalid for this sort
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (payload.s !== sortSignature(sort) || !Array.isArray(payload.v) || payload.v.length !== sort.length) {
+      return null;
+    }
+
+    return payload.v.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Reverse a sort, used to page backwards
+ */
+function reverseSort(sort) {
+  return sort.map(({ field, direction }) => ({ field, direction: direction === 'desc' ? 'asc' : 'desc' }));
+}
+
+/**
+ * Expand a keyset ({ sort, values }) into alternative filters, any of which
+ * selects records after the cursor: (a > x) OR (a = x AND b > y) OR ...
+ * NULL sort values, which no comparison matches, are placed where the database
+ * sorts them: (a > x) OR (a IS NULL) when NULLs come after x, and
+ * (a IS NOT NULL) after a NULL cursor value when they come before
+ * @param {object} options - { nullsLast: NULLs sort after other values in
+ *                           ascending order (PostgreSQL), rather than before (MySQL, MongoDB) }
+ * @returns {Array} Filters in the core/query format
+ */
+function keysetFilters({ sort, values }, { nullsLast = false } = {}) {
+  const filters = [];
+
+  sort.forEach(({ field, direction }, index) => {
+    const ties = {};
+    const value = values[index];
+    // Whether NULLs come after the other values in this direction; the last
+    // key is the primary key, which is never NULL
+    const nullsAfter = nullsLast === (direction !== 'desc') && index < sort.length - 1;
+
+    sort.slice(0, index).forEach((previous, i) => {
+      ties[previous.field] = { eq: values[i] };
+    });
+
+    if (value === null || value === undefined) {
+      if (!nullsAfter) {
+        filters.push({ ...ties, [field]: { null: false } });
+      }
+
+      return;
+    }
+
+    filters.push({ ...ties, [field]: { [direction === 'desc' ? 'lt' : 'gt']: value } });
+
+    if (nullsAfter) {
+      filters.push({ ...ties, [field]: { null: true } });
+    }
+  });
+
+  return filters;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  reverseSort,
+  keysetFilters
+};
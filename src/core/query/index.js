@@ -0,0 +1,457 @@
+/**
+ * List query language for generated REST routes
+ *
+ *   ?filter[price][gte]=10&filter[category]=Books
+ *   &sort=-createdAt,name
+ *   &fields=id,name
+ *   &include=owner,tags.category     (relations, see ../database/relations)
+ *   &trashed=only                    (soft-deleted records: without, with or only)
+ *   ?q=desk lamp                     (search routes only, see ../search)
+ *   &page[size]=20&page[number]=2    (offset pagination)
+ *   &page[size]=20&page[after]=...    (cursor pagination, see ./cursor)
+ *
+ * The parsed query is database-neutral; adapters translate it to SQL,
+ * MongoDB or in-memory predicates.
+ */
+
+const { ApiError } = require('../errors');
+const { MAX_QUERY_LENGTH } = require('../search');
+
+// Supported filter operators
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'like', 'null'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_INCLUDE_DEPTH = 3;
+
+// Which records of soft-deleting models a list returns
+const TRASHED_MODES = ['without', 'with', 'only'];
+
+/**
+ * Error raised for malformed or disallowed list queries
+ */
+class QueryError extends ApiError {
+  constructor(message, details = []) {
+    super('INVALID_QUERY', message, { errors: details });
+    this.name = 'QueryError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check whether a filter value is an operator map ({ gte: 10 })
+ */
+function isOperatorMap(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) &&
+    Object.keys(value).length > 0 && Object.keys(value).every((key) => OPERATORS.includes(key));
+}
+
+/**
+ * Flatten a filter object into a list of { field, op, value } conditions
+ * Plain values are treated as equality checks
+ */
+function toConditions(filter = {}) {
+  const conditions = [];
+
+  Object.entries(filter).forEach(([field, value]) => {
+    if (isOperatorMap(value)) {
+      Object.entries(value).forEach(([op, operand]) => {
+        conditions.push({ field, op, value: operand });
+      });
+    } else {
+      conditions.push({ field, op: 'eq', value });
+    }
+  });
+
+  return conditions;
+}
+
+/**
+ * Fields that may be used for filtering, sorting and selection
+ */
+function getQueryableFields(model, kind) {
+  const allowed = model.query && model.query[kind];
+
+  if (allowed) {
+    return allowed;
+  }
+
+  return Object.entries(model.fields)
+    .filter(([, field]) => !field.hidden)
+    .map(([name]) => name);
+}
+
+/**
+ * Coerce a query string value to a field's type
+ */
+function coerceValue(model, field, value, errors) {
+  if (value === null || value === undefined || typeof value !== 'string') {
+    return value;
+  }
+
+  const { type } = model.fields[field];
+
+  if (type === 'integer' || type === 'number' || type === 'float' ||
+    (type === 'id' && model.database !== 'mongodb' && /^\d+$/.test(value))) {
+    const number = Number(value);
+
+    if (value.trim() === '' || Number.isNaN(number)) {
+      errors.push(`filter[${field}] must be a number`);
+    }
+
+    return number;
+  }
+
+  if (type === 'boolean') {
+    if (!['true', 'false'].includes(value)) {
+      errors.push(`filter[${field}] must be true or false`);
+    }
+
+    return value === 'true';
+  }
+
+  if (type === 'date' && Number.isNaN(Date.parse(value))) {
+    errors.push(`filter[${field}] must be a date`);
+  }
+
+  return value;
+}
+
+/**
+ * Parse the filter parameter
+ */
+function parseFilter(model, filter, errors) {
+  if (filter === undefined) {
+    return {};
+  }
+
+  if (filter === null || typeof filter !== 'object' || Array.isArray(filter)) {
+    errors.push('filter must use the filter[field][operator]=value syntax');
+    return {};
+  }
+
+  const allowed = getQueryableFields(model, 'filterable');
+  const parsed = {};
+
+  Object.entries(filter).forEach(([field, value]) => {
+    if (!allowed.includes(field) || !model.fields[field]) {
+      errors.push(`Filtering on '${field}' is not allowed`);
+      return;
+    }
+
+    const operators = value !== null && typeof value === 'object' && !Array.isArray(value) ? value : { eq: value };
+    parsed[field] = {};
+
+    Object.entries(operators).forEach(([op, operand]) => {
+      if (!OPERATORS.includes(op)) {
+        errors.push(`Unknown filter operator '${op}' for '${field}'`);
+        return;
+      }
+
+      if (op === 'in' || op === 'nin') {
+        const list = Array.isArray(operand) ? operand : String(operand).split(',');
+        parsed[field][op] = list.map((item) => coerceValue(model, field, item, errors));
+      } else if (op === 'null') {
+        if (!['true', 'false'].includes(String(operand))) {
+          errors.push(`filter[${field}][null] must be true or false`);
+        }
+        parsed[field][op] = String(operand) === 'true';
+      } else if (typeof operand === 'object') {
+        errors.push(`filter[${field}][${op}] must be a single value`);
+      } else {
+        parsed[field][op] = coerceValue(model, field, operand, errors);
+      }
+    });
+  });
+
+  return parsed;
+}
+
+/**
+ * Parse the sort parameter ("-createdAt,name")
+ * The primary key is always appended so ordering is stable
+ */
+function parseSort(model, sort, errors) {
+  const allowed = getQueryableFields(model, 'sortable');
+  const parsed = [];
+
+  if (sort !== undefined) {
+    if (typeof sort !== 'string') {
+      errors.push('sort must be a comma-separated list of fields');
+    } else {
+      sort.split(',').filter(Boolean).forEach((item) => {
+        const direction = item.startsWith('-') ? 'desc' : 'asc';
+        const field = item.replace(/^[-+]/, '');
+
+        if (!allowed.includes(field) || !model.fields[field]) {
+          errors.push(`Sorting on '${field}' is not allowed`);
+          return;
+        }
+
+        parsed.push({ field, direction });
+      });
+    }
+  }
+
+  if (!parsed.some(({ field }) => field === model.primaryKey)) {
+    parsed.push({ field: model.primaryKey, direction: 'asc' });
+  }
+
+  return parsed;
+}
+
+/**
+ * Parse the fields parameter ("id,name")
+ */
+function parseFields(model, fields, errors) {
+  if (fields === undefined) {
+    return null;
+  }
+
+  if (typeof fields !== 'string') {
+    errors.push('fields must be a comma-separated list of fields');
+    return null;
+  }
+
+  const allowed = getQueryableFields(model, 'selectable');
+  const selected = fields.split(',').filter(Boolean);
+
+  selected.forEach((field) => {
+    if (!allowed.includes(field) || !model.fields[field]) {
+      errors.push(`Selecting '${field}' is not allowed`);
+    }
+  });
+
+  // The primary key is always returned so records stay addressable
+  return selected.includes(model.primaryKey) ? selected : [model.primaryKey, ...selected];
+}
+
+/**
+ * Parse the include parameter ("owner,tags.category") into a tree of
+ * relations to load: { owner: {}, tags: { category: {} } }
+ */
+function parseIncludeTree(model, include, errors) {
+  if (include === undefined || include === '') {
+    return null;
+  }
+
+  if (typeof include !== 'string') {
+    errors.push('include must be a comma-separated list of relations');
+    return null;
+  }
+
+  const tree = {};
+
+  include.split(',').filter(Boolean).forEach((path) => {
+    const names = path.split('.');
+
+    if (names.length > MAX_INCLUDE_DEPTH) {
+      errors.push(`Including '${path}' is not allowed: relations can be nested ${MAX_INCLUDE_DEPTH} levels deep`);
+      return;
+    }
+
+    let current = model;
+    let node = tree;
+
+    for (const name of names) {
+      const relation = current.relations && current.relations[name];
+
+      if (!relation || !relation.target) {
+        errors.push(`Unknown relation '${path}'`);
+        return;
+      }
+
+      node[name] = node[name] || {};
+      node = node[name];
+      current = relation.target;
+    }
+  });
+
+  return tree;
+}
+
+/**
+ * Parse the include parameter of a single-record request
+ * @returns {object|null} Tree of relations to load
+ * @throws {QueryError} If the parameter names unknown relations
+ */
+function parseInclude(model, include) {
+  const errors = [];
+  const tree = parseIncludeTree(model, include, errors);
+
+  if (errors.length > 0) {
+    throw new QueryError('Invalid query', errors);
+  }
+
+  return tree;
+}
+
+/**
+ * Parse the trashed parameter of models with soft delete
+ * @returns {string|null} Mode from TRASHED_MODES, or null if the model doesn't soft delete
+ */
+function parseTrashed(model, trashed, errors) {
+  if (!model.softDelete) {
+    if (trashed !== undefined) {
+      errors.push(`${model.name} records are deleted permanently; trashed is not supported`);
+    }
+
+    return null;
+  }
+
+  if (trashed === undefined) {
+    return 'without';
+  }
+
+  if (!TRASHED_MODES.includes(trashed)) {
+    errors.push(`trashed must be one of: ${TRASHED_MODES.join(', ')}`);
+  }
+
+  return trashed;
+}
+
+/**
+ * Parse the page parameter
+ */
+function parsePage(model, page = {}, errors) {
+  const options = model.query || {};
+  const maxSize = options.maxPageSize || MAX_PAGE_SIZE;
+  const size = page.size !== undefined ? Number(page.size) : (options.defaultPageSize || DEFAULT_PAGE_SIZE);
+  const number = page.number !== undefined ? Number(page.number) : 1;
+
+  if (!Number.isInteger(size) || size < 1 || size > maxSize) {
+    errors.push(`page[size] must be an integer between 1 and ${maxSize}`);
+  }
+
+  if (!Number.isInteger(number) || number < 1) {
+    errors.push('page[number] must be a positive integer');
+  }
+
+  ['after', 'before'].forEach((key) => {
+    if (page[key] !== undefined && typeof page[key] !== 'string') {
+      errors.push(`page[${key}] must be a cursor string`);
+    }
+  });
+
+  if (page.after !== undefined && page.before !== undefined) {
+    errors.push('page[after] and page[before] cannot be combined');
+  }
+
+  const usesCursor = page.after !== undefined || page.before !== undefined;
+
+  if (usesCursor && page.number !== undefined) {
+    errors.push('page[number] cannot be combined with a cursor');
+  }
+
+  return {
+    size,
+    number,
+    // An empty cursor starts from the first (after) or last (before) record
+    cursor: usesCursor || options.pagination === 'cursor'
+      ? { after: page.after, before: page.before }
+      : null
+  };
+}
+
+/**
+ * Parse a list query string into a database-neutral query
+ * @param {object} model - Normalized model definition
+ * @param {object} query - Parsed query string (req.query)
+ * @returns {object} { filter, sort, fields, include, trashed, limit, offset, page, cursor }
+ * @throws {QueryError} If the query is malformed or uses disallowed fields
+ */
+function parseListQuery(model, query = {}) {
+  const errors = [];
+  const filter = parseFilter(model, query.filter, errors);
+  const sort = parseSort(model, query.sort, errors);
+  let fields = parseFields(model, query.fields, errors);
+  const include = parseIncludeTree(model, query.include, errors);
+  const trashed = parseTrashed(model, query.trashed, errors);
+  const page = parsePage(model, typeof query.page === 'object' ? query.page : {}, errors);
+
+  if (errors.length > 0) {
+    throw new QueryError('Invalid query', errors);
+  }
+
+  if (fields && include) {
+    // Included belongsTo relations are looked up by the records' foreign keys
+    const foreignKeys = Object.keys(include)
+      .map((name) => model.relations[name])
+      .filter((relation) => relation.type === 'belongsTo')
+      .map((relation) => relation.foreignKey);
+
+    fields = [...new Set([...fields, ...foreignKeys])];
+  }
+
+  return {
+    filter,
+    sort,
+    fields,
+    include,
+    trashed,
+    page,
+    cursor: page.cursor,
+    limit: page.size,
+    offset: page.cursor ? 0 : (page.number - 1) * page.size
+  };
+}
+
+/**
+ * Parse the query string of a full-text search (see core/search): the search
+ * text in q and the list query parameters, except sort, as results are ordered
+ * by relevance, and cursors, as results are paged by number
+ * @returns {object} Parsed list query with the search text
+ * @throws {QueryError} If the query is malformed or uses disallowed fields
+ */
+function parseSearchQuery(model, query = {}) {
+  const errors = [];
+  const page = typeof query.page === 'object' ? query.page : {};
+
+  if (typeof query.q !== 'string' || query.q.trim() === '') {
+    errors.push('q must be the text to search for');
+  } else if (query.q.length > MAX_QUERY_LENGTH) {
+    errors.push(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  if (query.sort !== undefined) {
+    errors.push('Search results are sorted by relevance; sort is not supported');
+  }
+
+  if (page.after !== undefined || page.before !== undefined) {
+    errors.push('Search results are paged with page[number]; cursors are not supported');
+  }
+
+  if (errors.length > 0) {
+    throw new QueryError('Invalid query', errors);
+  }
+
+  const offsetModel = { ...model, query: { ...model.query, pagination: 'offset' } };
+
+  return { ...parseListQuery(offsetModel, { ...query, page }), text: query.q.trim() };
+}
+
+/**
+ * Convert a LIKE pattern (% and _ wildcards) into a regular expression
+ */
+function likeToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = {
+  OPERATORS,
+  TRASHED_MODES,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  QueryError,
+  getQueryableFields,
+  parseListQuery,
+  parseSearchQuery,
+  parseInclude,
+  toConditions,
+  likeToRegExp
+};
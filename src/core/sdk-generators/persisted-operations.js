@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const babel = require('@babel/core');
+
+/**
+ * Extract the GraphQL operations clients execute with the SDK hooks and
+ * composables (useQuery, useMutation), to register them as persisted queries
+ *
+ *   const { execute } = useQuery(`query Products { products { id name } }`);
+ *
+ * Documents must be string or template literals without expressions, passed
+ * directly or through a variable; other documents are reported as warnings
+ * since they can't be known before the client runs.
+ */
+
+const HOOKS = ['useQuery', 'useMutation'];
+const EXTENSIONS = ['.js', '.jsx', '.mjs', '.ts', '.tsx', '.vue'];
+
+/**
+ * Extract the operations of a source file
+ * @returns {object} { operations: [{ body, file, line }], warnings: [{ message, file, line }] }
+ */
+function extractOperations(code, file) {
+  const operations = [];
+  const warnings = [];
+  const scripts = path.extname(file) === '.vue'
+    ? getVueScripts(code)
+    : [{ code, typescript: /\.tsx?$/.test(file), jsx: !file.endsWith('.ts') }];
+
+  scripts.forEach((script) => {
+    const ast = babel.parseSync(script.code, {
+      filename: file,
+      babelrc: false,
+      configFile: false,
+      sourceType: 'unambiguous',
+      parserOpts: {
+        plugins: [script.jsx && 'jsx', script.typescript && 'typescript'].filter(Boolean)
+      }
+    });
+
+    babel.traverse(ast, {
+      CallExpression(callPath) {
+        const { callee, arguments: args } = callPath.node;
+        const name = callee.type === 'MemberExpression' ? callee.property.name : callee.name;
+
+        if (!HOOKS.includes(name) || args.length === 0) {
+          return;
+        }
+
+        const line = callPath.node.loc.start.line;
+        const body = getLiteral(args[0], callPath.scope);
+
+        if (body === undefined) {
+          warnings.push({ message: `${name} is called with a dynamic document, which can't be persisted`, file, line });
+        } else {
+          operations.push({ body, file, line });
+        }
+      }
+    });
+  });
+
+  return { operations, warnings };
+}
+
+/**
+ * Extract the operations of every source file in directories
+ * Dependencies (node_modules) and hidden directories are skipped
+ */
+function findOperations(directories) {
+  const result = { operations: [], warnings: [] };
+
+  const visit = (directory) => {
+    fs.readdirSync(directory, { withFileTypes: true }).forEach((entry) => {
+      const file = path.join(directory, entry.name);
+
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+          visit(file);
+        }
+      } else if (EXTENSIONS.includes(path.extname(entry.name))) {
+        const { operations, warnings } = extractOperations(fs.readFileSync(file, 'utf8'), file);
+        result.operations.push(...operations);
+        result.warnings.push(...warnings);
+      }
+    });
+  };
+
+  directories.forEach(visit);
+  return result;
+}
+
+/**
+ * The value of a string or template literal, or of a constant holding one
+ */
+function getLiteral(node, scope) {
+  if (node.type === 'StringLiteral') {
+    return node.value;
+  }
+
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+
+  if (node.type === 'Identifier') {
+    const binding = scope.getBinding(node.name);
+    const declarator = binding && binding.constant && binding.path.node;
+
+    if (declarator && declarator.type === 'VariableDeclarator' && declarator.init) {
+      return getLiteral(declarator.init, binding.path.scope);
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * The scripts of a single-file component (<script> and <script setup>),
+ * padded so that their lines match the file's
+ */
+function getVueScripts(code) {
+  return [...code.matchAll(/<script([^>]*)>([\s\S]*?)<\/script>/g)].map((match) => {
+    const offset = code.slice(0, match.index + match[0].indexOf('>') + 1).split('\n').length - 1;
+    const typescript = /lang=["']tsx?["']/.test(match[1]);
+
+    return {
+      code: '\n'.repeat(offset) + match[2],
+      typescript,
+      jsx: !typescript || /lang=["']tsx["']/.test(match[1])
+    };
+  });
+}
+
+module.exports = {
+  extractOperations,
+  findOperations
+};
@@ -53,6 +53,14 @@ function generateApiClient(config) {
   return `
 import axios from 'axios';
 
+// Media types of the response formats generated routes support
+const FORMATS = {
+  json: 'application/json',
+  msgpack: 'application/msgpack',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
 /**
  * API Client for Universal Backend Engine
  */
@@ -61,6 +69,8 @@ class ApiClient {
     this.baseURL = options.baseURL || '${config.api.rest.basePath}/${config.api.rest.version}';
     this.timeout = options.timeout || 10000;
     this.token = options.token || null;
+    // MessagePack decoder, e.g. decode from @msgpack/msgpack (loaded on first use by default)
+    this.decodeMsgpack = options.decodeMsgpack || null;
     
     // Create axios instance
     this.client = axios.create({
@@ -100,28 +110,95 @@ class ApiClient {
   
   /**
    * Get all resources
+   * @param {object} options - { params: query parameters, format: 'json', 'msgpack' or 'csv' }
    */
-  async getAll(resource) {
-    try {
-      const response = await this.client.get(\`/\${resource}\`);
-      return response.data;
-    } catch (error) {
-      throw this._handleError(error);
-    }
+  async getAll(resource, options = {}) {
+    return this._get(\`/\${resource}\`, options);
   }
   
   /**
    * Get resource by ID
+   * @param {object} options - { params: query parameters, format: 'json' or 'msgpack' }
    */
-  async getById(resource, id) {
+  async getById(resource, id, options = {}) {
+    return this._get(\`/\${resource}/\${id}\`, options);
+  }
+  
+  /**
+   * Stream every matching resource as NDJSON, yielding records as they arrive
+   * @param {object} params - Query parameters, e.g. { 'filter[category]': 'Books' }
+   */
+  async *stream(resource, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const headers = { Accept: FORMATS.ndjson };
+    
+    if (this.token) {
+      headers.Authorization = \`Bearer \${this.token}\`;
+    }
+    
+    const response = await fetch(\`\${this.baseURL}/\${resource}\${query ? \`?\${query}\` : ''}\`, { headers });
+    
+    if (!response.ok) {
+      const data = await response.json().catch(() => null);
+      throw this._handleError({ response: { status: response.status, data } });
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for (;;) {
+      const { done, value } = await reader.read();
+      
+      if (done) {
+        break;
+      }
+      
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\\n');
+      buffer = lines.pop();
+      
+      for (const line of lines.filter((item) => item.trim())) {
+        yield JSON.parse(line);
+      }
+    }
+    
+    if (buffer.trim()) {
+      yield JSON.parse(buffer);
+    }
+  }
+  
+  /**
+   * GET a resource in the requested format
+   */
+  async _get(url, { params, format = 'json' } = {}) {
+    const responseTypes = { msgpack: 'arraybuffer', csv: 'text' };
+    
     try {
-      const response = await this.client.get(\`/\${resource}/\${id}\`);
-      return response.data;
+      const response = await this.client.get(url, {
+        params,
+        headers: { Accept: FORMATS[format] },
+        responseType: responseTypes[format] || 'json'
+      });
+      
+      return format === 'msgpack' ? this._decode(response.data) : response.data;
     } catch (error) {
+      // Errors are problem+json whatever format was requested
+      if (error.response && error.response.data instanceof ArrayBuffer) {
+        error.response.data = JSON.parse(new TextDecoder().decode(error.response.data));
+      }
       throw this._handleError(error);
     }
   }
   
+  /**
+   * Decode a MessagePack response body
+   */
+  async _decode(data) {
+    const decode = this.decodeMsgpack || (await import('@msgpack/msgpack')).decode;
+    return decode(new Uint8Array(data));
+  }
+  
   /**
    * Create a new resource
    */
@@ -185,7 +262,7 @@ class ApiClient {
       const { status, data } = error.response;
       return {
         status,
-        message: data.error || 'An error occurred',
+        message: (data && (data.detail || data.error)) || 'An error occurred',
         data
       };
     } else if (error.request) {
@@ -229,6 +306,8 @@ export function useFetch(resource, id = null, options = {}) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const client = options.client || defaultClient;
+  // Response format, e.g. 'msgpack' for compact payloads or 'csv' for lists
+  const format = options.format || 'json';
   
   useEffect(() => {
     const fetchData = async () => {
@@ -237,9 +316,9 @@ export function useFetch(resource, id = null, options = {}) {
         let result;
         
         if (id) {
-          result = await client.getById(resource, id);
+          result = await client.getById(resource, id, { format });
         } else {
-          result = await client.getAll(resource);
+          result = await client.getAll(resource, { format });
         }
         
         setData(result);
@@ -252,7 +331,7 @@ export function useFetch(resource, id = null, options = {}) {
     };
     
     fetchData();
-  }, [resource, id, client]);
+  }, [resource, id, client, format]);
   
   const refetch = useCallback(async () => {
     try {
@@ -260,9 +339,9 @@ export function useFetch(resource, id = null, options = {}) {
       let result;
       
       if (id) {
-        result = await client.getById(resource, id);
+        result = await client.getById(resource, id, { format });
       } else {
-        result = await client.getAll(resource);
+        result = await client.getAll(resource, { format });
       }
       
       setData(result);
@@ -274,7 +353,7 @@ export function useFetch(resource, id = null, options = {}) {
     } finally {
       setLoading(false);
     }
-  }, [resource, id, client]);
+  }, [resource, id, client, format]);
   
   return { data, loading, error, refetch };
 }
@@ -424,15 +503,61 @@ export function useAuth(options = {}) {
 
 /**
  * Generate GraphQL hooks code
+ * Operations are sent as automatic persisted queries; their documents must be
+ * literals for the persist-queries script to register them
  */
 function generateGraphQLHooks(config) {
   return `
 import { useState, useCallback } from 'react';
 
+const GRAPHQL_URL = '${config.api.graphql.path || '/graphql'}';
+
 /**
- * Hook for executing GraphQL queries
+ * SHA-256 hash of a document, identifying it as a persisted query
  */
-export function useQuery(query, options = {}) {
+async function hashQuery(query) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(query));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Execute an operation, sending its hash and only sending the document
+ * when the server doesn't know it yet
+ */
+async function executeOperation(query, variables, token) {
+  const send = async (body) => {
+    const response = await fetch(GRAPHQL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(token ? { 'Authorization': \`Bearer \${token}\` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+    
+    return response.json();
+  };
+  
+  const extensions = { persistedQuery: { version: 1, sha256Hash: await hashQuery(query) } };
+  let result = await send({ variables, extensions });
+  
+  const codes = (result.errors || []).map((error) => error.extensions && error.extensions.code);
+  if (codes.includes('PERSISTED_QUERY_NOT_FOUND') || codes.includes('PERSISTED_QUERY_NOT_SUPPORTED')) {
+    result = await send({ query, variables, extensions });
+  }
+  
+  if (result.errors) {
+    throw result.errors;
+  }
+  
+  return result.data;
+}
+
+/**
+ * Hook for executing GraphQL operations
+ */
+function useOperation(query, options = {}) {
   const [data, setData] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
@@ -441,28 +566,11 @@ export function useQuery(query, options = {}) {
     try {
       setLoading(true);
       
-      const response = await fetch('/graphql', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...(options.token ? { 'Authorization': \`Bearer \${options.token}\` } : {})
-        },
-        body: JSON.stringify({
-          query,
-          variables
-        })
-      });
-      
-      const result = await response.json();
-      
-      if (result.errors) {
-        throw result.errors;
-      }
+      const result = await executeOperation(query, variables, options.token);
       
-      setData(result.data);
+      setData(result);
       setError(null);
-      return result.data;
+      return result;
     } catch (error) {
       setError(error);
       throw error;
@@ -474,49 +582,18 @@ export function useQuery(query, options = {}) {
   return { execute, data, loading, error };
 }
 
+/**
+ * Hook for executing GraphQL queries
+ */
+export function useQuery(query, options = {}) {
+  return useOperation(query, options);
+}
+
 /**
  * Hook for executing GraphQL mutations
  */
 export function useMutation(mutation, options = {}) {
-  const [data, setData] = useState(null);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
-  
-  const execute = useCallback(async (variables = {}) => {
-    try {
-      setLoading(true);
-      
-      const response = await fetch('/graphql', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          ...(options.token ? { 'Authorization': \`Bearer \${options.token}\` } : {})
-        },
-        body: JSON.stringify({
-          query: mutation,
-          variables
-        })
-      });
-      
-      const result = await response.json();
-      
-      if (result.errors) {
-        throw result.errors;
-      }
-      
-      setData(result.data);
-      setError(null);
-      return result.data;
-    } catch (error) {
-      setError(error);
-      throw error;
-    } finally {
-      setLoading(false);
-    }
-  }, [mutation, options.token]);
-  
-  return { execute, data, loading, error };
+  return useOperation(mutation, options);
 }
 `;
 }
@@ -53,6 +53,14 @@ function generateApiClient(config) {
   return `
 import axios from 'axios';
 
+// Media types of the response formats generated routes support
+const FORMATS = {
+  json: 'application/json',
+  msgpack: 'application/msgpack',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
 /**
  * API Client for Universal Backend Engine
  */
@@ -61,6 +69,8 @@ class ApiClient {
     this.baseURL = options.baseURL || '${config.api.rest.basePath}/${config.api.rest.version}';
     this.timeout = options.timeout || 10000;
     this.headers = options.headers || {};
+    // MessagePack decoder, e.g. decode from @msgpack/msgpack (loaded on first use by default)
+    this.decodeMsgpack = options.decodeMsgpack || null;
     
     // Create axios instance
     this.client = axios.create({
@@ -86,23 +96,81 @@ class ApiClient {
   }
   
   // Generic request method
+  // options.format picks the response format: 'json', 'msgpack' or 'csv' (lists only)
   async request(method, url, data = null, options = {}) {
+    const { format = 'json', ...config } = options;
+    const responseTypes = { msgpack: 'arraybuffer', csv: 'text' };
+    
     try {
       const response = await this.client({
         method,
         url,
         data,
-        ...options
+        ...config,
+        headers: { ...config.headers, Accept: FORMATS[format] },
+        responseType: responseTypes[format] || 'json'
       });
-      return response.data;
+      return format === 'msgpack' ? this.decode(response.data) : response.data;
     } catch (error) {
       if (error.response) {
-        throw new Error(error.response.data.error || 'Request failed');
+        // Errors are problem+json whatever format was requested
+        const body = error.response.data instanceof ArrayBuffer
+          ? JSON.parse(new TextDecoder().decode(error.response.data))
+          : error.response.data;
+        throw new Error((body && (body.detail || body.error)) || 'Request failed');
       }
       throw error;
     }
   }
   
+  // Decode a MessagePack response body
+  async decode(data) {
+    const decode = this.decodeMsgpack || (await import('@msgpack/msgpack')).decode;
+    return decode(new Uint8Array(data));
+  }
+  
+  // Stream every matching record of a list route as NDJSON, yielding records as they arrive
+  async *stream(url, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const token = localStorage.getItem('auth_token');
+    const headers = { ...this.headers, Accept: FORMATS.ndjson };
+    
+    if (token) {
+      headers.Authorization = \`Bearer \${token}\`;
+    }
+    
+    const response = await fetch(\`\${this.baseURL}\${url}\${query ? \`?\${query}\` : ''}\`, { headers });
+    
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new Error((body && (body.detail || body.error)) || 'Request failed');
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    for (;;) {
+      const { done, value } = await reader.read();
+      
+      if (done) {
+        break;
+      }
+      
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\\n');
+      buffer = lines.pop();
+      
+      for (const line of lines.filter((item) => item.trim())) {
+        yield JSON.parse(line);
+      }
+    }
+    
+    if (buffer.trim()) {
+      yield JSON.parse(buffer);
+    }
+  }
+  
   // GET request
   get(url, options = {}) {
     return this.request('get', url, null, options);
@@ -354,10 +422,102 @@ export function useAuth(options = {}) {
 
 /**
  * Generate GraphQL composables for Vue.js
+ * Operations are sent as automatic persisted queries; their documents must be
+ * literals for the persist-queries script to register them
  */
 function generateGraphQLComposables(config) {
-  // Implementation for GraphQL composables
-  // ...
+  return `
+import { ref } from 'vue';
+
+const GRAPHQL_URL = '${config.api.graphql.path || '/graphql'}';
+
+/**
+ * SHA-256 hash of a document, identifying it as a persisted query
+ */
+async function hashQuery(query) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(query));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Execute an operation, sending its hash and only sending the document
+ * when the server doesn't know it yet
+ */
+async function executeOperation(query, variables, token) {
+  const send = async (body) => {
+    const response = await fetch(GRAPHQL_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        ...(token ? { 'Authorization': \`Bearer \${token}\` } : {})
+      },
+      body: JSON.stringify(body)
+    });
+    
+    return response.json();
+  };
+  
+  const extensions = { persistedQuery: { version: 1, sha256Hash: await hashQuery(query) } };
+  let result = await send({ variables, extensions });
+  
+  const codes = (result.errors || []).map((error) => error.extensions && error.extensions.code);
+  if (codes.includes('PERSISTED_QUERY_NOT_FOUND') || codes.includes('PERSISTED_QUERY_NOT_SUPPORTED')) {
+    result = await send({ query, variables, extensions });
+  }
+  
+  if (result.errors) {
+    throw result.errors;
+  }
+  
+  return result.data;
+}
+
+/**
+ * Composable for executing GraphQL operations
+ */
+function useOperation(query, options = {}) {
+  const data = ref(null);
+  const error = ref(null);
+  const loading = ref(false);
+  
+  const execute = async (variables = {}) => {
+    loading.value = true;
+    error.value = null;
+    
+    try {
+      data.value = await executeOperation(query, variables, options.token);
+      return data.value;
+    } catch (err) {
+      error.value = err;
+      throw err;
+    } finally {
+      loading.value = false;
+    }
+  };
+  
+  return {
+    data,
+    error,
+    loading,
+    execute
+  };
+}
+
+/**
+ * Composable for executing GraphQL queries
+ */
+export function useQuery(query, options = {}) {
+  return useOperation(query, options);
+}
+
+/**
+ * Composable for executing GraphQL mutations
+ */
+export function useMutation(mutation, options = {}) {
+  return useOperation(mutation, options);
+}
+`;
 }
 
 /**
@@ -0,0 +1,231 @@
+/**
+ * Full-text search of declarative models
+ *
+ *   GET /products/search?q=desk lamp -halogen "warm white"
+ *
+ * Words are all required, quoted phrases must appear as written and words
+ * prefixed with - must not appear (the syntax of PostgreSQL's
+ * websearch_to_tsquery). Each adapter searches with its database's own
+ * engine (see ../database/adapters); the helpers here parse queries and
+ * build highlights for adapters whose database can't, and back the
+ * in-process index of the mock database (see ./inverted-index).
+ */
+
+// Relative weights of searchable fields, named like PostgreSQL's (A is the highest)
+const WEIGHTS = { A: 1, B: 0.4, C: 0.2, D: 0.1 };
+
+const MAX_QUERY_LENGTH = 256;
+
+// Highlighted words, delimited by control characters until the text is escaped (see toHighlight)
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+// Words longer texts are cut down to around their first match
+const HIGHLIGHT_MAX_WORDS = 35;
+
+// Words too common to be worth indexing, in the languages with stemming
+const STOP_WORDS = {
+  english: new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'is', 'it', 'no', 'not',
+    'of', 'on', 'or', 'such', 'that', 'the', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+    'will', 'with'
+  ])
+};
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Split a text into lowercase words, with their position in the text
+ * @returns {Array} [{ word, start, end }]
+ */
+function tokenize(text) {
+  return Array.from(String(text).matchAll(WORD_PATTERN), (match) => ({
+    word: match[0].toLowerCase(),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+/**
+ * Reduce a word to its stem, so "lamps" finds "lamp"
+ * English gets light suffix stripping; other languages are matched as written
+ */
+function stem(word, language = 'english') {
+  if (language !== 'english' || word.length <= 3) {
+    return word;
+  }
+
+  if (word.endsWith('ies') && word.length > 4) {
+    return `${word.slice(0, -3)}y`;
+  }
+
+  if (/(s|x|z|ch|sh)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+
+  if (word.endsWith('s') && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+
+  if (word.endsWith('ing') && word.length > 5) {
+    return word.slice(0, -3);
+  }
+
+  if (word.endsWith('ed') && word.length > 4) {
+    return word.slice(0, -2);
+  }
+
+  return word;
+}
+
+/**
+ * Stems of the words of a text worth searching for
+ */
+function toTerms(text, language = 'english') {
+  const stopWords = STOP_WORDS[language];
+
+  return tokenize(text)
+    .filter(({ word }) => !stopWords || !stopWords.has(word))
+    .map(({ word }) => stem(word, language));
+}
+
+/**
+ * Parse a search query
+ * @returns {object} { terms, phrases, excluded }: words to find as written, quoted
+ *                   phrases (as lists of words) and words that must not appear
+ */
+function parseSearchText(text) {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+  const pattern = /(-?)"([^"]*)"?|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    const negated = Boolean(match[1] || match[3]);
+    const words = tokenize(match[2] !== undefined ? match[2] : match[4]).map(({ word }) => word);
+
+    if (words.length === 0) {
+      continue;
+    }
+
+    if (negated) {
+      parsed.excluded.push(...words);
+    } else if (match[2] !== undefined && words.length > 1) {
+      parsed.phrases.push(words);
+    } else {
+      parsed.terms.push(...words);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Stems a record must contain to match a parsed query, stop words left out
+ */
+function requiredTerms(parsed, language = 'english') {
+  const words = [...parsed.terms, ...parsed.phrases.flat()].join(' ');
+  return [...new Set(toTerms(words, language))];
+}
+
+/**
+ * Check whether a list of words contains a phrase
+ */
+function containsPhrase(words, phrase) {
+  for (let i = 0; i + phrase.length <= words.length; i += 1) {
+    if (phrase.every((word, offset) => words[i + offset] === word)) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Mark the words of a text whose stem is searched for, cutting long texts down
+ * around the first match
+ * @param {Set} stems - Stems to mark
+ * @returns {string|null} Text with HIGHLIGHT_START and HIGHLIGHT_STOP around matches,
+ *                        or null if nothing matched
+ */
+function markTerms(text, stems, language = 'english') {
+  const tokens = tokenize(text);
+  const matched = tokens.map(({ word }) => stems.has(stem(word, language)));
+  const first = matched.indexOf(true);
+
+  if (first === -1) {
+    return null;
+  }
+
+  const from = tokens.length > HIGHLIGHT_MAX_WORDS ? Math.max(0, first - 5) : 0;
+  const to = Math.min(tokens.length, from + HIGHLIGHT_MAX_WORDS);
+  const start = from > 0 ? tokens[from].start : 0;
+  const end = to < tokens.length ? tokens[to - 1].end : String(text).length;
+  let marked = '';
+  let position = start;
+
+  for (let i = from; i < to; i += 1) {
+    if (matched[i]) {
+      const { start: wordStart, end: wordEnd } = tokens[i];
+      const word = text.slice(wordStart, wordEnd);
+      marked += `${text.slice(position, wordStart)}${HIGHLIGHT_START}${word}${HIGHLIGHT_STOP}`;
+      position = wordEnd;
+    }
+  }
+
+  marked += text.slice(position, end);
+
+  return `${from > 0 ? '… ' : ''}${marked}${end < String(text).length ? ' …' : ''}`;
+}
+
+/**
+ * Turn marked text into an HTML highlight: the text is escaped and matches
+ * are wrapped in <mark>, so clients can render highlights as they are
+ */
+function toHighlight(marked) {
+  return String(marked)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_STOP).join('</mark>');
+}
+
+/**
+ * Highlights of the searchable fields of a record that match a query
+ * @param {object} search - Normalized search option of the model
+ * @returns {object} Highlighted text by field name
+ */
+function highlightRecord(record, search, parsed) {
+  const stems = new Set(requiredTerms(parsed, search.language));
+  const highlights = {};
+
+  search.fields.forEach(({ name }) => {
+    const value = record[name];
+    const marked = value === null || value === undefined ? null : markTerms(String(value), stems, search.language);
+
+    if (marked) {
+      highlights[name] = toHighlight(marked);
+    }
+  });
+
+  return highlights;
+}
+
+module.exports = {
+  WEIGHTS,
+  MAX_QUERY_LENGTH,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+  HIGHLIGHT_MAX_WORDS,
+  tokenize,
+  stem,
+  toTerms,
+  parseSearchText,
+  requiredTerms,
+  containsPhrase,
+  markTerms,
+  toHighlight,
+  highlightRecord
+};
@@ -0,0 +1,131 @@
+const { WEIGHTS, tokenize, stem, toTerms, requiredTerms, containsPhrase } = require('./index');
+
+/**
+ * In-process inverted index, searching the records of the mock database
+ *
+ * Each stem maps to the records containing it and how often it appears in
+ * each of their fields. Records are ranked by TF-IDF, weighted by field, so
+ * rare words and words in heavier fields count for more.
+ */
+class InvertedIndex {
+  /**
+   * @param {object} search - Normalized search option of a model ({ fields, language })
+   */
+  constructor(search) {
+    this.fields = search.fields;
+    this.language = search.language;
+    // stem -> Map(id -> Map(field -> occurrences))
+    this.postings = new Map();
+    // id -> { field: words } to match phrases and remove records
+    this.documents = new Map();
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a record, replacing what was indexed for it before
+   */
+  add(id, record) {
+    const key = String(id);
+    const document = {};
+
+    this.remove(key);
+
+    this.fields.forEach(({ name }) => {
+      const value = record[name];
+
+      if (value === null || value === undefined) {
+        return;
+      }
+
+      document[name] = tokenize(value).map(({ word }) => word);
+
+      toTerms(value, this.language).forEach((term) => {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+
+        const records = this.postings.get(term);
+        const counts = records.get(key) || new Map();
+        counts.set(name, (counts.get(name) || 0) + 1);
+        records.set(key, counts);
+      });
+    });
+
+    this.documents.set(key, document);
+  }
+
+  /**
+   * Remove a record from the index
+   */
+  remove(id) {
+    const key = String(id);
+
+    if (!this.documents.has(key)) {
+      return;
+    }
+
+    this.postings.forEach((records, term) => {
+      records.delete(key);
+
+      if (records.size === 0) {
+        this.postings.delete(term);
+      }
+    });
+    this.documents.delete(key);
+  }
+
+  /**
+   * Find the records matching a parsed query (see parseSearchText)
+   * @returns {Map} Score by record id, for records with every word and phrase and none of the excluded words
+   */
+  search(parsed) {
+    const terms = requiredTerms(parsed, this.language);
+    const scores = new Map();
+
+    if (terms.length === 0) {
+      return scores;
+    }
+
+    // Start from the rarest word, which has the fewest candidates
+    const postings = terms.map((term) => this.postings.get(term) || new Map()).sort((a, b) => a.size - b.size);
+    const excluded = parsed.excluded.map((word) => this.postings.get(stem(word, this.language))).filter(Boolean);
+
+    postings[0].forEach((counts, id) => {
+      if (!postings.every((records) => records.has(id)) || excluded.some((records) => records.has(id))) {
+        return;
+      }
+
+      const document = this.documents.get(id);
+      const hasPhrases = parsed.phrases.every((phrase) => {
+        return Object.values(document).some((words) => containsPhrase(words, phrase));
+      });
+
+      if (!hasPhrases) {
+        return;
+      }
+
+      scores.set(id, postings.reduce((score, records) => score + this.score(records, id), 0));
+    });
+
+    return scores;
+  }
+
+  /**
+   * TF-IDF score of a word's occurrences in a record, weighted by field
+   */
+  score(records, id) {
+    const idf = Math.log(1 + this.documents.size / records.size);
+    const counts = records.get(id);
+
+    return this.fields.reduce((score, { name, weight }) => {
+      return score + (counts.get(name) || 0) * WEIGHTS[weight] * idf;
+    }, 0);
+  }
+}
+
+module.exports = {
+  InvertedIndex
+};
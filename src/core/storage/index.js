@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const path = require('path');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { ApiError } = require('../errors');
+const { getFileFields } = require('../models');
+const { LocalStorage } = require('./local');
+const { S3Storage } = require('./s3');
+const { UploadStore } = require('./uploads');
+
+/**
+ * File storage
+ *
+ * Files attached to models (`file` fields, see core/models) are stored by a
+ * pluggable backend, picked with `storage.backend`:
+ *
+ *   local   files on disk, downloaded from the API with signed URLs
+ *   s3      S3-compatible object storage, downloaded with presigned URLs
+ *
+ * Records only keep a descriptor of their files: { key, name, size, type, uploadedAt }.
+ */
+
+const BACKENDS = {
+  local: LocalStorage,
+  s3: S3Storage
+};
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const DEFAULT_SIGNED_URL_TTL = 15 * 60;
+
+/**
+ * A storage backend with the settings shared by every file field
+ */
+class FileStorage {
+  /**
+   * @param {object} config - Storage configuration ({ backend, secret, signedUrlTtl, maxFileSize, local, s3, uploads })
+   */
+  constructor(config = {}) {
+    const backend = config.backend || 'local';
+    const Backend = BACKENDS[backend];
+
+    if (!Backend) {
+      throw new Error(`Unknown storage backend '${backend}'`);
+    }
+
+    let { secret } = config;
+
+    if (!secret && backend === 'local') {
+      logger.warn('No storage secret configured; download links will stop working when the server restarts');
+      secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    this.backend = new Backend({ ...config[backend], secret });
+    this.uploads = new UploadStore(config.uploads);
+    this.maxFileSize = config.maxFileSize || DEFAULT_MAX_FILE_SIZE;
+    this.signedUrlTtl = config.signedUrlTtl || DEFAULT_SIGNED_URL_TTL;
+  }
+
+  put(key, body, options) {
+    return this.backend.put(key, body, options);
+  }
+
+  get(key) {
+    return this.backend.get(key);
+  }
+
+  delete(key) {
+    return this.backend.delete(key);
+  }
+
+  /**
+   * URL a client can download a stored file from, valid for signedUrlTtl seconds
+   * @param {object} file - File descriptor
+   * @returns {Promise<object>} { url, expiresAt }
+   */
+  async getDownload(file) {
+    const url = await this.backend.getSignedUrl(file.key, { expiresIn: this.signedUrlTtl, filename: file.name });
+    return { url, expiresAt: new Date(Date.now() + this.signedUrlTtl * 1000).toISOString() };
+  }
+}
+
+/**
+ * Get the file storage of an app
+ * @throws {Error} If the server was started without storage
+ */
+function getStorage(app) {
+  if (!app.locals.storage) {
+    throw new Error('File storage is not configured');
+  }
+
+  return app.locals.storage;
+}
+
+/**
+ * Check a file against a file field's size and type limits
+ * @param {object} field - { maxSize: bytes, accept: ['image/png', 'image/*'] }
+ * @param {object} file - { size, type }
+ * @throws {ApiError} 413 or 415
+ */
+function validateFile(field, file, defaultMaxSize = DEFAULT_MAX_FILE_SIZE) {
+  const maxSize = field.maxSize || defaultMaxSize;
+
+  if (file.size > maxSize) {
+    throw new ApiError('PAYLOAD_TOO_LARGE', `The file must be at most ${maxSize} bytes`);
+  }
+
+  if (field.accept && !isAccepted(file.type, field.accept)) {
+    throw new ApiError('UNSUPPORTED_MEDIA_TYPE', `The file must be one of: ${field.accept.join(', ')}`);
+  }
+}
+
+/**
+ * Check a MIME type against a list of types, which can end with a wildcard (image/*)
+ */
+function isAccepted(type, accept) {
+  const essence = String(type || '').split(';')[0].trim().toLowerCase();
+
+  return accept.some((pattern) => (pattern.endsWith('/*')
+    ? essence.startsWith(pattern.slice(0, -1))
+    : essence === pattern.toLowerCase()));
+}
+
+/**
+ * Storage key for a new file of a record
+ * Keys never contain client input, so file names can't clash or escape the storage root
+ */
+function createFileKey(model, id, field, type) {
+  const extension = mime.extension(type);
+  const name = `${uuidv4()}${extension ? `.${extension}` : ''}`;
+
+  return path.posix.join(model.table, encodeURIComponent(String(id)), field, name);
+}
+
+/**
+ * Delete stored files, logging failures rather than throwing
+ * @param {Array} files - File descriptors; empty entries are skipped
+ */
+async function deleteStoredFiles(storage, files) {
+  await Promise.all(files.filter(Boolean).map((file) => storage.delete(file.key).catch((error) => {
+    logger.error(`Failed to delete stored file ${file.key}:`, error);
+  })));
+}
+
+/**
+ * Delete the files of a record that has been deleted
+ */
+async function deleteRecordFiles(app, model, record) {
+  const files = getFileFields(model).map((field) => record[field]).filter(Boolean);
+
+  if (files.length > 0) {
+    await deleteStoredFiles(getStorage(app), files);
+  }
+}
+
+module.exports = {
+  FileStorage,
+  getStorage,
+  validateFile,
+  isAccepted,
+  createFileKey,
+  deleteStoredFiles,
+  deleteRecordFiles
+};
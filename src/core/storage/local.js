@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { ForbiddenError, NotFoundError } = require('../errors');
+
+/**
+ * Local disk storage
+ *
+ * Files live under a root directory and are downloaded from the API itself
+ * with URLs signed by the server (HMAC of the key, expiry and file name):
+ *
+ *   GET /files/products/1/image/3f2a....png?expires=1767225600&name=photo.png&signature=...
+ */
+class LocalStorage {
+  /**
+   * @param {object} config - { root, baseUrl: where downloads are served, secret: signs download URLs }
+   */
+  constructor(config = {}) {
+    this.root = path.resolve(config.root || './uploads');
+    this.baseUrl = (config.baseUrl || '/files').replace(/\/$/, '');
+    this.secret = config.secret;
+  }
+
+  /**
+   * Path of a file, refusing keys that would escape the root directory
+   */
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+
+    if (!filePath.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * Store a file
+   * @param {Readable|Buffer} body - File content
+   */
+  async put(key, body) {
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(filePath, body);
+    } else {
+      await pipeline(body, fs.createWriteStream(filePath));
+    }
+  }
+
+  /**
+   * Read a file, or null if it doesn't exist
+   * @returns {Promise<Readable|null>}
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+
+    try {
+      await fs.promises.access(filePath);
+    } catch (error) {
+      return null;
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  /**
+   * URL clients can download a file from until it expires
+   * @param {object} options - { expiresIn (seconds), filename }
+   */
+  async getSignedUrl(key, { expiresIn = 900, filename = path.basename(key) } = {}) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      expires: String(expires),
+      name: filename,
+      signature: this.signature(key, expires, filename)
+    });
+
+    return `${this.baseUrl}/${key.split('/').map(encodeURIComponent).join('/')}?${query}`;
+  }
+
+  signature(key, expires, filename) {
+    return crypto.createHmac('sha256', this.secret).update(`${key}\n${expires}\n${filename}`).digest('hex');
+  }
+
+  /**
+   * Handler serving signed download URLs, mounted at `${baseUrl}/*`
+   * Files are always sent as attachments so uploaded HTML can't run on the API's origin
+   */
+  createDownloadHandler() {
+    return async (req, res, next) => {
+      try {
+        const key = req.params[0];
+        const { expires, name = '', signature = '' } = req.query;
+        const expected = Buffer.from(this.signature(key, expires, name));
+        const given = Buffer.from(String(signature));
+
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+          throw new ForbiddenError('Invalid download signature');
+        }
+
+        if (Number(expires) * 1000 < Date.now()) {
+          throw new ForbiddenError('The download link has expired');
+        }
+
+        const file = await this.get(key);
+
+        if (!file) {
+          throw new NotFoundError('File not found');
+        }
+
+        res.attachment(name);
+        await pipeline(file, res);
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+module.exports = {
+  LocalStorage
+};
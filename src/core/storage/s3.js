@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Ceph, R2...)
+ *
+ * Requests are signed with AWS Signature Version 4; downloads use presigned
+ * URLs so clients fetch files from the bucket directly.
+ *
+ *   storage: {
+ *     backend: 's3',
+ *     s3: {
+ *       endpoint: 'http://localhost:9000',
+ *       region: 'us-east-1',
+ *       bucket: 'uploads',
+ *       accessKeyId: '...',
+ *       secretAccessKey: '...',
+ *       forcePathStyle: true // bucket in the path rather than the host name, as MinIO expects
+ *     }
+ *   }
+ */
+
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD';
+const MAX_PRESIGN_EXPIRY = 7 * 24 * 60 * 60; // S3 rejects presigned URLs valid for longer
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function hmac(key, value) {
+  return crypto.createHmac('sha256', key).update(value).digest();
+}
+
+/**
+ * URI-encode a value the way SigV4 expects (RFC 3986 unreserved characters only)
+ */
+function encodeRFC3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function toAmzDate(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function canonicalQuery(query) {
+  return Object.keys(query).sort()
+    .map((key) => `${encodeRFC3986(key)}=${encodeRFC3986(query[key])}`)
+    .join('&');
+}
+
+class S3Storage {
+  /**
+   * @param {object} config - { endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle }
+   */
+  constructor(config = {}) {
+    if (!config.bucket) {
+      throw new Error('S3 storage requires a bucket');
+    }
+
+    this.region = config.region || 'us-east-1';
+    this.bucket = config.bucket;
+    this.accessKeyId = config.accessKeyId;
+    this.secretAccessKey = config.secretAccessKey;
+    this.forcePathStyle = Boolean(config.forcePathStyle);
+    this.endpoint = new URL(config.endpoint || `https://s3.${this.region}.amazonaws.com`);
+  }
+
+  /**
+   * Host and path of an object
+   */
+  locate(key) {
+    const objectPath = `/${key.split('/').map(encodeRFC3986).join('/')}`;
+
+    return this.forcePathStyle
+      ? { host: this.endpoint.host, path: `/${encodeRFC3986(this.bucket)}${objectPath}` }
+      : { host: `${this.bucket}.${this.endpoint.host}`, path: objectPath };
+  }
+
+  /**
+   * Sign a request; returns the headers to send
+   * @param {object} request - { method, key, headers, query, date, payloadHash }
+   *   Bodies are streamed, so their hash isn't part of the signature by default
+   */
+  sign({ method, key, headers = {}, query = {}, date = new Date(), payloadHash = UNSIGNED_PAYLOAD }) {
+    const { host, path } = this.locate(key);
+    const amzDate = toAmzDate(date);
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+    const signed = { ...headers, host, 'x-amz-date': amzDate, 'x-amz-content-sha256': payloadHash };
+    const names = Object.keys(signed).map((name) => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+
+    const canonicalRequest = [
+      method,
+      path,
+      canonicalQuery(query),
+      names.map((name) => `${name}:${String(lower[name]).trim()}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const signature = this.signature(amzDate, scope, canonicalRequest);
+
+    return {
+      ...signed,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  signature(amzDate, scope, canonicalRequest) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8)), this.region)
+    );
+
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  /**
+   * Build a presigned URL (query string authentication)
+   * @param {object} options - { method, expiresIn (seconds), query, date }
+   */
+  presign(key, { method = 'GET', expiresIn = 900, query = {}, date = new Date() } = {}) {
+    const { host, path } = this.locate(key);
+    const amzDate = toAmzDate(date);
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+    const params = {
+      ...query,
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${this.accessKeyId}/${scope}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(Math.min(expiresIn, MAX_PRESIGN_EXPIRY)),
+      'X-Amz-SignedHeaders': 'host'
+    };
+
+    const canonicalRequest = [method, path, canonicalQuery(params), `host:${host}\n`, 'host', UNSIGNED_PAYLOAD]
+      .join('\n');
+    const signature = this.signature(amzDate, scope, canonicalRequest);
+
+    return `${this.endpoint.protocol}//${host}${path}?${canonicalQuery(params)}&X-Amz-Signature=${signature}`;
+  }
+
+  /**
+   * Send a signed request
+   * @returns {Promise<http.IncomingMessage>} Responses with an error status are rejected
+   */
+  request(method, key, { headers = {}, body } = {}) {
+    const { path } = this.locate(key);
+    const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        protocol: this.endpoint.protocol,
+        hostname: this.forcePathStyle ? this.endpoint.hostname : `${this.bucket}.${this.endpoint.hostname}`,
+        port: this.endpoint.port,
+        method,
+        path,
+        headers: this.sign({ method, key, headers })
+      }, (res) => {
+        if (res.statusCode < 300) {
+          return resolve(res);
+        }
+
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          const code = (text.match(/<Code>([^<]+)<\/Code>/) || [])[1] || res.statusCode;
+          const error = new Error(`S3 ${method} ${key} failed: ${code}`);
+          error.statusCode = res.statusCode;
+          reject(error);
+        });
+      });
+
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (error) => req.destroy(error));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {Readable|Buffer} body - File content
+   * @param {object} options - { contentType, contentLength } (the length is required for streams)
+   */
+  async put(key, body, { contentType = 'application/octet-stream', contentLength } = {}) {
+    const length = contentLength === undefined ? body.length : contentLength;
+    const res = await this.request('PUT', key, {
+      headers: { 'content-type': contentType, 'content-length': String(length) },
+      body
+    });
+
+    res.resume();
+  }
+
+  /**
+   * Read a file, or null if it doesn't exist
+   * @returns {Promise<Readable|null>}
+   */
+  async get(key) {
+    try {
+      return await this.request('GET', key);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const res = await this.request('DELETE', key);
+    res.resume();
+  }
+
+  /**
+   * URL clients can download a file from until it expires
+   * @param {object} options - { expiresIn (seconds), filename }
+   */
+  async getSignedUrl(key, { expiresIn = 900, filename } = {}) {
+    const query = filename
+      ? { 'response-content-disposition': `attachment; filename="${filename.replace(/["\\\r\n]/g, '_')}"` }
+      : {};
+
+    return this.presign(key, { expiresIn, query });
+  }
+}
+
+module.exports = {
+  S3Storage
+};
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { ApiError, ConflictError } = require('../errors');
+const logger = require('../utils/logger');
+
+const DEFAULT_TTL = 24 * 60 * 60; // Incomplete uploads can be resumed for a day
+const SWEEP_INTERVAL = 60 * 60 * 1000; // Expired uploads are looked for at most hourly
+
+/**
+ * Resumable uploads (tus 1.0 core protocol, https://tus.io/protocols/resumable-upload)
+ *
+ * Uploads are assembled on local disk, chunk by chunk, before being moved to
+ * the configured storage. Each upload has a JSON state file and a part file
+ * holding the bytes received so far, so interrupted uploads resume from the
+ * last byte written. Only the user who started an upload can see or resume it.
+ * Expired uploads are removed when they are next read, or swept when new
+ * uploads start.
+ */
+class UploadStore {
+  /**
+   * @param {object} config - { dir, ttl } in seconds
+   */
+  constructor(config = {}) {
+    this.dir = path.resolve(config.dir || path.join(os.tmpdir(), 'ube-uploads'));
+    this.ttl = config.ttl || DEFAULT_TTL;
+    this.active = new Set();
+    this.sweptAt = 0;
+  }
+
+  statePath(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  /**
+   * Path of the bytes received for an upload
+   */
+  partPath(id) {
+    return path.join(this.dir, `${id}.part`);
+  }
+
+  /**
+   * Start an upload
+   * @param {object} upload - { length, metadata, target, owner } stored with the upload;
+   *                          owner is the id of the user starting it, or null
+   */
+  async create(upload) {
+    if (Date.now() - this.sweptAt >= SWEEP_INTERVAL) {
+      this.sweptAt = Date.now();
+      await this.removeExpired().catch((error) => logger.warn('Failed to remove expired uploads:', error));
+    }
+
+    const state = {
+      ...upload,
+      id: uuidv4(),
+      offset: 0,
+      expiresAt: new Date(Date.now() + this.ttl * 1000).toISOString()
+    };
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.partPath(state.id), '');
+    await this.save(state);
+
+    return state;
+  }
+
+  async save(state) {
+    await fs.promises.writeFile(this.statePath(state.id), JSON.stringify(state));
+  }
+
+  /**
+   * Get an upload, or null if it doesn't exist, has expired or belongs to another user
+   * @param {string|null} owner - Id of the user asking, or null
+   */
+  async get(id, owner = null) {
+    if (!/^[\w-]+$/.test(id)) {
+      return null;
+    }
+
+    let state;
+
+    try {
+      state = JSON.parse(await fs.promises.readFile(this.statePath(id), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    if (new Date(state.expiresAt) <= new Date()) {
+      await this.remove(id);
+      return null;
+    }
+
+    return (state.owner || null) === owner ? state : null;
+  }
+
+  /**
+   * Remove the uploads that have expired
+   * @returns {Promise<number>} Number of uploads removed
+   */
+  async removeExpired() {
+    let files;
+
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      return 0;
+    }
+
+    let removed = 0;
+
+    for (const file of files.filter((name) => name.endsWith('.json'))) {
+      const id = path.basename(file, '.json');
+
+      try {
+        const state = JSON.parse(await fs.promises.readFile(this.statePath(id), 'utf8'));
+
+        if (new Date(state.expiresAt) > new Date()) {
+          continue;
+        }
+      } catch (error) {
+        // Being written, or already removed
+        continue;
+      }
+
+      await this.remove(id);
+      removed += 1;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Append a chunk at the given offset
+   * Bytes received before the client goes away are kept, so it can resume
+   * @returns {Promise<object>} The upload with its new offset
+   */
+  async append(state, offset, body) {
+    if (offset !== state.offset) {
+      throw new ConflictError(`Upload-Offset must be ${state.offset}`);
+    }
+
+    if (this.active.has(state.id)) {
+      throw new ConflictError('Another chunk of this upload is being received');
+    }
+
+    this.active.add(state.id);
+
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+
+        if (state.offset + received > state.length) {
+          return callback(new ApiError('PAYLOAD_TOO_LARGE', `The upload is ${state.length} bytes long`));
+        }
+
+        callback(null, chunk);
+      }
+    });
+
+    try {
+      await pipeline(body, limit, fs.createWriteStream(this.partPath(state.id), { flags: 'a' }));
+    } catch (error) {
+      if (error instanceof ApiError) {
+        await fs.promises.truncate(this.partPath(state.id), state.offset);
+        throw error;
+      }
+
+      // Interrupted: keep what was written
+    } finally {
+      this.active.delete(state.id);
+    }
+
+    const { size } = await fs.promises.stat(this.partPath(state.id));
+    const updated = { ...state, offset: size };
+    await this.save(updated);
+
+    return updated;
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this.statePath(id), { force: true });
+    await fs.promises.rm(this.partPath(id), { force: true });
+  }
+}
+
+module.exports = {
+  UploadStore
+};
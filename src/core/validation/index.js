@@ -1,6 +1,7 @@
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 const logger = require('../utils/logger');
+const { ValidationError } = require('../errors');
 
 /**
  * Validation Manager
@@ -71,6 +72,32 @@ class ValidationManager {
     };
   }
   
+  /**
+   * Convert AJV errors into problem details entries, each pointing at the
+   * offending field with a JSON Pointer ('' is the whole body)
+   * @param {Array} errors - Errors returned by validate()
+   * @returns {Array} Array of { pointer, keyword, message, params }
+   */
+  formatErrors(errors) {
+    return (errors || []).map((error) => {
+      let pointer = error.instancePath || '';
+      
+      // Missing and unexpected properties are reported on the parent object
+      if (error.keyword === 'required') {
+        pointer += `/${error.params.missingProperty}`;
+      } else if (error.keyword === 'additionalProperties') {
+        pointer += `/${error.params.additionalProperty}`;
+      }
+      
+      return {
+        pointer,
+        keyword: error.keyword,
+        message: error.message,
+        params: error.params
+      };
+    });
+  }
+  
   /**
    * Get a list of all registered schemas
    * @returns {Array} Array of schema names
@@ -102,17 +129,11 @@ class ValidationManager {
         if (result.valid) {
           next();
         } else {
-          res.status(400).json({
-            error: 'Validation Error',
-            details: result.errors
-          });
+          next(new ValidationError('The request body is invalid', this.formatErrors(result.errors)));
         }
       } catch (error) {
         logger.error(`Validation middleware error:`, error);
-        res.status(500).json({
-          error: 'Validation Error',
-          message: error.message
-        });
+        next(error);
       }
     };
   }
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const logger = require('../core/utils/logger');
+const { ApiError } = require('../core/errors');
+
+const DEFAULT_TTL = 24 * 60 * 60; // Keep responses for replay for 24 hours
+const DEFAULT_LOCK_TTL = 60; // Release keys of requests that never finished after a minute
+const MAX_KEY_LENGTH = 255;
+const KEY_PREFIX = 'ube:idempotency:';
+const SWEEP_INTERVAL = 60 * 1000; // Remove expired entries of the memory store at most once a minute
+
+// Response headers replayed along with the stored body
+const REPLAYED_HEADERS = ['content-type', 'location', 'etag'];
+
+const UNSAFE_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * In-memory idempotency store, used when Redis isn't available
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.entries = new Map();
+    this.sweptAt = Date.now();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry ? entry.value : null;
+  }
+
+  async add(key, value, ttl) {
+    if (await this.get(key)) {
+      return false;
+    }
+
+    await this.set(key, value, ttl);
+    return true;
+  }
+
+  async set(key, value, ttl) {
+    this.removeExpired();
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove expired entries, which keys that are never retried would leave behind
+   */
+  removeExpired() {
+    const now = Date.now();
+
+    if (now - this.sweptAt < SWEEP_INTERVAL) {
+      return;
+    }
+
+    this.sweptAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+  }
+}
+
+/**
+ * Redis idempotency store
+ */
+class RedisIdempotencyStore {
+  constructor(client) {
+    this.client = client;
+  }
+
+  async get(key) {
+    const value = await this.client.get(key);
+
+    // The mock Redis client returns JSON values already parsed
+    return typeof value === 'string' ? JSON.parse(value) : value || null;
+  }
+
+  async add(key, value, ttl) {
+    const result = await this.client.set(key, JSON.stringify(value), { NX: true, EX: ttl });
+    return result === 'OK';
+  }
+
+  async set(key, value, ttl) {
+    await this.client.set(key, JSON.stringify(value), { EX: ttl });
+  }
+
+  async delete(key) {
+    await this.client.del(key);
+  }
+}
+
+// Shared fallback so every route sees the same keys
+const memoryStore = new MemoryIdempotencyStore();
+
+/**
+ * Hash a value for use in store keys and body fingerprints
+ */
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Create middleware that makes unsafe requests idempotent
+ *
+ * The first response to a request with an Idempotency-Key header is stored per
+ * key, user and route and replayed for retries. Reusing a key with a different
+ * body returns 422, and retrying while the first request is in flight returns 409.
+ *
+ * @param {object} options - { ttl, lockTtl, required, store }
+ * @returns {Function} Express middleware
+ */
+function createIdempotencyMiddleware(options = {}) {
+  const ttl = options.ttl || DEFAULT_TTL;
+  const lockTtl = options.lockTtl || DEFAULT_LOCK_TTL;
+
+  // Use the configured store, then Redis, then the in-memory fallback
+  const getStore = (req) => {
+    if (options.store) {
+      return options.store;
+    }
+
+    const redis = req.app.locals.connections && req.app.locals.connections.redis;
+    return redis ? new RedisIdempotencyStore(redis) : memoryStore;
+  };
+
+  return async (req, res, next) => {
+    if (!UNSAFE_METHODS.includes(req.method)) {
+      return next();
+    }
+
+    const idempotencyKey = req.get('Idempotency-Key');
+
+    if (!idempotencyKey) {
+      return options.required
+        ? next(new ApiError('IDEMPOTENCY_KEY_REQUIRED', 'Idempotency-Key header is required'))
+        : next();
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+      return next(new ApiError('BAD_REQUEST', `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const user = req.user ? (req.user.id || req.user.sub) : 'anonymous';
+    const tenant = req.tenant ? req.tenant.id : '';
+    const route = `${req.method} ${req.baseUrl}${req.path}`;
+    const key = `${KEY_PREFIX}${hash(JSON.stringify([tenant, user, route, idempotencyKey]))}`;
+    const fingerprint = hash(JSON.stringify(req.body === undefined ? null : req.body));
+
+    try {
+      const store = getStore(req);
+      let entry = await store.get(key);
+
+      if (!entry && !(await store.add(key, { state: 'processing', fingerprint }, lockTtl))) {
+        entry = await store.get(key);
+      }
+
+      if (entry) {
+        if (entry.fingerprint !== fingerprint) {
+          return next(new ApiError(
+            'IDEMPOTENCY_KEY_REUSED',
+            'Idempotency-Key has already been used with a different request body'
+          ));
+        }
+
+        if (entry.state === 'processing') {
+          return next(new ApiError(
+            'IDEMPOTENCY_KEY_IN_USE',
+            'A request with this Idempotency-Key is still being processed',
+            { headers: { 'Retry-After': '1' } }
+          ));
+        }
+
+        res.set(entry.headers);
+        res.set('Idempotent-Replayed', 'true');
+        res.status(entry.status);
+        return entry.body === null ? res.end() : res.send(Buffer.from(entry.body, 'base64'));
+      }
+
+      // Capture the response so it can be replayed
+      const send = res.send;
+      let body = null;
+
+      res.send = function (chunk) {
+        if (typeof chunk === 'string' || Buffer.isBuffer(chunk)) {
+          body = chunk;
+        }
+
+        return send.call(this, chunk);
+      };
+
+      res.on('finish', () => {
+        // Server errors aren't stored so the request can be retried
+        const saved = res.statusCode >= 500
+          ? store.delete(key)
+          : store.set(key, {
+            state: 'completed',
+            fingerprint,
+            status: res.statusCode,
+            headers: REPLAYED_HEADERS.reduce((headers, name) => {
+              if (res.get(name)) {
+                headers[name] = res.get(name);
+              }
+              return headers;
+            }, {}),
+            body: body === null ? null : Buffer.from(body).toString('base64')
+          }, ttl);
+
+        Promise.resolve(saved).catch((error) => {
+          logger.error('Failed to store idempotent response:', error);
+        });
+      });
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  createIdempotencyMiddleware,
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore
+};
@@ -1,5 +1,7 @@
 const promClient = require('prom-client');
 const express = require('express');
+const { loaderMetrics } = require('../core/database/loaders');
+const { grpcMetrics } = require('../core/api-generators/grpc-interceptors');
 
 /**
  * Setup monitoring middleware
@@ -29,6 +31,12 @@ function setupMonitoring(app) {
   register.registerMetric(httpRequestDurationMicroseconds);
   register.registerMetric(httpRequestCounter);
   
+  // Batch sizes and cache hits of GraphQL data loaders
+  Object.values(loaderMetrics).forEach((metric) => register.registerMetric(metric));
+  
+  // Calls handled by the gRPC server
+  Object.values(grpcMetrics).forEach((metric) => register.registerMetric(metric));
+  
   // Create middleware to track request duration and count
   app.use((req, res, next) => {
     const start = Date.now();
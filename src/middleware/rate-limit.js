@@ -1,6 +1,7 @@
 const rateLimit = require('express-rate-limit');
 const RedisStore = require('rate-limit-redis');
 const logger = require('../core/utils/logger');
+const { ApiError } = require('../core/errors');
 
 /**
  * Setup rate limiting middleware
@@ -17,9 +18,9 @@ function setupRateLimiting(app, config, redisClient) {
     max: config.max || 100, // limit each IP to 100 requests per windowMs by default
     standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
-    message: {
-      status: 'error',
-      message: 'Too many requests, please try again later.'
+    // Report as problem details; Retry-After is set by the limiter
+    handler: (req, res, next) => {
+      next(new ApiError('RATE_LIMITED', 'Too many requests, please try again later.'));
     }
   };
   
@@ -1,241 +1,73 @@
 const { gql } = require('apollo-server-express');
 const { isAuthenticated, hasRoles } = require('../core/auth');
-const logger = require('../core/utils/logger');
+const { createRepository } = require('../core/database/repository');
 
 // Product model definition
 const Product = {
   name: 'Product',
   
-  // REST API routes
+  // Declarative schema used to generate persistent CRUD routes
+  table: 'products',
+  timestamps: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 255 },
+    price: { type: 'number', required: true, minimum: 0 },
+    category: { type: 'string', maxLength: 100 },
+    description: { type: 'text' }
+  },
+  
+  // Full-text search on GET /product/search?q= (see core/search)
+  search: { fields: { name: 'A', description: 'B' } },
+  
+  // REST API routes (CRUD routes are generated from the fields above)
   routes: {
-    // Get all products
-    getAll: async (req, res) => {
-      try {
-        // In a real implementation, you would fetch products from the database
-        const products = [
-          { id: 1, name: 'Product 1', price: 99.99, category: 'Electronics' },
-          { id: 2, name: 'Product 2', price: 49.99, category: 'Books' },
-          { id: 3, name: 'Product 3', price: 149.99, category: 'Electronics' }
-        ];
-        
-        res.json(products);
-      } catch (error) {
-        logger.error('Error fetching products:', error);
-        res.status(500).json({ error: 'Failed to fetch products' });
-      }
-    },
-    
-    // Get product by ID
-    getById: async (req, res) => {
-      try {
-        const { _id } = req.params;
-        
-        // In a real implementation, you would fetch the product from the database
-        const product = { id: parseInt(_id), name: `Product ${_id}`, price: 99.99, category: 'Electronics' };
-        
-        if (!product) {
-          return res.status(404).json({ error: 'Product not found' });
-        }
-        
-        res.json(product);
-      } catch (error) {
-        logger.error('Error fetching product:', error);
-        res.status(500).json({ error: 'Failed to fetch product' });
-      }
-    },
-    
-    // Create a new product
-    create: [isAuthenticated, hasRoles(['admin']), async (req, res) => {
-      try {
-        const { name, price, category } = req.body;
-        
-        // Validate input
-        if (!name || !price) {
-          return res.status(400).json({ error: 'Name and price are required' });
-        }
-        
-        // In a real implementation, you would create the product in the database
-        const product = { id: 4, name, price, category };
-        
-        res.status(201).json(product);
-      } catch (error) {
-        logger.error('Error creating product:', error);
-        res.status(500).json({ error: 'Failed to create product' });
-      }
-    }],
-    
-    // Update a product
-    update: [isAuthenticated, hasRoles(['admin']), async (req, res) => {
-      try {
-        const { _id } = req.params;
-        const { name, price, category } = req.body;
-        
-        // In a real implementation, you would update the product in the database
-        const product = { id: parseInt(_id), name, price, category };
-        
-        res.json(product);
-      } catch (error) {
-        logger.error('Error updating product:', error);
-        res.status(500).json({ error: 'Failed to update product' });
-      }
-    }],
-    
-    // Delete a product
-    delete: [isAuthenticated, hasRoles(['admin']), async (req, res) => {
-      try {
-        const { _id } = req.params;
-        
-        // In a real implementation, you would delete the product from the database
-        
-        res.status(204).end();
-      } catch (error) {
-        logger.error('Error deleting product:', error);
-        res.status(500).json({ error: 'Failed to delete product' });
-      }
-    }],
-    
     // Custom routes
     custom: [
       {
         method: 'GET',
         path: '/category/:category',
-        handler: async (req, res) => {
+        schema: {
+          summary: 'List products in a category',
+          params: { type: 'object', properties: { category: { type: 'string' } } },
+          response: { type: 'array', items: { $ref: '#/components/schemas/Product' } }
+        },
+        handler: async (req, res, next) => {
           try {
             const { category } = req.params;
-            
-            // In a real implementation, you would fetch products by category from the database
-            const products = [
-              { id: 1, name: 'Product 1', price: 99.99, category }
-            ];
-            
-            res.json(products);
-          } catch (error) {
-            logger.error('Error fetching products by category:', error);
-            res.status(500).json({ error: 'Failed to fetch products by category' });
-          }
-        }
-      },
-      {
-        method: 'GET',
-        path: '/search',
-        handler: async (req, res) => {
-          try {
-            const { _query } = req.query;
-            
-            // In a real implementation, you would search products in the database
-            const products = [
-              { id: 1, name: 'Product 1', price: 99.99, category: 'Electronics' }
-            ];
+            const repository = createRepository(Product, req.app.locals.connections);
+            const products = await repository.find({ filter: { category } });
             
             res.json(products);
           } catch (error) {
-            logger.error('Error searching products:', error);
-            res.status(500).json({ error: 'Failed to search products' });
+            next(error);
           }
         }
       }
     ]
   },
   
-  // GraphQL schema
+  // Route-specific middleware
+  middlewares: {
+    create: [isAuthenticated, hasRoles(['admin'])],
+    update: [isAuthenticated, hasRoles(['admin'])],
+    delete: [isAuthenticated, hasRoles(['admin'])]
+  },
+  
+  // GraphQL schema (the Product type, queries, mutations and subscriptions are generated from the fields above)
   graphql: {
     // GraphQL type definitions
     typeDefs: gql`
-      type Product {
-        id: ID!
-        name: String!
-        price: Float!
-        category: String
-        createdAt: String
-        updatedAt: String
-      }
-      
       extend type Query {
-        products: [Product]
-        product(id: ID!): Product
-        productsByCategory(category: String!): [Product]
-      }
-      
-      extend type Mutation {
-        createProduct(name: String!, price: Float!, category: String): Product
-        updateProduct(id: ID!, name: String, price: Float, category: String): Product
-        deleteProduct(id: ID!): Boolean
-      }
-      
-      extend type Subscription {
-        productCreated: Product
-        productUpdated: Product
-        productDeleted: ID
+        productsByCategory(category: String!): [Product!]!
       }
     `,
     
     // GraphQL resolvers
     resolvers: {
       Query: {
-        products: async () => {
-          // In a real implementation, you would fetch products from the database
-          return [
-            { id: 1, name: 'Product 1', price: 99.99, category: 'Electronics' },
-            { id: 2, name: 'Product 2', price: 49.99, category: 'Books' }
-          ];
-        },
-        
-        product: async (_, { _id }) => {
-          // In a real implementation, you would fetch the product from the database
-          return { id: parseInt(_id), name: `Product ${_id}`, price: 99.99, category: 'Electronics' };
-        },
-        
-        productsByCategory: async (_, { category }) => {
-          // In a real implementation, you would fetch products by category from the database
-          return [
-            { id: 1, name: 'Product 1', price: 99.99, category }
-          ];
-        }
-      },
-      
-      Mutation: {
-        createProduct: async (_, { name, price, category }, { req }) => {
-          // Check if the user is authenticated and has admin role
-          if (!req.user || !req.user.roles.includes('admin')) {
-            throw new Error('Not authorized');
-          }
-          
-          // In a real implementation, you would create the product in the database
-          return { id: 4, name, price, category };
-        },
-        
-        updateProduct: async (_, { id, name, price, category }, { req }) => {
-          // Check if the user is authenticated and has admin role
-          if (!req.user || !req.user.roles.includes('admin')) {
-            throw new Error('Not authorized');
-          }
-          
-          // In a real implementation, you would update the product in the database
-          return { id, name, price, category };
-        },
-        
-        deleteProduct: async (_, { id }, { req }) => {
-          // Check if the user is authenticated and has admin role
-          if (!req.user || !req.user.roles.includes('admin')) {
-            throw new Error('Not authorized');
-          }
-          
-          // In a real implementation, you would delete the product from the database
-          return true;
-        }
-      },
-      
-      Subscription: {
-        productCreated: {
-          subscribe: (_, __, { pubsub }) => pubsub.asyncIterator(['PRODUCT_CREATED'])
-        },
-        
-        productUpdated: {
-          subscribe: (_, __, { pubsub }) => pubsub.asyncIterator(['PRODUCT_UPDATED'])
-        },
-        
-        productDeleted: {
-          subscribe: (_, __, { pubsub }) => pubsub.asyncIterator(['PRODUCT_DELETED'])
+        productsByCategory: async (_, { category }, { req }) => {
+          const repository = createRepository(Product, req.app.locals.connections);
+          return repository.find({ filter: { category } });
         }
       }
     }
@@ -0,0 +1,31 @@
+const path = require('path');
+const { loadConfig } = require('../config');
+const { loadModels } = require('../core/models');
+const { hasGeneratedService, writeProtos } = require('../core/api-generators/grpc-protos');
+const logger = require('../core/utils/logger');
+
+/**
+ * Write the proto files of the generated gRPC services, for clients to compile
+ *
+ *   npm run generate-protos -- [<directory>]
+ *
+ * The server writes them too when gRPC is enabled; the directory defaults to
+ * the api.grpc.protoDir setting.
+ */
+function main() {
+  try {
+    const config = loadConfig();
+    const directory = path.resolve(process.argv[2] || config.api.grpc.protoDir || './proto');
+    const models = loadModels().filter(hasGeneratedService);
+    const protos = writeProtos(models, directory, { packageName: config.api.grpc.package });
+
+    protos.forEach(({ file, packageName, serviceName }) => logger.info(`${file}: ${packageName}.${serviceName}`));
+    logger.info(`${protos.length} proto files written to ${directory}`);
+  } catch (error) {
+    logger.error('Failed to generate proto files:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -0,0 +1,91 @@
+const path = require('path');
+const { parse, validate, getOperationAST } = require('graphql');
+const { loadConfig } = require('../config');
+const { setupGraphQLSchema } = require('../core/api-generators/graphql');
+const { hashQuery, readManifest, writeManifest } = require('../core/api-generators/graphql-persisted-queries');
+const { findOperations } = require('../core/sdk-generators/persisted-operations');
+const logger = require('../core/utils/logger');
+
+/**
+ * Register the GraphQL operations of client code in the persisted query manifest
+ *
+ *   npm run persist-queries -- [--prune] [--manifest <file>] <source directory...>
+ *
+ * Operations are added to the manifest, so that clients built earlier keep
+ * working; --prune removes the operations the sources don't use anymore.
+ */
+async function main() {
+  try {
+    const config = loadConfig();
+    const args = process.argv.slice(2);
+    const prune = args.includes('--prune');
+    const manifestIndex = args.indexOf('--manifest');
+    const manifestFile = path.resolve(manifestIndex >= 0
+      ? args[manifestIndex + 1]
+      : config.api.graphql.persistedQueries.manifest);
+    const directories = args.filter((arg, index) => {
+      return !arg.startsWith('--') && (manifestIndex < 0 || index !== manifestIndex + 1);
+    });
+
+    if (directories.length === 0) {
+      logger.error('Source directories are required');
+      logger.info('Usage: npm run persist-queries -- [--prune] [--manifest <file>] <source directory...>');
+      process.exit(1);
+    }
+
+    const { operations, warnings } = findOperations(directories.map((directory) => path.resolve(directory)));
+    warnings.forEach(({ message, file, line }) => logger.warn(`${file}:${line}: ${message}`));
+
+    // Operations that don't match the schema would never run
+    const schema = setupGraphQLSchema(config.api.graphql);
+    const registered = new Map();
+    let invalid = 0;
+
+    operations.forEach(({ body, file, line }) => {
+      try {
+        const document = parse(body);
+        const errors = validate(schema, document);
+        const operation = getOperationAST(document);
+
+        if (errors.length > 0) {
+          throw new Error(errors.map((error) => error.message).join(', '));
+        }
+
+        if (!operation) {
+          throw new Error('expected a single operation');
+        }
+
+        const id = hashQuery(body);
+        registered.set(id, {
+          id,
+          name: operation.name ? operation.name.value : '(anonymous)',
+          type: operation.operation,
+          body
+        });
+      } catch (error) {
+        invalid += 1;
+        logger.error(`${file}:${line}: invalid operation: ${error.message}`);
+      }
+    });
+
+    if (invalid > 0) {
+      logger.error(`${invalid} invalid operations, the manifest wasn't updated`);
+      process.exit(1);
+    }
+
+    const existing = readManifest(manifestFile);
+    const kept = prune ? [] : existing.filter(({ id }) => !registered.has(id));
+    const added = [...registered.keys()].filter((id) => !existing.some((operation) => operation.id === id));
+
+    writeManifest(manifestFile, [...kept, ...registered.values()]);
+
+    logger.info(`${added.length} operations added to ${manifestFile}, ${kept.length + registered.size} registered` +
+      (prune ? ` (${existing.filter(({ id }) => !registered.has(id)).length} pruned)` : ''));
+  } catch (error) {
+    logger.error('Failed to persist queries:', error);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -3,6 +3,10 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const { ApolloServer } = require('apollo-server-express');
+const {
+  ApolloServerPluginLandingPageGraphQLPlayground,
+  ApolloServerPluginLandingPageDisabled
+} = require('apollo-server-core');
 const http = require('http');
 const socketIO = require('socket.io');
 const path = require('path');
@@ -10,9 +14,12 @@ const path = require('path');
 const logger = require('./core/utils/logger');
 const { loadConfig } = require('./config');
 const { setupRESTApi } = require('./core/api-generators/rest');
-const { setupGraphQLSchema } = require('./core/api-generators/graphql');
+const { setupGraphQLSchema, createGraphQLContext } = require('./core/api-generators/graphql');
+const { createGraphQLLimits } = require('./core/api-generators/graphql-limits');
+const { createSubscriptionServer } = require('./core/api-generators/graphql-subscriptions');
+const { createPersistedQueries } = require('./core/api-generators/graphql-persisted-queries');
 const { setupWebSockets } = require('./core/api-generators/websocket');
-const { setupAuthentication } = require('./core/auth');
+const { setupAuthentication, identifyUser } = require('./core/auth');
 const { connectDatabases } = require('./core/database');
 const { setupHealthChecks } = require('./middleware/health');
 const { setupRateLimiting } = require('./middleware/rate-limit');
@@ -33,6 +40,9 @@ const WorkflowEngine = require('./core/workflow');
 const AuditManager = require('./core/audit');
 const EdgeComputingManager = require('./core/edge');
 const { SecurityAuditManager, SecurityScanner } = require('./core/security');
+const { errorHandler } = require('./core/errors');
+const { OperationManager } = require('./core/operations');
+const { FileStorage } = require('./core/storage');
 
 async function startServer() {
   // Load configuration
@@ -44,11 +54,32 @@ async function startServer() {
   // Apply middleware
   app.use(cors());
   app.use(helmet());
-  app.use(express.json());
+  // Also parse JSON-based media types such as application/merge-patch+json
+  app.use(express.json({
+    type: ['application/json', 'application/*+json'],
+    limit: config.api.rest.bodyLimit || '100kb'
+  }));
   
   // Connect to databases
   const connections = await connectDatabases(config.databases);
   
+  // Make connections available to generated model routes
+  app.locals.connections = connections;
+  
+  // Setup validation manager
+  const validationManager = new ValidationManager(config.validation || {});
+  app.locals.validationManager = validationManager;
+  logger.info('Validation manager initialized');
+  
+  // Track long-running operations (202 Accepted routes), in Redis when available
+  const operations = new OperationManager(config.api.rest.operations, connections);
+  app.locals.operations = operations;
+  
+  // File storage for models with file fields
+  if (config.storage) {
+    app.locals.storage = new FileStorage(config.storage);
+  }
+  
   // Setup health checks
   setupHealthChecks(app, connections);
   
@@ -60,19 +91,65 @@ async function startServer() {
   // Setup authentication
   setupAuthentication(app, config.auth);
   
+  // Setup multi-tenant support if enabled, before the API routes so they are scoped to the tenant
+  let tenantManager = null;
+  if (config.multiTenant && config.multiTenant.enabled) {
+    tenantManager = new TenantManager(config.multiTenant, connections);
+    await tenantManager.initialize();
+    
+    // Add tenant identification middleware
+    app.use(tenantManager.tenantMiddleware);
+    
+    // Add tenant context middleware
+    app.use(tenantContextMiddleware(tenantManager));
+    
+    logger.info('Multi-tenant support initialized');
+  }
+  
   // Setup REST API if enabled
   if (config.api.rest.enabled) {
     setupRESTApi(app, config.api.rest);
   }
   
   // Setup GraphQL if enabled
-  if (config.api.graphql.enabled) {
+  const graphqlConfig = config.api.graphql;
+  const graphqlPath = graphqlConfig.path || '/graphql';
+  let graphqlSchema = null;
+  let graphqlLimits = null;
+  let graphqlPersisted = null;
+  if (graphqlConfig.enabled) {
+    graphqlSchema = setupGraphQLSchema(graphqlConfig);
+    // Depth and cost limits, with cost budgets sharing the rate limiter's window
+    graphqlLimits = createGraphQLLimits(graphqlConfig, {
+      connections,
+      rateLimit: (config.security && config.security.rateLimit) || {}
+    });
+    
+    // APQ, or only the operations of the manifest in allow-list mode
+    graphqlPersisted = createPersistedQueries(graphqlConfig.persistedQueries, { connections });
+    
+    // Cost budgets are charged to the user when credentials are sent
+    app.use(graphqlPath, identifyUser);
+    if (graphqlPersisted.allowList) {
+      app.use(graphqlPath, graphqlPersisted.allowList.middleware());
+    }
+    
     const apolloServer = new ApolloServer({
-      schema: setupGraphQLSchema(config.api.graphql),
-      context: ({ req }) => ({ req })
+      schema: graphqlSchema,
+      context: createGraphQLContext,
+      introspection: Boolean(graphqlConfig.introspection),
+      cache: 'bounded',
+      persistedQueries: graphqlPersisted.persistedQueries,
+      validationRules: graphqlLimits.validationRules,
+      plugins: [
+        graphqlConfig.playground
+          ? ApolloServerPluginLandingPageGraphQLPlayground()
+          : ApolloServerPluginLandingPageDisabled(),
+        ...graphqlLimits.plugins
+      ]
     });
     await apolloServer.start();
-    apolloServer.applyMiddleware({ app });
+    apolloServer.applyMiddleware({ app, path: graphqlPath });
   }
   
   // Create HTTP server
@@ -86,7 +163,7 @@ async function startServer() {
         methods: ["GET", "POST"]
       }
     });
-    setupWebSockets(io, config.api.websocket);
+    setupWebSockets(io, config.api.websocket, operations);
   }
   
   // Generate SDKs if enabled
@@ -97,11 +174,6 @@ async function startServer() {
     // Add other SDK generators here
   }
   
-  // Setup gRPC if enabled
-  if (config.api.grpc && config.api.grpc.enabled) {
-    setupGRPC(config.api.grpc);
-  }
-  
   // Setup cache manager if Redis is available
   let cacheManager = null;
   if (connections.redis) {
@@ -128,21 +200,6 @@ async function startServer() {
   // Setup monitoring
   setupMonitoring(app);
   
-  // Setup multi-tenant support if enabled
-  let tenantManager = null;
-  if (config.multiTenant && config.multiTenant.enabled) {
-    tenantManager = new TenantManager(config.multiTenant, connections);
-    await tenantManager.initialize();
-    
-    // Add tenant identification middleware
-    app.use(tenantManager.tenantMiddleware);
-    
-    // Add tenant context middleware
-    app.use(tenantContextMiddleware(tenantManager));
-    
-    logger.info('Multi-tenant support initialized');
-  }
-  
   // Setup event manager if enabled
   if (config.events && config.events.enabled) {
     eventManager.config = config.events;
@@ -151,6 +208,22 @@ async function startServer() {
     logger.info('Event manager initialized');
   }
   
+  // Serve GraphQL subscriptions (graphql-ws) on the GraphQL path, once tenants are known
+  if (graphqlSchema && graphqlConfig.subscriptions && graphqlConfig.subscriptions.enabled) {
+    createSubscriptionServer(server, graphqlSchema, {
+      app,
+      path: graphqlPath,
+      tenantManager,
+      validationRules: graphqlLimits.validationRules,
+      allowList: graphqlPersisted.allowList
+    });
+  }
+  
+  // Setup gRPC if enabled, once tenants are known
+  if (config.api.grpc && config.api.grpc.enabled) {
+    setupGRPC(config.api.grpc, { app, tenantManager, auth: config.auth });
+  }
+  
   // Setup AI services if enabled
   if (config.ai && config.ai.enabled) {
     aiServiceManager.config = config.ai;
@@ -165,11 +238,6 @@ async function startServer() {
     logger.info('Admin interface initialized');
   }
   
-  // Setup validation manager
-  const validationManager = new ValidationManager(config.validation || {});
-  app.locals.validationManager = validationManager;
-  logger.info('Validation manager initialized');
-  
   // Setup internationalization if enabled
   if (config.i18n && config.i18n.enabled) {
     const i18nManager = new I18nManager(config.i18n);
@@ -258,12 +326,15 @@ async function startServer() {
     logger.info('Security scanner initialized');
   }
   
+  // Report errors as RFC 7807 problem details
+  app.use(errorHandler());
+  
   // Start the server
   const PORT = process.env.PORT || 3000;
   server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
-    if (config.api.graphql.enabled) {
-      logger.info(`GraphQL endpoint: http://localhost:${PORT}/graphql`);
+    if (graphqlConfig.enabled) {
+      logger.info(`GraphQL endpoint: http://localhost:${PORT}${graphqlPath}`);
     }
   });
   
@@ -0,0 +1,50 @@
+const { encode } = require('../../core/formats/msgpack');
+const { toCSVCell } = require('../../core/formats');
+const { ModelRepository } = require('../../core/database/repository');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { parseListQuery } = require('../../core/query');
+
+describe('Response formats', () => {
+  test('should encode MessagePack', () => {
+    expect(encode({ a: 1, b: [true, null], c: 'é' }))
+      .toEqual(Buffer.from([0x83, 0xa1, 0x61, 0x01, 0xa1, 0x62, 0x92, 0xc3, 0xc0, 0xa1, 0x63, 0xa2, 0xc3, 0xa9]));
+    expect(encode(-1)).toEqual(Buffer.from([0xff]));
+    expect(encode(300)).toEqual(Buffer.from([0xcd, 0x01, 0x2c]));
+    expect(encode(-200)).toEqual(Buffer.from([0xd1, 0xff, 0x38]));
+    expect(encode(1.5)).toEqual(Buffer.from([0xcb, 0x3f, 0xf8, 0, 0, 0, 0, 0, 0]));
+    expect(encode('x'.repeat(40)).subarray(0, 2)).toEqual(Buffer.from([0xd9, 40]));
+
+    // Undefined members are skipped like in JSON; dates use the timestamp extension
+    expect(encode({ a: undefined })).toEqual(Buffer.from([0x80]));
+    expect(encode(new Date(1500))).toEqual(Buffer.from([
+      0xc7, 12, 0xff, 0x1d, 0xcd, 0x65, 0x00, 0, 0, 0, 0, 0, 0, 0, 0x01
+    ]));
+  });
+
+  test('should escape CSV cells', () => {
+    expect(toCSVCell(null)).toBe('');
+    expect(toCSVCell('say "hi", twice')).toBe('"say ""hi"", twice"');
+    expect(toCSVCell('=SUM(A1:A9)')).toBe('\'=SUM(A1:A9)');
+    expect(toCSVCell(-5)).toBe('-5');
+    expect(toCSVCell({ tags: ['a'] })).toBe('"{""tags"":[""a""]}"');
+  });
+
+  test('should stream records in keyset batches', async () => {
+    const model = { name: 'Widget', fields: { name: { type: 'string' }, price: { type: 'number' } } };
+    const client = new MockDatabaseClient();
+    const repository = new ModelRepository(model, client);
+
+    for (const [name, price] of [['a', 3], ['b', 1], ['c', 2], ['d', 1], ['e', 5]]) {
+      await repository.create({ name, price });
+    }
+
+    const query = parseListQuery(repository.model, { sort: 'price', fields: 'name', filter: { price: { lt: 5 } } });
+    const batches = [];
+
+    for await (const batch of repository.stream(query, {}, { batchSize: 2 })) {
+      batches.push(batch.map((record) => record.name));
+    }
+
+    expect(batches).toEqual([['b', 'd'], ['c', 'a']]);
+  });
+});
@@ -0,0 +1,717 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { EventEmitter } = require('events');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const WebSocket = require('ws');
+const { createClient } = require('graphql-ws');
+const { ApolloServer, gql } = require('apollo-server-express');
+const { ApolloGateway, LocalCompose, LocalGraphQLDataSource } = require('@apollo/gateway');
+const { graphql, parse, validate, specifiedRules } = require('graphql');
+const { setupGraphQLSchema, createGraphQLContext } = require('../../core/api-generators/graphql');
+const {
+  createDepthLimitRule,
+  calculateCost,
+  createGraphQLLimits,
+  MemoryCostStore
+} = require('../../core/api-generators/graphql-limits');
+const { createSubscriptionServer } = require('../../core/api-generators/graphql-subscriptions');
+const {
+  hashQuery,
+  writeManifest,
+  createPersistedQueries
+} = require('../../core/api-generators/graphql-persisted-queries');
+const { extractOperations } = require('../../core/sdk-generators/persisted-operations');
+const { createRepository } = require('../../core/database/repository');
+const eventManager = require('../../core/events');
+const TenantManager = require('../../core/multi-tenant');
+const { normalizeModel, linkRelations } = require('../../core/models');
+const { MockDatabaseClient, MockDatabase } = require('../../core/database/mock');
+const { MemoryAdapter } = require('../../core/database/adapters/memory');
+const { setupAuthentication, isAuthenticated, hasRoles } = require('../../core/auth');
+const ValidationManager = require('../../core/validation');
+
+const Product = {
+  name: 'Product',
+  timestamps: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 2 },
+    price: { type: 'number', minimum: 0 },
+    category: { type: 'string' },
+    secret: { type: 'string', hidden: true }
+  },
+  middlewares: {
+    delete: hasRoles(['admin'])
+  }
+};
+
+function createContext(models, user, config = {}) {
+  const app = express();
+  app.locals.connections = { postgres: new MockDatabaseClient() };
+  app.locals.validationManager = new ValidationManager();
+
+  const schema = setupGraphQLSchema(config, linkRelations(models.map(normalizeModel)));
+  const run = (source, variables, contextValue = { req: { app, user } }) => graphql({
+    schema,
+    source,
+    variableValues: variables,
+    contextValue
+  });
+
+  return { app, schema, run, client: app.locals.connections.postgres };
+}
+
+describe('Generated GraphQL schema', () => {
+  test('should generate types and CRUD operations from model fields', async () => {
+    const { schema, run } = createContext([Product]);
+
+    const type = schema.getType('Product').getFields();
+    expect(Object.keys(type)).toEqual(['id', 'name', 'price', 'category', 'createdAt', 'updatedAt']);
+    expect(String(type.name.type)).toBe('String!');
+    // Hidden fields can still be written, as on the REST API
+    expect(Object.keys(schema.getType('ProductInput').getFields())).toEqual(['name', 'price', 'category', 'secret']);
+
+    const create = 'mutation($input: ProductInput!) { createProduct(input: $input) { id name createdAt } }';
+    const created = await run(create, { input: { name: 'Desk lamp', price: 30, category: 'Lighting' } });
+    expect(created.errors).toBeUndefined();
+    expect(created.data.createProduct.createdAt).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+
+    await run(create, { input: { name: 'Oak desk', price: 200, category: 'Furniture' } });
+    await run(create, { input: { name: 'Floor lamp', price: 80, category: 'Lighting' } });
+
+    const list = await run(`{
+      products(filter: { category: { eq: "Lighting" }, price: { lt: 100 } }, sort: "-price") { name }
+    }`);
+    expect(list.data.products).toEqual([{ name: 'Floor lamp' }, { name: 'Desk lamp' }]);
+
+    const updated = await run(`mutation {
+      updateProduct(id: "1", input: { price: 35, category: null }) { name price category }
+    }`);
+    expect(updated.data.updateProduct).toEqual({ name: 'Desk lamp', price: 35, category: null });
+
+    const connection = await run(`{
+      productsConnection(filter: { name: { like: "%desk" } }, first: 1) { edges { node { name } } }
+    }`);
+    expect(connection.data.productsConnection.edges).toEqual([{ node: { name: 'Oak desk' } }]);
+
+    const missing = await run('{ product(id: "42") { name } }');
+    expect(missing.data.product).toBeNull();
+  });
+
+  test('should validate inputs and run route middleware', async () => {
+    const { run } = createContext([Product]);
+
+    const invalid = await run('mutation { createProduct(input: { name: "x", price: -1 }) { id } }');
+    expect(invalid.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+    expect(invalid.errors[0].extensions.details.map(({ pointer }) => pointer)).toEqual(['/name', '/price']);
+
+    const badQuery = await run('{ products(pageSize: 1000) { id } }');
+    expect(badQuery.errors[0].extensions.code).toBe('BAD_USER_INPUT');
+
+    const forbidden = await run('mutation { deleteProduct(id: "1") }');
+    expect(forbidden.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+    const admin = createContext([Product], { id: 'u1', roles: ['admin'] });
+    await admin.run('mutation { createProduct(input: { name: "Desk lamp" }) { id } }');
+    const deleted = await admin.run('mutation { deleteProduct(id: "1") }');
+    expect(deleted.data.deleteProduct).toBe(true);
+    expect(admin.client.table('products')).toEqual([]);
+  });
+
+  test('should end operations whose route middleware responds itself', async () => {
+    const limited = {
+      ...Product,
+      middlewares: {
+        getAll: (req, res) => res.status(429).json({ title: 'Too many requests' }),
+        getById: async () => {}
+      }
+    };
+    const { app, run } = createContext([limited]);
+    const res = Object.assign(new EventEmitter(), {
+      statusCode: 200,
+      headersSent: false,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json() {
+        this.headersSent = true;
+        this.emit('finish');
+      }
+    });
+
+    const list = await run('{ products { id } }', {}, { req: { app, res } });
+    expect(list.errors[0].extensions.code).toBe('RATE_LIMITED');
+
+    const record = await run('{ product(id: "1") { id } }', {}, { req: { app } });
+    expect(record.errors[0].extensions.code).toBe('FORBIDDEN');
+  });
+
+  test('should leave what hand-written definitions declare to them', async () => {
+    const Custom = {
+      ...Product,
+      graphql: {
+        typeDefs: gql`
+          type Product {
+            id: ID!
+            name: String!
+            label: String
+          }
+
+          extend type Query {
+            product(slug: String!): Product
+          }
+        `,
+        resolvers: {
+          Query: {
+            product: (_, { slug }) => ({ id: 1, name: slug }),
+            products: () => [{ id: 2, name: 'Overridden' }]
+          },
+          Product: {
+            label: (product) => product.name.toUpperCase()
+          }
+        }
+      }
+    };
+    const { schema, run } = createContext([Custom, { name: 'Hidden', graphql: false, fields: { name: 'string' } }]);
+
+    expect(Object.keys(schema.getType('Product').getFields())).toEqual(['id', 'name', 'label']);
+    expect(schema.getType('Hidden')).toBeUndefined();
+
+    const result = await run('{ product(slug: "lamp") { label } products { name } }');
+    expect(result.data).toEqual({ product: { label: 'LAMP' }, products: [{ name: 'Overridden' }] });
+  });
+});
+
+describe('GraphQL data loaders', () => {
+  const Owner = {
+    name: 'Owner',
+    fields: { name: { type: 'string', required: true } },
+    relations: { products: { type: 'hasMany', model: 'Item' } }
+  };
+  const Item = {
+    name: 'Item',
+    fields: { name: { type: 'string', required: true } },
+    relations: { owner: { type: 'belongsTo', model: 'Owner' } }
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should batch and cache loads for the duration of a request', async () => {
+    const { app, run, client } = createContext([Owner, Item]);
+    client.table('owners').push({ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' });
+    client.table('items').push(
+      { id: 1, name: 'Lamp', ownerId: 1 },
+      { id: 2, name: 'Desk', ownerId: 2 },
+      { id: 3, name: 'Chair', ownerId: 1 }
+    );
+
+    const find = jest.spyOn(MemoryAdapter.prototype, 'find');
+    const context = createGraphQLContext({ req: { app } });
+    const result = await run(`{
+      items { name owner { name products { name } } }
+      first: owner(id: "1") { name }
+      again: owner(id: "1") { name }
+      second: owner(id: "2") { name }
+    }`, {}, context);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.items[0]).toEqual({
+      name: 'Lamp',
+      owner: { name: 'Ada', products: [{ name: 'Lamp' }, { name: 'Chair' }] }
+    });
+    expect(result.data.again).toEqual({ name: 'Ada' });
+
+    // Items, their owners, the owners' products and the owners by ID
+    expect(find).toHaveBeenCalledTimes(4);
+    expect(context.loaders.stats).toEqual({
+      Owner: { batches: 1, keys: 2, cacheHits: 1 },
+      'Item.owner': { batches: 1, keys: 2, cacheHits: 1 },
+      'Owner.products': { batches: 1, keys: 2, cacheHits: 1 }
+    });
+  });
+
+  test('should authorize relation fields once per request', async () => {
+    const getById = jest.fn((req, res, next) => next());
+    const { app, run, client } = createContext([{ ...Owner, middlewares: { getById } }, Item]);
+    client.table('owners').push({ id: 1, name: 'Ada' }, { id: 2, name: 'Grace' });
+    client.table('items').push({ id: 1, name: 'Lamp', ownerId: 1 }, { id: 2, name: 'Desk', ownerId: 2 });
+
+    const result = await run('{ items { owner { name } } }', {}, createGraphQLContext({ req: { app } }));
+
+    expect(result.data.items).toEqual([{ owner: { name: 'Ada' } }, { owner: { name: 'Grace' } }]);
+    expect(getById).toHaveBeenCalledTimes(1);
+  });
+
+  test('should forget loaded records after a mutation', async () => {
+    const { app, run } = createContext([Owner, Item]);
+    const context = createGraphQLContext({ req: { app } });
+
+    const result = await run(`mutation {
+      createOwner(input: { name: "Ada" }) { id }
+      updateOwner(id: "1", input: { name: "Ada Lovelace" }) { name }
+    }`, {}, context);
+    const { data } = await run('{ owner(id: "1") { name } }', {}, context);
+
+    expect(result.errors).toBeUndefined();
+    expect(data.owner).toEqual({ name: 'Ada Lovelace' });
+  });
+});
+
+describe('GraphQL query limits', () => {
+  const Owner = {
+    name: 'Owner',
+    fields: { name: { type: 'string', required: true } },
+    relations: { products: { type: 'hasMany', model: 'Item' } },
+    graphql: {
+      typeDefs: gql`
+        extend type Query {
+          featured: [Item!]! @cost(value: 10)
+        }
+      `
+    }
+  };
+  const Item = {
+    name: 'Item',
+    fields: { name: { type: 'string', required: true } },
+    relations: { owner: { type: 'belongsTo', model: 'Owner' } }
+  };
+
+  test('should reject queries nested too deeply', () => {
+    const { schema } = createContext([Owner, Item]);
+    const check = (source) => validate(schema, parse(source), [...specifiedRules, createDepthLimitRule(3)]);
+
+    expect(check('{ items { owner { name } } }')).toEqual([]);
+    expect(check('{ __schema { types { fields { type { name } } } } }')).toEqual([]);
+
+    const [error] = check(`
+      { items { ...owner } }
+      fragment owner on Item { owner { products { name } } }
+    `);
+    expect(error.message).toBe('Query depth 4 exceeds the maximum of 3');
+  });
+
+  test('should calculate the cost of queries from list sizes and cost directives', () => {
+    const { schema } = createContext([Owner, Item]);
+    const cost = (source, variables) => calculateCost(schema, parse(source), { variables, defaultListSize: 10 });
+
+    expect(cost('{ owner(id: "1") { name } }')).toBe(1);
+    // 10 items and their owners
+    expect(cost('{ items { name owner { name } } }')).toBe(20);
+    expect(cost('query($size: Int) { items(pageSize: $size) { owner { name } } }', { size: 5 })).toBe(10);
+    expect(cost('{ featured { name } }')).toBe(100);
+    // Connections pass their size on to their edges
+    expect(cost('{ itemsConnection(first: 3) { edges { node { name } } } }')).toBe(7);
+  });
+
+  test('should charge queries to per-user cost budgets', async () => {
+    const { app, schema } = createContext([Owner, Item]);
+    const limits = createGraphQLLimits(
+      { cost: { maxCost: 50, budget: 70, defaultListSize: 10 } },
+      { connections: { redis: MockDatabase.createMockRedis() }, rateLimit: { windowMs: 60000 } }
+    );
+    const server = new ApolloServer({ schema, ...limits, context: ({ req }) => ({ req }) });
+    const run = (query, user) => server.executeOperation({ query }, { req: { app, ip: '10.0.0.1', user } });
+
+    const tooCostly = await run('{ items(pageSize: 30) { owner { name } } }');
+    expect(tooCostly.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_COSTLY', cost: 60, maxCost: 50 });
+
+    const first = await run('{ items { owner { name } } }');
+    expect(first.errors).toBeUndefined();
+    expect(first.http.headers.get('X-GraphQL-Cost')).toBe('20');
+    expect(first.http.headers.get('X-GraphQL-Cost-Remaining')).toBe('50');
+
+    await run('{ items { owner { name } } }');
+    await run('{ items { owner { name } } }');
+    const limited = await run('{ items { owner { name } } }');
+    expect(limited.errors[0].extensions.code).toBe('RATE_LIMITED');
+    expect(limited.http.status).toBe(429);
+    expect(limited.http.headers.get('X-GraphQL-Cost-Remaining')).toBe('10');
+
+    // Rejected queries aren't charged, and users have budgets of their own
+    expect((await run('{ owner(id: "1") { name } }')).errors).toBeUndefined();
+    expect((await run('{ items { owner { name } } }', { id: 'u1' })).errors).toBeUndefined();
+  });
+
+  test('should remove the budgets of past windows from memory', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const store = new MemoryCostStore();
+
+    try {
+      await store.consume('u1', 10, 60000);
+      await store.consume('u2', 10, 60000);
+
+      now.mockReturnValue(30000);
+      expect(await store.consume('u2', 5, 60000)).toEqual({ used: 15, resetAt: 60000 });
+
+      now.mockReturnValue(60000);
+      await store.consume('u3', 10, 60000);
+      expect([...store.entries.keys()]).toEqual(['u3']);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe('GraphQL subscriptions', () => {
+  const Note = {
+    name: 'Note',
+    multiTenant: true,
+    fields: { title: { type: 'string', required: true } },
+    middlewares: { getAll: isAuthenticated }
+  };
+  const secret = 'subscription-secret';
+  let context;
+
+  beforeEach(async () => {
+    context = createContext([Note]);
+    setupAuthentication(context.app, {
+      jwt: { enabled: true, secret },
+      apiKey: { enabled: true, header: 'X-API-Key' }
+    });
+
+    const tenantManager = new TenantManager({});
+    tenantManager.tenants.set('acme', { id: 'acme', name: 'Acme' });
+    tenantManager.tenants.set('globex', { id: 'globex', name: 'Globex' });
+
+    const server = http.createServer(context.app);
+    await new Promise((resolve) => server.listen(0, resolve));
+
+    const subscriptions = createSubscriptionServer(server, context.schema, { app: context.app, tenantManager });
+    const clients = [];
+
+    Object.assign(context, {
+      server,
+      subscriptions,
+      connect: (connectionParams) => {
+        const client = createClient({
+          url: `ws://localhost:${server.address().port}/graphql`,
+          webSocketImpl: WebSocket,
+          connectionParams,
+          retryAttempts: 0
+        });
+        clients.push(client);
+        return client;
+      },
+      clients
+    });
+  });
+
+  afterEach(async () => {
+    await Promise.all(context.clients.map((client) => client.dispose()));
+    await context.subscriptions.close();
+    await new Promise((resolve) => context.server.close(resolve));
+  });
+
+  // Resolves once the server listens to an event as many times, e.g. so writes made afterwards reach subscribers
+  const listening = async (eventType, count) => {
+    while (eventManager.listenerCount(eventType) !== count) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+
+  test('should send the model events of the subscriber\'s tenant', async () => {
+    const token = jwt.sign({ sub: 'u1', roles: [] }, secret);
+    const client = context.connect({ Authorization: `Bearer ${token}`, 'X-Tenant-ID': 'acme' });
+    const created = client.iterate({ query: 'subscription { noteCreated { title } }' });
+    const deleted = client.iterate({ query: 'subscription { noteDeleted }' });
+    await listening('Note:created', 1);
+    await listening('Note:deleted', 1);
+
+    const repository = createRepository(normalizeModel(Note), context.app.locals.connections);
+    await repository.create({ title: 'Globex plans' }, { tenantId: 'globex' });
+    const note = await repository.create({ title: 'Acme plans' }, { tenantId: 'acme' });
+    await repository.delete(note.id, { tenantId: 'acme' });
+
+    expect((await created.next()).value).toEqual({ data: { noteCreated: { title: 'Acme plans' } } });
+    expect((await deleted.next()).value).toEqual({ data: { noteDeleted: String(note.id) } });
+
+    // Completing subscriptions unsubscribes from the events
+    await created.return();
+    await deleted.return();
+    await listening('Note:created', 0);
+    await listening('Note:deleted', 0);
+  });
+
+  test('should authenticate connections like REST requests', async () => {
+    const anonymous = context.connect({ 'X-Tenant-ID': 'acme' });
+    const { value } = await anonymous.iterate({ query: 'subscription { noteCreated { title } }' }).next();
+    expect(value.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+    const forged = context.connect({ Authorization: `Bearer ${jwt.sign({ sub: 'u1' }, 'another-secret')}` });
+    await expect(forged.iterate({ query: 'subscription { noteCreated { title } }' }).next())
+      .rejects.toMatchObject({ code: 4403 });
+  });
+});
+
+describe('GraphQL authorization directives', () => {
+  const Account = {
+    name: 'Account',
+    fields: {
+      name: { type: 'string', required: true },
+      email: { type: 'string', required: true, directives: '@owner(field: "id", roles: ["admin"])' },
+      salary: { type: 'number', directives: '@hasRole(roles: ["hr"])' }
+    },
+    graphql: {
+      typeDefs: gql`
+        type Payslip @hasRole(roles: ["hr"]) {
+          amount: Float
+        }
+
+        extend type Query {
+          myAccount: Account @auth
+          payslip: Payslip
+          account(id: ID!): Account @owner(field: "id")
+        }
+      `,
+      resolvers: {
+        Query: {
+          myAccount: (_, __, { req }) => ({ id: req.user.id, name: 'Ada', email: 'ada@example.com' }),
+          payslip: () => ({ amount: 3000 }),
+          account: (_, { id }) => ({ id, name: `Account ${id}` })
+        }
+      }
+    }
+  };
+
+  const seed = (client) => client.table('accounts').push(
+    { id: 1, name: 'Ada', email: 'ada@example.com', salary: 3000 },
+    { id: 2, name: 'Grace', email: 'grace@example.com', salary: 4000 }
+  );
+  const codes = (result) => (result.errors || []).map((error) => `${error.path.join('.')}:${error.extensions.code}`);
+
+  test('should hide generated fields from users without access', async () => {
+    const anonymous = createContext([Account]);
+    seed(anonymous.client);
+    const query = '{ accounts(sort: "id") { name email salary } }';
+
+    const hidden = await anonymous.run(query);
+    expect(hidden.data.accounts[0]).toEqual({ name: 'Ada', email: null, salary: null });
+    expect(codes(hidden)).toContain('accounts.0.email:UNAUTHENTICATED');
+
+    const owner = createContext([Account], { id: 1, roles: ['user'] });
+    seed(owner.client);
+    const own = await owner.run(query);
+    expect(own.data.accounts.map(({ email }) => email)).toEqual(['ada@example.com', null]);
+    expect(codes(own)).toEqual([
+      'accounts.0.salary:FORBIDDEN',
+      'accounts.1.email:FORBIDDEN',
+      'accounts.1.salary:FORBIDDEN'
+    ]);
+
+    const admin = createContext([Account], { id: 3, roles: ['admin', 'hr'] });
+    seed(admin.client);
+    const all = await admin.run(query);
+    expect(all.errors).toBeUndefined();
+    expect(all.data.accounts[1]).toEqual({ name: 'Grace', email: 'grace@example.com', salary: 4000 });
+  });
+
+  test('should check hand-written fields and types', async () => {
+    const { run } = createContext([Account], { id: 1, roles: [] });
+
+    const me = await run('{ myAccount { name } }');
+    expect(me.data.myAccount).toEqual({ name: 'Ada' });
+    expect(codes(await createContext([Account]).run('{ myAccount { name } }'))).toEqual(['myAccount:UNAUTHENTICATED']);
+
+    // Types' directives apply to each of their fields
+    const payslip = await run('{ payslip { amount } }');
+    expect(payslip.data.payslip).toEqual({ amount: null });
+    expect(codes(payslip)).toEqual(['payslip.amount:FORBIDDEN']);
+
+    // Root fields are checked on the records they return
+    expect((await run('{ account(id: "1") { name } }')).data.account).toEqual({ name: 'Account 1' });
+    expect(codes(await run('{ account(id: "2") { name } }'))).toEqual(['account:FORBIDDEN']);
+  });
+});
+
+describe('GraphQL persisted queries', () => {
+  const query = 'query Products { products { name } }';
+  const persistedQuery = { version: 1, sha256Hash: hashQuery(query) };
+
+  function createServer(config, connections) {
+    const { app, schema, client } = createContext([Product]);
+    client.table('products').push({ id: 1, name: 'Desk' });
+
+    const persisted = createPersistedQueries(config, { connections });
+    const server = new ApolloServer({
+      schema,
+      persistedQueries: persisted.persistedQueries,
+      context: () => ({ req: { app } })
+    });
+
+    return { server, allowList: persisted.allowList };
+  }
+
+  test('should register automatic persisted queries in Redis', async () => {
+    const redis = MockDatabase.createMockRedis();
+    const { server } = createServer({ ttl: 60 }, { redis });
+
+    const unknown = await server.executeOperation({ extensions: { persistedQuery } });
+    expect(unknown.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_FOUND');
+
+    expect((await server.executeOperation({ query, extensions: { persistedQuery } })).data).toEqual({
+      products: [{ name: 'Desk' }]
+    });
+    expect(await redis.get(`ube:graphql-apq:${persistedQuery.sha256Hash}`)).toBe(query);
+    expect((await server.executeOperation({ extensions: { persistedQuery } })).data.products).toHaveLength(1);
+  });
+
+  test('should only accept the operations of the manifest in allow-list mode', async () => {
+    const manifest = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'persisted-')), 'persisted-queries.json');
+    expect(() => createServer({ allowList: true, manifest })).toThrow('Persisted query manifest not found');
+
+    writeManifest(manifest, [{ id: persistedQuery.sha256Hash, name: 'Products', type: 'query', body: query }]);
+    const { server, allowList } = createServer({ allowList: true, manifest });
+
+    expect((await server.executeOperation({ extensions: { persistedQuery } })).data.products).toHaveLength(1);
+
+    // Clients can't register operations
+    const other = '{ products { id } }';
+    const otherHash = { version: 1, sha256Hash: hashQuery(other) };
+    await server.executeOperation({ query: other, extensions: { persistedQuery: otherHash } });
+    const unknown = await server.executeOperation({ extensions: { persistedQuery: otherHash } });
+    expect(unknown.errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_FOUND');
+
+    // Documents sent in full are checked before Apollo Server gets them
+    const middleware = allowList.middleware();
+    const send = (req) => {
+      const res = { status: jest.fn(() => res), json: jest.fn() };
+      const next = jest.fn();
+      middleware({ ip: '10.0.0.1', ...req }, res, next);
+      return { res, next };
+    };
+
+    expect(send({ method: 'POST', body: { query } }).next).toHaveBeenCalled();
+    expect(send({ method: 'POST', body: { extensions: { persistedQuery: otherHash } } }).next).toHaveBeenCalled();
+    const rejected = send({ method: 'POST', body: [{ query }, { query: other }] });
+    expect(rejected.next).not.toHaveBeenCalled();
+    expect(rejected.res.status).toHaveBeenCalledWith(400);
+    expect(rejected.res.json.mock.calls[0][0].errors[0].extensions.code).toBe('PERSISTED_QUERY_NOT_ALLOWED');
+    expect(send({ method: 'GET', query: { query: other } }).res.status).toHaveBeenCalledWith(400);
+
+    // Subscriptions get the registered document of their hash
+    const onSubscribe = allowList.onSubscribe();
+    const message = { payload: { extensions: { persistedQuery } } };
+    expect(onSubscribe({}, message)).toBeUndefined();
+    expect(message.payload.query).toBe(query);
+    expect(onSubscribe({}, { payload: { query: other } })[0].extensions.code).toBe('PERSISTED_QUERY_NOT_ALLOWED');
+  });
+
+  test('should extract the literal documents of SDK hooks', () => {
+    const react = extractOperations(`
+      const PRODUCTS = \`query Products { products { name } }\`;
+
+      export function Products({ id }) {
+        const products = useQuery(PRODUCTS);
+        const remove = sdk.useMutation('mutation Remove($id: ID!) { deleteProduct(id: $id) }');
+        const product = useQuery(\`{ product(id: "\${id}") { name } }\`);
+        return <ul />;
+      }
+    `, 'Products.jsx');
+
+    expect(react.operations.map(({ body, line }) => [body, line])).toEqual([
+      ['query Products { products { name } }', 5],
+      ['mutation Remove($id: ID!) { deleteProduct(id: $id) }', 6]
+    ]);
+    expect(react.warnings).toEqual([expect.objectContaining({ file: 'Products.jsx', line: 7 })]);
+
+    const vue = extractOperations([
+      '<template><p>{{ data }}</p></template>',
+      '<script setup lang="ts">',
+      'const { data } = useQuery<Data>(`query Me { me { id } }`);',
+      '</script>'
+    ].join('\n'), 'Me.vue');
+    expect(vue.operations).toEqual([{ body: 'query Me { me { id } }', file: 'Me.vue', line: 3 }]);
+  });
+});
+
+describe('GraphQL federation', () => {
+  // Reviews are served by another instance, which references the catalog's products
+  const Review = {
+    name: 'Review',
+    fields: {
+      productId: { type: 'string', required: true },
+      rating: { type: 'integer', required: true }
+    },
+    graphql: {
+      typeDefs: gql`
+        type Product @key(fields: "id", resolvable: false) {
+          id: ID!
+        }
+
+        extend type Query {
+          reviewedProducts: [Product!]!
+        }
+      `,
+      resolvers: {
+        Query: {
+          reviewedProducts: (_, __, { req }) => req.app.locals.connections.postgres.table('reviews')
+            .map((review) => ({ id: review.productId }))
+        }
+      }
+    }
+  };
+
+  test('should resolve entities of a subgraph by their primary key', async () => {
+    const { run, client } = createContext([Product], null, { federation: { enabled: true } });
+    client.table('products').push({ id: 1, name: 'Desk', price: 120 });
+
+    const { data } = await run(`{
+      _service { sdl }
+      _entities(representations: [{ __typename: "Product", id: "1" }]) { ... on Product { name price } }
+    }`);
+    expect(data._service.sdl).toMatch(/type Product\s+@key\(fields: "id"\)/);
+    expect(data._service.sdl).toMatch(/type PageInfo\s+@shareable/);
+    expect(data._entities).toEqual([{ name: 'Desk', price: 120 }]);
+  });
+
+  test('should compose instances behind a gateway', async () => {
+    const federation = { enabled: true };
+    const subgraphs = {
+      catalog: createContext([Product], null, { federation }),
+      reviews: createContext([Review], null, { federation })
+    };
+    subgraphs.catalog.client.table('products').push({ id: 1, name: 'Desk' }, { id: 2, name: 'Lamp' });
+    subgraphs.reviews.client.table('reviews').push({ id: 1, productId: '2', rating: 5 });
+
+    const serviceList = await Promise.all(Object.entries(subgraphs).map(async ([name, { run }]) => {
+      const { data } = await run('{ _service { sdl } }');
+      // Requests are sent to local data sources rather than to the URL
+      return { name, url: `http://${name}.local/graphql`, typeDefs: parse(data._service.sdl) };
+    }));
+
+    // Each subgraph resolves operations against its own database
+    const gateway = new ApolloGateway({
+      supergraphSdl: new LocalCompose({ localServiceList: serviceList }),
+      buildService: ({ name }) => {
+        const { app, schema } = subgraphs[name];
+        const dataSource = new LocalGraphQLDataSource(schema);
+        const { process } = dataSource;
+        dataSource.process = ({ request }) => process.call(dataSource, { request, context: { req: { app } } });
+        return dataSource;
+      }
+    });
+    const server = new ApolloServer({ gateway });
+    await server.start();
+
+    try {
+      const result = await server.executeOperation({
+        query: '{ products(sort: "id") { name } reviews { rating } reviewedProducts { id name } }'
+      });
+
+      expect(result.errors).toBeUndefined();
+      expect(result.data).toEqual({
+        products: [{ name: 'Desk' }, { name: 'Lamp' }],
+        reviews: [{ rating: 5 }],
+        reviewedProducts: [{ id: '2', name: 'Lamp' }]
+      });
+    } finally {
+      await server.stop();
+    }
+  });
+});
+
@@ -0,0 +1,321 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const grpc = require('@grpc/grpc-js');
+const { createGRPCServer, createServerCredentials } = require('../../core/api-generators/grpc');
+const { grpcMetrics } = require('../../core/api-generators/grpc-interceptors');
+const { buildProto, getProtoFields } = require('../../core/api-generators/grpc-protos');
+const { normalizeModel, linkRelations } = require('../../core/models');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { setupAuthentication, hasRoles } = require('../../core/auth');
+const TenantManager = require('../../core/multi-tenant');
+const ValidationManager = require('../../core/validation');
+
+const Product = {
+  name: 'Product',
+  timestamps: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 2 },
+    price: { type: 'number', minimum: 0 },
+    stock: { type: 'integer' },
+    tags: { type: 'array', items: { type: 'string' } },
+    attributes: { type: 'json' },
+    secret: { type: 'string', hidden: true }
+  },
+  middlewares: {
+    delete: hasRoles(['admin'])
+  }
+};
+
+const secret = 'grpc-secret';
+
+// jest.setup.js automocks both: the generated protos are loaded for real, with
+// @grpc/grpc-js resolved to its hand-written mock (see jest.config.js)
+jest.unmock('@grpc/proto-loader');
+jest.unmock('@grpc/grpc-js');
+
+describe('Generated proto files', () => {
+  test('should number fields in declaration order and keep hidden fields writable', () => {
+    const model = normalizeModel(Product);
+    const { fileName, serviceName, source } = buildProto(model, { packageName: 'shop.v1' });
+
+    expect(fileName).toBe('product.proto');
+    expect(serviceName).toBe('ProductService');
+    expect(source).toContain('package shop.v1;');
+    expect(getProtoFields(model).map(({ name, number }) => `${name}=${number}`)).toEqual([
+      'id=1', 'name=2', 'price=3', 'stock=4', 'tags=5', 'attributes=6', 'secret=7', 'created_at=8', 'updated_at=9'
+    ]);
+
+    const [, product] = source.match(/message Product \{\n([\s\S]*?)\n\}/);
+    expect(product).toContain('  repeated string tags = 5;');
+    expect(product).toContain('  optional string attributes = 6;');
+    expect(product).not.toContain('secret');
+
+    const [, input] = source.match(/message ProductInput \{\n([\s\S]*?)\n\}/);
+    expect(input).toContain('  optional string secret = 7;');
+    expect(input).not.toContain('created_at');
+
+    expect(source).toContain('rpc List (ListProductsRequest) returns (stream Product);');
+    expect(source).toContain('rpc Delete (DeleteProductRequest) returns (google.protobuf.Empty);');
+  });
+});
+
+/**
+ * A gRPC server for models, with a client calling it through its interceptors
+ * and the wire format of the written proto files, as grpc-js would
+ */
+function createContext(models, config = {}, options = {}) {
+  const app = express();
+  app.locals.connections = { postgres: new MockDatabaseClient() };
+  app.locals.validationManager = new ValidationManager();
+  setupAuthentication(app, { jwt: { enabled: true, secret } });
+
+  const protoDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ube-protos-'));
+  const normalized = linkRelations(models.map(normalizeModel));
+  const server = createGRPCServer({ protoDir, ...config }, { app, models: normalized, ...options });
+  const [[service, implementation]] = server.addService.mock.calls;
+  const getPeer = () => 'ipv4:127.0.0.1:50000';
+
+  // Resolves with the status the interceptors let through
+  const invoke = (method, request, headers, handle) => new Promise((resolve) => {
+    const { path: methodPath, requestStream, responseStream, requestSerialize, requestDeserialize } = service[method];
+    const metadata = new grpc.Metadata();
+    Object.entries(headers).forEach(([name, value]) => metadata.set(name, value));
+
+    const base = { start: (listener) => Object.assign(base, { listener }), sendStatus: resolve, getPeer };
+    const chain = server.options.interceptors.reduce((next, interceptor) => {
+      return interceptor({ path: methodPath, requestStream, responseStream }, next);
+    }, base);
+
+    chain.start({
+      onReceiveMetadata: (received) => handle({
+        request: requestDeserialize(requestSerialize(request)),
+        metadata: received,
+        getPeer
+      }, chain)
+    });
+    base.listener.onReceiveMetadata(metadata);
+  });
+  const toResponse = (method, message) => {
+    const { responseSerialize, responseDeserialize } = service[method];
+    return responseDeserialize(responseSerialize(message));
+  };
+
+  const call = async (method, request, headers = {}) => {
+    let response;
+    const status = await invoke(method, request, headers, (unary, chain) => {
+      implementation[method](unary, (error, message) => {
+        response = message && toResponse(method, message);
+        chain.sendStatus(error || { code: grpc.status.OK });
+      });
+    });
+
+    if (status.code !== grpc.status.OK) {
+      throw status;
+    }
+
+    return response;
+  };
+  const list = async (request, headers = {}) => {
+    const messages = [];
+    const status = await invoke('List', request, headers, (streaming, chain) => {
+      const stream = Object.assign(new EventEmitter(), streaming, {
+        cancelled: false,
+        write: (message) => messages.push(toResponse('List', message)) > 0,
+        end: () => chain.sendStatus({ code: grpc.status.OK })
+      });
+
+      stream.on('error', (error) => chain.sendStatus(error));
+      implementation.List(stream);
+    });
+
+    if (status.code !== grpc.status.OK) {
+      throw status;
+    }
+
+    return messages;
+  };
+
+  return { call, list, protoDir, db: app.locals.connections.postgres };
+}
+
+describe('Generated gRPC services', () => {
+  let context;
+
+  beforeEach(() => {
+    context = createContext([Product]);
+  });
+
+  afterEach(() => {
+    fs.rmSync(context.protoDir, { recursive: true, force: true });
+  });
+
+  test('should create, get, update and list records through the data layer', async () => {
+    const { call, list, db } = context;
+
+    const created = await call('Create', {
+      product: {
+        name: 'Desk lamp', price: 30, stock: 5, tags: ['lighting'],
+        attributes: '{"color":"black"}', secret: 's'
+      }
+    });
+    expect(created).toMatchObject({ id: '1', name: 'Desk lamp', price: 30, stock: 5, tags: ['lighting'] });
+    expect(JSON.parse(created.attributes)).toEqual({ color: 'black' });
+    expect(created.created_at).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(created.secret).toBeUndefined();
+    expect(db.table('products')[0].secret).toBe('s');
+
+    await call('Create', { product: { name: 'Oak desk', price: 200 } });
+    await call('Create', { product: { name: 'Floor lamp', price: 80, tags: ['lighting'] } });
+
+    // Only the fields set in the input are updated, unless an update mask names them
+    const updated = await call('Update', { id: '1', product: { price: 35 } });
+    expect(updated).toMatchObject({ name: 'Desk lamp', price: 35, stock: 5 });
+
+    const masked = await call('Update', {
+      id: '1',
+      product: { name: 'Desk light' },
+      update_mask: { paths: ['name', 'stock'] }
+    });
+    expect(masked).toMatchObject({ name: 'Desk light', price: 35, tags: ['lighting'] });
+    expect(masked.stock).toBeUndefined();
+    expect(db.table('products')[0].stock).toBeNull();
+
+    expect(await call('Get', { id: '1' })).toMatchObject({ name: 'Desk light' });
+
+    const streamed = await list({ filter: { 'price[lt]': '100' }, sort: '-price' });
+    expect(streamed.map(({ name }) => name)).toEqual(['Floor lamp', 'Desk light']);
+
+    const page = await list({ sort: 'name', page: 2, page_size: 2 });
+    expect(page.map(({ name }) => name)).toEqual(['Oak desk']);
+  });
+
+  test('should report API errors with gRPC status codes', async () => {
+    const { call, list } = context;
+
+    const invalid = await call('Create', { product: { name: 'x', price: -1 } }).catch((error) => error);
+    expect(invalid.code).toBe(grpc.status.INVALID_ARGUMENT);
+    expect(invalid.metadata.get('error-code')).toEqual(['VALIDATION_FAILED']);
+    const details = JSON.parse(invalid.metadata.get('errors-bin')[0]);
+    expect(details.map(({ pointer }) => pointer)).toEqual(['/name', '/price']);
+
+    await expect(call('Create', { product: { name: 'Desk lamp', attributes: '{' } }))
+      .rejects.toMatchObject({ code: grpc.status.INVALID_ARGUMENT });
+    await expect(call('Get', { id: '42' })).rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+    await expect(call('Update', { id: '42', product: { price: 1 } }))
+      .rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+    await expect(list({ filter: { secret: 's' } })).rejects.toMatchObject({ code: grpc.status.INVALID_ARGUMENT });
+
+    await call('Create', { product: { name: 'Desk lamp' } });
+    await expect(call('Update', { id: '1', product: {}, update_mask: { paths: ['created_at'] } }))
+      .rejects.toMatchObject({ code: grpc.status.INVALID_ARGUMENT });
+  });
+
+  test('should run route middleware with users identified from metadata', async () => {
+    const { call, db } = context;
+    await call('Create', { product: { name: 'Desk lamp' } });
+
+    await expect(call('Delete', { id: '1' })).rejects.toMatchObject({ code: grpc.status.UNAUTHENTICATED });
+
+    const user = { authorization: `Bearer ${jwt.sign({ sub: 'u1', roles: [] }, secret)}` };
+    await expect(call('Delete', { id: '1' }, user)).rejects.toMatchObject({ code: grpc.status.PERMISSION_DENIED });
+
+    const admin = { authorization: `Bearer ${jwt.sign({ sub: 'u2', roles: ['admin'] }, secret)}` };
+    expect(await call('Delete', { id: '1' }, admin)).toEqual({});
+    expect(db.table('products')).toEqual([]);
+    await expect(call('Delete', { id: '1' }, admin)).rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+  });
+});
+
+describe('gRPC interceptors', () => {
+  const contexts = [];
+  const create = (...args) => {
+    const context = createContext(...args);
+    contexts.push(context);
+    return context;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    contexts.splice(0).forEach(({ protoDir }) => fs.rmSync(protoDir, { recursive: true, force: true }));
+  });
+
+  test('should verify credentials and record each call', async () => {
+    const { call } = create([Product], {}, { auth: { apiKey: { enabled: true, header: 'X-API-Key' } } });
+    const forged = { authorization: `Bearer ${jwt.sign({ sub: 'u1' }, 'another-secret')}` };
+
+    // Anonymous calls are left to route middleware, but credentials must verify
+    await expect(call('Get', { id: '1' })).rejects.toMatchObject({ code: grpc.status.NOT_FOUND });
+    await expect(call('Get', { id: '1' }, forged)).rejects.toMatchObject({
+      code: grpc.status.UNAUTHENTICATED,
+      details: 'The credentials are invalid'
+    });
+
+    const labels = { grpc_service: 'ube.ProductService', grpc_method: 'Get', grpc_type: 'unary' };
+    expect(grpcMetrics.handled.inc.mock.calls).toEqual([
+      [{ ...labels, grpc_code: 'NOT_FOUND' }],
+      [{ ...labels, grpc_code: 'UNAUTHENTICATED' }]
+    ]);
+    expect(grpcMetrics.handlingSeconds.observe).toHaveBeenCalledWith(
+      { ...labels, grpc_code: 'UNAUTHENTICATED' },
+      expect.any(Number)
+    );
+
+    const required = create([Product], { requireAuthentication: true });
+    const token = { authorization: `Bearer ${jwt.sign({ sub: 'u1', roles: [] }, secret)}` };
+    await expect(required.call('Get', { id: '1' })).rejects.toMatchObject({ code: grpc.status.UNAUTHENTICATED });
+    await expect(required.list({}, token)).resolves.toEqual([]);
+  });
+
+  test('should identify tenants and scope records to them', async () => {
+    const Note = { name: 'Note', multiTenant: true, fields: { title: { type: 'string', required: true } } };
+    const tenantManager = new TenantManager({ requireTenant: true });
+    tenantManager.tenants.set('acme', { id: 'acme', name: 'Acme' });
+    tenantManager.tenants.set('globex', { id: 'globex', name: 'Globex' });
+
+    const { call, list, db } = create([Note], {}, { tenantManager });
+    await call('Create', { note: { title: 'Acme plans' } }, { 'x-tenant-id': 'acme' });
+    await call('Create', { note: { title: 'Globex plans' } }, { 'x-tenant-id': 'globex' });
+
+    expect(db.table('notes').map(({ tenantId }) => tenantId)).toEqual(['acme', 'globex']);
+    expect(await list({}, { 'x-tenant-id': 'acme' })).toEqual([{ id: '1', title: 'Acme plans' }]);
+    await expect(call('Get', { id: '2' }, { 'x-tenant-id': 'acme' })).rejects.toMatchObject({
+      code: grpc.status.NOT_FOUND
+    });
+
+    await expect(list({})).rejects.toMatchObject({ code: grpc.status.INVALID_ARGUMENT });
+    await expect(list({}, { 'x-tenant-id': 'initech' })).rejects.toMatchObject({
+      code: grpc.status.INVALID_ARGUMENT,
+      details: 'Tenant not found or not specified'
+    });
+  });
+
+  test('should create TLS and mutual TLS credentials from config', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ube-tls-'));
+    const file = (name) => {
+      fs.writeFileSync(path.join(directory, name), `-----BEGIN ${name}-----`);
+      return path.join(directory, name);
+    };
+    const tls = { enabled: true, cert: file('cert'), key: file('key'), ca: file('ca') };
+
+    createServerCredentials({});
+    expect(grpc.ServerCredentials.createInsecure).toHaveBeenCalled();
+
+    createServerCredentials({ ...tls, requireClientCertificate: true });
+    expect(grpc.ServerCredentials.createSsl).toHaveBeenCalledWith(
+      Buffer.from('-----BEGIN ca-----'),
+      [{ cert_chain: Buffer.from('-----BEGIN cert-----'), private_key: Buffer.from('-----BEGIN key-----') }],
+      true
+    );
+
+    expect(() => createServerCredentials({ ...tls, ca: undefined, requireClientCertificate: true }))
+      .toThrow('mutual TLS requires the certificate authority');
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+});
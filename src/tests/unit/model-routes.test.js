@@ -0,0 +1,668 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { registerModelRoutes, createVersionRouter } = require('../../core/api-generators/rest');
+const { getVersions } = require('../../core/api-generators/versions');
+const { createBatchHandler } = require('../../core/api-generators/batch');
+const { normalizeModel, toJSONSchema } = require('../../core/models');
+const { MongoClient } = require('mongodb');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const mongodb = require('../../core/database/mongodb');
+const { MongoAdapter } = require('../../core/database/adapters/mongodb');
+const { purgeTrashed } = require('../../core/database/soft-delete');
+const ValidationManager = require('../../core/validation');
+const CacheManager = require('../../core/cache');
+const TenantManager = require('../../core/multi-tenant');
+const eventManager = require('../../core/events');
+const { errorHandler } = require('../../core/errors');
+const { MemoryIdempotencyStore } = require('../../middleware/idempotency');
+const { setupAuthentication } = require('../../core/auth');
+
+const Widget = {
+  name: 'Widget',
+  timestamps: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 2 },
+    price: { type: 'number', minimum: 0 },
+    secret: { type: 'string', hidden: true }
+  }
+};
+
+function createApp(model = Widget, middleware = []) {
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+  middleware.forEach((handler) => app.use(handler));
+  app.locals.connections = { postgres: new MockDatabaseClient() };
+  app.locals.validationManager = new ValidationManager();
+
+  const router = express.Router();
+  registerModelRoutes(router, normalizeModel(model));
+  router.post('/batch', createBatchHandler(router));
+  app.use('/api/v1', router);
+  app.use(errorHandler());
+
+  return app;
+}
+
+describe('Declarative model routes', () => {
+  test('should normalize model defaults', () => {
+    const model = normalizeModel(Widget);
+
+    expect(model.table).toBe('widgets');
+    expect(model.primaryKey).toBe('id');
+    expect(model.fields.id).toEqual({ type: 'id' });
+    expect(model.fields.createdAt.readOnly).toBe(true);
+  });
+
+  test('should build input and output JSON schemas', () => {
+    const model = normalizeModel(Widget);
+    const input = toJSONSchema(model, { input: true });
+    const output = toJSONSchema(model);
+
+    expect(input.properties.id).toBeUndefined();
+    expect(input.required).toEqual(['name']);
+    expect(input.additionalProperties).toBe(false);
+    expect(output.properties.id.readOnly).toBe(true);
+    expect(output.properties.secret).toBeUndefined();
+  });
+
+  test('should persist records through generated handlers', async () => {
+    const app = createApp();
+
+    const created = await request(app)
+      .post('/api/v1/widget')
+      .send({ name: 'Gear', price: 5, secret: 's3cret' })
+      .expect(201);
+
+    expect(created.body).toMatchObject({ id: 1, name: 'Gear', price: 5 });
+    expect(created.body.secret).toBeUndefined();
+    expect(created.body.createdAt).toBeDefined();
+
+    await request(app)
+      .put('/api/v1/widget/1')
+      .send({ name: 'Cog', price: 7 })
+      .expect(200);
+
+    const list = await request(app).get('/api/v1/widget').expect(200);
+    expect(list.body).toHaveLength(1);
+    expect(list.body[0].name).toBe('Cog');
+
+    // PUT replaces the record: fields left out of the body are cleared
+    const replaced = await request(app).put('/api/v1/widget/1').send({ name: 'Sprocket' }).expect(200);
+    expect(replaced.body).toMatchObject({ name: 'Sprocket', price: null });
+    expect(app.locals.connections.postgres.table('widgets')[0].secret).toBeNull();
+
+    await request(app).delete('/api/v1/widget/1').expect(204);
+    await request(app).get('/api/v1/widget/1').expect(404);
+  });
+
+  test('should keep the records of multi-tenant models to their tenant', async () => {
+    const tenantManager = new TenantManager({}, {});
+    tenantManager.tenants.set('a', { id: 'a', name: 'Tenant A' });
+    tenantManager.tenants.set('b', { id: 'b', name: 'Tenant B' });
+    const app = createApp({ ...Widget, multiTenant: true }, [tenantManager.tenantMiddleware]);
+
+    const created = await request(app).post('/api/v1/widget').set('X-Tenant-ID', 'a').send({ name: 'Gear' })
+      .expect(201);
+    expect(app.locals.connections.postgres.table('widgets')[0].tenantId).toBe('a');
+
+    const list = await request(app).get('/api/v1/widget').set('X-Tenant-ID', 'b').expect(200);
+    expect(list.body).toEqual([]);
+
+    const url = `/api/v1/widget/${created.body.id}`;
+    await request(app).get(url).set('X-Tenant-ID', 'b').expect(404);
+    await request(app).put(url).set('X-Tenant-ID', 'b').send({ name: 'Cog' }).expect(404);
+    await request(app).delete(url).set('X-Tenant-ID', 'b').expect(404);
+    await request(app).get(url).set('X-Tenant-ID', 'a').expect(200);
+
+    // Requests without a tenant see no tenant's records
+    await request(app).get('/api/v1/widget').expect(400);
+    await request(app).get(url).expect(400);
+    await request(app).post('/api/v1/widget').send({ name: 'Bolt' }).expect(400);
+    await request(app).delete(url).expect(400);
+    await request(app).post('/api/v1/widget/bulk').send({ delete: [created.body.id] }).expect(400);
+    expect(app.locals.connections.postgres.table('widgets')).toHaveLength(1);
+  });
+
+  test('should keep users from reading, granting roles or updating other users', async () => {
+    const app = express();
+    app.use(express.json());
+    setupAuthentication(app, { jwt: { enabled: true, secret: 'users-secret' } });
+    app.locals.connections = { postgres: new MockDatabaseClient() };
+    app.locals.validationManager = new ValidationManager();
+
+    const router = express.Router();
+    registerModelRoutes(router, normalizeModel(require('../../models/User')));
+    app.use('/api/v1', router);
+    app.use(errorHandler());
+
+    const token = (sub, roles = ['user']) => `Bearer ${jwt.sign({ sub, roles }, 'users-secret')}`;
+
+    // Roles are read-only: they start at their default whatever the body says
+    const created = await request(app).post('/api/v1/user')
+      .send({ username: 'alice', email: 'a@example.com', roles: ['admin'] })
+      .expect(201);
+    expect(created.body.roles).toEqual(['user']);
+    await request(app).post('/api/v1/user').send({ username: 'bob', email: 'b@example.com' }).expect(201);
+
+    // Email addresses are only readable by their user and admins
+    const own = await request(app).get('/api/v1/user/1').set('Authorization', token('1')).expect(200);
+    expect(own.body.email).toBe('a@example.com');
+    await request(app).get('/api/v1/user/2').set('Authorization', token('1')).expect(403);
+    await request(app).get('/api/v1/user').set('Authorization', token('1')).expect(403);
+    await request(app).get('/api/v1/user/2').set('Authorization', token('admin', ['admin'])).expect(200);
+    const users = await request(app).get('/api/v1/user').set('Authorization', token('admin', ['admin']));
+    expect(users.body.map((user) => user.email)).toEqual(['a@example.com', 'b@example.com']);
+
+    const changes = { username: 'alice2', email: 'a@example.com', roles: ['admin'] };
+    const updated = await request(app).put('/api/v1/user/1').set('Authorization', token('1')).send(changes).expect(200);
+    expect(updated.body).toMatchObject({ username: 'alice2', roles: ['user'] });
+    await request(app).put('/api/v1/user/2').set('Authorization', token('1'))
+      .send({ username: 'bobby', email: 'b@example.com' })
+      .expect(403);
+    await request(app).put('/api/v1/user/2').set('Authorization', token('admin', ['admin']))
+      .send({ username: 'bobby', email: 'b@example.com' })
+      .expect(200);
+  });
+
+  test('should filter and paginate list routes', async () => {
+    const app = createApp();
+
+    for (const [name, price] of [['Gear', 5], ['Cog', 15], ['Bolt', 25]]) {
+      await request(app).post('/api/v1/widget').send({ name, price }).expect(201);
+    }
+
+    const response = await request(app)
+      .get('/api/v1/widget?filter[price][gte]=10&sort=-price&page[size]=1')
+      .expect(200);
+
+    expect(response.body.map((item) => item.name)).toEqual(['Bolt']);
+    expect(response.headers['x-total-count']).toBe('2');
+    expect(response.headers.link).toContain('rel="next"');
+
+    await request(app).get('/api/v1/widget?filter[secret]=x').expect(400);
+  });
+
+  test('should paginate list routes with cursors', async () => {
+    const app = createApp();
+
+    for (const [name, price] of [['Gear', 5], ['Cog', 15], ['Bolt', 25]]) {
+      await request(app).post('/api/v1/widget').send({ name, price }).expect(201);
+    }
+
+    const first = await request(app).get('/api/v1/widget?sort=price&page[size]=2&page[after]=').expect(200);
+    expect(first.body.map((item) => item.name)).toEqual(['Gear', 'Cog']);
+    expect(first.headers['x-total-count']).toBeUndefined();
+
+    const next = await request(app)
+      .get(`/api/v1/widget?sort=price&page[size]=2&page[after]=${first.headers['x-next-cursor']}`)
+      .expect(200);
+    expect(next.body.map((item) => item.name)).toEqual(['Bolt']);
+    expect(next.headers.link).toContain('rel="prev"');
+    expect(next.headers['x-next-cursor']).toBeUndefined();
+
+    await request(app).get('/api/v1/widget?sort=-price&page[after]=garbage').expect(400);
+  });
+
+  test('should negotiate list and record formats', async () => {
+    const app = createApp();
+    const binary = (res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    };
+
+    for (const [name, price] of [['Gear', 5], ['=Cog, large', 15]]) {
+      await request(app).post('/api/v1/widget').send({ name, price }).expect(201);
+    }
+
+    const csv = await request(app).get('/api/v1/widget?fields=name,price').set('Accept', 'text/csv').expect(200);
+    expect(csv.headers['content-type']).toMatch(/^text\/csv/);
+    expect(csv.headers.vary).toContain('Accept');
+    expect(csv.text).toBe('id,name,price\r\n1,Gear,5\r\n2,"\'=Cog, large",15\r\n');
+
+    const ndjson = await request(app)
+      .get('/api/v1/widget?sort=-price')
+      .set('Accept', 'application/x-ndjson')
+      .expect(200);
+    const lines = ndjson.text.trim().split('\n').map((line) => JSON.parse(line));
+    expect(lines.map((item) => item.name)).toEqual(['=Cog, large', 'Gear']);
+    expect(lines[0].secret).toBeUndefined();
+
+    const msgpack = await request(app)
+      .get('/api/v1/widget/1')
+      .set('Accept', 'application/msgpack')
+      .buffer(true)
+      .parse(binary)
+      .expect(200);
+    expect(msgpack.headers['content-type']).toMatch(/^application\/msgpack/);
+    // A map of 5 entries, starting with "name": "Gear"
+    expect(msgpack.body.subarray(0, 11))
+      .toEqual(Buffer.from([0x85, 0xa4, ...Buffer.from('name'), 0xa4, ...Buffer.from('Gear')]));
+
+    const notAcceptable = await request(app).get('/api/v1/widget').set('Accept', 'application/xml').expect(406);
+    expect(notAcceptable.body.code).toBe('NOT_ACCEPTABLE');
+
+    const missing = await request(app).get('/api/v1/widget/9').set('Accept', 'application/msgpack').expect(404);
+    expect(missing.headers['content-type']).toMatch(/^application\/problem\+json/);
+  });
+
+  test('should apply merge patches and JSON patches', async () => {
+    const app = createApp();
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5, secret: 's3cret' }).expect(201);
+
+    const merged = await request(app)
+      .patch('/api/v1/widget/1')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send(JSON.stringify({ price: null, name: 'Cog' }))
+      .expect(200);
+
+    expect(merged.body).toMatchObject({ id: 1, name: 'Cog', price: null });
+
+    const patched = await request(app)
+      .patch('/api/v1/widget/1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([
+        { op: 'test', path: '/name', value: 'Cog' },
+        { op: 'add', path: '/price', value: 9 }
+      ]))
+      .expect(200);
+
+    expect(patched.body).toMatchObject({ name: 'Cog', price: 9 });
+
+    const stale = await request(app)
+      .patch('/api/v1/widget/1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'test', path: '/name', value: 'Gear' }, { op: 'remove', path: '/name' }]))
+      .expect(409);
+
+    expect(stale.body).toMatchObject({ status: 409, code: 'PATCH_CONFLICT' });
+    expect(stale.body.errors).toEqual([{ message: 'Test failed for path \'/name\'' }]);
+
+    const invalid = await request(app)
+      .patch('/api/v1/widget/1')
+      .set('Content-Type', 'application/json-patch+json')
+      .send(JSON.stringify([{ op: 'remove', path: '/name' }, { op: 'replace', path: '/id', value: 2 }]))
+      .expect(400);
+
+    expect(invalid.body.code).toBe('VALIDATION_FAILED');
+    expect(invalid.body.errors.map((error) => error.pointer)).toEqual(['/id', '/name']);
+
+    const response = await request(app).patch('/api/v1/widget/1').set('Content-Type', 'text/plain').send('x');
+    expect(response.status).toBe(415);
+    expect(response.body.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+    expect(response.headers['accept-patch']).toContain('application/json-patch+json');
+
+    const stored = await request(app).get('/api/v1/widget/1').expect(200);
+    expect(stored.body).toMatchObject({ name: 'Cog', price: 9 });
+  });
+
+  test('should only use MongoDB transactions on replica sets and sharded clusters', async () => {
+    const hello = { isWritablePrimary: true };
+    const collection = {};
+    jest.spyOn(MongoClient.prototype, 'connect').mockResolvedValue();
+    jest.spyOn(MongoClient.prototype, 'db')
+      .mockReturnValue({ command: async () => hello, collection: () => collection });
+    const startSession = jest.spyOn(MongoClient.prototype, 'startSession').mockReturnValue({
+      withTransaction: async (callback) => callback(),
+      endSession: async () => {}
+    });
+
+    try {
+      const model = normalizeModel({ ...Widget, database: 'mongodb' });
+      const standalone = await mongodb.connect({ url: 'mongodb://localhost:27017', dbName: 'test' });
+      const callback = jest.fn(async (client) => client.session);
+
+      await expect(new MongoAdapter(model, standalone).transaction(callback)).resolves.toBeUndefined();
+      expect(callback).toHaveBeenCalledWith(standalone);
+      expect(startSession).not.toHaveBeenCalled();
+
+      hello.setName = 'rs0';
+      const replicaSet = await mongodb.connect({ url: 'mongodb://localhost:27017', dbName: 'test' });
+
+      await expect(new MongoAdapter(model, replicaSet).transaction(callback)).resolves.toBeDefined();
+      expect(startSession).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  test('should honour conditional requests with ETags', async () => {
+    const app = createApp({ ...Widget, version: true });
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+
+    const read = await request(app).get('/api/v1/widget/1').expect(200);
+    expect(read.headers.etag).toBe('"v1"');
+
+    await request(app).get('/api/v1/widget/1').set('If-None-Match', '"v1"').expect(304);
+
+    const updated = await request(app)
+      .put('/api/v1/widget/1')
+      .set('If-Match', '"v1"')
+      .send({ name: 'Cog', price: 6 })
+      .expect(200);
+
+    expect(updated.headers.etag).toBe('"v2"');
+    expect(updated.body.version).toBe(2);
+
+    // A second writer still holding the old ETag is rejected
+    await request(app).put('/api/v1/widget/1').set('If-Match', '"v1"').send({ name: 'Bolt' }).expect(412);
+    await request(app)
+      .patch('/api/v1/widget/1')
+      .set('If-Match', '"v1"')
+      .send({ name: 'Bolt' })
+      .expect(412);
+    await request(app).delete('/api/v1/widget/1').set('If-Match', '"v1"').expect(412);
+
+    const stored = await request(app).get('/api/v1/widget/1').set('If-None-Match', '"v1"').expect(200);
+    expect(stored.body.name).toBe('Cog');
+
+    await request(app).delete('/api/v1/widget/1').set('If-Match', '"v2"').expect(204);
+  });
+
+  test('should revalidate cached responses with the route ETag', async () => {
+    const store = new Map();
+    const redis = {
+      get: async (key) => store.get(key) || null,
+      set: async (key, value) => store.set(key, value)
+    };
+    const cacheManager = new CacheManager(redis);
+    const app = createApp(Widget, [cacheManager.createMiddleware('widgets')]);
+
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+
+    const first = await request(app).get('/api/v1/widget/1').expect(200);
+    const cached = await request(app).get('/api/v1/widget/1').expect(200);
+
+    expect(store.size).toBe(1);
+    expect(cached.headers.etag).toBe(first.headers.etag);
+    expect(cached.body).toEqual(first.body);
+
+    await request(app).get('/api/v1/widget/1').set('If-None-Match', first.headers.etag).expect(304);
+  });
+
+  test('should replay retried requests with the same Idempotency-Key', async () => {
+    const app = createApp();
+    const send = (body) => request(app).post('/api/v1/widget').set('Idempotency-Key', 'order-42').send(body);
+
+    const first = await send({ name: 'Gear', price: 5 }).expect(201);
+    const retry = await send({ name: 'Gear', price: 5 }).expect(201);
+
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.headers.etag).toBe(first.headers.etag);
+
+    const mismatch = await send({ name: 'Cog', price: 5 }).expect(422);
+    expect(mismatch.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(mismatch.body.detail).toMatch(/different request body/);
+
+    const list = await request(app).get('/api/v1/widget').expect(200);
+    expect(list.body).toHaveLength(1);
+  });
+
+  test('should remove expired idempotency keys from the memory store', async () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const store = new MemoryIdempotencyStore();
+
+    try {
+      await store.set('order-1', { status: 201 }, 60);
+      await store.set('order-2', { status: 201 }, 3600);
+
+      now.mockReturnValue(2 * 60 * 1000);
+      await store.set('order-3', { status: 201 }, 60);
+
+      expect([...store.entries.keys()]).toEqual(['order-2', 'order-3']);
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('should apply bulk requests with per-item results', async () => {
+    const app = createApp();
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+
+    const response = await request(app)
+      .post('/api/v1/widget/bulk')
+      .send({
+        create: [{ name: 'Cog', price: 1 }, { name: 'X' }],
+        update: [{ id: 1, name: 'Big Gear', price: 8 }],
+        delete: [99]
+      })
+      .expect(207);
+
+    expect(response.body.results.create.map(({ status }) => status)).toEqual([201, 400]);
+    expect(response.body.results.update[0]).toMatchObject({ id: 1, status: 200, data: { name: 'Big Gear' } });
+    expect(response.body.results.delete[0]).toMatchObject({ id: 99, status: 404, error: { code: 'NOT_FOUND' } });
+
+    const list = await request(app).get('/api/v1/widget').expect(200);
+    expect(list.body.map((item) => item.name)).toEqual(['Big Gear', 'Cog']);
+  });
+
+  test('should roll back transactional bulk requests', async () => {
+    const app = createApp();
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+    const publishEvent = jest.spyOn(eventManager, 'publishEvent').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/v1/widget/bulk')
+      .send({
+        transactional: true,
+        create: [{ name: 'Cog', price: 1 }],
+        update: [{ id: 1, name: 'Big Gear', price: 8 }],
+        delete: [1, 99]
+      })
+      .expect(404);
+
+    expect(response.body.code).toBe('NOT_FOUND');
+    expect(response.body.results.create[0]).toMatchObject({ status: 424, error: { code: 'FAILED_DEPENDENCY' } });
+    expect(response.body.results.delete[1]).toMatchObject({ id: 99, status: 404 });
+
+    const list = await request(app).get('/api/v1/widget').expect(200);
+    expect(list.body.map((item) => item.name)).toEqual(['Gear']);
+
+    // Writes that were rolled back are never announced
+    expect(publishEvent).not.toHaveBeenCalled();
+
+    await request(app)
+      .post('/api/v1/widget/bulk')
+      .send({ transactional: true, create: [{ name: 'Cog', price: 1 }, { name: 'Bolt', price: 2 }] })
+      .expect(200);
+
+    const updated = await request(app).get('/api/v1/widget').expect(200);
+    expect(updated.body).toHaveLength(3);
+    expect(publishEvent.mock.calls.map(([type, { record }]) => `${type} ${record.name}`))
+      .toEqual(['Widget:created Cog', 'Widget:created Bolt']);
+
+    publishEvent.mockRestore();
+  });
+
+  test('should soft delete, list and restore records', async () => {
+    const model = { ...Widget, softDelete: { retentionDays: 30 } };
+    const app = createApp(model);
+    await request(app).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+    await request(app).post('/api/v1/widget').send({ name: 'Cog', price: 1 }).expect(201);
+
+    await request(app).delete('/api/v1/widget/1').expect(204);
+    await request(app).get('/api/v1/widget/1').expect(404);
+
+    const list = await request(app).get('/api/v1/widget').expect(200);
+    expect(list.body.map((item) => item.name)).toEqual(['Cog']);
+
+    const trash = await request(app).get('/api/v1/widget?trashed=only').expect(200);
+    expect(trash.body).toHaveLength(1);
+    expect(trash.body[0]).toMatchObject({ name: 'Gear', deletedAt: expect.any(String) });
+
+    const all = await request(app).get('/api/v1/widget?trashed=with&sort=-price').expect(200);
+    expect(all.body.map((item) => item.name)).toEqual(['Gear', 'Cog']);
+
+    await request(app).get('/api/v1/widget?trashed=all').expect(400);
+    await request(app).post('/api/v1/widget/2/restore').expect(404);
+
+    const restored = await request(app).post('/api/v1/widget/1/restore').expect(200);
+    expect(restored.body).toMatchObject({ id: 1, name: 'Gear', deletedAt: null });
+    expect(restored.headers.etag).toBeDefined();
+
+    // Deleted longer ago than the retention window: purged
+    await request(app).delete('/api/v1/widget/2').expect(204);
+    const later = new Date(Date.now() + 31 * 24 * 60 * 60 * 1000);
+    expect(await purgeTrashed([normalizeModel(model)], app.locals.connections, later)).toEqual({ Widget: 1 });
+    expect(app.locals.connections.postgres.table('widgets').map((row) => row.name)).toEqual(['Gear']);
+
+    // Models without soft delete neither accept the parameter nor keep deleted records
+    const plain = createApp();
+    await request(plain).get('/api/v1/widget?trashed=only').expect(400);
+    await request(plain).post('/api/v1/widget').send({ name: 'Gear', price: 5 }).expect(201);
+    await request(plain).post('/api/v1/widget/1/restore').expect(404);
+  });
+
+  test('should run batch requests through the model routes', async () => {
+    const app = createApp();
+
+    const response = await request(app)
+      .post('/api/v1/batch')
+      .send({
+        requests: [
+          { method: 'POST', path: '/widget', body: { name: 'Gear', price: 5 } },
+          {
+            method: 'PATCH',
+            path: '/widget/1',
+            headers: { 'Content-Type': 'application/merge-patch+json' },
+            body: { price: 6 }
+          },
+          { method: 'GET', path: '/widget?filter[price][gte]=6' },
+          { method: 'GET', path: '/missing' }
+        ]
+      })
+      .expect(200);
+
+    const [created, patched, list, missing] = response.body.responses;
+    expect(created.status).toBe(201);
+    expect(created.headers.etag).toBeDefined();
+    expect(patched.body.price).toBe(6);
+    expect(list.body.map((item) => item.name)).toEqual(['Gear']);
+    expect(missing).toMatchObject({ status: 404, body: { code: 'ROUTE_NOT_FOUND' } });
+
+    await request(app).post('/api/v1/batch').send({ requests: [{ method: 'POST', path: '/batch' }] }).expect(400);
+  });
+
+  test('should reject invalid bodies', async () => {
+    const app = createApp();
+
+    const response = await request(app)
+      .post('/api/v1/widget')
+      .send({ name: 'G', price: -1 })
+      .expect(400);
+
+    expect(response.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(response.body).toMatchObject({
+      type: '/errors/VALIDATION_FAILED',
+      title: 'Validation failed',
+      status: 400,
+      instance: '/api/v1/widget',
+      code: 'VALIDATION_FAILED'
+    });
+    expect(response.body.errors.map((error) => error.pointer)).toEqual(['/name', '/price']);
+  });
+
+  test('should report unexpected and malformed requests as problem details', async () => {
+    const app = createApp({
+      ...Widget,
+      routes: {
+        getAll: () => {
+          throw new Error('connection refused');
+        }
+      }
+    });
+
+    const failed = await request(app).get('/api/v1/widget').expect(500);
+    expect(failed.body).toMatchObject({ code: 'INTERNAL_ERROR', detail: 'An unexpected error occurred' });
+
+    const malformed = await request(app)
+      .post('/api/v1/widget')
+      .set('Content-Type', 'application/json')
+      .send('{"name":')
+      .expect(400);
+
+    expect(malformed.body.code).toBe('MALFORMED_BODY');
+  });
+
+  test('should translate problem titles', async () => {
+    const app = createApp();
+    app.locals.i18n = {
+      getSupportedLanguages: () => ['en', 'fr'],
+      translate: (key, { lng, defaultValue }) => (
+        lng === 'fr' && key === 'errors:NOT_FOUND' ? 'Ressource introuvable' : defaultValue
+      )
+    };
+
+    const response = await request(app).get('/api/v1/widget/7').set('Accept-Language', 'fr').expect(404);
+    expect(response.body).toMatchObject({ title: 'Ressource introuvable', detail: 'Widget not found' });
+  });
+
+  test('should serve API versions side by side', async () => {
+    const app = express();
+    app.use(express.json());
+    app.locals.connections = { postgres: new MockDatabaseClient() };
+    app.locals.validationManager = new ValidationManager();
+
+    const config = {
+      basePath: '/api',
+      documentation: true,
+      versions: { v1: { deprecated: '2026-01-01', sunset: '2027-01-01' }, v2: {}, v3: {} }
+    };
+    const model = normalizeModel({
+      ...Widget,
+      versions: {
+        // v1 called the name "title"
+        v1: {
+          transform: {
+            request: ({ title, ...body }) => ({ ...body, name: title }),
+            response: ({ name, ...record }) => ({ ...record, title: name })
+          }
+        },
+        v3: false
+      }
+    });
+
+    getVersions(config).forEach((version) => {
+      app.use(version.path, createVersionRouter([model], version, config));
+    });
+    app.use(errorHandler());
+
+    const created = await request(app).post('/api/v1/widget').send({ title: 'Gear', price: 5 }).expect(201);
+    expect(created.body).toMatchObject({ id: 1, title: 'Gear' });
+    expect(created.headers.deprecation).toBe(`@${Date.parse('2026-01-01') / 1000}`);
+    expect(created.headers.sunset).toBe(new Date('2027-01-01').toUTCString());
+    expect(created.headers.link).toBe('</api/v2>; rel="successor-version"');
+
+    const current = await request(app).get('/api/v2/widget/1').expect(200);
+    expect(current.body).toMatchObject({ id: 1, name: 'Gear' });
+    expect(current.headers.deprecation).toBeUndefined();
+
+    const list = await request(app).get('/api/v1/widget?page[size]=1').expect(200);
+    expect(list.body[0].title).toBe('Gear');
+    expect(list.headers.link).toContain('rel="successor-version"');
+    expect(list.headers.link).toContain('rel="first"');
+
+    await request(app).get('/api/v3/widget').expect(404);
+
+    const v1Docs = await request(app).get('/api/v1/docs.json').expect(200);
+    expect(v1Docs.body.servers[0].url).toBe('/api/v1');
+    expect(v1Docs.body.paths['/widget'].get.deprecated).toBe(true);
+
+    const v3Docs = await request(app).get('/api/v3/docs.json').expect(200);
+    expect(v3Docs.body.paths['/widget']).toBeUndefined();
+  });
+
+  test('should let hand-written routes override generated ones', async () => {
+    const app = createApp({
+      ...Widget,
+      routes: {
+        getAll: (req, res) => res.json({ custom: true })
+      }
+    });
+
+    const response = await request(app).get('/api/v1/widget').expect(200);
+    expect(response.body).toEqual({ custom: true });
+  });
+});
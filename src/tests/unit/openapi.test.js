@@ -0,0 +1,133 @@
+const { generateOpenAPISpec, toOpenAPIPath } = require('../../core/api-generators/openapi');
+const { createOpenAPISpec } = require('../../core/api-generators/rest');
+const { normalizeModel } = require('../../core/models');
+const { isAuthenticated, hasRoles } = require('../../core/auth');
+
+const Widget = normalizeModel({
+  name: 'Widget',
+  timestamps: true,
+  fields: {
+    name: { type: 'string', required: true, minLength: 2 },
+    price: { type: 'number', minimum: 0 }
+  },
+  routes: {
+    custom: [
+      {
+        method: 'GET',
+        path: '/color/:color',
+        schema: {
+          summary: 'List widgets by color',
+          query: { type: 'object', properties: { limit: { type: 'integer' } } },
+          response: { type: 'array', items: { $ref: '#/components/schemas/Widget' } }
+        },
+        handler: (req, res) => res.json([])
+      }
+    ]
+  },
+  middlewares: {
+    delete: [isAuthenticated, hasRoles(['admin'])]
+  }
+});
+
+const Legacy = {
+  name: 'Legacy',
+  routes: {
+    getAll: (req, res) => res.json([]),
+    custom: [{ method: 'POST', path: '/sync', handler: (req, res) => res.end() }]
+  }
+};
+
+describe('OpenAPI generation', () => {
+  test('should describe generated routes from the model schema', () => {
+    const { spec, undocumented } = generateOpenAPISpec([Widget], { idempotency: { enabled: true } });
+
+    expect(spec.openapi).toBe('3.1.0');
+    expect(undocumented).toEqual([]);
+    expect(Object.keys(spec.paths)).toEqual(
+      expect.arrayContaining(['/widget', '/widget/{id}', '/widget/bulk', '/widget/color/{color}', '/batch'])
+    );
+
+    expect(spec.components.schemas.WidgetInput).toMatchObject({
+      required: ['name'],
+      additionalProperties: false
+    });
+    expect(spec.components.schemas.Widget.properties.createdAt.readOnly).toBe(true);
+
+    const create = spec.paths['/widget'].post;
+    expect(create.requestBody.content['application/json'].schema)
+      .toEqual({ $ref: '#/components/schemas/WidgetInput' });
+    expect(create.parameters).toEqual([{ $ref: '#/components/parameters/IdempotencyKey' }]);
+
+    const patch = spec.paths['/widget/{id}'].patch;
+    expect(Object.keys(patch.requestBody.content))
+      .toEqual(['application/merge-patch+json', 'application/json-patch+json']);
+
+    const custom = spec.paths['/widget/color/{color}'].get;
+    const parameters = custom.parameters.map((parameter) => `${parameter.in}:${parameter.name}`);
+    expect(parameters).toEqual(['path:color', 'query:limit']);
+    expect(spec.paths['/widget/{id}/restore']).toBeUndefined();
+  });
+
+  test('should describe restore routes of models with soft delete', () => {
+    const { spec } = generateOpenAPISpec([normalizeModel({ ...Widget, softDelete: true })]);
+
+    expect(spec.paths['/widget/{id}/restore'].post.operationId).toBe('restoreWidget');
+    expect(spec.paths['/widget/{id}/restore'].post.security).toBeDefined();
+    expect(spec.paths['/widget'].get.parameters).toContainEqual(expect.objectContaining({ name: 'trashed' }));
+    expect(spec.components.schemas.Widget.properties.deletedAt.readOnly).toBe(true);
+  });
+
+  test('should describe search routes of searchable models', () => {
+    const { spec } = generateOpenAPISpec([normalizeModel({ ...Widget, search: ['name'] })]);
+    const search = spec.paths['/widget/search'].get;
+    const parameters = search.parameters.map(({ name }) => name);
+
+    expect(search.operationId).toBe('searchWidget');
+    expect(parameters).toEqual(expect.arrayContaining(['q', 'filter', 'page']));
+    expect(parameters).not.toContain('sort');
+    expect(generateOpenAPISpec([Widget]).spec.paths['/widget/search']).toBeUndefined();
+  });
+
+  test('should describe the routes of file fields', () => {
+    const model = normalizeModel({
+      ...Widget,
+      fields: { ...Widget.fields, photo: { type: 'file', accept: ['image/png'], maxSize: 1024 } }
+    });
+    const { spec, undocumented } = generateOpenAPISpec([model]);
+
+    expect(undocumented).toEqual([]);
+    expect(spec.components.schemas.Widget.properties.photo.readOnly).toBe(true);
+    expect(spec.components.schemas.WidgetInput.properties.photo).toBeUndefined();
+
+    const upload = spec.paths['/widget/{id}/photo'].put;
+    expect(Object.keys(upload.requestBody.content)).toEqual(['multipart/form-data', 'image/png']);
+    expect(upload.responses).toHaveProperty('413');
+    expect(spec.paths['/widget/{id}/photo'].get.responses).toHaveProperty('302');
+    expect(spec.paths['/widget/{id}/photo/uploads/{upload}'].patch.operationId).toBe('appendUploadWidgetPhoto');
+  });
+
+  test('should derive security requirements from auth middleware', () => {
+    const { spec } = generateOpenAPISpec([Widget]);
+
+    expect(spec.paths['/widget/{id}'].get.security).toBeUndefined();
+    expect(spec.paths['/widget/{id}'].delete.security).toEqual([{ bearerAuth: ['admin'] }, { apiKeyAuth: ['admin'] }]);
+    expect(spec.paths['/widget/{id}'].delete.responses[403]).toEqual({ $ref: '#/components/responses/Forbidden' });
+
+    // Bulk writes are guarded by the delete middleware too
+    expect(spec.paths['/widget/bulk'].post.security).toBeDefined();
+  });
+
+  test('should report routes without a schema and fail in strict mode', () => {
+    const { undocumented } = generateOpenAPISpec([Widget, Legacy]);
+    expect(undocumented).toEqual(['POST /legacy/sync', 'GET /legacy']);
+
+    const config = { basePath: '/api', version: 'v1', openapi: { strict: true } };
+    expect(() => createOpenAPISpec([Legacy], config))
+      .toThrow('Routes without an OpenAPI schema in v1: POST /legacy/sync, GET /legacy');
+    expect(() => createOpenAPISpec([Widget], config)).not.toThrow();
+  });
+
+  test('should convert Express paths', () => {
+    expect(toOpenAPIPath('/category/:category/items/:id')).toBe('/category/{category}/items/{id}');
+  });
+});
@@ -0,0 +1,109 @@
+const express = require('express');
+const request = require('supertest');
+const { registerModelRoutes } = require('../../core/api-generators/rest');
+const { normalizeModel } = require('../../core/models');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { OperationManager, acceptOperation, createOperationHandler } = require('../../core/operations');
+const ValidationManager = require('../../core/validation');
+const { ApiError, errorHandler } = require('../../core/errors');
+
+const Widget = {
+  name: 'Widget',
+  fields: {
+    name: { type: 'string', required: true, minLength: 2 }
+  }
+};
+
+function createApp() {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = req.get('X-User') ? { id: req.get('X-User') } : undefined;
+    next();
+  });
+  app.locals.connections = { postgres: new MockDatabaseClient() };
+  app.locals.validationManager = new ValidationManager();
+  app.locals.operations = new OperationManager();
+  app.locals.operationBase = '/api/v1/operations/';
+
+  const router = express.Router();
+  registerModelRoutes(router, normalizeModel(Widget));
+  router.post('/export', (req, res, next) => acceptOperation(req, res, 'widget.export', async ({ progress }) => {
+    await progress({ completed: 0, total: 1 });
+    throw new ApiError('CONFLICT', 'An export is already running');
+  }).catch(next));
+  router.get('/operations/:id', createOperationHandler());
+  app.use('/api/v1', router);
+  app.use(errorHandler());
+
+  return app;
+}
+
+/**
+ * Wait until an operation has finished
+ */
+async function settle(app, id) {
+  for (let i = 0; i < 100; i += 1) {
+    const operation = await app.locals.operations.get(id);
+
+    if (operation.status !== 'running') {
+      return;
+    }
+
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+describe('Long-running operations', () => {
+  test('should run async bulk requests as operations', async () => {
+    const app = createApp();
+    const updates = [];
+    app.locals.operations.on('update', (operation) => updates.push(operation.progress));
+
+    const accepted = await request(app)
+      .post('/api/v1/widget/bulk')
+      .set('Prefer', 'respond-async')
+      .set('X-User', 'u1')
+      .send({ create: [{ name: 'Gear' }, { name: 'X' }, { name: 'Cog' }] })
+      .expect(202);
+
+    expect(accepted.headers['preference-applied']).toBe('respond-async');
+    expect(accepted.headers.location).toBe(`/api/v1/operations/${accepted.body.id}`);
+    expect(accepted.body).toMatchObject({ type: 'widget.bulk', status: 'running', result: null });
+    expect(accepted.body.owner).toBeUndefined();
+
+    await settle(app, accepted.body.id);
+
+    const operation = await request(app).get(accepted.headers.location).set('X-User', 'u1').expect(200);
+
+    expect(operation.body.status).toBe('succeeded');
+    expect(operation.body.progress).toEqual({ completed: 3, total: 3 });
+    expect(operation.body.result.results.create.map(({ status }) => status)).toEqual([201, 400, 201]);
+    expect(updates).toContainEqual({ completed: 2, total: 3 });
+
+    // Only whoever started an operation can see it
+    await request(app).get(accepted.headers.location).set('X-User', 'u2').expect(404);
+    await request(app).get(accepted.headers.location).expect(404);
+
+    // Invalid requests are still rejected synchronously
+    await request(app).post('/api/v1/widget/bulk').set('Prefer', 'respond-async').send({}).expect(400);
+  });
+
+  test('should store failures as problem details', async () => {
+    const app = createApp();
+
+    const accepted = await request(app).post('/api/v1/export').expect(202);
+    await settle(app, accepted.body.id);
+
+    const operation = await request(app).get(accepted.headers.location).expect(200);
+
+    expect(operation.body).toMatchObject({
+      status: 'failed',
+      result: null,
+      progress: { completed: 0, total: 1 },
+      error: { status: 409, code: 'CONFLICT', detail: 'An export is already running' }
+    });
+    expect(operation.body.completedAt).toEqual(expect.any(String));
+    expect(operation.headers['retry-after']).toBeUndefined();
+  });
+});
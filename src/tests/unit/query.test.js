@@ -0,0 +1,176 @@
+const { parseListQuery, QueryError } = require('../../core/query');
+const { normalizeModel } = require('../../core/models');
+const { SqlAdapter } = require('../../core/database/adapters/sql');
+const { MongoAdapter } = require('../../core/database/adapters/mongodb');
+const { MemoryAdapter } = require('../../core/database/adapters/memory');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { ModelRepository } = require('../../core/database/repository');
+const { encodeCursor } = require('../../core/query/cursor');
+
+const Product = normalizeModel({
+  name: 'Product',
+  fields: {
+    name: { type: 'string' },
+    price: { type: 'number' },
+    inStock: { type: 'boolean' },
+    secret: { type: 'string', hidden: true }
+  }
+});
+
+describe('List query language', () => {
+  test('should parse filters, sort, fields and page', () => {
+    const query = parseListQuery(Product, {
+      filter: { price: { gte: '10' }, name: 'Widget', inStock: { eq: 'true' } },
+      sort: '-price',
+      fields: 'name',
+      page: { size: '5', number: '3' }
+    });
+
+    expect(query.filter).toEqual({ price: { gte: 10 }, name: { eq: 'Widget' }, inStock: { eq: true } });
+    expect(query.sort).toEqual([{ field: 'price', direction: 'desc' }, { field: 'id', direction: 'asc' }]);
+    expect(query.fields).toEqual(['id', 'name']);
+    expect(query.limit).toBe(5);
+    expect(query.offset).toBe(10);
+  });
+
+  test('should reject disallowed fields and operators', () => {
+    expect(() => parseListQuery(Product, { filter: { secret: 'x' } })).toThrow(QueryError);
+    expect(() => parseListQuery(Product, { filter: { 'name; DROP TABLE': 'x' } })).toThrow(QueryError);
+    expect(() => parseListQuery(Product, { filter: { price: { regex: '.*' } } })).toThrow(QueryError);
+    expect(() => parseListQuery(Product, { sort: 'secret' })).toThrow(QueryError);
+    expect(() => parseListQuery(Product, { page: { size: '1000' } })).toThrow(QueryError);
+
+    try {
+      parseListQuery(Product, { filter: { price: { gt: 'abc' } } });
+    } catch (error) {
+      expect(error.details).toEqual(['filter[price] must be a number']);
+    }
+  });
+
+  test('should translate queries to parameterized SQL', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const adapter = new SqlAdapter(Product, client);
+
+    await adapter.find(parseListQuery(Product, {
+      filter: { price: { gte: '10', lt: '20' }, name: { in: 'a,b' } },
+      sort: '-price',
+      page: { size: '10', number: '2' }
+    }));
+
+    expect(client.query).toHaveBeenCalledWith(
+      'SELECT * FROM "products" WHERE "price" >= $1 AND "price" < $2 AND "name" IN ($3, $4) ' +
+      'ORDER BY "price" DESC, "id" ASC LIMIT $5 OFFSET $6',
+      [10, 20, 'a', 'b', 10, 10]
+    );
+  });
+
+  test('should translate queries to MongoDB filters', () => {
+    const adapter = new MongoAdapter(Product, { collection: () => ({}) });
+
+    expect(adapter.toQuery({ price: { gte: 10, lt: 20 }, name: { like: 'wid%' }, inStock: true })).toEqual({
+      price: { $gte: 10, $lt: 20 },
+      name: { $regex: /^wid.*$/i },
+      inStock: { $eq: true }
+    });
+  });
+
+  test('should evaluate queries in memory', async () => {
+    const adapter = new MemoryAdapter(Product, new MockDatabaseClient());
+    await adapter.insert({ name: 'Widget', price: 5 });
+    await adapter.insert({ name: 'Gadget', price: 15 });
+    await adapter.insert({ name: 'Gizmo', price: 25 });
+
+    const rows = await adapter.find(parseListQuery(Product, {
+      filter: { name: { like: 'g%' } },
+      sort: '-price',
+      fields: 'name'
+    }));
+
+    expect(rows).toEqual([{ id: 3, name: 'Gizmo' }, { id: 2, name: 'Gadget' }]);
+  });
+
+  test('should build keyset conditions for cursor pagination', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const repository = new ModelRepository(Product, client);
+    const first = parseListQuery(Product, { sort: '-price', page: { size: '2', after: '' } });
+    const cursor = encodeCursor({ id: 7, price: 30 }, first.sort);
+
+    await repository.paginate(parseListQuery(Product, { sort: '-price', page: { size: '2', after: cursor } }));
+
+    expect(client.query).toHaveBeenCalledWith(
+      'SELECT * FROM "products" WHERE (("price" < $1) OR ("price" = $2 AND "id" > $3)) ' +
+      'ORDER BY "price" DESC, "id" ASC LIMIT $4',
+      [30, 30, 7, 3]
+    );
+  });
+
+  test('should page through records with cursors without duplicates', async () => {
+    const repository = new ModelRepository(Product, new MockDatabaseClient());
+
+    for (const price of [10, 20, 20, 20, 30]) {
+      await repository.create({ name: `Item ${price}`, price });
+    }
+
+    const seen = [];
+    let after = '';
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const page = await repository.paginate(parseListQuery(Product, { sort: 'price', page: { size: '2', after } }));
+      seen.push(...page.edges.map(({ node }) => node.id));
+      ({ hasNextPage } = page.pageInfo);
+      after = page.pageInfo.endCursor;
+    }
+
+    expect(seen).toEqual([1, 2, 3, 4, 5]);
+
+    await expect(repository.paginate(parseListQuery(Product, { sort: '-price', page: { after } })))
+      .rejects.toThrow(QueryError);
+  });
+
+  test('should page through records with null sort values', async () => {
+    const repository = new ModelRepository(Product, new MockDatabaseClient());
+
+    for (const price of [null, 20, null, 10, 20]) {
+      await repository.create({ name: `Item ${price}`, price });
+    }
+
+    const pageAll = async (sort) => {
+      const seen = [];
+      let after = '';
+      let hasNextPage = true;
+
+      while (hasNextPage) {
+        const page = await repository.paginate(parseListQuery(Product, { sort, page: { size: '2', after } }));
+        seen.push(...page.edges.map(({ node }) => node.id));
+        ({ hasNextPage } = page.pageInfo);
+        after = page.pageInfo.endCursor;
+      }
+
+      return seen;
+    };
+
+    // Missing values sort first, like in MySQL and MongoDB
+    expect(await pageAll('price')).toEqual([1, 3, 4, 2, 5]);
+    expect(await pageAll('-price')).toEqual([2, 5, 4, 1, 3]);
+
+    // PostgreSQL sorts NULLs after other values in ascending order
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+    const postgres = new ModelRepository(Product, client);
+    const sort = parseListQuery(Product, { sort: 'price', page: { size: '2', after: '' } }).sort;
+
+    await postgres.paginate(parseListQuery(Product, {
+      sort: 'price',
+      page: { size: '2', after: encodeCursor({ id: 7, price: 30 }, sort) }
+    }));
+    await postgres.paginate(parseListQuery(Product, {
+      sort: 'price',
+      page: { size: '2', after: encodeCursor({ id: 7, price: null }, sort) }
+    }));
+
+    expect(client.query.mock.calls[0][0]).toContain(
+      'WHERE (("price" > $1) OR ("price" IS NULL) OR ("price" = $2 AND "id" > $3))'
+    );
+    expect(client.query.mock.calls[1][0]).toContain('WHERE (("price" IS NULL AND "id" > $1))');
+  });
+});
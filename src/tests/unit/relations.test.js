@@ -0,0 +1,197 @@
+const express = require('express');
+const request = require('supertest');
+const { gql } = require('apollo-server-express');
+const { graphql } = require('graphql');
+const { registerModelRoutes } = require('../../core/api-generators/rest');
+const { setupGraphQLSchema } = require('../../core/api-generators/graphql');
+const { normalizeModel, linkRelations } = require('../../core/models');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { MemoryAdapter } = require('../../core/database/adapters/memory');
+const ValidationManager = require('../../core/validation');
+const { errorHandler, UnauthorizedError } = require('../../core/errors');
+const { MAX_RELATED_RECORDS } = require('../../core/database/relations');
+
+const Author = {
+  name: 'Author',
+  fields: {
+    name: { type: 'string', required: true }
+  },
+  relations: {
+    books: { type: 'hasMany', model: 'Book' }
+  },
+  graphql: {
+    typeDefs: gql`
+      type Author {
+        id: ID!
+        name: String!
+      }
+
+      extend type Query {
+        authors: [Author!]!
+      }
+    `,
+    resolvers: {
+      Query: {
+        authors: (_, args, { req }) => req.app.locals.connections.postgres.table('authors')
+      }
+    }
+  }
+};
+
+const Book = {
+  name: 'Book',
+  fields: {
+    title: { type: 'string', required: true }
+  },
+  relations: {
+    author: { type: 'belongsTo', model: 'Author' },
+    tags: { type: 'manyToMany', model: 'Tag' }
+  },
+  graphql: {
+    typeDefs: gql`
+      type Book {
+        id: ID!
+        title: String!
+      }
+    `
+  }
+};
+
+const Tag = {
+  name: 'Tag',
+  fields: {
+    label: { type: 'string', required: true }
+  }
+};
+
+function createApp(definitions = [Author, Book, Tag]) {
+  const models = linkRelations(definitions.map(normalizeModel));
+  const client = new MockDatabaseClient();
+
+  client.table('authors').push({ id: 1, name: 'Le Guin' }, { id: 2, name: 'Herbert' }, { id: 3, name: 'Banks' });
+  client.table('books').push(
+    { id: 1, title: 'The Dispossessed', authorId: 1 },
+    { id: 2, title: 'Dune', authorId: 2 },
+    { id: 3, title: 'The Lathe of Heaven', authorId: 1 }
+  );
+  client.table('tags').push({ id: 1, label: 'utopia' }, { id: 2, label: 'classic' });
+  client.table('books_tags').push({ bookId: 1, tagId: 1 }, { bookId: 1, tagId: 2 }, { bookId: 2, tagId: 2 });
+
+  const app = express();
+  app.locals.connections = { postgres: client };
+  app.locals.validationManager = new ValidationManager();
+
+  const router = express.Router();
+  models.forEach((model) => registerModelRoutes(router, model));
+  app.use('/api/v1', router);
+  app.use(errorHandler());
+
+  return { app, models };
+}
+
+describe('Model relations', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should fill in relation keys and join tables', () => {
+    const [author, book] = linkRelations([Author, Book, Tag].map(normalizeModel));
+
+    expect(author.relations.books).toMatchObject({ foreignKey: 'authorId', name: 'books' });
+    expect(author.relations.books.target).toBe(book);
+    expect(book.relations.author.foreignKey).toBe('authorId');
+    expect(book.fields.authorId).toEqual({ type: 'id' });
+    expect(book.relations.tags).toMatchObject({ foreignKey: 'bookId', otherKey: 'tagId', through: 'books_tags' });
+
+    expect(() => linkRelations([normalizeModel(Book)]))
+      .toThrow('Relation Book.author refers to unknown model \'Author\'');
+  });
+
+  test('should include relations on REST routes with one query per relation', async () => {
+    const { app } = createApp();
+    const find = jest.spyOn(MemoryAdapter.prototype, 'find');
+
+    const list = await request(app)
+      .get('/api/v1/book?include=author,tags&fields=title')
+      .expect(200);
+
+    expect(list.body).toEqual([
+      { id: 1, title: 'The Dispossessed', authorId: 1, author: { id: 1, name: 'Le Guin' }, tags: [
+        { id: 1, label: 'utopia' },
+        { id: 2, label: 'classic' }
+      ] },
+      { id: 2, title: 'Dune', authorId: 2, author: { id: 2, name: 'Herbert' }, tags: [{ id: 2, label: 'classic' }] },
+      { id: 3, title: 'The Lathe of Heaven', authorId: 1, author: { id: 1, name: 'Le Guin' }, tags: [] }
+    ]);
+
+    // Books, authors, join rows and tags
+    expect(find).toHaveBeenCalledTimes(4);
+
+    const author = await request(app)
+      .get('/api/v1/author/1?include=books.tags')
+      .expect(200);
+
+    expect(author.body.books.map((book) => book.title)).toEqual(['The Dispossessed', 'The Lathe of Heaven']);
+    expect(author.body.books[0].tags).toHaveLength(2);
+
+    const unknown = await request(app)
+      .get('/api/v1/author?include=books.publisher')
+      .expect(400);
+
+    expect(unknown.body.code).toBe('INVALID_QUERY');
+    expect(unknown.body.errors).toEqual([{ message: 'Unknown relation \'books.publisher\'' }]);
+  });
+
+  test('should only include records the caller could fetch, up to a limit', async () => {
+    const requireUser = (req, res, next) => next(req.headers['x-user'] ? null : new UnauthorizedError());
+    const { app, models } = createApp([{ ...Author, middlewares: { getById: requireUser } }, Book, Tag]);
+
+    const anonymous = await request(app).get('/api/v1/book?include=author').expect(401);
+    expect(anonymous.body.code).toBe('UNAUTHORIZED');
+    await request(app).get('/api/v1/book?include=author').set('X-User', 'u1').expect(200);
+    // Books are public, so they can be included in authors (guarded by getAll, not getById)
+    await request(app).get('/api/v1/author?include=books').expect(200);
+
+    const schema = setupGraphQLSchema({}, models);
+    const result = await graphql({
+      schema,
+      source: '{ books { title author { name } } }',
+      contextValue: { req: { app, headers: {} } }
+    });
+    expect(result.errors[0].extensions.code).toBe('UNAUTHENTICATED');
+
+    const books = app.locals.connections.postgres.table('books');
+    for (let count = 0; count <= MAX_RELATED_RECORDS; count += 1) {
+      books.push({ id: count + 4, title: `Book ${count}`, authorId: 3 });
+    }
+
+    const tooMany = await request(app).get('/api/v1/author/3?include=books').set('X-User', 'u1')
+      .expect(400);
+    expect(tooMany.body.errors[0].message).toContain(`would load more than ${MAX_RELATED_RECORDS} records`);
+  });
+
+  test('should resolve nested GraphQL fields with batched queries', async () => {
+    const { app, models } = createApp();
+    const schema = setupGraphQLSchema({}, models);
+    const find = jest.spyOn(MemoryAdapter.prototype, 'find');
+
+    const result = await graphql({
+      schema,
+      source: '{ authors { name books { title author { name } } } }',
+      contextValue: { req: { app } }
+    });
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.authors).toEqual([
+      { name: 'Le Guin', books: [
+        { title: 'The Dispossessed', author: { name: 'Le Guin' } },
+        { title: 'The Lathe of Heaven', author: { name: 'Le Guin' } }
+      ] },
+      { name: 'Herbert', books: [{ title: 'Dune', author: { name: 'Herbert' } }] },
+      { name: 'Banks', books: [] }
+    ]);
+
+    // One query for every author's books, one for every book's author
+    expect(find).toHaveBeenCalledTimes(2);
+  });
+});
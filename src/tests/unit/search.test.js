@@ -0,0 +1,202 @@
+const express = require('express');
+const request = require('supertest');
+const { registerModelRoutes } = require('../../core/api-generators/rest');
+const { normalizeModel } = require('../../core/models');
+const { MockDatabaseClient } = require('../../core/database/mock');
+const { SqlAdapter } = require('../../core/database/adapters/sql');
+const { MongoAdapter } = require('../../core/database/adapters/mongodb');
+const { createRepository } = require('../../core/database/repository');
+const { parseSearchText } = require('../../core/search');
+const ValidationManager = require('../../core/validation');
+const { errorHandler } = require('../../core/errors');
+
+const Product = {
+  name: 'Product',
+  search: { fields: { name: 'A', description: 'C' } },
+  fields: {
+    name: { type: 'string', required: true },
+    description: { type: 'text' },
+    price: { type: 'number' }
+  }
+};
+
+async function createApp() {
+  const app = express();
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+  app.locals.connections = { postgres: new MockDatabaseClient() };
+  app.locals.validationManager = new ValidationManager();
+
+  const router = express.Router();
+  registerModelRoutes(router, normalizeModel(Product));
+  app.use('/api/v1', router);
+  app.use(errorHandler());
+
+  const products = [
+    { name: 'Desk lamp', description: 'Warm white <LED> lamp for desks', price: 30 },
+    { name: 'Floor lamp', description: 'Tall halogen lamp', price: 80 },
+    { name: 'Oak desk', description: 'Solid desk with a lamp holder', price: 200 }
+  ];
+
+  for (const product of products) {
+    await request(app).post('/api/v1/product').send(product).expect(201);
+  }
+
+  return app;
+}
+
+const search = (app, query) => request(app).get('/api/v1/product/search').query(query);
+
+describe('Full-text search', () => {
+  test('should parse search queries', () => {
+    expect(parseSearchText('Desk lamps -halogen "warm white"')).toEqual({
+      terms: ['desk', 'lamps'],
+      phrases: [['warm', 'white']],
+      excluded: ['halogen']
+    });
+  });
+
+  test('should rank and highlight matching records', async () => {
+    const app = await createApp();
+
+    const { body, headers } = await search(app, { q: 'desks lamp' }).expect(200);
+
+    expect(headers['x-total-count']).toBe('2');
+    expect(body.map(({ name }) => name)).toEqual(['Desk lamp', 'Oak desk']);
+    expect(body[0]._search.score).toBeGreaterThan(body[1]._search.score);
+    expect(body[0]._search.highlights).toEqual({
+      name: '<mark>Desk</mark> <mark>lamp</mark>',
+      description: 'Warm white &lt;LED&gt; <mark>lamp</mark> for <mark>desks</mark>'
+    });
+
+    const phrase = await search(app, { q: '"white LED"' }).expect(200);
+    expect(phrase.body.map(({ name }) => name)).toEqual(['Desk lamp']);
+
+    const excluded = await search(app, { q: 'lamp -halogen', 'filter[price][lt]': '100', fields: 'name' }).expect(200);
+    expect(excluded.body).toEqual([
+      { id: 1, name: 'Desk lamp', _search: expect.objectContaining({ score: expect.any(Number) }) }
+    ]);
+  });
+
+  test('should search the Product model by name and description', async () => {
+    const app = express();
+    app.locals.connections = { postgres: new MockDatabaseClient() };
+    app.locals.validationManager = new ValidationManager();
+
+    const model = normalizeModel(require('../../models/Product'));
+    const router = express.Router();
+    registerModelRoutes(router, model);
+    app.use('/api/v1', router);
+    app.use(errorHandler());
+
+    const repository = createRepository(model, app.locals.connections);
+    await repository.create({ name: 'Desk lamp', price: 30, description: 'Warm white lamp' });
+    await repository.create({ name: 'Oak desk', price: 200, description: 'Solid desk with a lamp holder' });
+    await repository.create({ name: 'Office chair', price: 120, description: 'Adjustable chair' });
+
+    const { body } = await search(app, { q: 'lamp' }).expect(200);
+    expect(body.map(({ name }) => name)).toEqual(['Desk lamp', 'Oak desk']);
+
+    const described = await search(app, { q: 'adjustable' }).expect(200);
+    expect(described.body.map(({ name }) => name)).toEqual(['Office chair']);
+  });
+
+  test('should keep the index up to date with writes', async () => {
+    const app = await createApp();
+
+    await request(app).patch('/api/v1/product/2')
+      .set('Content-Type', 'application/merge-patch+json')
+      .send({ name: 'Floor light', description: 'Tall halogen light' })
+      .expect(200);
+    await request(app).delete('/api/v1/product/1').expect(204);
+
+    const { body } = await search(app, { q: 'lamp' }).expect(200);
+    expect(body.map(({ name }) => name)).toEqual(['Oak desk']);
+
+    const light = await search(app, { q: 'lights' }).expect(200);
+    expect(light.body.map(({ name }) => name)).toEqual(['Floor light']);
+  });
+
+  test('should reject invalid search queries', async () => {
+    const app = await createApp();
+
+    const { body } = await search(app, { sort: 'name', 'page[after]': 'x' }).expect(400);
+    expect(body.errors.map(({ message }) => message)).toEqual([
+      'q must be the text to search for',
+      'Search results are sorted by relevance; sort is not supported',
+      'Search results are paged with page[number]; cursors are not supported'
+    ]);
+
+    expect(() => normalizeModel({ ...Product, search: ['price'] })).toThrow('must be a visible string or text field');
+  });
+
+  test('should search PostgreSQL with tsvector queries', async () => {
+    const model = normalizeModel(Product);
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] })
+        .mockResolvedValueOnce({
+          rows: [{
+            id: 1,
+            name: 'Desk lamp',
+            _searchScore: 0.6,
+            _searchHighlight0: 'Desk \u0002lamp\u0003',
+            _searchHighlight1: null
+          }]
+        })
+    };
+
+    const result = await new SqlAdapter(model, client).search({
+      text: 'lamp',
+      filter: { price: { lt: 100 } },
+      fields: ['id', 'name'],
+      limit: 10,
+      offset: 0
+    });
+
+    const [countSql, countParams] = client.query.mock.calls[0];
+    const [sql, params] = client.query.mock.calls[1];
+
+    expect(countSql).toContain('FROM "products", websearch_to_tsquery($1::regconfig, $2) AS "_search_query" ' +
+      'WHERE "price" < $3 AND setweight(to_tsvector($1::regconfig, coalesce("name", \'\')), \'A\') || ' +
+      'setweight(to_tsvector($1::regconfig, coalesce("description", \'\')), \'C\') @@ "_search_query"');
+    expect(countParams).toEqual(['english', 'lamp', 100]);
+    expect(sql).toContain('ts_rank(');
+    expect(sql).toContain('ts_headline($1::regconfig, "name", "_search_query", $4)');
+    expect(sql).toContain('ORDER BY "_searchScore" DESC, "id" ASC LIMIT $5');
+    expect(params).toHaveLength(5);
+    expect(result).toEqual({
+      total: 1,
+      hits: [{ record: { id: 1, name: 'Desk lamp' }, score: 0.6, highlights: { name: 'Desk <mark>lamp</mark>' } }]
+    });
+  });
+
+  test('should search MongoDB with a text index', async () => {
+    const model = normalizeModel({ ...Product, database: 'mongodb' });
+    const cursor = {
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      toArray: jest.fn().mockResolvedValue([{ _id: 'a1', name: 'Desk lamp', _searchScore: 1.5 }])
+    };
+    const collection = {
+      createIndex: jest.fn().mockResolvedValue('products_search'),
+      find: jest.fn().mockReturnValue(cursor),
+      countDocuments: jest.fn().mockResolvedValue(1)
+    };
+
+    const result = await new MongoAdapter(model, { collection: () => collection })
+      .search({ text: 'desk lamp -halogen', filter: {}, limit: 10 });
+
+    expect(collection.createIndex).toHaveBeenCalledWith(
+      { name: 'text', description: 'text' },
+      expect.objectContaining({ weights: { name: 10, description: 2 }, default_language: 'english' })
+    );
+    expect(collection.find.mock.calls[0][0]).toEqual({
+      $text: { $search: '"desk" "lamp" -halogen', $language: 'english' }
+    });
+    expect(result.hits[0]).toEqual({
+      record: { id: 'a1', name: 'Desk lamp' },
+      score: 1.5,
+      highlights: { name: '<mark>Desk</mark> <mark>lamp</mark>' }
+    });
+  });
+});